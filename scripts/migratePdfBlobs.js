@@ -0,0 +1,178 @@
+// scripts/migratePdfBlobs.js
+// Moves inline PDF buffers out of Mongo documents into the configured blob store.
+//
+// Usage: node scripts/migratePdfBlobs.js [--dry-run] [--limit=500] [--driver=gridfs|local|s3]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const driverArg = args.find(arg => arg.startsWith('--driver='));
+const limit = limitArg ? Number(limitArg.split('=')[1]) : 0;
+const BATCH_SIZE = 25;
+
+async function migrateCollection({ label, Model, bufferPath, prefix, keyField, driverField, urlField, fileNameOf, contentTypeOf }, { storeBlob, toNodeBuffer, driver }) {
+  const filter = {
+    [bufferPath]: { $exists: true, $ne: null },
+    $or: [{ [keyField]: { $exists: false } }, { [keyField]: null }]
+  };
+
+  const total = await Model.countDocuments(filter);
+  const target = limit > 0 ? Math.min(limit, total) : total;
+  console.log(`\n📦 ${label}: ${total} document(s) with inline PDFs, migrating ${target}`);
+
+  let migrated = 0;
+  let failed = 0;
+  let bytes = 0;
+  let lastId = null;
+
+  while (migrated + failed < target) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const docs = await Model.find(batchFilter)
+      .sort({ _id: 1 })
+      .limit(Math.min(BATCH_SIZE, target - migrated - failed))
+      .lean();
+    if (docs.length === 0) break;
+
+    for (const doc of docs) {
+      lastId = doc._id;
+      const holder = bufferPath.startsWith('pdf_meta.') ? doc.pdf_meta : doc;
+      const buffer = toNodeBuffer(holder?.pdfBuffer);
+
+      if (!buffer || buffer.length === 0) {
+        console.log(`   ⚠️  ${doc._id}: empty buffer, skipped`);
+        failed++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`   🔍 ${doc._id}: would move ${buffer.length} bytes to ${driver}`);
+        migrated++;
+        bytes += buffer.length;
+        continue;
+      }
+
+      try {
+        const stored = await storeBlob(buffer, {
+          prefix: prefix(doc),
+          fileName: fileNameOf(doc),
+          contentType: contentTypeOf(doc),
+          metadata: { migratedFrom: label, documentId: String(doc._id) },
+          driver
+        });
+
+        const $set = {
+          [driverField]: stored.storageDriver,
+          [keyField]: stored.storageKey
+        };
+        if (urlField) $set[urlField] = stored.externalUrl;
+
+        await Model.collection.updateOne(
+          { _id: doc._id },
+          { $set, $unset: { [bufferPath]: '' } }
+        );
+
+        migrated++;
+        bytes += buffer.length;
+        console.log(`   ✅ ${doc._id}: ${buffer.length} bytes → ${stored.storageDriver}://${stored.storageKey}`);
+      } catch (error) {
+        failed++;
+        console.error(`   ❌ ${doc._id}: ${error.message}`);
+      }
+    }
+  }
+
+  return { label, migrated, failed, bytes };
+}
+
+async function migratePdfBlobs() {
+  const { BLOB_STORE_DRIVER } = await import('../src/config/blobStoreConfig.js');
+  const { storeBlob, toNodeBuffer, isInlineBlobStore, getBlobDriver } = await import('../src/services/blobStoreService.js');
+  const { default: CustomerHeaderDoc } = await import('../src/models/CustomerHeaderDoc.js');
+  const { default: VersionPdf } = await import('../src/models/VersionPdf.js');
+  const { default: ManualUploadDocument } = await import('../src/models/ManualUploadDocument.js');
+
+  const driver = driverArg ? driverArg.split('=')[1] : BLOB_STORE_DRIVER;
+  if (isInlineBlobStore(driver)) {
+    throw new Error('Target driver is "inline"; set BLOB_STORE_DRIVER or pass --driver=gridfs|local|s3');
+  }
+  getBlobDriver(driver);
+
+  console.log(`🔧 Migrating inline PDFs to the "${driver}" blob store${dryRun ? ' (dry run)' : ''}...`);
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI || "mongodb://localhost:27017/enviromaster", {
+    dbName: process.env.MONGO_DB || 'enviro_master'
+  });
+  console.log(`✅ Connected to MongoDB (${process.env.MONGO_DB || 'enviro_master'})`);
+
+  const collections = [
+    {
+      label: 'CustomerHeaderDoc',
+      Model: CustomerHeaderDoc,
+      bufferPath: 'pdf_meta.pdfBuffer',
+      keyField: 'pdf_meta.storageKey',
+      driverField: 'pdf_meta.storageDriver',
+      urlField: 'pdf_meta.externalUrl',
+      prefix: () => 'agreements',
+      fileNameOf: () => 'agreement.pdf',
+      contentTypeOf: (doc) => doc.pdf_meta?.contentType || 'application/pdf'
+    },
+    {
+      label: 'VersionPdf',
+      Model: VersionPdf,
+      bufferPath: 'pdf_meta.pdfBuffer',
+      keyField: 'pdf_meta.storageKey',
+      driverField: 'pdf_meta.storageDriver',
+      urlField: 'pdf_meta.externalUrl',
+      prefix: (doc) => `versions/${doc.agreementId}`,
+      fileNameOf: (doc) => doc.fileName,
+      contentTypeOf: (doc) => doc.pdf_meta?.contentType || 'application/pdf'
+    },
+    {
+      label: 'ManualUploadDocument',
+      Model: ManualUploadDocument,
+      bufferPath: 'pdfBuffer',
+      keyField: 'storageKey',
+      driverField: 'storageDriver',
+      urlField: null,
+      prefix: () => 'manual-uploads',
+      fileNameOf: (doc) => doc.fileName,
+      contentTypeOf: (doc) => doc.mimeType || 'application/pdf'
+    }
+  ];
+
+  try {
+    const results = [];
+    for (const collection of collections) {
+      results.push(await migrateCollection(collection, { storeBlob, toNodeBuffer, driver }));
+    }
+
+    console.log('\n📈 MIGRATION SUMMARY:');
+    for (const { label, migrated, failed, bytes } of results) {
+      console.log(`   ${label}: ${migrated} moved (${(bytes / 1024 / 1024).toFixed(2)} MB), ${failed} skipped/failed`);
+    }
+    if (dryRun) {
+      console.log('   🔍 Dry run - no documents were changed');
+    }
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🚀 Running PDF blob migration script...');
+  migratePdfBlobs()
+    .then(() => {
+      console.log('🎯 Migration completed!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('💥 Fatal error:', err);
+      process.exit(1);
+    });
+}
+
+export default migratePdfBlobs;
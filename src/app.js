@@ -25,6 +25,12 @@ import emailRoutes from './routes/emailRoutes.js';
 import emailTemplateRoutes from './routes/emailTemplateRoutes.js';
 import serviceAgreementTemplateRoutes from './routes/serviceAgreementTemplateRoutes.js';
 import adminSettingsRoutes from './routes/adminSettingsRoutes.js';
+import renewalRoutes from './routes/renewalRoutes.js';
+import priceIncreaseRoutes from './routes/priceIncreaseRoutes.js';
+import pricingDraftRoutes from './routes/pricingDraftRoutes.js';
+import signatureRoutes from './routes/signatureRoutes.js';
+import signingRoutes from './routes/signingRoutes.js';
+import verifyRoutes from './routes/verifyRoutes.js';
 
 
 const app = express();
@@ -145,5 +151,11 @@ app.use("/api/email", emailRoutes);
 app.use("/api/email-template", emailTemplateRoutes);
 app.use("/api/service-agreement-template", serviceAgreementTemplateRoutes);
 app.use("/api/admin-settings", adminSettingsRoutes);
+app.use("/api/renewals", renewalRoutes);
+app.use("/api/price-increases", priceIncreaseRoutes);
+app.use("/api/pricing-drafts", pricingDraftRoutes);
+app.use("/api/signatures", signatureRoutes);
+app.use("/api/sign", signingRoutes);
+app.use("/verify", verifyRoutes);
 
 export default app;
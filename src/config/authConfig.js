@@ -0,0 +1,30 @@
+import dotenv from "dotenv";
+
+// Loaded here too: this module is evaluated before server.js reaches dotenv.config().
+dotenv.config();
+
+const DEV_JWT_SECRET = "dev-secret-change-me";
+
+const isProduction = process.env.NODE_ENV === "production";
+
+if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_JWT_SECRET) {
+  if (isProduction) {
+    throw new Error("JWT_SECRET must be set to a strong random value in production");
+  }
+  console.warn("⚠️ [AUTH] JWT_SECRET is not set - using the development secret. Do not run like this in production.");
+}
+
+export const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// Access tokens are short-lived; clients renew them with a refresh token.
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+export const LOGIN_MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5);
+
+export const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+
+// 32-byte key (64 hex chars or base64) for the AES-256-GCM encrypted
+// secrets in IntegrationCredential. Generate with: openssl rand -hex 32
+export const CREDENTIAL_ENCRYPTION_KEY = process.env.CREDENTIAL_ENCRYPTION_KEY || null;
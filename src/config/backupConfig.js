@@ -0,0 +1,19 @@
+// Nightly pricing snapshots (services/pricingBackupScheduler.js) and how
+// long BackupPricing keeps them.
+
+export const PRICING_BACKUP_SCHEDULE_ENABLED = process.env.PRICING_BACKUP_SCHEDULE !== "false";
+// Local hour (0-23) after which the nightly snapshot is taken.
+export const PRICING_BACKUP_HOUR = Math.min(Math.max(Number(process.env.PRICING_BACKUP_HOUR || 2), 0), 23);
+// How long one worker may hold the nightly run before another can take over.
+export const PRICING_BACKUP_LEASE_MS = Number(process.env.PRICING_BACKUP_LEASE_MS || 10 * 60 * 1000);
+
+// Retention tiers: every backup from the newest `daily` change days, plus the
+// newest backup of each of the last `weekly` weeks and `monthly` months.
+export const PRICING_BACKUP_RETENTION = {
+  daily: Math.max(Number(process.env.PRICING_BACKUP_KEEP_DAILY || 10), 1),
+  weekly: Math.max(Number(process.env.PRICING_BACKUP_KEEP_WEEKLY || 8), 0),
+  monthly: Math.max(Number(process.env.PRICING_BACKUP_KEEP_MONTHLY || 12), 0),
+};
+
+// Largest archive accepted by POST /api/pricing-backup/import.
+export const PRICING_BACKUP_IMPORT_MAX_MB = Number(process.env.PRICING_BACKUP_IMPORT_MAX_MB || 20);
@@ -0,0 +1,18 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..", "..");
+
+// "inline" keeps the legacy behaviour of embedding buffers in Mongo documents.
+export const BLOB_STORE_DRIVER = String(process.env.BLOB_STORE_DRIVER || "gridfs").toLowerCase();
+
+export const BLOB_STORE_GRIDFS_BUCKET = process.env.BLOB_STORE_GRIDFS_BUCKET || "pdfBlobs";
+
+export const BLOB_STORE_LOCAL_DIR =
+  process.env.BLOB_STORE_LOCAL_DIR || path.join(ROOT, "storage", "blobs");
+
+export const BLOB_STORE_S3_BUCKET = process.env.BLOB_STORE_S3_BUCKET || "";
+export const BLOB_STORE_S3_REGION = process.env.BLOB_STORE_S3_REGION || "us-east-1";
+export const BLOB_STORE_S3_ENDPOINT = process.env.BLOB_STORE_S3_ENDPOINT || "";
+export const BLOB_STORE_S3_FORCE_PATH_STYLE = process.env.BLOB_STORE_S3_FORCE_PATH_STYLE === "true";
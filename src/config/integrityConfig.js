@@ -0,0 +1,8 @@
+// Tamper-evident PDF issuing (services/documentIntegrityService.js).
+
+// Public verification URL printed in PDF footers; the code is appended as a path segment.
+// Leave empty to print only the code.
+export const VERIFY_BASE_URL = (process.env.VERIFY_BASE_URL || "").replace(/\/+$/, "");
+
+// Largest PDF accepted by POST /verify/:code.
+export const VERIFY_MAX_UPLOAD_MB = Number(process.env.VERIFY_MAX_UPLOAD_MB || 25);
@@ -19,3 +19,42 @@ export const PDF_TEMPLATE_PATH =
 export const PDF_HEADER_TEMPLATE_PATH =
   process.env.PDF_HEADER_TEMPLATE_PATH ||
   path.join(ROOT, "src", "templates", "customer-header.tex");
+
+export const PDF_REDLINE_TEMPLATE_PATH =
+  process.env.PDF_REDLINE_TEMPLATE_PATH ||
+  path.join(ROOT, "src", "templates", "version-redline.tex");
+
+export const PDF_NOTICE_TEMPLATE_PATH =
+  process.env.PDF_NOTICE_TEMPLATE_PATH ||
+  path.join(ROOT, "src", "templates", "price-increase-notice.tex");
+
+export const PDF_COMPILER = String(process.env.PDF_COMPILER || "remote").toLowerCase();
+
+export const PDF_COMPILER_FAILOVER = process.env.PDF_COMPILER_FAILOVER !== "false";
+
+export const PDF_LOCAL_ENGINE = String(process.env.PDF_LOCAL_ENGINE || "pdflatex").toLowerCase();
+
+export const PDF_LOCAL_BIN = process.env.PDF_LOCAL_BIN || PDF_LOCAL_ENGINE;
+
+export const PDF_LOCAL_TIMEOUT_MS = Number(
+  process.env.PDF_LOCAL_TIMEOUT_MS || 60_000,
+);
+
+export const PDF_JOB_WORKER_ENABLED = process.env.PDF_JOB_WORKER !== "false";
+
+export const PDF_JOB_CONCURRENCY = Math.max(
+  Number(process.env.PDF_JOB_CONCURRENCY || 2),
+  1,
+);
+export const PDF_JOB_MAX_ATTEMPTS = Number(process.env.PDF_JOB_MAX_ATTEMPTS || 3);
+export const PDF_JOB_BACKOFF_MS = Number(process.env.PDF_JOB_BACKOFF_MS || 5_000);
+export const PDF_JOB_POLL_MS = Number(process.env.PDF_JOB_POLL_MS || 2_000);
+export const PDF_JOB_LOCK_TIMEOUT_MS = Number(
+  process.env.PDF_JOB_LOCK_TIMEOUT_MS || 5 * 60_000,
+);
+export const PDF_JOB_RETENTION_HOURS = Number(
+  process.env.PDF_JOB_RETENTION_HOURS || 24,
+);
+
+export const PDF_CACHE_ENABLED = process.env.PDF_CACHE_ENABLED !== "false";
+export const PDF_CACHE_TTL_DAYS = Number(process.env.PDF_CACHE_TTL_DAYS || 30);
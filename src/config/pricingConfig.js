@@ -0,0 +1,18 @@
+export const PRICING_VERIFICATION_MODE = String(
+  process.env.PRICING_VERIFICATION_MODE || "flag",
+).toLowerCase();
+
+export const PRICING_TOLERANCE_ABS = Number(
+  process.env.PRICING_TOLERANCE_ABS || 1,
+);
+
+export const PRICING_TOLERANCE_PCT = Number(
+  process.env.PRICING_TOLERANCE_PCT || 0.5,
+);
+
+// Flips ServiceConfig.isActive to the dated version in effect, at local midnight.
+export const SERVICE_CONFIG_ACTIVATION_ENABLED = process.env.SERVICE_CONFIG_ACTIVATION !== "false";
+
+// When on, PUT /api/service-configs/:id(/partial) and /api/product-catalog/:id(/partial)
+// save a pricing draft for a second admin to approve instead of going live.
+export const PRICING_REVIEW_REQUIRED = process.env.PRICING_REVIEW_REQUIRED !== "false";
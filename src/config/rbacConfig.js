@@ -0,0 +1,96 @@
+export const ACCESS_ROLES = ["admin", "sales_manager", "salesperson", "read_only"];
+
+export const PERMISSIONS = [
+  "agreements:read",
+  "agreements:read_all",
+  "agreements:write",
+  "agreements:delete",
+  "agreements:purge",
+  "agreements:approve",
+  // Final (admin) approval; only the admin role holds it.
+  "agreements:approve_admin",
+  "agreements:sign",
+  "files:read",
+  "files:write",
+  "price_overrides:review",
+  "pricing:read",
+  "pricing:write",
+  "pricing:approve",
+  "pricing_backups:read",
+  "pricing_backups:manage",
+  "settings:read",
+  "settings:write",
+  "users:manage",
+  "zoho:sync",
+  "email:send",
+  "pdf:compile",
+  "reports:read",
+  "system:admin",
+];
+
+// Not assignable to accounts: the actor role for customers signing through a
+// link (services/signatureService.js).
+export const SIGNER_ROLE = "customer_signer";
+
+export const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  sales_manager: [
+    "agreements:read",
+    "agreements:read_all",
+    "agreements:write",
+    "agreements:delete",
+    "agreements:approve",
+    "files:read",
+    "files:write",
+    "price_overrides:review",
+    "pricing:read",
+    "pricing_backups:read",
+    "settings:read",
+    "zoho:sync",
+    "email:send",
+    "pdf:compile",
+    "reports:read",
+  ],
+  // Salespeople only see agreements they created (no agreements:read_all).
+  salesperson: [
+    "agreements:read",
+    "agreements:write",
+    "agreements:delete",
+    "files:read",
+    "files:write",
+    "pricing:read",
+    "settings:read",
+    "zoho:sync",
+    "email:send",
+    "pdf:compile",
+  ],
+  read_only: [
+    "agreements:read",
+    "agreements:read_all",
+    "files:read",
+    "pricing:read",
+    "pricing_backups:read",
+    "settings:read",
+    "reports:read",
+  ],
+  [SIGNER_ROLE]: ["agreements:sign"],
+};
+
+// Access role assumed for accounts/tokens issued before roles were stored.
+export const DEFAULT_ACCESS_ROLE = {
+  admin: "admin",
+  employee: "salesperson",
+};
+
+export function isAccessRole(role) {
+  return ACCESS_ROLES.includes(role);
+}
+
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+export function roleHasPermission(role, permission) {
+  const granted = permissionsForRole(role);
+  return granted.includes("*") || granted.includes(permission);
+}
@@ -0,0 +1,21 @@
+// Contract renewal tracking. Term dates come from payload.agreement.startDate
+// and payload.summary.contractMonths; the defaults mirror the standard terms
+// (36 months, auto-renewing, 30 days written notice).
+
+export const RENEWAL_DEFAULT_TERM_MONTHS = Number(process.env.RENEWAL_DEFAULT_TERM_MONTHS || 36);
+export const RENEWAL_NOTICE_DAYS = Number(process.env.RENEWAL_NOTICE_DAYS || 30);
+export const RENEWAL_AUTO_RENEW = process.env.RENEWAL_AUTO_RENEW !== "false";
+
+// Agreement statuses whose term is tracked.
+export const RENEWAL_TRACKED_STATUSES = (process.env.RENEWAL_TRACKED_STATUSES || "active")
+  .split(",")
+  .map((status) => status.trim())
+  .filter(Boolean);
+
+// The daily job alerts once per term when the notice deadline is this close.
+export const RENEWAL_ALERT_LEAD_DAYS = Number(process.env.RENEWAL_ALERT_LEAD_DAYS || 30);
+export const RENEWAL_JOB_ENABLED = process.env.RENEWAL_JOB !== "false";
+// Local hour (0-23) after which the daily job runs.
+export const RENEWAL_JOB_HOUR = Math.min(Math.max(Number(process.env.RENEWAL_JOB_HOUR || 7), 0), 23);
+// Used when the owning salesperson has no email on file.
+export const RENEWAL_ALERT_FALLBACK_EMAIL = process.env.RENEWAL_ALERT_EMAIL || null;
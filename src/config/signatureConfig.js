@@ -0,0 +1,20 @@
+// Customer e-signature links (services/signatureService.js).
+
+// How long a signing link stays valid unless the request sets its own expiry.
+export const SIGNING_LINK_TTL_HOURS = Number(process.env.SIGNING_LINK_TTL_HOURS || 168);
+export const SIGNING_LINK_MAX_TTL_HOURS = 30 * 24;
+
+// Frontend page that hosts the signing UI; the token is appended as a path segment.
+export const SIGNING_PAGE_URL = (process.env.SIGNING_PAGE_URL || "").replace(/\/+$/, "");
+
+// Agreements can only be sent for signature once an admin has approved them.
+export const SIGNABLE_AGREEMENT_STATUS = "approved_admin";
+
+// Agreement status once the customer has signed.
+export const SIGNED_AGREEMENT_STATUS = process.env.SIGNED_AGREEMENT_STATUS || "active";
+
+// A submission holds its link in "signing" for this long; after that another
+// submission may take it over (e.g. when the process died mid-signing).
+export const SIGNING_CLAIM_LEASE_MINUTES = Number(process.env.SIGNING_CLAIM_LEASE_MINUTES || 10);
+
+export const SIGNATURE_IMAGE_MAX_BYTES = Number(process.env.SIGNATURE_IMAGE_MAX_BYTES || 512 * 1024);
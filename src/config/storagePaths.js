@@ -1,8 +1,11 @@
+import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 export const PDF_OUTPUT_DIR = path.join(__dirname, "..", "tmp", "pdfs");
+export const LATEX_WORK_DIR =
+  process.env.PDF_LOCAL_WORK_DIR || path.join(os.tmpdir(), "enviro-latex");
 
 export const BIGIN_BASE_URL = process.env.BIGIN_BASE_URL || "";
 export const BIGIN_ACCESS_TOKEN = process.env.BIGIN_ACCESS_TOKEN || "";
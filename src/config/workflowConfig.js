@@ -0,0 +1,87 @@
+// Approval workflow for agreements, their versions and manual uploads.
+// Each entry maps a target status to the permission needed to move there.
+
+import { SIGNABLE_AGREEMENT_STATUS, SIGNED_AGREEMENT_STATUS } from "./signatureConfig.js";
+
+const APPROVAL_TRANSITIONS = {
+  pending_approval: {
+    approved_salesman: "agreements:write",
+    approved_admin: "agreements:approve_admin",
+    saved: "agreements:write",
+    draft: "agreements:write",
+  },
+  approved_salesman: {
+    approved_admin: "agreements:approve_admin",
+    pending_approval: "agreements:write",
+    saved: "agreements:approve",
+  },
+  approved_admin: {
+    saved: "agreements:approve_admin",
+    draft: "agreements:approve_admin",
+  },
+};
+
+const EDITABLE_TRANSITIONS = {
+  draft: "agreements:write",
+  saved: "agreements:write",
+  pending_approval: "agreements:write",
+};
+
+export const WORKFLOW_DEFINITIONS = {
+  agreement: {
+    statuses: ["saved", "draft", "in_progress", "active", "completed", "pending_approval", "approved_salesman", "approved_admin"],
+    initialStatuses: ["draft", "saved", "pending_approval"],
+    // Editing the content of an approved or signed agreement needs the
+    // permission that approving it would; otherwise move it back first.
+    contentLocks: {
+      approved_salesman: "agreements:approve",
+      approved_admin: "agreements:approve_admin",
+      [SIGNED_AGREEMENT_STATUS]: "agreements:approve_admin",
+    },
+    transitions: {
+      draft: EDITABLE_TRANSITIONS,
+      saved: EDITABLE_TRANSITIONS,
+      // Legacy statuses behave like "saved".
+      in_progress: EDITABLE_TRANSITIONS,
+      active: EDITABLE_TRANSITIONS,
+      completed: EDITABLE_TRANSITIONS,
+      ...APPROVAL_TRANSITIONS,
+      // A customer signature moves a ready-to-sign agreement on.
+      [SIGNABLE_AGREEMENT_STATUS]: {
+        ...APPROVAL_TRANSITIONS[SIGNABLE_AGREEMENT_STATUS],
+        [SIGNED_AGREEMENT_STATUS]: "agreements:sign",
+      },
+    },
+  },
+  version: {
+    statuses: ["draft", "saved", "pending_approval", "approved_salesman", "approved_admin"],
+    transitions: {
+      draft: EDITABLE_TRANSITIONS,
+      saved: EDITABLE_TRANSITIONS,
+      ...APPROVAL_TRANSITIONS,
+    },
+  },
+  manualUpload: {
+    statuses: ["uploaded", "processing", "completed", "failed", "pending_approval", "approved_salesman", "approved_admin"],
+    transitions: {
+      uploaded: { pending_approval: "files:write" },
+      completed: { pending_approval: "files:write" },
+      failed: { pending_approval: "files:write" },
+      pending_approval: {
+        approved_salesman: "files:write",
+        approved_admin: "agreements:approve_admin",
+        uploaded: "files:write",
+      },
+      approved_salesman: {
+        approved_admin: "agreements:approve_admin",
+        pending_approval: "files:write",
+        uploaded: "agreements:approve",
+      },
+      approved_admin: {
+        uploaded: "agreements:approve_admin",
+      },
+    },
+  },
+};
+
+export const APPROVAL_PENDING_STATUS = "pending_approval";
@@ -0,0 +1,31 @@
+// Zoho sync outbox: every deal/note/file/task write to Bigin is persisted
+// first and executed by the outbox worker with exponential backoff.
+
+export const ZOHO_OUTBOX_WORKER_ENABLED = process.env.ZOHO_OUTBOX_WORKER !== "false";
+
+export const ZOHO_OUTBOX_MAX_ATTEMPTS = Math.max(
+  Number(process.env.ZOHO_OUTBOX_MAX_ATTEMPTS || 6),
+  1,
+);
+export const ZOHO_OUTBOX_BACKOFF_MS = Number(process.env.ZOHO_OUTBOX_BACKOFF_MS || 10_000);
+export const ZOHO_OUTBOX_MAX_BACKOFF_MS = Number(
+  process.env.ZOHO_OUTBOX_MAX_BACKOFF_MS || 30 * 60_000,
+);
+export const ZOHO_OUTBOX_POLL_MS = Number(process.env.ZOHO_OUTBOX_POLL_MS || 5_000);
+export const ZOHO_OUTBOX_LOCK_TIMEOUT_MS = Number(
+  process.env.ZOHO_OUTBOX_LOCK_TIMEOUT_MS || 5 * 60_000,
+);
+// Completed and discarded operations are purged after this many days;
+// dead-lettered ones are kept until replayed or discarded.
+export const ZOHO_OUTBOX_RETENTION_DAYS = Number(
+  process.env.ZOHO_OUTBOX_RETENTION_DAYS || 14,
+);
+
+// Deal stage sync: Bigin calls the webhook when a deal's stage changes and a
+// poller re-reads tracked deals in case a webhook was missed.
+export const ZOHO_WEBHOOK_SECRET = process.env.ZOHO_WEBHOOK_SECRET || null;
+export const ZOHO_STAGE_POLL_ENABLED = process.env.ZOHO_STAGE_POLL !== "false";
+export const ZOHO_STAGE_POLL_INTERVAL_MS = Math.max(
+  Number(process.env.ZOHO_STAGE_POLL_INTERVAL_MS || 15 * 60_000),
+  60_000,
+);
@@ -1,11 +1,27 @@
 import bcrypt from "bcryptjs";
 import AdminUser from "../models/AdminUser.js";
-import { signAdminToken } from "../middleware/adminAuth.js";
+import { DEFAULT_ACCESS_ROLE, permissionsForRole } from "../config/rbacConfig.js";
+import {
+  createSession,
+  lockoutSecondsRemaining,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  revokeAllSessions,
+} from "../services/authSessionService.js";
 import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
 import ManualUploadDocument from "../models/ManualUploadDocument.js";
 import VersionPdf from "../models/VersionPdf.js";
 import mongoose from "mongoose";
 
+function accountLocked(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    error: "Locked",
+    detail: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter,
+  });
+}
+
 export async function adminLogin(req, res) {
   try {
     const { username, password } = req.body || {};
@@ -23,24 +39,42 @@ export async function adminLogin(req, res) {
         .json({ error: "Unauthorized", detail: "Invalid credentials" });
     }
 
+    const retryAfter = lockoutSecondsRemaining(admin);
+    if (retryAfter > 0) {
+      return accountLocked(res, retryAfter);
+    }
+
     const ok = await bcrypt.compare(password, admin.passwordHash);
     if (!ok) {
+      const lockedFor = await registerFailedLogin(admin);
+      if (lockedFor > 0) {
+        return accountLocked(res, lockedFor);
+      }
       return res
         .status(401)
         .json({ error: "Unauthorized", detail: "Invalid credentials" });
     }
 
-    const token = signAdminToken(admin);
+    const lockedFor = await registerSuccessfulLogin(admin);
+    if (lockedFor > 0) {
+      return accountLocked(res, lockedFor);
+    }
 
-    admin.lastLoginAt = new Date();
-    await admin.save();
+    const session = await createSession(admin, "admin", req);
+    const accessRole = admin.accessRole || DEFAULT_ACCESS_ROLE.admin;
 
     res.json({
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+      sessionId: session.sessionId,
       admin: {
         id: admin._id,
         username: admin.username,
+        accessRole,
       },
+      permissions: permissionsForRole(accessRole),
     });
   } catch (err) {
     console.error("adminLogin error:", err);
@@ -89,7 +123,19 @@ export async function changeAdminPassword(req, res) {
     admin.passwordChangedAt = new Date();
     await admin.save();
 
-    res.json({ success: true, message: "Password updated successfully" });
+    // Every other device is signed out; this one gets a fresh session.
+    await revokeAllSessions("admin", admin._id, "password_changed");
+    const session = await createSession(admin, "admin", req);
+
+    res.json({
+      success: true,
+      message: "Password updated successfully",
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+      sessionId: session.sessionId,
+    });
   } catch (err) {
     console.error("changeAdminPassword error:", err);
     res
@@ -108,7 +154,7 @@ export async function getAdminProfile(req, res) {
     }
 
     const admin = await AdminUser.findById(adminId)
-      .select("_id username isActive lastLoginAt createdAt updatedAt")
+      .select("_id username accessRole isActive lastLoginAt createdAt updatedAt")
       .lean();
 
     if (!admin) {
@@ -117,7 +163,8 @@ export async function getAdminProfile(req, res) {
         .json({ error: "Not found", detail: "Admin user not found" });
     }
 
-    res.json({ admin });
+    admin.accessRole = admin.accessRole || DEFAULT_ACCESS_ROLE.admin;
+    res.json({ admin, permissions: permissionsForRole(admin.accessRole) });
   } catch (err) {
     console.error("getAdminProfile error:", err);
     res
@@ -215,6 +262,7 @@ export async function getAdminDashboard(req, res) {
                 $match: {
                   $or: [
                     { 'pdf_meta.pdfBuffer': { $exists: true, $ne: null } },
+                    { 'pdf_meta.storageKey': { $exists: true, $ne: null } },
                     { 'zoho.bigin.fileId': { $exists: true, $ne: null } },
                     { 'zoho.crm.fileId': { $exists: true, $ne: null } }
                   ]
@@ -397,7 +445,7 @@ export async function getAdminRecentDocuments(req, res) {
         'payload.headerTitle': 1,
         'pdf_meta.sizeBytes': 1,
         'pdf_meta.storedAt': 1,
-        'pdf_meta.pdfBuffer': 1,
+        'pdf_meta.storageKey': 1,
         'zoho.bigin.dealId': 1,
         'zoho.bigin.fileId': 1,
         'zoho.crm.dealId': 1,
@@ -419,7 +467,8 @@ export async function getAdminRecentDocuments(req, res) {
           createdDate: doc.createdAt,
           uploadedOn: doc.pdf_meta?.storedAt || doc.createdAt,
           hasPdf: !!(
-            doc.pdf_meta?.pdfBuffer ||
+            doc.pdf_meta?.storageKey ||
+            doc.pdf_meta?.sizeBytes ||
             (doc.zoho?.bigin?.fileId && !doc.zoho.bigin.fileId.includes('MOCK_')) ||
             (doc.zoho?.crm?.fileId && !doc.zoho.crm.fileId.includes('MOCK_'))
           ),
@@ -669,6 +718,7 @@ export async function resetAdminPassword(req, res) {
     admin.passwordHash = passwordHash;
     admin.passwordChangedAt = new Date();
     await admin.save();
+    await revokeAllSessions("admin", admin._id, "password_reset");
 
     console.log(`[ADMIN-AUTH] Password reset by developer: ${developerName}`);
 
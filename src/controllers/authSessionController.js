@@ -0,0 +1,93 @@
+import {
+  listActiveSessions,
+  revokeAllSessions,
+  revokeRefreshToken,
+  revokeSession,
+  rotateRefreshToken,
+} from "../services/authSessionService.js";
+
+export async function refreshSession(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    const session = await rotateRefreshToken(refreshToken, req);
+    res.json({ success: true, ...session });
+  } catch (err) {
+    if (err.status) {
+      const error = err.status === 400 ? "Bad Request" : "Unauthorized";
+      return res.status(err.status).json({ error, detail: err.detail });
+    }
+    console.error("refreshSession error:", err);
+    res.status(500).json({ error: "Token refresh failed", detail: String(err) });
+  }
+}
+
+/**
+ * Ends the session the refresh token belongs to. Public so a client whose
+ * access token already expired can still sign out; owning the refresh token
+ * is the proof.
+ */
+export async function logout(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ error: "Bad Request", detail: "refreshToken is required" });
+    }
+
+    await revokeRefreshToken(refreshToken, "logout");
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("logout error:", err);
+    res.status(500).json({ error: "Logout failed", detail: String(err) });
+  }
+}
+
+export async function logoutAllSessions(req, res) {
+  try {
+    const revoked = await revokeAllSessions(req.user.role, req.user.id, "logout_all");
+    res.json({ success: true, message: "Logged out of all sessions", revoked });
+  } catch (err) {
+    console.error("logoutAllSessions error:", err);
+    res.status(500).json({ error: "Logout failed", detail: String(err) });
+  }
+}
+
+export async function getMySessions(req, res) {
+  try {
+    const sessions = await listActiveSessions(req.user.role, req.user.id);
+    res.json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        deviceId: s.deviceId,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        lastUsedAt: s.lastUsedAt,
+        createdAt: s.createdAt,
+        expiresAt: s.expiresAt,
+      })),
+    });
+  } catch (err) {
+    console.error("getMySessions error:", err);
+    res.status(500).json({ error: "Failed to list sessions", detail: String(err) });
+  }
+}
+
+export async function revokeMySession(req, res) {
+  try {
+    const sessions = await listActiveSessions(req.user.role, req.user.id);
+    const target = sessions.find((s) => String(s._id) === req.params.sessionId);
+    if (!target) {
+      return res
+        .status(404)
+        .json({ error: "Not found", detail: "Session not found" });
+    }
+
+    await revokeSession(target._id, "revoked_by_user");
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error("revokeMySession error:", err);
+    res.status(500).json({ error: "Failed to revoke session", detail: String(err) });
+  }
+}
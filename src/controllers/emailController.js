@@ -4,6 +4,8 @@ import VersionPdf from '../models/VersionPdf.js';
 import ManualUploadDocument from '../models/ManualUploadDocument.js';
 import Log from '../models/Log.js';
 import { compileCustomerHeader } from '../services/pdfService.js';
+import { readBlob, hasStoredBlob } from '../services/blobStoreService.js';
+import { issuePdf } from '../services/documentIntegrityService.js';
 
 export async function sendEmailWithPdf(req, res) {
   try {
@@ -52,6 +54,20 @@ export async function sendEmailWithPdf(req, res) {
 
     console.log('🔍 [EMAIL-CONTROLLER] Resolved document type:', normalizedType, '→ category:', requestedCategory);
 
+    // Versions are recompiled for email, so each copy sent gets its own code.
+    const issueVersionCopy = async (version, compiledPdf) => {
+      const { buffer } = await issuePdf(compiledPdf.buffer, {
+        documentType: 'version',
+        documentId: version._id,
+        agreementId: version.agreementId,
+        versionNumber: version.versionNumber,
+        fileName: version.fileName,
+        issuedBy: req.user?.username || null,
+        channel: 'email'
+      });
+      return buffer;
+    };
+
     const loadPdfAsync = async () => {
       let pdfBuffer;
       let fileName;
@@ -59,7 +75,7 @@ export async function sendEmailWithPdf(req, res) {
 
       if (requestedCategory === 'version') {
         const version = await VersionPdf.findById(documentId)
-          .select('_id versionNumber versionLabel fileName payloadSnapshot')
+          .select('_id agreementId versionNumber versionLabel fileName payloadSnapshot')
           .lean();
 
         let skipVersionCompile = false;
@@ -67,15 +83,11 @@ export async function sendEmailWithPdf(req, res) {
           console.log(`🔍 [EMAIL-CONTROLLER] Version not found, trying fallback lookups...`);
 
           const manualUpload = await ManualUploadDocument.findById(documentId)
-            .select('pdfBuffer fileName mimeType')
+            .select('pdfBuffer storageDriver storageKey fileName mimeType')
             .lean();
 
-          if (manualUpload?.pdfBuffer) {
-            pdfBuffer = manualUpload.pdfBuffer.buffer
-              ? Buffer.from(manualUpload.pdfBuffer.buffer)
-              : Buffer.isBuffer(manualUpload.pdfBuffer)
-                ? manualUpload.pdfBuffer
-                : Buffer.from(manualUpload.pdfBuffer);
+          if (hasStoredBlob(manualUpload)) {
+            pdfBuffer = await readBlob(manualUpload);
 
             fileName = manualUpload.fileName;
             attachmentContentType = manualUpload.mimeType || "application/pdf";
@@ -102,7 +114,7 @@ export async function sendEmailWithPdf(req, res) {
           if (!compiledPdf?.buffer) {
             throw new Error('Failed to compile version PDF');
           }
-          pdfBuffer = compiledPdf.buffer;
+          pdfBuffer = await issueVersionCopy(version, compiledPdf);
           fileName = watermark
             ? version.fileName.replace('.pdf', '_DRAFT.pdf')
             : version.fileName;
@@ -110,22 +122,18 @@ export async function sendEmailWithPdf(req, res) {
 
       } else if (requestedCategory === 'manual') {
         const manualUpload = await ManualUploadDocument.findById(documentId)
-          .select('pdfBuffer fileName mimeType')
+          .select('pdfBuffer storageDriver storageKey fileName mimeType')
           .lean();
 
         if (!manualUpload) {
           throw new Error(`Manual upload file not found with ID: ${documentId}`);
         }
 
-        if (!manualUpload.pdfBuffer) {
+        if (!hasStoredBlob(manualUpload)) {
           throw new Error('File buffer not found');
         }
 
-        pdfBuffer = manualUpload.pdfBuffer.buffer
-          ? Buffer.from(manualUpload.pdfBuffer.buffer)
-          : Buffer.isBuffer(manualUpload.pdfBuffer)
-            ? manualUpload.pdfBuffer
-            : Buffer.from(manualUpload.pdfBuffer);
+        pdfBuffer = await readBlob(manualUpload);
 
         fileName = manualUpload.fileName;
         attachmentContentType = manualUpload.mimeType || "application/pdf";
@@ -145,13 +153,13 @@ export async function sendEmailWithPdf(req, res) {
 
       } else if (requestedCategory === 'agreement') {
         const agreement = await CustomerHeaderDoc.findById(documentId)
-          .select('_id payload.headerTitle pdf_meta.pdfBuffer')
+          .select('_id payload.headerTitle pdf_meta.pdfBuffer pdf_meta.storageDriver pdf_meta.storageKey')
           .lean();
 
         if (!agreement) {
           if (!documentType) {
             const version = await VersionPdf.findById(documentId)
-              .select('_id versionNumber versionLabel fileName payloadSnapshot')
+              .select('_id agreementId versionNumber versionLabel fileName payloadSnapshot')
               .lean();
 
             if (version) {
@@ -160,7 +168,7 @@ export async function sendEmailWithPdf(req, res) {
               if (!compiledPdf?.buffer) {
                 throw new Error('Failed to compile version PDF');
               }
-              pdfBuffer = compiledPdf.buffer;
+              pdfBuffer = await issueVersionCopy(version, compiledPdf);
               fileName = watermark
                 ? version.fileName.replace('.pdf', '_DRAFT.pdf')
                 : version.fileName;
@@ -171,16 +179,11 @@ export async function sendEmailWithPdf(req, res) {
             throw new Error(`Agreement not found with ID: ${documentId}`);
           }
         } else {
-          if (!agreement.pdf_meta?.pdfBuffer) {
+          if (!hasStoredBlob(agreement.pdf_meta)) {
             throw new Error('PDF not available. Please generate it first.');
           }
 
-          const rawBuffer = agreement.pdf_meta.pdfBuffer;
-          pdfBuffer = rawBuffer.buffer
-            ? Buffer.from(rawBuffer.buffer)
-            : Buffer.isBuffer(rawBuffer)
-              ? rawBuffer
-              : Buffer.from(rawBuffer);
+          pdfBuffer = await readBlob(agreement.pdf_meta);
 
           fileName = `${agreement.payload?.headerTitle || 'Agreement'}.pdf`;
           console.log(`📄 [EMAIL-CONTROLLER] Loaded agreement PDF: ${fileName} (${pdfBuffer.length} bytes)`);
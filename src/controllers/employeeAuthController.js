@@ -1,6 +1,22 @@
 import bcrypt from "bcryptjs";
 import Employee from "../models/Employee.js";
-import { signToken } from "../middleware/authMiddleware.js";
+import { DEFAULT_ACCESS_ROLE, permissionsForRole } from "../config/rbacConfig.js";
+import {
+  createSession,
+  lockoutSecondsRemaining,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  revokeAllSessions,
+} from "../services/authSessionService.js";
+
+function accountLocked(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    error: "Locked",
+    detail: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter,
+  });
+}
 
 export async function employeeLogin(req, res) {
   try {
@@ -19,29 +35,47 @@ export async function employeeLogin(req, res) {
         .json({ error: "Unauthorized", detail: "Invalid credentials" });
     }
 
+    const retryAfter = lockoutSecondsRemaining(employee);
+    if (retryAfter > 0) {
+      return accountLocked(res, retryAfter);
+    }
+
     const ok = await bcrypt.compare(password, employee.passwordHash);
     if (!ok) {
+      const lockedFor = await registerFailedLogin(employee);
+      if (lockedFor > 0) {
+        return accountLocked(res, lockedFor);
+      }
       return res
         .status(401)
         .json({ error: "Unauthorized", detail: "Invalid credentials" });
     }
 
-    const token = signToken(employee, 'employee');
+    const lockedFor = await registerSuccessfulLogin(employee);
+    if (lockedFor > 0) {
+      return accountLocked(res, lockedFor);
+    }
 
-    employee.lastLoginAt = new Date();
-    await employee.save();
+    const session = await createSession(employee, 'employee', req);
+    const accessRole = employee.accessRole || DEFAULT_ACCESS_ROLE.employee;
 
     res.json({
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+      sessionId: session.sessionId,
       user: {
         id: employee._id,
         username: employee.username,
         fullName: employee.fullName,
         email: employee.email,
+        accessRole,
         isActive: employee.isActive,
         lastLoginAt: employee.lastLoginAt,
       },
       role: 'employee',
+      permissions: permissionsForRole(accessRole),
     });
   } catch (err) {
     console.error("employeeLogin error:", err);
@@ -59,7 +93,7 @@ export async function getEmployeeProfile(req, res) {
     }
 
     const employee = await Employee.findById(userId)
-      .select("_id username fullName email isActive lastLoginAt createdAt updatedAt")
+      .select("_id username fullName email accessRole isActive lastLoginAt createdAt updatedAt")
       .lean();
 
     if (!employee) {
@@ -74,10 +108,12 @@ export async function getEmployeeProfile(req, res) {
         username: employee.username,
         fullName: employee.fullName,
         email: employee.email,
+        accessRole: employee.accessRole || DEFAULT_ACCESS_ROLE.employee,
         isActive: employee.isActive,
         lastLoginAt: employee.lastLoginAt,
       },
       role: 'employee',
+      permissions: permissionsForRole(employee.accessRole || DEFAULT_ACCESS_ROLE.employee),
     });
   } catch (err) {
     console.error("getEmployeeProfile error:", err);
@@ -128,7 +164,19 @@ export async function changeEmployeePassword(req, res) {
     employee.passwordChangedAt = new Date();
     await employee.save();
 
-    res.json({ success: true, message: "Password updated successfully" });
+    // Every other device is signed out; this one gets a fresh session.
+    await revokeAllSessions('employee', employee._id, 'password_changed');
+    const session = await createSession(employee, 'employee', req);
+
+    res.json({
+      success: true,
+      message: "Password updated successfully",
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+      sessionId: session.sessionId,
+    });
   } catch (err) {
     console.error("changeEmployeePassword error:", err);
     res
@@ -2,6 +2,7 @@ import Log from '../models/Log.js';
 import CustomerHeaderDoc from '../models/CustomerHeaderDoc.js';
 import VersionPdf from '../models/VersionPdf.js';
 import mongoose from 'mongoose';
+import { diffVersionAgainstPrevious } from '../services/versionDiffService.js';
 
 export const createVersionLog = async (req, res) => {
   try {
@@ -40,7 +41,7 @@ export const createVersionLog = async (req, res) => {
       console.log(`🔍 [LOG-CONTROLLER] Version number not provided, looking up from versionId: ${versionId}`);
 
       try {
-        const versionPdf = await VersionPdf.findById(versionId).select('versionNumber').lean();
+        const versionPdf = await VersionPdf.findOne({ _id: versionId, agreementId }).select('versionNumber').lean();
         if (versionPdf && versionPdf.versionNumber) {
           resolvedVersionNumber = versionPdf.versionNumber;
           console.log(`✅ [LOG-CONTROLLER] Found version number: ${resolvedVersionNumber}`);
@@ -77,6 +78,23 @@ export const createVersionLog = async (req, res) => {
       agreementTitle = documentTitle;
     }
 
+    // Prefer the server-side diff against the previous version; the client's
+    // list is only used when there is no earlier snapshot to compare with.
+    let serverDiff;
+    try {
+      serverDiff = await diffVersionAgainstPrevious(versionId, agreementId);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    const changeSource = serverDiff ? 'server' : 'client';
+    const loggedChanges = serverDiff ? serverDiff.changes : (changes || currentChanges || []);
+    const loggedCurrentChanges = serverDiff ? serverDiff.changes : (currentChanges || changes || []);
+
+    if (serverDiff) {
+      console.log(`🔍 [LOG-CONTROLLER] Using server diff v${serverDiff.from.versionNumber} → v${serverDiff.to.versionNumber}: ${serverDiff.changes.length} change(s)`);
+    }
+
     if (overwriteExisting) {
       console.log(`🔄 [LOG-CONTROLLER] Overwrite mode enabled - reason: ${overwriteReason}`);
 
@@ -85,8 +103,8 @@ export const createVersionLog = async (req, res) => {
       if (existingLog) {
         console.log(`📝 [LOG-CONTROLLER] Found existing log, updating: ${existingLog._id}`);
 
-        existingLog.changes = changes || currentChanges || [];
-        existingLog.currentChanges = currentChanges || changes || [];
+        existingLog.changes = loggedChanges;
+        existingLog.currentChanges = loggedCurrentChanges;
         existingLog.allPreviousChanges = allPreviousChanges || [];
         existingLog.agreementTitle = agreementTitle;
         existingLog.salespersonId = salespersonId;
@@ -109,6 +127,7 @@ export const createVersionLog = async (req, res) => {
             totalPriceImpact: existingLog.totalPriceImpact,
             hasSignificantChanges: existingLog.hasSignificantChanges,
             saveAction: existingLog.saveAction,
+            changeSource,
             createdAt: existingLog.createdAt,
             updatedAt: existingLog.updatedAt
           }
@@ -125,8 +144,8 @@ export const createVersionLog = async (req, res) => {
       salespersonName,
       saveAction,
       documentTitle,
-      changes: changes || currentChanges || [],
-      currentChanges: currentChanges || changes || [],
+      changes: loggedChanges,
+      currentChanges: loggedCurrentChanges,
       allPreviousChanges: allPreviousChanges || []
     });
 
@@ -155,6 +174,7 @@ export const createVersionLog = async (req, res) => {
         totalPriceImpact: logDoc.totalPriceImpact,
         hasSignificantChanges: logDoc.hasSignificantChanges,
         saveAction: logDoc.saveAction,
+        changeSource,
         createdAt: logDoc.createdAt
       }
     });
@@ -1,5 +1,9 @@
 import ManualUploadDocument from "../models/ManualUploadDocument.js";
 import { uploadToZohoBigin, uploadToZohoCRM } from "../services/zohoService.js";
+import { storeBlob, readBlob, deleteBlob, hasStoredBlob, pipeBlobToResponse } from "../services/blobStoreService.js";
+import { transitionStatus } from "../services/approvalWorkflowService.js";
+import { scopedAgreementIds } from "../services/accessControlService.js";
+import { issueDocument } from "../services/documentIntegrityService.js";
 
 export async function uploadManualPdf(req, res) {
   try {
@@ -9,16 +13,30 @@ export async function uploadManualPdf(req, res) {
 
     const { description, uploadedBy } = req.body;
 
+    const stored = await storeBlob(req.file.buffer, {
+      prefix: "manual-uploads",
+      fileName: req.file.originalname,
+      contentType: req.file.mimetype,
+    });
+
     const doc = new ManualUploadDocument({
       fileName: req.file.originalname,
       originalFileName: req.file.originalname,
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
       description: description || "",
-      uploadedBy: uploadedBy || "admin",
-      pdfBuffer: req.file.buffer,
+      uploadedBy: req.user?.username || uploadedBy || "admin",
+      pdfBuffer: stored.pdfBuffer,
+      storageDriver: stored.storageDriver,
+      storageKey: stored.storageKey,
       status: "uploaded",
     });
+    doc.integrity = await issueDocument(req.file.buffer, {
+      documentType: "manualUpload",
+      documentId: doc._id,
+      fileName: req.file.originalname,
+      issuedBy: doc.uploadedBy,
+    });
 
     await doc.save();
 
@@ -32,6 +50,8 @@ export async function uploadManualPdf(req, res) {
         fileName: doc.fileName,
         fileSize: doc.fileSize,
         uploadedBy: doc.uploadedBy,
+        sha256: doc.integrity.sha256,
+        verificationCode: doc.integrity.code,
         createdAt: doc.createdAt,
       },
     });
@@ -52,9 +72,11 @@ async function uploadToZohoServices(docId) {
     doc.status = "processing";
     await doc.save();
 
+    const pdfBuffer = await readBlob(doc);
+
     try {
       const biginResult = await uploadToZohoBigin(
-        doc.pdfBuffer,
+        pdfBuffer,
         doc.fileName,
         null
       );
@@ -69,7 +91,7 @@ async function uploadToZohoServices(docId) {
 
     try {
       const crmResult = await uploadToZohoCRM(
-        doc.pdfBuffer,
+        pdfBuffer,
         doc.fileName,
         null
       );
@@ -109,6 +131,14 @@ export async function getManualUploads(req, res) {
       query.status = status;
     }
 
+    const visibleAgreementIds = await scopedAgreementIds(req.user);
+    if (visibleAgreementIds) {
+      query.$or = [
+        { uploadedBy: { $in: [req.user.id, req.user.username] } },
+        { "metadata.attachedToAgreement": { $in: [...visibleAgreementIds, ...visibleAgreementIds.map(String)] } },
+      ];
+    }
+
     const documents = await ManualUploadDocument.find(query)
       .select("-pdfBuffer")
       .sort({ createdAt: -1 })
@@ -173,12 +203,14 @@ export async function downloadManualUpload(req, res) {
       return res.status(404).json({ error: "Document not found" });
     }
 
-    res.setHeader("Content-Type", doc.mimeType);
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${doc.fileName}"`
-    );
-    res.send(doc.pdfBuffer);
+    if (!hasStoredBlob(doc)) {
+      return res.status(404).json({ error: "File data not available" });
+    }
+
+    await pipeBlobToResponse(res, doc, {
+      contentType: doc.mimeType,
+      disposition: `attachment; filename="${doc.fileName}"`,
+    });
   } catch (err) {
     console.error("Error downloading manual upload:", err);
     res.status(500).json({
@@ -191,34 +223,13 @@ export async function downloadManualUpload(req, res) {
 export async function updateManualUploadStatus(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment } = req.body;
 
     console.log(`🔄 [MANUAL-UPLOAD-STATUS] Updating manual upload ${id} status to: ${status}`);
 
-    const validStatuses = ["uploaded", "processing", "completed", "failed", "pending_approval", "approved_salesman", "approved_admin"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: "bad_request",
-        detail: `Invalid status. Must be one of: ${validStatuses.join(", ")}`
-      });
-    }
-
-    const doc = await ManualUploadDocument.findByIdAndUpdate(
-      id,
-      { status, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    ).select("-pdfBuffer").lean();
-
-    if (!doc) {
-      console.log(`❌ [MANUAL-UPLOAD-STATUS] Manual upload not found: ${id}`);
-      return res.status(404).json({
-        success: false,
-        error: "Manual upload not found"
-      });
-    }
+    const { doc, changed } = await transitionStatus("manualUpload", id, status, req.user, comment);
 
-    console.log(`✅ [MANUAL-UPLOAD-STATUS] Updated manual upload ${doc.fileName} status to ${status}`);
+    console.log(`✅ [MANUAL-UPLOAD-STATUS] Manual upload ${doc.fileName} status is ${doc.status}${changed ? "" : " (unchanged)"}`);
 
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -226,7 +237,8 @@ export async function updateManualUploadStatus(req, res) {
 
     res.json({
       success: true,
-      message: `Manual upload status updated to ${status}`,
+      changed,
+      message: `Manual upload status updated to ${doc.status}`,
       data: {
         id: doc._id,
         fileName: doc.fileName,
@@ -236,6 +248,14 @@ export async function updateManualUploadStatus(req, res) {
     });
 
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.status === 404 ? "Manual upload not found" : error.detail,
+        detail: error.detail,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
     console.error("❌ [MANUAL-UPLOAD-STATUS] Failed to update manual upload status:", error.message);
     res.status(500).json({
       success: false,
@@ -254,6 +274,8 @@ export async function deleteManualUpload(req, res) {
       return res.status(404).json({ error: "Document not found" });
     }
 
+    await deleteBlob(doc);
+
     res.json({
       success: true,
       message: "Document deleted successfully",
@@ -10,6 +10,27 @@ import {
   compilePricingCatalogPdf,
 } from "../services/pdfService.js";
 
+import { getPdfCacheStats, invalidatePdfCache } from "../services/pdfCacheService.js";
+import { storeBlob, readBlob, deleteBlob, hasStoredBlob, pipeBlobToResponse } from "../services/blobStoreService.js";
+import { checkAgreementPricing, pricingOptionsFor, verifyAgreementPricing, toVerificationRecord } from "../services/pricingEngineService.js";
+import {
+  afterTransition,
+  applyInitialStatus,
+  applyTransition,
+  assertContentEditable,
+  assertTransitionGuards,
+  getAgreementWorkflow,
+  transitionStatus,
+} from "../services/approvalWorkflowService.js";
+import {
+  applyOverridePolicy,
+  evaluateAgreementOverrides,
+  findBlockingOverrides,
+  resolveOriginalValue,
+} from "../services/priceOverridePolicyService.js";
+import { diffVersionAgainstPrevious } from "../services/versionDiffService.js";
+import { issueDocument, issuePdf } from "../services/documentIntegrityService.js";
+
 import { uploadToZohoBigin, getZohoAccessToken, testZohoAccess, runZohoDiagnostics, testLayoutPipelineDetection, getOrCreateContactForDeal, getBiginContactsByAccount, testV9SimplePipelineDetection, testV10LayoutPipelineCompatibility } from "../services/zohoService.js";
 
 import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
@@ -33,6 +54,34 @@ export async function pdfHealth(_req, res) {
   res.json(info);
 }
 
+export async function getPdfCacheStatus(_req, res) {
+  try {
+    const stats = await getPdfCacheStats();
+    res.json({ success: true, cache: stats });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to load PDF cache stats",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function clearPdfCache(req, res) {
+  try {
+    const result = await invalidatePdfCache({
+      reason: `cleared by ${req.admin?.username || req.admin?.id || "admin"}`,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to clear PDF cache",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
 export async function testZohoAccessEndpoint(_req, res) {
   try {
     console.log("🧪 [TEST-ENDPOINT] Testing Zoho access...");
@@ -162,7 +211,15 @@ export async function compileFromProposalFile(_req, res) {
 
 export async function compileCustomerHeaderPdf(req, res) {
   try {
-    const { buffer, filename } = await compileCustomerHeader(req.body || {});
+    const compiled = await compileCustomerHeader(req.body || {});
+    const filename = compiled.filename;
+    const { buffer } = await issuePdf(compiled.buffer, {
+      documentType: "preview",
+      documentId: new mongoose.Types.ObjectId(),
+      fileName: filename,
+      issuedBy: req.user?.username || null,
+      channel: "preview",
+    });
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
     res.send(buffer);
@@ -192,6 +249,17 @@ export async function compileAndStoreCustomerHeader(req, res) {
       includeProductsTable: body.includeProductsTable !== false,
     };
 
+    const pricingCheck = await checkAgreementPricing(payload);
+    if (pricingCheck?.rejected && !isDraft) {
+      return res.status(422).json({
+        success: false,
+        error: "pricing_mismatch",
+        detail: "Submitted totals do not match the active pricing configuration",
+        mismatches: pricingCheck.result.mismatches,
+        computedSummary: pricingCheck.result.summary.computed,
+      });
+    }
+
     let buffer = null;
     let filename = "customer-header.pdf";
     let zohoData = {
@@ -212,7 +280,7 @@ export async function compileAndStoreCustomerHeader(req, res) {
       console.log("💾 No immediate PDF compilation - PDF will be stored in VersionPdf collection");
     }
 
-    const doc = await CustomerHeaderDoc.create({
+    const doc = new CustomerHeaderDoc({
       payload,
       pdf_meta: {
         sizeBytes: 0,
@@ -222,10 +290,15 @@ export async function compileAndStoreCustomerHeader(req, res) {
         externalUrl: null,
       },
       status,
+      pricingVerification: pricingCheck?.record || null,
       createdBy: req.user?.username || req.admin?.username || req.admin?.id || null,
       updatedBy: req.user?.username || req.admin?.username || req.admin?.id || null,
       zoho: zohoData,
     });
+    const initialTransition = applyInitialStatus(doc, "agreement", req.user, body.statusComment);
+    await doc.save();
+    await afterTransition("agreement", doc, initialTransition);
+    await evaluateAgreementOverrides(doc._id, { actor: req.user });
 
     console.log(`✅ Agreement document created: ${doc._id} (PDF will be stored in VersionPdf collection)`);
 
@@ -239,9 +312,13 @@ export async function compileAndStoreCustomerHeader(req, res) {
       _id: doc._id.toString(),
       status: doc.status,
       createdAt: doc.createdAt,
+      pricingVerification: pricingCheck?.record || null,
       message: isDraft ? "Draft saved successfully" : "Agreement created successfully - PDF will be generated in version system"
     });
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: "bad_request", detail: err.detail });
+    }
     console.error("compileAndStoreCustomerHeader error:", err);
 
     const isMongoConnectionError = mongoose.connection.readyState === 0 ||
@@ -300,7 +377,7 @@ export async function getCustomerHeaders(req, res) {
       return res.json({ total: 0, page, limit, items: [] });
     }
 
-    const filter = {};
+    const filter = { ...req.agreementScope };
     const total = await CustomerHeaderDoc.countDocuments(filter);
     const items = await CustomerHeaderDoc.find(filter)
       .sort({ createdAt: -1 })
@@ -767,6 +844,9 @@ export async function getCustomerHeaderForEdit(req, res) {
   }
 }
 
+// Request body fields updateCustomerHeader copies into the agreement payload.
+const EDITABLE_PAYLOAD_FIELDS = ["headerTitle", "headerRows", "products", "services", "agreement", "customColumns", "serviceAgreement", "summary", "includeProductsTable"];
+
 export async function updateCustomerHeader(req, res) {
   try {
     const { id } = req.params;
@@ -791,6 +871,11 @@ export async function updateCustomerHeader(req, res) {
       }
     }
 
+    if (recompile || EDITABLE_PAYLOAD_FIELDS.some((field) => body[field] !== undefined)) {
+      // Checked against the status before any transition in this request.
+      assertContentEditable(doc, "agreement", req.user);
+    }
+
     doc.payload ||= {};
     if (body.headerTitle !== undefined) doc.payload.headerTitle = body.headerTitle;
     if (body.headerRows !== undefined) doc.payload.headerRows = body.headerRows;
@@ -801,7 +886,25 @@ export async function updateCustomerHeader(req, res) {
     if (body.serviceAgreement !== undefined) doc.payload.serviceAgreement = body.serviceAgreement;
     if (body.summary !== undefined) doc.payload.summary = body.summary;
     if (body.includeProductsTable !== undefined) doc.payload.includeProductsTable = body.includeProductsTable;
-    doc.status = newStatus;
+
+    const pricingChanged = body.services !== undefined || body.products !== undefined || body.summary !== undefined;
+    if (pricingChanged) {
+      const pricingCheck = await checkAgreementPricing(doc.payload.toObject ? doc.payload.toObject() : doc.payload);
+      if (pricingCheck?.rejected && newStatus !== "draft") {
+        return res.status(422).json({
+          success: false,
+          error: "pricing_mismatch",
+          detail: "Submitted totals do not match the active pricing configuration",
+          mismatches: pricingCheck.result.mismatches,
+          computedSummary: pricingCheck.result.summary.computed,
+        });
+      }
+      if (pricingCheck) doc.pricingVerification = pricingCheck.record;
+    }
+
+    const transition = applyTransition(doc, "agreement", newStatus, req.user, body.statusComment);
+    // Repricing an approved agreement is checked as if it were being approved again.
+    await assertTransitionGuards("agreement", doc, pricingChanged ? { ...transition, changed: true } : transition, { actor: req.user });
 
     doc.zoho ||= { bigin: {}, crm: {} };
     if (body.zoho?.bigin) {
@@ -817,6 +920,7 @@ export async function updateCustomerHeader(req, res) {
 
     let buffer = null;
     let filename = "customer-header.pdf";
+    let previousPdf = null;
 
     if (shouldCompilePdf) {
       console.log(`Compiling PDF for document ${id}...`);
@@ -835,21 +939,45 @@ export async function updateCustomerHeader(req, res) {
         includeProductsTable: doc.payload.includeProductsTable !== false,
       });
 
-      buffer = pdfResult.buffer;
       filename = pdfResult.filename || filename;
+      const issued = await issuePdf(pdfResult.buffer, {
+        documentType: "agreement",
+        documentId: doc._id,
+        agreementId: doc._id,
+        fileName: filename,
+        issuedBy: doc.updatedBy,
+      });
+      buffer = issued.buffer;
+
+      previousPdf = {
+        storageDriver: doc.pdf_meta?.storageDriver,
+        storageKey: doc.pdf_meta?.storageKey,
+      };
+      const stored = await storeBlob(buffer, {
+        prefix: `agreements/${doc._id}`,
+        metadata: { agreementId: String(doc._id) },
+      });
 
       doc.pdf_meta = {
         sizeBytes: buffer.length,
         contentType: "application/pdf",
         storedAt: new Date(),
-        pdfBuffer: buffer,
-        externalUrl: doc.pdf_meta?.externalUrl || null,
+        pdfBuffer: stored.pdfBuffer,
+        externalUrl: stored.externalUrl,
+        storageDriver: stored.storageDriver,
+        storageKey: stored.storageKey,
+        integrity: issued.integrity,
       };
 
-      console.log(`✅ PDF updated in MongoDB: ${doc._id} (${buffer.length} bytes → ${doc.pdf_meta.sizeBytes} bytes Buffer)`);
+      console.log(`✅ PDF updated: ${doc._id} (${buffer.length} bytes, ${doc.pdf_meta.storageDriver || "inline"})`);
     }
 
     await doc.save();
+    await deleteBlob(previousPdf);
+    await afterTransition("agreement", doc, transition);
+    if (pricingChanged) {
+      await evaluateAgreementOverrides(doc._id, { actor: req.user });
+    }
 
     console.log(`Document ${id} updated, status: ${doc.status}, compiled: ${shouldCompilePdf}`);
 
@@ -869,6 +997,9 @@ export async function updateCustomerHeader(req, res) {
       });
     }
   } catch (err) {
+    if (err.status && err.status < 500) {
+      return sendWorkflowError(res, err);
+    }
     console.error("updateCustomerHeader error:", err);
     if (err.detail) {
       console.error("📄 LaTeX Compilation Error Details:", err.detail);
@@ -882,10 +1013,18 @@ export async function updateCustomerHeader(req, res) {
   }
 }
 
-export async function updateCustomerHeaderStatus(req, res) {
+export async function getCustomerHeaderPricingVerification(req, res) {
+  return respondWithPricingVerification(req, res, { save: false });
+}
+
+// Re-verifies the agreement and stores the outcome on pricingVerification.
+export async function saveCustomerHeaderPricingVerification(req, res) {
+  return respondWithPricingVerification(req, res, { save: true });
+}
+
+async function respondWithPricingVerification(req, res, { save }) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
 
     if (!mongoose.isValidObjectId(id)) {
       return res
@@ -893,30 +1032,64 @@ export async function updateCustomerHeaderStatus(req, res) {
         .json({ error: "bad_request", detail: "Invalid id" });
     }
 
-
-    const validStatuses = ["saved", "draft", "pending_approval", "approved_admin", "approved_salesman"];
-    if (!status || !validStatuses.includes(status)) {
-      return res
-        .status(400)
-        .json({
-          error: "bad_request",
-          detail: `Invalid status. Must be one of: ${validStatuses.join(", ")}`
-        });
-    }
-
-    const doc = await CustomerHeaderDoc.findById(id).select('-pdf_meta.pdfBuffer');
+    const doc = await CustomerHeaderDoc.findById(id).select('payload pricingVerification createdAt updatedAt');
     if (!doc) {
       return res
         .status(404)
         .json({ error: "not_found", detail: "Document not found" });
     }
 
-    doc.status = status;
-    doc.updatedBy = req.user?.username || req.admin?.username || doc.updatedBy;
-    await doc.save();
+    // Re-price against the configs the agreement was verified with, not today's.
+    const result = await verifyAgreementPricing(doc.payload.toObject(), pricingOptionsFor(doc.toObject()));
+
+    if (save) {
+      doc.pricingVerification = toVerificationRecord(result);
+      await doc.save();
+    }
+
+    res.json({
+      success: true,
+      agreementId: doc._id,
+      stored: doc.pricingVerification,
+      verification: result,
+    });
+  } catch (err) {
+    console.error("customer header pricing verification error:", err);
+    res.status(err?.status || 500).json({
+      success: false,
+      error: "Failed to verify pricing",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+const WORKFLOW_ERROR_CODES = {
+  400: "bad_request",
+  403: "Forbidden",
+  404: "not_found",
+  409: "invalid_transition",
+};
+
+function sendWorkflowError(res, err) {
+  return res.status(err.status).json({
+    success: false,
+    error: WORKFLOW_ERROR_CODES[err.status] || "bad_request",
+    detail: err.detail,
+    allowedTransitions: err.allowedTransitions,
+    blockingOverrides: err.blockingOverrides,
+  });
+}
+
+export async function updateCustomerHeaderStatus(req, res) {
+  try {
+    const { id } = req.params;
+    const { status, comment } = req.body;
+
+    const { doc, changed } = await transitionStatus("agreement", id, status, req.user, comment);
 
     res.json({
       success: true,
+      changed,
       doc: {
         _id: doc._id,
         status: doc.status,
@@ -924,6 +1097,9 @@ export async function updateCustomerHeaderStatus(req, res) {
       },
     });
   } catch (err) {
+    if (err.status && err.status < 500) {
+      return sendWorkflowError(res, err);
+    }
     console.error("updateCustomerHeaderStatus error:", err);
     res.status(500).json({
       success: false,
@@ -933,6 +1109,23 @@ export async function updateCustomerHeaderStatus(req, res) {
   }
 }
 
+export async function getAgreementWorkflowTimeline(req, res) {
+  try {
+    const workflow = await getAgreementWorkflow(req.params.id, req.user);
+    res.json({ success: true, ...workflow });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return sendWorkflowError(res, err);
+    }
+    console.error("getAgreementWorkflowTimeline error:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load workflow",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
 export async function compileAndStoreAdminHeader(req, res) {
   try {
     const body = req.body || {};
@@ -1175,7 +1368,7 @@ function extractFileIdFromUrl(url) {
 
 export async function getCustomerHeadersHighLevel(req, res) {
   try {
-    const docs = await CustomerHeaderDoc.find({})
+    const docs = await CustomerHeaderDoc.find({ ...req.agreementScope })
       .sort({ createdAt: -1 })
       .select({
         _id: 1,
@@ -1234,12 +1427,13 @@ export async function getCustomerHeaderViewerById(req, res) {
     let pdfBase64 = null;
     let pdfContentType = "application/pdf";
 
-    if (doc.pdf_meta?.pdfBuffer && doc.pdf_meta.pdfBuffer.length > 0) {
-      console.log(`📄 [PDF-VIEWER] Serving PDF from MongoDB for document ${id} (${doc.pdf_meta.sizeBytes} bytes)`);
-      pdfBase64 = doc.pdf_meta.pdfBuffer.toString("base64");
+    if (hasStoredBlob(doc.pdf_meta)) {
+      console.log(`📄 [PDF-VIEWER] Serving stored PDF for document ${id} (${doc.pdf_meta.sizeBytes} bytes, ${doc.pdf_meta.storageDriver || "inline"})`);
+      const pdfBuffer = await readBlob(doc.pdf_meta);
+      pdfBase64 = pdfBuffer.toString("base64");
       pdfContentType = doc.pdf_meta.contentType || "application/pdf";
     } else {
-      console.log(`⚠️ [PDF-VIEWER] No PDF buffer found in MongoDB for document ${id}`);
+      console.log(`⚠️ [PDF-VIEWER] No stored PDF found for document ${id}`);
       console.log(`📊 Document info: status=${doc.status}, hasPdfMeta=${!!doc.pdf_meta}, bufferSize=${doc.pdf_meta?.pdfBuffer?.length || 0}`);
     }
 
@@ -1316,8 +1510,8 @@ export async function downloadCustomerHeaderPdf(req, res) {
         .json({ error: "not_found", detail: "CustomerHeaderDoc not found" });
     }
 
-    if (!doc.pdf_meta?.pdfBuffer || doc.pdf_meta.pdfBuffer.length === 0) {
-      console.error(`❌ [PDF-DOWNLOAD] No PDF buffer in MongoDB for document ${id}:`, {
+    if (!hasStoredBlob(doc.pdf_meta)) {
+      console.error(`❌ [PDF-DOWNLOAD] No stored PDF for document ${id}:`, {
         status: doc.status,
         hasPdfMeta: !!doc.pdf_meta,
         bufferSize: doc.pdf_meta?.pdfBuffer?.length || 0,
@@ -1338,22 +1532,21 @@ export async function downloadCustomerHeaderPdf(req, res) {
           title: doc.payload?.headerTitle || 'Untitled',
           createdAt: doc.createdAt,
           hasPdfBuffer: !!doc.pdf_meta?.pdfBuffer,
-          pdfBufferSize: doc.pdf_meta?.pdfBuffer?.length || 0
+          pdfBufferSize: doc.pdf_meta?.pdfBuffer?.length || 0,
+          storageDriver: doc.pdf_meta?.storageDriver || null
         }
       });
     }
 
-    console.log(`📄 [PDF-DOWNLOAD] Serving PDF from MongoDB for document ${id} (${doc.pdf_meta.sizeBytes} bytes)`);
+    console.log(`📄 [PDF-DOWNLOAD] Streaming PDF for document ${id} (${doc.pdf_meta.sizeBytes} bytes, ${doc.pdf_meta.storageDriver || "inline"})`);
 
     const customerName = extractCustomerNameFromDoc(doc);
     const filename = `${customerName}.pdf`;
 
-    res.setHeader("Content-Type", doc.pdf_meta.contentType || "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename="${filename}"`
-    );
-    res.send(doc.pdf_meta.pdfBuffer);
+    await pipeBlobToResponse(res, doc.pdf_meta, {
+      contentType: doc.pdf_meta.contentType || "application/pdf",
+      disposition: `inline; filename="${filename}"`,
+    });
 
   } catch (err) {
     console.error("downloadCustomerHeaderPdf error:", err);
@@ -1408,7 +1601,7 @@ export async function getSavedFilesList(req, res) {
       });
     }
 
-    const filter = {};
+    const filter = { ...req.agreementScope };
 
     if (req.query.status) {
       filter.status = req.query.status;
@@ -1535,7 +1728,7 @@ export async function getSavedFilesGrouped(req, res) {
       });
     }
 
-    const matchFilter = {};
+    const matchFilter = { ...req.agreementScope };
 
     if (req.query.status) {
       matchFilter.status = req.query.status;
@@ -2106,7 +2299,24 @@ export async function addFileToAgreement(req, res) {
         throw new Error(`File ${file.fileName}: No PDF data provided. Please select a valid file.`);
       }
 
+      const stored = await storeBlob(pdfBuffer, {
+        prefix: `attachments/${agreementId}`,
+        fileName: file.fileName,
+        contentType: file.contentType || 'application/pdf',
+        metadata: { agreementId: String(agreementId), fileName: file.fileName || null },
+      });
+
+      const manualDocumentId = new mongoose.Types.ObjectId();
+      const integrity = await issueDocument(pdfBuffer, {
+        documentType: "manualUpload",
+        documentId: manualDocumentId,
+        agreementId,
+        fileName: file.fileName || null,
+        issuedBy: req.user?.username || null,
+      });
+
       manualDocsToInsert.push({
+        _id: manualDocumentId,
         fileName: `${agreementTitle}_${file.fileName}`,
         originalFileName: file.fileName || 'Untitled.pdf',
         fileSize: file.fileSize || pdfBuffer.length,
@@ -2114,7 +2324,10 @@ export async function addFileToAgreement(req, res) {
         description: file.description || `Attached to agreement: ${agreementTitle}`,
         uploadedBy: userId,
         status: 'uploaded',
-        pdfBuffer: pdfBuffer,
+        pdfBuffer: stored.pdfBuffer,
+        storageDriver: stored.storageDriver,
+        storageKey: stored.storageKey,
+        integrity,
         zoho: {
           bigin: file.zoho?.bigin || {},
           crm: file.zoho?.crm || {},
@@ -2147,7 +2360,9 @@ export async function addFileToAgreement(req, res) {
     const addedFiles = insertedDocs.map((doc, index) => ({
       id: doc._id,
       fileName: files[index].fileName,
-      fileSize: files[index].fileSize
+      fileSize: files[index].fileSize,
+      sha256: doc.integrity?.sha256 || null,
+      verificationCode: doc.integrity?.code || null
     }));
 
     const updateResult = await CustomerHeaderDoc.findByIdAndUpdate(
@@ -2164,6 +2379,7 @@ export async function addFileToAgreement(req, res) {
     ).lean();
 
     if (!updateResult) {
+      await Promise.all(insertedDocs.map(doc => deleteBlob(doc)));
       await ManualUploadDocument.deleteMany({
         _id: { $in: insertedDocs.map(doc => doc._id) }
       });
@@ -2210,7 +2426,7 @@ export async function downloadAttachedFile(req, res) {
       });
     }
 
-    const manualDoc = await ManualUploadDocument.findById(fileId).select('fileName originalFileName mimeType pdfBuffer');
+    const manualDoc = await ManualUploadDocument.findById(fileId).select('fileName originalFileName mimeType pdfBuffer storageDriver storageKey');
 
     if (!manualDoc) {
       return res.status(404).json({
@@ -2220,7 +2436,7 @@ export async function downloadAttachedFile(req, res) {
       });
     }
 
-    if (!manualDoc.pdfBuffer) {
+    if (!hasStoredBlob(manualDoc)) {
       return res.status(404).json({
         success: false,
         error: "no_file_data",
@@ -2228,14 +2444,11 @@ export async function downloadAttachedFile(req, res) {
       });
     }
 
-    res.set({
-      'Content-Type': manualDoc.mimeType || 'application/pdf',
-      'Content-Disposition': `attachment; filename="${manualDoc.originalFileName || 'document.pdf'}"`,
-      'Content-Length': manualDoc.pdfBuffer.length.toString()
+    await pipeBlobToResponse(res, manualDoc, {
+      contentType: manualDoc.mimeType || 'application/pdf',
+      disposition: `attachment; filename="${manualDoc.originalFileName || 'document.pdf'}"`
     });
 
-    res.send(manualDoc.pdfBuffer);
-
   } catch (err) {
     console.error("downloadAttachedFile error:", err);
     res.status(500).json({
@@ -3208,7 +3421,8 @@ export async function getApprovalDocumentsGrouped(req, res) {
       {
         $match: {
           _id: { $in: allAgreementIds.map(id => new mongoose.Types.ObjectId(id)) },
-          isDeleted: { $ne: true }
+          isDeleted: { $ne: true },
+          ...req.agreementScope
         }
       },
 
@@ -3483,6 +3697,11 @@ export async function permanentlyDeleteAgreement(req, res) {
         .map(attachment => attachment.manualDocumentId);
 
       if (attachedFileIds.length > 0) {
+        const attachedBlobs = await ManualUploadDocument.find({ _id: { $in: attachedFileIds } })
+          .select('storageDriver storageKey')
+          .lean();
+        await Promise.all(attachedBlobs.map(ref => deleteBlob(ref)));
+
         const deleteResult = await ManualUploadDocument.deleteMany({
           _id: { $in: attachedFileIds }
         });
@@ -3498,6 +3717,11 @@ export async function permanentlyDeleteAgreement(req, res) {
 
       if (versionIds.length > 0) {
         try {
+          const versionBlobs = await VersionPdf.find({ _id: { $in: versionIds } })
+            .select('pdf_meta.storageDriver pdf_meta.storageKey')
+            .lean();
+          await Promise.all(versionBlobs.map(ref => deleteBlob(ref.pdf_meta)));
+
           const versionDeleteResult = await VersionPdf.deleteMany({
             _id: { $in: versionIds }
           });
@@ -3523,6 +3747,7 @@ export async function permanentlyDeleteAgreement(req, res) {
     deletedZohoMappings = zohoMappings;
 
     await CustomerHeaderDoc.findByIdAndDelete(agreementId);
+    await deleteBlob(agreement.pdf_meta);
 
     console.log(`💥 [PERMANENT DELETE] Agreement permanently deleted: ${agreementTitle}`);
     console.log(`💥 [CLEANUP SUMMARY] Files: ${deletedAttachedFiles}, Versions: ${deletedVersions}, Zoho mappings: ${deletedZohoMappings}`);
@@ -3685,7 +3910,8 @@ export async function permanentlyDeleteFile(req, res) {
       );
       cleanedReferences = updateResult.modifiedCount;
       console.log(`💥 [CLEANUP] Removed file references from ${cleanedReferences} agreements`);
-      await ManualUploadDocument.findByIdAndDelete(fileId);
+      const deletedManual = await ManualUploadDocument.findByIdAndDelete(fileId).select('storageDriver storageKey').lean();
+      await deleteBlob(deletedManual);
     } else if (fileType === "version_pdf") {
       console.log(`💥 [PERMANENT DELETE] Starting deletion for version PDF: ${fileName} (ID: ${fileId})`);
       const agreementUpdateResult = await CustomerHeaderDoc.updateMany(
@@ -3704,7 +3930,8 @@ export async function permanentlyDeleteFile(req, res) {
       if (logsDeleteResult.deletedCount > 0) {
         console.log(`💥 [CLEANUP] Deleted ${logsDeleteResult.deletedCount} change logs for version ${fileId}`);
       }
-      await VersionPdf.findByIdAndDelete(fileId);
+      const deletedVersion = await VersionPdf.findByIdAndDelete(fileId).select('pdf_meta.storageDriver pdf_meta.storageKey').lean();
+      await deleteBlob(deletedVersion?.pdf_meta);
     } else if (fileType === "version_log") {
       console.log(`[PERMANENT DELETE] Starting deletion for log file: ${fileName} (ID: ${fileId})`);
       await Log.findByIdAndDelete(fileId);
@@ -3742,8 +3969,6 @@ export async function logPriceOverride(req, res) {
       agreementId,
       versionId,
       versionNumber,
-      salespersonId,
-      salespersonName,
       productKey,
       productName,
       productType,
@@ -3757,15 +3982,21 @@ export async function logPriceOverride(req, res) {
       source
     } = req.body;
 
-    if (!agreementId || !salespersonId || !salespersonName || !productKey || !productName ||
+    if (!agreementId || !productKey || !productName ||
         !productType || !fieldType || originalValue === undefined || overrideValue === undefined) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields",
-        detail: "agreementId, salespersonId, salespersonName, productKey, productName, productType, fieldType, originalValue, and overrideValue are required"
+        detail: "agreementId, productKey, productName, productType, fieldType, originalValue, and overrideValue are required"
       });
     }
 
+    // The override is attributed to the signed-in user and measured against the
+    // server's price; the submitted originalValue is only used when there is none.
+    const salespersonId = req.user?.id || req.admin?.id;
+    const salespersonName = req.user?.username || req.admin?.username;
+    const original = await resolveOriginalValue({ agreementId, productKey, productType, fieldType }, originalValue);
+
     const ipAddress = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
     const userAgent = req.headers['user-agent'];
 
@@ -3779,7 +4010,7 @@ export async function logPriceOverride(req, res) {
       productName,
       productType,
       fieldType,
-      originalValue: Number(originalValue),
+      originalValue: original.value,
       overrideValue: Number(overrideValue),
       quantity: quantity || 0,
       frequency: frequency || '',
@@ -3790,9 +4021,10 @@ export async function logPriceOverride(req, res) {
       userAgent
     });
 
+    const policyEvaluation = await applyOverridePolicy(overrideLog);
     await overrideLog.save();
 
-    console.log(`💰 [PRICE-OVERRIDE] Logged override: ${productName} - ${fieldType} changed from $${originalValue} to $${overrideValue} by ${salespersonName}`);
+    console.log(`💰 [PRICE-OVERRIDE] Logged override: ${productName} - ${fieldType} changed from $${original.value} (${original.source}) to $${overrideValue} by ${salespersonName}`);
 
     res.json({
       success: true,
@@ -3801,9 +4033,11 @@ export async function logPriceOverride(req, res) {
         id: overrideLog._id,
         changeAmount: overrideLog.changeAmount,
         changePercentage: overrideLog.changePercentage,
+        originalValue: overrideLog.originalValue,
         isSignificantChange: overrideLog.isSignificantChange,
         requiresApproval: overrideLog.requiresApproval,
-        reviewStatus: overrideLog.reviewStatus
+        reviewStatus: overrideLog.reviewStatus,
+        policyViolations: policyEvaluation?.violations || []
       }
     });
 
@@ -3932,6 +4166,8 @@ export async function reviewPriceOverride(req, res) {
 
     console.log(`✅ [PRICE-OVERRIDE] Override ${reviewStatus} for ${log.productName} by ${log.reviewedBy}`);
 
+    const blockingOverrides = await findBlockingOverrides(log.agreementId);
+
     res.json({
       success: true,
       message: `Price override ${reviewStatus} successfully`,
@@ -3940,7 +4176,8 @@ export async function reviewPriceOverride(req, res) {
         reviewStatus: log.reviewStatus,
         reviewedBy: log.reviewedBy,
         reviewedAt: log.reviewedAt
-      }
+      },
+      agreementBlockingOverrides: blockingOverrides.length
     });
 
   } catch (err) {
@@ -4018,12 +4255,30 @@ export async function logVersionChanges(req, res) {
     } = req.body;
 
     if (!agreementId || !versionId || !salespersonId || !salespersonName ||
-        !changes || !Array.isArray(changes) || changes.length === 0 ||
         !saveAction || !documentTitle) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields",
-        detail: "agreementId, versionId, salespersonId, salespersonName, changes (array), saveAction, and documentTitle are required"
+        detail: "agreementId, versionId, salespersonId, salespersonName, saveAction, and documentTitle are required"
+      });
+    }
+
+    // The client's change list is only trusted when there is no earlier
+    // version snapshot to diff against.
+    let serverDiff;
+    try {
+      serverDiff = await diffVersionAgainstPrevious(versionId, agreementId);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ success: false, error: err.message, detail: err.message });
+    }
+    const loggedChanges = serverDiff ? serverDiff.changes : changes;
+
+    if (!serverDiff && (!Array.isArray(changes) || changes.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields",
+        detail: "changes (array) is required when the version has no previous version to compare with"
       });
     }
 
@@ -4035,7 +4290,7 @@ export async function logVersionChanges(req, res) {
     if (versionLog) {
       versionLog.salespersonId = salespersonId;
       versionLog.salespersonName = salespersonName;
-      versionLog.changes = changes;
+      versionLog.changes = loggedChanges;
       versionLog.saveAction = saveAction;
       versionLog.documentTitle = documentTitle;
       versionLog.sessionId = sessionId || `session_${Date.now()}`;
@@ -4049,7 +4304,7 @@ export async function logVersionChanges(req, res) {
         versionNumber: versionNumber || 1,
         salespersonId,
         salespersonName,
-        changes,
+        changes: loggedChanges,
         saveAction,
         documentTitle,
         sessionId: sessionId || `session_${Date.now()}`,
@@ -4060,7 +4315,7 @@ export async function logVersionChanges(req, res) {
 
     await versionLog.save();
 
-    console.log(`📝 [VERSION-CHANGES] Logged ${changes.length} changes for version ${versionNumber} by ${salespersonName} (${saveAction})`);
+    console.log(`📝 [VERSION-CHANGES] Logged ${loggedChanges.length} ${serverDiff ? 'server-diffed' : 'client-reported'} changes for version ${versionNumber} by ${salespersonName} (${saveAction})`);
 
     res.json({
       success: true,
@@ -4073,7 +4328,8 @@ export async function logVersionChanges(req, res) {
         totalPriceImpact: versionLog.totalPriceImpact,
         hasSignificantChanges: versionLog.hasSignificantChanges,
         reviewStatus: versionLog.reviewStatus,
-        saveAction: versionLog.saveAction
+        saveAction: versionLog.saveAction,
+        changeSource: serverDiff ? "server" : "client"
       }
     });
 
@@ -4360,7 +4616,7 @@ export async function getDocumentStatusCounts(req, res) {
     const pipeline = [
       ...(Object.keys(dateFilter).length > 0 ? [{ $match: dateFilter }] : []),
 
-      { $match: { isDeleted: { $ne: true } } },
+      { $match: { isDeleted: { $ne: true }, ...req.agreementScope } },
 
       {
         $group: {
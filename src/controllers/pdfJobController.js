@@ -0,0 +1,281 @@
+import mongoose from "mongoose";
+import VersionPdf from "../models/VersionPdf.js";
+import {
+  enqueuePdfJob,
+  enqueueBulkRegeneration,
+  getPdfJob,
+  getBatchSummary,
+  cancelPdfJob,
+  getPdfJobWorkerStatus,
+} from "../services/pdfJobService.js";
+import { readBlob, toNodeBuffer } from "../services/blobStoreService.js";
+import {
+  canAccessAgreement,
+  canReadAllAgreements,
+  loadAgreementOwner,
+  resolveAgreementId,
+} from "../services/accessControlService.js";
+
+const JOB_KINDS = ["customer-header", "agreement-version", "version-regenerate"];
+
+function requesterOf(req) {
+  return req.user?.username || req.admin?.username || req.admin?.id || null;
+}
+
+/**
+ * Jobs are visible to whoever queued them and to anyone who may access the
+ * agreement they target. Jobs without an agreement stay private to the requester.
+ */
+async function canAccessJob(req, job) {
+  if (!req.user || canReadAllAgreements(req.user)) return true;
+  if (job.requestedBy && job.requestedBy === requesterOf(req)) return true;
+
+  const agreementId = job.agreementId || (await resolveAgreementId("version", job.versionId));
+  const agreement = await loadAgreementOwner(agreementId);
+  return !!agreement && canAccessAgreement(req.user, agreement);
+}
+
+async function loadAccessibleJob(req, res, options) {
+  const job = await getPdfJob(req.params.id, options);
+  if (!job) {
+    res.status(404).json({ success: false, error: "Job not found" });
+    return null;
+  }
+  if (!(await canAccessJob(req, job))) {
+    console.warn(`🚫 [RBAC] ${req.user?.username} denied access to PDF job ${job._id}`);
+    res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      detail: "You can only access PDF jobs for agreements you created",
+    });
+    return null;
+  }
+  return job;
+}
+
+function serializeJob(job) {
+  const id = job._id.toString();
+  const finished = job.status === "completed";
+  const hasPdf = finished && (job.kind === "customer-header" || !!job.result?.versionId);
+  return {
+    id,
+    kind: job.kind,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextRunAt: job.status === "queued" ? job.nextRunAt : null,
+    agreementId: job.agreementId,
+    versionId: job.versionId,
+    batchId: job.batchId,
+    compiler: job.compiler || null,
+    result: job.result,
+    error: job.status === "failed" ? job.lastError : null,
+    errorDetail: job.status === "failed" ? job.errorDetail : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    downloadUrl: hasPdf ? `/api/pdf/jobs/${id}/pdf` : null,
+  };
+}
+
+export async function createPdfJob(req, res) {
+  try {
+    const body = req.body || {};
+    const kind = body.kind || "customer-header";
+
+    if (!JOB_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be one of ${JOB_KINDS.join(", ")}`,
+      });
+    }
+
+    // version-regenerate jobs may arrive with only a versionId, so the route's
+    // agreementId check can't see the target; resolve and check it here.
+    let agreementId = body.agreementId || null;
+    if (kind === "version-regenerate" && body.versionId) {
+      const versionAgreementId = await resolveAgreementId("version", body.versionId);
+      if (!versionAgreementId) {
+        return res.status(404).json({ success: false, error: "Version not found" });
+      }
+      if (agreementId && String(agreementId) !== String(versionAgreementId)) {
+        return res.status(400).json({
+          success: false,
+          error: "versionId does not belong to agreementId",
+        });
+      }
+      agreementId = versionAgreementId;
+
+      const agreement = await loadAgreementOwner(agreementId);
+      if (!canAccessAgreement(req.user, agreement)) {
+        console.warn(`🚫 [RBAC] ${req.user?.username} denied access to agreement ${agreementId} (${req.method} ${req.originalUrl})`);
+        return res.status(403).json({
+          success: false,
+          error: "Forbidden",
+          detail: "You can only access agreements you created",
+        });
+      }
+    }
+
+    const job = await enqueuePdfJob({
+      kind,
+      payload: kind === "customer-header" ? body.payload || null : null,
+      agreementId,
+      versionId: body.versionId || null,
+      options: {
+        watermark: body.watermark === true,
+        changeNotes: body.changeNotes,
+        replaceRecent: body.replaceRecent === true,
+        isFirstTime: body.isFirstTime === true,
+      },
+      requestedBy: requesterOf(req),
+    });
+
+    res.setHeader("Location", `/api/pdf/jobs/${job._id}`);
+    return res.status(202).json({ success: true, job: serializeJob(job.toObject()) });
+  } catch (err) {
+    console.error("createPdfJob error:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : "Failed to queue PDF job",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function getPdfJobStatus(req, res) {
+  try {
+    const job = await loadAccessibleJob(req, res);
+    if (!job) return;
+    return res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    console.error("getPdfJobStatus error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load PDF job",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function downloadPdfJobResult(req, res) {
+  try {
+    const job = await loadAccessibleJob(req, res, { includeBuffer: true });
+    if (!job) return;
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}`,
+        job: serializeJob(job),
+      });
+    }
+
+    let buffer = null;
+    let filename = job.pdf?.filename || "document.pdf";
+
+    if (job.kind === "customer-header") {
+      buffer = toNodeBuffer(job.pdf?.buffer);
+    } else if (job.result?.versionId && mongoose.isValidObjectId(job.result.versionId)) {
+      const version = await VersionPdf.findById(job.result.versionId)
+        .select("pdf_meta.pdfBuffer pdf_meta.storageDriver pdf_meta.storageKey fileName")
+        .lean();
+      if (version?.pdf_meta) {
+        buffer = await readBlob(version.pdf_meta);
+        filename = version.fileName || filename;
+      }
+    }
+
+    if (!buffer || !buffer.length) {
+      return res.status(410).json({ success: false, error: "PDF for this job is no longer available" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.end(buffer);
+  } catch (err) {
+    console.error("downloadPdfJobResult error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load PDF job result",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function cancelPdfJobRequest(req, res) {
+  try {
+    const existing = await loadAccessibleJob(req, res);
+    if (!existing) return;
+
+    const job = await cancelPdfJob(existing._id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: "Only queued jobs can be cancelled",
+      });
+    }
+    return res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    console.error("cancelPdfJobRequest error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to cancel PDF job",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function bulkRegeneratePdfs(req, res) {
+  try {
+    const { agreementIds = [], statuses = [] } = req.body || {};
+    if (!Array.isArray(agreementIds) || !Array.isArray(statuses)) {
+      return res.status(400).json({
+        success: false,
+        error: "agreementIds and statuses must be arrays",
+      });
+    }
+
+    const { batchId, queued, skippedSigned } = await enqueueBulkRegeneration({
+      agreementIds,
+      statuses,
+      requestedBy: requesterOf(req),
+    });
+
+    return res.status(202).json({
+      success: true,
+      batchId,
+      queued,
+      skippedSigned,
+      statusUrl: `/api/pdf/jobs/batches/${batchId}`,
+      worker: getPdfJobWorkerStatus(),
+    });
+  } catch (err) {
+    console.error("bulkRegeneratePdfs error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to queue bulk regeneration",
+      detail: err?.message || String(err),
+    });
+  }
+}
+
+export async function getPdfJobBatch(req, res) {
+  try {
+    // Batches span many agreements, so only the requester or users who see every agreement get them.
+    const requestedBy = !req.user || canReadAllAgreements(req.user) ? null : requesterOf(req);
+    const summary = await getBatchSummary(req.params.batchId, { requestedBy });
+    if (!summary.total) {
+      return res.status(404).json({ success: false, error: "Batch not found" });
+    }
+    return res.json({ success: true, batch: summary, worker: getPdfJobWorkerStatus() });
+  } catch (err) {
+    console.error("getPdfJobBatch error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load batch",
+      detail: err?.message || String(err),
+    });
+  }
+}
@@ -0,0 +1,132 @@
+import {
+  createCampaign,
+  updateCampaign,
+  listCampaigns,
+  getCampaign,
+  deleteCampaign,
+  previewCampaign,
+  applyCampaign,
+  rollbackCampaign,
+  getChangeNotice,
+} from "../services/priceIncreaseService.js";
+import { pipeBlobToResponse } from "../services/blobStoreService.js";
+import {
+  validateCreateCampaign,
+  validateUpdateCampaign,
+} from "../validations/priceIncreaseValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+  });
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: "Invalid price increase campaign",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+export async function createPriceIncrease(req, res) {
+  const { error, value } = validateCreateCampaign(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const campaign = await createCampaign(value, { createdBy: req.user?.username || null });
+    return res.status(201).json({ success: true, campaign });
+  } catch (err) {
+    return sendError(res, err, "Failed to create price increase campaign");
+  }
+}
+
+export async function updatePriceIncrease(req, res) {
+  const { error, value } = validateUpdateCampaign(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const campaign = await updateCampaign(req.params.id, value, { updatedBy: req.user?.username || null });
+    return res.json({ success: true, campaign });
+  } catch (err) {
+    return sendError(res, err, "Failed to update price increase campaign");
+  }
+}
+
+export async function listPriceIncreases(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const result = await listCampaigns({ page, limit });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to list price increase campaigns");
+  }
+}
+
+export async function getPriceIncrease(req, res) {
+  try {
+    const result = await getCampaign(req.params.id);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to load price increase campaign");
+  }
+}
+
+export async function deletePriceIncrease(req, res) {
+  try {
+    const result = await deleteCampaign(req.params.id);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to delete price increase campaign");
+  }
+}
+
+export async function previewPriceIncrease(req, res) {
+  try {
+    const preview = await previewCampaign(req.params.id);
+    return res.json({ success: true, preview });
+  } catch (err) {
+    return sendError(res, err, "Failed to preview price increase campaign");
+  }
+}
+
+export async function applyPriceIncrease(req, res) {
+  try {
+    const result = await applyCampaign(req.params.id, { appliedBy: req.user?.username || null });
+    return res.status(202).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to apply price increase campaign");
+  }
+}
+
+export async function rollbackPriceIncrease(req, res) {
+  try {
+    const result = await rollbackCampaign(req.params.id, {
+      rolledBackBy: req.user?.username || null,
+      force: req.body?.force === true,
+    });
+    return res.status(202).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to roll back price increase campaign");
+  }
+}
+
+export async function downloadPriceIncreaseNotice(req, res) {
+  try {
+    const notice = await getChangeNotice(req.params.id, req.params.agreementId);
+    const sent = await pipeBlobToResponse(res, notice, {
+      contentType: "application/pdf",
+      disposition: `attachment; filename="${notice.fileName || "price-notice.pdf"}"`,
+    });
+    if (!sent) {
+      return res.status(404).json({ success: false, error: "Notice letter file is missing" });
+    }
+  } catch (err) {
+    if (res.headersSent) return;
+    return sendError(res, err, "Failed to download price increase notice");
+  }
+}
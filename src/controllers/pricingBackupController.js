@@ -1,12 +1,22 @@
 import PricingBackupService from '../services/pricingBackupService.js';
 import BackupPricing from '../models/BackupPricing.js';
+import { runScheduledPricingBackup, getPricingBackupScheduleStatus } from '../services/pricingBackupScheduler.js';
+import { validateRestoreRequest, validateImportRequest } from '../validations/pricingBackupValidation.js';
+
+function invalidRestoreRequest(res, error) {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid restore request',
+    details: error.details.map((d) => d.message)
+  });
+}
 
 class PricingBackupController {
 
   static async createManualBackup(req, res) {
     try {
       const { changeDescription = 'Manual backup created by admin', forceReplace = false } = req.body;
-      const changedBy = req.user ? req.user._id : null;
+      const changedBy = req.user ? req.user.id : null;
       const adminUsername = req.user ? req.user.username : 'Unknown Admin';
 
       console.log(`[Backup Controller] Creating manual backup by ${adminUsername}, forceReplace: ${forceReplace}`);
@@ -127,25 +137,54 @@ class PricingBackupController {
     }
   }
 
-  static async restoreFromBackup(req, res) {
+  static async previewRestore(req, res) {
     try {
-      const { changeDayId, restorationNotes = '' } = req.body;
-      const restoredBy = req.user ? req.user._id : null;
-      const adminUsername = req.user ? req.user.username : 'Unknown Admin';
+      const { error, value } = validateRestoreRequest(req.body || {});
+      if (error) return invalidRestoreRequest(res, error);
 
-      if (!changeDayId) {
-        return res.status(400).json({
-          success: false,
-          message: 'changeDayId is required in request body'
+      const { changeDayId, dataTypes, serviceIds, productFamilies } = value;
+      const previewResult = await PricingBackupService.previewRestore(changeDayId, { dataTypes, serviceIds, productFamilies });
+
+      if (previewResult.success) {
+        return res.status(200).json({
+          success: true,
+          message: previewResult.message,
+          data: previewResult,
+          timestamp: new Date().toISOString()
         });
       }
+      return res.status(previewResult.status || 500).json({
+        success: false,
+        message: previewResult.message,
+        error: previewResult.error
+      });
+
+    } catch (error) {
+      console.error('[Backup Controller] Restore preview failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to preview restore',
+        error: error.message
+      });
+    }
+  }
+
+  static async restoreFromBackup(req, res) {
+    try {
+      const { error, value } = validateRestoreRequest(req.body || {});
+      if (error) return invalidRestoreRequest(res, error);
+
+      const { changeDayId, restorationNotes, dataTypes, serviceIds, productFamilies } = value;
+      const restoredBy = req.user ? req.user.id : null;
+      const adminUsername = req.user ? req.user.username : 'Unknown Admin';
 
       console.log(`[Backup Controller] Starting restoration of backup ${changeDayId} by ${adminUsername}`);
 
       const restorationResult = await PricingBackupService.restoreFromBackup(
         changeDayId,
         restoredBy,
-        `${restorationNotes} - Restored by ${adminUsername}`
+        `${restorationNotes} - Restored by ${adminUsername}`,
+        { dataTypes, serviceIds, productFamilies }
       );
 
       if (restorationResult.success) {
@@ -156,14 +195,18 @@ class PricingBackupController {
           data: {
             changeDayId: restorationResult.changeDayId,
             changeDay: restorationResult.changeDay,
+            selection: restorationResult.selection,
+            preRestoreBackupId: restorationResult.preRestoreBackupId || null,
+            totalChanges: restorationResult.totalChanges || 0,
             totalRestored: restorationResult.totalRestored,
-            results: restorationResult.results
+            results: restorationResult.results,
+            warning: restorationResult.warning || null
           },
           timestamp: new Date().toISOString()
         });
       } else {
         console.error(`[Backup Controller] Restoration failed: ${restorationResult.message}`);
-        return res.status(500).json({
+        return res.status(restorationResult.status || 500).json({
           success: false,
           message: restorationResult.message,
           error: restorationResult.error
@@ -234,10 +277,118 @@ class PricingBackupController {
     }
   }
 
+  static async exportBackup(req, res) {
+    try {
+      const adminUsername = req.user ? req.user.username : null;
+      const result = await PricingBackupService.exportBackupArchive(req.params.changeDayId, adminUsername);
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({
+          success: false,
+          message: result.message,
+          error: result.error
+        });
+      }
+
+      console.log(`[Backup Controller] Backup ${req.params.changeDayId} exported by ${adminUsername || 'Unknown Admin'}`);
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+      res.setHeader('X-Archive-Schema-Version', String(result.schemaVersion));
+      res.setHeader('X-Snapshot-SHA256', result.checksum);
+      return res.status(200).send(result.buffer);
+
+    } catch (error) {
+      console.error('[Backup Controller] Backup export failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export backup',
+        error: error.message
+      });
+    }
+  }
+
+  static async importBackup(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No archive uploaded',
+          error: 'Send the archive as multipart field "file"'
+        });
+      }
+
+      const { error, value } = validateImportRequest(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid import request',
+          details: error.details.map((d) => d.message)
+        });
+      }
+
+      const adminUsername = req.user ? req.user.username : 'Unknown Admin';
+      console.log(`[Backup Controller] Importing backup archive ${req.file.originalname} by ${adminUsername}`);
+
+      const result = await PricingBackupService.importBackupArchive(req.file.buffer, {
+        importedBy: req.user ? req.user.id : null,
+        notes: value.notes
+      });
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({
+          success: false,
+          message: result.message,
+          error: result.error,
+          details: result.details,
+          existingChangeDayId: result.existingChangeDayId
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('[Backup Controller] Backup import failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to import backup archive',
+        error: error.message
+      });
+    }
+  }
+
+  static async runScheduledBackup(req, res) {
+    try {
+      const adminUsername = req.user ? req.user.username : 'Unknown Admin';
+      console.log(`[Backup Controller] Nightly backup run triggered by ${adminUsername}`);
+
+      const result = await runScheduledPricingBackup({ force: true });
+
+      return res.status(result.skipped ? 409 : 200).json({
+        success: !result.skipped,
+        message: result.message,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('[Backup Controller] Scheduled backup run failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to run scheduled backup',
+        error: error.message
+      });
+    }
+  }
+
   static async deleteBackups(req, res) {
     try {
       const { changeDayIds } = req.body;
-      const deletedBy = req.user ? req.user._id : null;
+      const deletedBy = req.user ? req.user.id : null;
       const adminUsername = req.user ? req.user.username : 'Unknown Admin';
 
       if (!Array.isArray(changeDayIds) || changeDayIds.length === 0) {
@@ -403,6 +554,10 @@ class PricingBackupController {
         }
       ]);
 
+      const [retentionPlan, schedule] = await Promise.all([
+        BackupPricing.getRetentionPlan(),
+        getPricingBackupScheduleStatus()
+      ]);
       const queryTime = Date.now() - startTime;
 
       const result = healthData[0];
@@ -417,7 +572,8 @@ class PricingBackupController {
           backupModelAccessible: true,
           totalBackups: totalBackups,
           uniqueChangeDays: uniqueChangeDaysCount,
-          retentionPolicyCompliant: uniqueChangeDaysCount <= 10,
+          retentionPolicyCompliant: retentionPlan.remove.length === 0,
+          retentionTiers: retentionPlan.tiers,
           hasBackupToday: hasBackupToday,
           mostRecentBackup: recentBackup ? {
             changeDay: recentBackup.changeDay,
@@ -425,11 +581,17 @@ class PricingBackupController {
             trigger: recentBackup.backupTrigger
           } : null
         },
+        schedule,
         warnings: []
       };
 
-      if (uniqueChangeDaysCount > 10) {
-        health.warnings.push('Retention policy may need enforcement - more than 10 change-days stored');
+      if (retentionPlan.remove.length > 0) {
+        health.warnings.push(`Retention policy may need enforcement - ${retentionPlan.remove.length} backup(s) outside the retention tiers`);
+        health.status = 'warning';
+      }
+
+      if (schedule.lastRun?.lastError) {
+        health.warnings.push(`Last scheduled backup failed: ${schedule.lastRun.lastError}`);
         health.status = 'warning';
       }
 
@@ -0,0 +1,142 @@
+import {
+  createDraft,
+  updateDraft,
+  submitDraft,
+  withdrawDraft,
+  listDrafts,
+  getDraft,
+  approveDraft,
+  rejectDraft,
+  listPricingAudit,
+} from "../services/pricingDraftService.js";
+import {
+  validateCreateDraft,
+  validateUpdateDraft,
+  validateReview,
+  validateReject,
+  validateDraftListQuery,
+} from "../validations/pricingDraftValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+    ...(err.details ? { details: err.details } : {}),
+    ...(err.conflicts ? { conflicts: err.conflicts } : {}),
+  });
+}
+
+function sendValidationError(res, error, message = "Invalid pricing draft request") {
+  return res.status(400).json({
+    success: false,
+    error: message,
+    details: error.details.map((d) => d.message),
+  });
+}
+
+export async function createPricingDraft(req, res) {
+  const { error, value } = validateCreateDraft(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const draft = await createDraft(value, { user: req.user });
+    return res.status(201).json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to create pricing draft");
+  }
+}
+
+export async function listPricingDrafts(req, res) {
+  const { error, value } = validateDraftListQuery(req.query);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const drafts = await listDrafts(value);
+    return res.json({ success: true, drafts });
+  } catch (err) {
+    return sendError(res, err, "Failed to list pricing drafts");
+  }
+}
+
+export async function getPricingDraft(req, res) {
+  try {
+    const draft = await getDraft(req.params.id);
+    return res.json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to load pricing draft");
+  }
+}
+
+export async function updatePricingDraft(req, res) {
+  const { error, value } = validateUpdateDraft(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const draft = await updateDraft(req.params.id, value, { user: req.user });
+    return res.json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to update pricing draft");
+  }
+}
+
+export async function submitPricingDraft(req, res) {
+  const { error, value } = validateReview(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const draft = await submitDraft(req.params.id, { user: req.user, comment: value.comment });
+    return res.json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to submit pricing draft");
+  }
+}
+
+export async function withdrawPricingDraft(req, res) {
+  const { error, value } = validateReview(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const draft = await withdrawDraft(req.params.id, { user: req.user, comment: value.comment });
+    return res.json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to withdraw pricing draft");
+  }
+}
+
+export async function approvePricingDraft(req, res) {
+  const { error, value } = validateReview(req.body);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const result = await approveDraft(req.params.id, { user: req.user, comment: value.comment });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to publish pricing draft");
+  }
+}
+
+export async function rejectPricingDraft(req, res) {
+  const { error, value } = validateReject(req.body);
+  if (error) return sendValidationError(res, error, "A comment is required to reject a pricing draft");
+
+  try {
+    const draft = await rejectDraft(req.params.id, { user: req.user, comment: value.comment });
+    return res.json({ success: true, draft });
+  } catch (err) {
+    return sendError(res, err, "Failed to reject pricing draft");
+  }
+}
+
+export async function listPricingChangeAudit(req, res) {
+  const { error, value } = validateDraftListQuery(req.query);
+  if (error) return sendValidationError(res, error);
+
+  try {
+    const entries = await listPricingAudit(value);
+    return res.json({ success: true, entries });
+  } catch (err) {
+    return sendError(res, err, "Failed to list pricing change audit");
+  }
+}
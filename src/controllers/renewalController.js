@@ -0,0 +1,67 @@
+import {
+  listExpiringAgreements,
+  getAgreementRenewal,
+  startAgreementRenewal,
+  runRenewalJob,
+  getRenewalJobStatus,
+} from "../services/renewalService.js";
+import { validateExpiringQuery } from "../validations/renewalValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+    ...(err.allowedTransitions ? { allowedTransitions: err.allowedTransitions } : {}),
+  });
+}
+
+export async function getExpiringAgreements(req, res) {
+  const { error, value } = validateExpiringQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid query",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  try {
+    const result = await listExpiringAgreements({ ...value, user: req.user });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to list expiring agreements");
+  }
+}
+
+export async function getRenewal(req, res) {
+  try {
+    const result = await getAgreementRenewal(req.params.agreementId);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to load agreement renewal");
+  }
+}
+
+export async function startRenewal(req, res) {
+  try {
+    const result = await startAgreementRenewal(req.params.agreementId, req.user);
+    return res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to start renewal");
+  }
+}
+
+export async function getRenewalJob(req, res) {
+  return res.json({ success: true, job: getRenewalJobStatus() });
+}
+
+export async function runRenewalJobNow(req, res) {
+  try {
+    const result = await runRenewalJob();
+    return res.json({ success: true, result });
+  } catch (err) {
+    return sendError(res, err, "Failed to run renewal job");
+  }
+}
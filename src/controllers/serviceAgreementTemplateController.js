@@ -1,4 +1,5 @@
 import ServiceAgreementTemplate from '../models/ServiceAgreementTemplate.js';
+import { invalidatePdfCache } from '../services/pdfCacheService.js';
 
 export async function getActiveTemplate(req, res) {
   try {
@@ -125,6 +126,10 @@ export async function updateTemplate(req, res) {
 
     console.log('✅ [SERVICE-AGREEMENT-TEMPLATE] Template updated successfully');
 
+    await invalidatePdfCache({ reason: 'service agreement template updated' }).catch((cacheErr) => {
+      console.warn('⚠️ [SERVICE-AGREEMENT-TEMPLATE] Failed to clear PDF cache:', cacheErr.message);
+    });
+
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
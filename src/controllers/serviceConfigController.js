@@ -2,6 +2,8 @@ import {
   validateCreateServiceConfig,
   validateReplaceServiceConfig,
   validatePartialUpdateServiceConfig,
+  validateQuoteService,
+  validateActiveConfigQuery,
 } from "../validations/serviceConfigValidation.js";
 
 import mongoose from "mongoose";
@@ -20,6 +22,14 @@ import {
   deleteServiceConfigsByServiceId,
 } from "../services/serviceConfigService.js";
 
+import {
+  findServiceConfig,
+  hasCalculator,
+  listPricedServices,
+  priceService,
+  resolveServiceId,
+} from "../services/pricingEngineService.js";
+
 export async function createServiceConfigController(req, res, next) {
   try {
     const { error, value } = validateCreateServiceConfig(req.body);
@@ -33,6 +43,9 @@ export async function createServiceConfigController(req, res, next) {
     const created = await createServiceConfig(value);
     res.status(201).json(created);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, conflicts: err.conflicts });
+    }
     next(err);
   }
 }
@@ -49,12 +62,22 @@ export async function getAllServiceConfigsController(req, res, next) {
 
 export async function getActiveServiceConfigsController(req, res, next) {
   try {
-    const { serviceId } = req.query;
-    const result = await getActiveServiceConfigs(serviceId);
+    const { error, value } = validateActiveConfigQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const { serviceId, asOf } = value;
+    const result = await getActiveServiceConfigs(serviceId, { asOf });
 
     if (serviceId && !result) {
       return res.status(404).json({
-        message: `No active config found for serviceId=${serviceId}`,
+        message: asOf
+          ? `No config in effect for serviceId=${serviceId} on ${req.query.asOf}`
+          : `No active config found for serviceId=${serviceId}`,
       });
     }
 
@@ -66,11 +89,20 @@ export async function getActiveServiceConfigsController(req, res, next) {
 
 export async function getAllServicePricingController(req, res, next) {
   try {
+    const { error, value } = validateActiveConfigQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
     const startTime = Date.now();
     console.log('⚡ [GET-ALL-PRICING] Starting optimized query...');
 
+    // With asOf, only the configs in effect on that date (one per service).
     const [allConfigs, serviceAgreementTemplate] = await Promise.all([
-      getAllServiceConfigs({}),
+      value.asOf ? getActiveServiceConfigs(null, { asOf: value.asOf }) : getAllServiceConfigs({}),
       ServiceAgreementTemplate.findOne({ isActive: true })
         .select('-__v')
         .lean()
@@ -93,13 +125,16 @@ export async function getAllServicePricingController(req, res, next) {
       isActive: config.isActive,
       config: config.config,
       defaultFormState: config.defaultFormState,
-      version: config.version
+      version: config.version,
+      effectiveFrom: config.effectiveFrom || null,
+      effectiveTo: config.effectiveTo || null
     }));
 
     const queryTime = Date.now() - startTime;
     console.log(`⚡ [GET-ALL-PRICING] Returned ${pricingData.length} configs + service agreement template in ${queryTime}ms`);
 
     res.json({
+      asOf: value.asOf || null,
       serviceConfigs: pricingData,
       serviceAgreementTemplate: {
         id: template._id,
@@ -135,6 +170,46 @@ export async function getAllServicePricingController(req, res, next) {
   }
 }
 
+export async function quoteServiceController(req, res, next) {
+  try {
+    const { error, value } = validateQuoteService(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const serviceId = resolveServiceId(value.serviceId);
+    if (!hasCalculator(serviceId)) {
+      return res.status(400).json({
+        message: `No pricing calculator for serviceId=${serviceId}`,
+        supportedServices: listPricedServices(),
+      });
+    }
+
+    const configDoc = await findServiceConfig(serviceId, { version: value.version });
+
+    if (!configDoc) {
+      return res.status(404).json({
+        message: `No active config found for serviceId=${serviceId}`,
+      });
+    }
+
+    const formState = {
+      ...(configDoc.defaultFormState || {}),
+      ...value.formState,
+    };
+
+    res.json(priceService(serviceId, formState, configDoc));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+}
+
 export async function getServiceConfigByIdController(req, res, next) {
   try {
     const { id } = req.params;
@@ -187,6 +262,9 @@ export async function replaceServiceConfigController(req, res, next) {
 
     res.json(updated);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, conflicts: err.conflicts });
+    }
     next(err);
   }
 }
@@ -211,6 +289,9 @@ export async function partialUpdateServiceConfigController(req, res, next) {
 
     res.json(updated);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, conflicts: err.conflicts });
+    }
     next(err);
   }
 }
@@ -0,0 +1,109 @@
+import {
+  createSigningLink,
+  listSigningLinks,
+  revokeSigningLink,
+  getSigningSession,
+  getSigningPdf,
+  submitSignature,
+} from "../services/signatureService.js";
+import { pipeBlobToResponse } from "../services/blobStoreService.js";
+import { validateCreateSigningLink, validateSubmitSignature } from "../validations/signatureValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+  });
+}
+
+function validationFailed(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+// req.ip honours the app's trust proxy setting; the raw header is kept for the audit trail.
+function requestMeta(req) {
+  return {
+    ip: req.ip || req.socket?.remoteAddress || null,
+    forwardedFor: req.get("x-forwarded-for") || null,
+    userAgent: req.get("user-agent") || null,
+  };
+}
+
+export async function createLink(req, res) {
+  const { error, value } = validateCreateSigningLink(req.body || {});
+  if (error) return validationFailed(res, error);
+
+  try {
+    const result = await createSigningLink(req.params.agreementId, value, req.user);
+    return res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to create signing link");
+  }
+}
+
+export async function listLinks(req, res) {
+  try {
+    const links = await listSigningLinks(req.params.agreementId);
+    return res.json({ success: true, links });
+  } catch (err) {
+    return sendError(res, err, "Failed to list signing links");
+  }
+}
+
+export async function revokeLink(req, res) {
+  try {
+    const link = await revokeSigningLink(req.params.agreementId, req.params.linkId, req.user);
+    return res.json({ success: true, link });
+  } catch (err) {
+    return sendError(res, err, "Failed to revoke signing link");
+  }
+}
+
+export async function getSession(req, res) {
+  try {
+    const session = await getSigningSession(req.params.token, requestMeta(req));
+    return res.json({ success: true, session });
+  } catch (err) {
+    return sendError(res, err, "Failed to load signing session");
+  }
+}
+
+export async function viewSigningPdf(req, res) {
+  try {
+    const { holder, fileName } = await getSigningPdf(req.params.token);
+    res.setHeader("Cache-Control", "no-store");
+    const streamed = await pipeBlobToResponse(res, holder, {
+      contentType: "application/pdf",
+      disposition: `inline; filename="${fileName.replace(/"/g, "")}"`,
+    });
+    if (!streamed) {
+      return res.status(404).json({ success: false, error: "PDF not available" });
+    }
+  } catch (err) {
+    return sendError(res, err, "Failed to load agreement PDF");
+  }
+}
+
+export async function signAgreement(req, res) {
+  const { error, value } = validateSubmitSignature(req.body || {});
+  if (error) return validationFailed(res, error);
+
+  try {
+    const link = await submitSignature(req.params.token, value, requestMeta(req));
+    return res.json({
+      success: true,
+      status: link.status,
+      signature: link.signature,
+      auditHash: link.auditHash,
+      signedPdfHash: link.signedPdfHash,
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to sign agreement");
+  }
+}
@@ -1,6 +1,24 @@
 import bcrypt from "bcryptjs";
 import AdminUser from "../models/AdminUser.js";
 import Employee from "../models/Employee.js";
+import { ACCESS_ROLES, DEFAULT_ACCESS_ROLE, isAccessRole } from "../config/rbacConfig.js";
+import { clearFailedLogins, revokeAllSessions } from "../services/authSessionService.js";
+
+function invalidAccessRole(res) {
+  return res.status(400).json({
+    error: "Bad Request",
+    detail: `accessRole must be one of: ${ACCESS_ROLES.join(", ")}`,
+  });
+}
+
+async function isLastFullAdmin(adminId) {
+  const others = await AdminUser.countDocuments({
+    _id: { $ne: adminId },
+    isActive: true,
+    accessRole: { $in: ["admin", null] },
+  });
+  return others === 0;
+}
 
 /**
  * List all users (admins + employees)
@@ -17,7 +35,7 @@ export async function listUsers(req, res) {
         adminQuery.username = { $regex: search, $options: 'i' };
       }
       admins = await AdminUser.find(adminQuery)
-        .select('_id username isActive lastLoginAt createdAt updatedAt')
+        .select('_id username accessRole isActive lastLoginAt createdAt updatedAt')
         .lean();
 
       admins = admins.map(a => ({
@@ -30,6 +48,7 @@ export async function listUsers(req, res) {
         createdAt: a.createdAt,
         updatedAt: a.updatedAt,
         role: 'admin',
+        accessRole: a.accessRole || DEFAULT_ACCESS_ROLE.admin,
       }));
     }
 
@@ -45,7 +64,7 @@ export async function listUsers(req, res) {
         ];
       }
       employees = await Employee.find(employeeQuery)
-        .select('_id username fullName email isActive lastLoginAt createdAt updatedAt')
+        .select('_id username fullName email accessRole isActive lastLoginAt createdAt updatedAt')
         .lean();
 
       employees = employees.map(e => ({
@@ -58,6 +77,7 @@ export async function listUsers(req, res) {
         createdAt: e.createdAt,
         updatedAt: e.updatedAt,
         role: 'employee',
+        accessRole: e.accessRole || DEFAULT_ACCESS_ROLE.employee,
       }));
     }
 
@@ -92,7 +112,11 @@ export async function listUsers(req, res) {
  */
 export async function createAdmin(req, res) {
   try {
-    const { username, password, isActive = true } = req.body || {};
+    const { username, password, isActive = true, accessRole = DEFAULT_ACCESS_ROLE.admin } = req.body || {};
+
+    if (!isAccessRole(accessRole)) {
+      return invalidAccessRole(res);
+    }
 
     if (!username || !password) {
       return res.status(400).json({
@@ -124,6 +148,7 @@ export async function createAdmin(req, res) {
     const admin = await AdminUser.create({
       username,
       passwordHash,
+      accessRole,
       isActive,
     });
 
@@ -136,6 +161,7 @@ export async function createAdmin(req, res) {
         email: null,
         isActive: admin.isActive,
         role: 'admin',
+        accessRole: admin.accessRole,
         createdAt: admin.createdAt,
       },
     });
@@ -150,7 +176,11 @@ export async function createAdmin(req, res) {
  */
 export async function createEmployee(req, res) {
   try {
-    const { username, password, fullName, email, isActive = true } = req.body || {};
+    const { username, password, fullName, email, isActive = true, accessRole = DEFAULT_ACCESS_ROLE.employee } = req.body || {};
+
+    if (!isAccessRole(accessRole)) {
+      return invalidAccessRole(res);
+    }
 
     if (!username || !password || !fullName) {
       return res.status(400).json({
@@ -184,6 +214,7 @@ export async function createEmployee(req, res) {
       passwordHash,
       fullName,
       email,
+      accessRole,
       isActive,
     });
 
@@ -196,6 +227,7 @@ export async function createEmployee(req, res) {
         email: employee.email,
         isActive: employee.isActive,
         role: 'employee',
+        accessRole: employee.accessRole,
         createdAt: employee.createdAt,
       },
     });
@@ -211,7 +243,7 @@ export async function createEmployee(req, res) {
 export async function updateUser(req, res) {
   try {
     const { type, id } = req.params;
-    const { username, fullName, email, isActive } = req.body || {};
+    const { username, fullName, email, isActive, accessRole } = req.body || {};
 
     if (type !== 'admin' && type !== 'employee') {
       return res.status(400).json({
@@ -220,6 +252,10 @@ export async function updateUser(req, res) {
       });
     }
 
+    if (accessRole !== undefined && !isAccessRole(accessRole)) {
+      return invalidAccessRole(res);
+    }
+
     // Check if new username conflicts
     if (username) {
       const existingAdmin = await AdminUser.findOne({
@@ -243,17 +279,31 @@ export async function updateUser(req, res) {
       const updateData = {};
       if (username) updateData.username = username;
       if (typeof isActive === 'boolean') updateData.isActive = isActive;
+      if (accessRole) updateData.accessRole = accessRole;
+
+      if ((accessRole && accessRole !== 'admin') || isActive === false) {
+        if (await isLastFullAdmin(id)) {
+          return res.status(400).json({
+            error: "Bad Request",
+            detail: "Cannot demote or deactivate the last active admin",
+          });
+        }
+      }
 
       const admin = await AdminUser.findByIdAndUpdate(
         id,
         updateData,
         { new: true }
-      ).select('_id username isActive lastLoginAt createdAt updatedAt');
+      ).select('_id username accessRole isActive lastLoginAt createdAt updatedAt');
 
       if (!admin) {
         return res.status(404).json({ error: "Not found", detail: "Admin not found" });
       }
 
+      if (isActive === false) {
+        await revokeAllSessions('admin', admin._id, 'account_deactivated');
+      }
+
       res.json({
         success: true,
         user: {
@@ -263,6 +313,7 @@ export async function updateUser(req, res) {
           email: null,
           isActive: admin.isActive,
           role: 'admin',
+          accessRole: admin.accessRole || DEFAULT_ACCESS_ROLE.admin,
           lastLoginAt: admin.lastLoginAt,
           createdAt: admin.createdAt,
           updatedAt: admin.updatedAt,
@@ -274,17 +325,22 @@ export async function updateUser(req, res) {
       if (fullName) updateData.fullName = fullName;
       if (email !== undefined) updateData.email = email;
       if (typeof isActive === 'boolean') updateData.isActive = isActive;
+      if (accessRole) updateData.accessRole = accessRole;
 
       const employee = await Employee.findByIdAndUpdate(
         id,
         updateData,
         { new: true }
-      ).select('_id username fullName email isActive lastLoginAt createdAt updatedAt');
+      ).select('_id username fullName email accessRole isActive lastLoginAt createdAt updatedAt');
 
       if (!employee) {
         return res.status(404).json({ error: "Not found", detail: "Employee not found" });
       }
 
+      if (isActive === false) {
+        await revokeAllSessions('employee', employee._id, 'account_deactivated');
+      }
+
       res.json({
         success: true,
         user: {
@@ -294,6 +350,7 @@ export async function updateUser(req, res) {
           email: employee.email,
           isActive: employee.isActive,
           role: 'employee',
+          accessRole: employee.accessRole || DEFAULT_ACCESS_ROLE.employee,
           lastLoginAt: employee.lastLoginAt,
           createdAt: employee.createdAt,
           updatedAt: employee.updatedAt,
@@ -339,6 +396,10 @@ export async function toggleUserStatus(req, res) {
       return res.status(404).json({ error: "Not found", detail: `${type} not found` });
     }
 
+    if (!isActive) {
+      await revokeAllSessions(type, user._id, 'account_deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -388,7 +449,9 @@ export async function resetUserPassword(req, res) {
 
     user.passwordHash = await bcrypt.hash(newPassword, 10);
     user.passwordChangedAt = new Date();
+    clearFailedLogins(user);
     await user.save();
+    await revokeAllSessions(type, user._id, 'password_reset');
 
     res.json({
       success: true,
@@ -435,6 +498,8 @@ export async function deleteUser(req, res) {
       return res.status(404).json({ error: "Not found", detail: `${type} not found` });
     }
 
+    await revokeAllSessions(type, user._id, 'account_deleted');
+
     res.json({
       success: true,
       message: `${type} deleted successfully`,
@@ -0,0 +1,44 @@
+import { verifyIssuedDocument } from "../services/documentIntegrityService.js";
+import { validateVerifyQuery } from "../validations/verifyValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+  });
+}
+
+// GET /verify/:code?sha256=<hex> — looks up the code; compares the hash when one is given.
+export async function verifyByCode(req, res) {
+  const { error, value } = validateVerifyQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid query",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  try {
+    const result = await verifyIssuedDocument(req.params.code, { sha256: value.sha256 || null });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to verify document");
+  }
+}
+
+// POST /verify/:code (multipart "file") — compares the uploaded PDF byte for byte.
+export async function verifyUpload(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: "No file uploaded", detail: 'Send the PDF as multipart field "file"' });
+  }
+
+  try {
+    const result = await verifyIssuedDocument(req.params.code, { buffer: req.file.buffer });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to verify document");
+  }
+}
@@ -2,6 +2,17 @@ import mongoose from "mongoose";
 import VersionPdf from "../models/VersionPdf.js";
 import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
 import { compileCustomerHeader } from "../services/pdfService.js";
+import {
+  createAgreementVersion,
+  compileVersionComparison,
+  attachVersionComparisonToZoho,
+} from "../services/versionService.js";
+import { storeBlob, deleteBlob, hasStoredBlob, pipeBlobToResponse } from "../services/blobStoreService.js";
+import { issuePdf } from "../services/documentIntegrityService.js";
+import { enqueuePdfJob } from "../services/pdfJobService.js";
+import { scopedAgreementIds } from "../services/accessControlService.js";
+import { transitionStatus } from "../services/approvalWorkflowService.js";
+import { diffAgreementVersions } from "../services/versionDiffService.js";
 
 export async function getAllVersionPdfs(req, res) {
   try {
@@ -19,6 +30,11 @@ export async function getAllVersionPdfs(req, res) {
       filter.agreementId = req.query.agreementId;
     }
 
+    const visibleAgreementIds = await scopedAgreementIds(req.user);
+    if (visibleAgreementIds) {
+      filter.$and = [{ agreementId: { $in: visibleAgreementIds } }];
+    }
+
     if (req.query.versionNumber) {
       filter.versionNumber = parseInt(req.query.versionNumber, 10);
     }
@@ -179,41 +195,13 @@ export async function getVersionPdfById(req, res) {
 export async function updateVersionStatus(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment } = req.body;
 
     console.log(`🔄 [VERSION-STATUS] Updating version ${id} status to: ${status}`);
 
-    const validStatuses = ["draft", "saved", "pending_approval", "approved_salesman", "approved_admin"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: "bad_request",
-        detail: `Invalid status. Must be one of: ${validStatuses.join(", ")}`
-      });
-    }
-
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid version ID format"
-      });
-    }
-
-    const version = await VersionPdf.findByIdAndUpdate(
-      id,
-      { status, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    ).select('_id versionNumber status updatedAt').lean();
-
-    if (!version) {
-      console.log(`❌ [VERSION-STATUS] Version not found: ${id}`);
-      return res.status(404).json({
-        success: false,
-        error: "Version not found"
-      });
-    }
+    const { doc: version, changed } = await transitionStatus("version", id, status, req.user, comment);
 
-    console.log(`✅ [VERSION-STATUS] Updated version ${version.versionNumber} status to ${status}`);
+    console.log(`✅ [VERSION-STATUS] Version ${version.versionNumber} status is ${version.status}${changed ? "" : " (unchanged)"}`);
 
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -221,7 +209,8 @@ export async function updateVersionStatus(req, res) {
 
     res.json({
       success: true,
-      message: `Version ${version.versionNumber} status updated to ${status}`,
+      changed,
+      message: `Version ${version.versionNumber} status updated to ${version.status}`,
       data: {
         id: version._id,
         versionNumber: version.versionNumber,
@@ -231,6 +220,15 @@ export async function updateVersionStatus(req, res) {
     });
 
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.status === 404 ? "Version not found" : error.detail,
+        detail: error.detail,
+        allowedTransitions: error.allowedTransitions,
+        blockingOverrides: error.blockingOverrides
+      });
+    }
     console.error("❌ [VERSION-STATUS] Failed to update version status:", error.message);
     res.status(500).json({
       success: false,
@@ -263,9 +261,25 @@ export async function downloadVersionPdf(req, res) {
     console.log(`📥 [VERSION-DOWNLOAD] Downloading version ${version.versionNumber}:`, {
       fileName: version.fileName,
       watermark: applyWatermark,
-      hasStoredPdf: !!version.pdf_meta?.pdfBuffer
+      hasStoredPdf: hasStoredBlob(version.pdf_meta)
     });
 
+    const fileName = applyWatermark && !version.lockedAt
+      ? version.fileName.replace('.pdf', '_DRAFT.pdf')
+      : version.fileName;
+
+    // Stream the stored PDF when it was rendered with the requested watermark setting.
+    // Signed versions always serve the stored signed PDF.
+    if (hasStoredBlob(version.pdf_meta) && (version.lockedAt || version.pdf_meta.watermarked === applyWatermark)) {
+      res.setHeader('X-PDF-Cache', 'STORED');
+      await pipeBlobToResponse(res, version.pdf_meta, {
+        contentType: 'application/pdf',
+        disposition: `attachment; filename="${fileName}"`
+      });
+      console.log(`📥 [VERSION-DOWNLOAD] Streamed stored version ${version.versionNumber}: ${fileName}`);
+      return;
+    }
+
     console.log(`🔄 [ON-DEMAND] Regenerating PDF on-demand with watermark=${applyWatermark}`);
 
     const compiledPdf = await compileCustomerHeader(version.payloadSnapshot, {
@@ -276,15 +290,22 @@ export async function downloadVersionPdf(req, res) {
       throw new Error("Failed to compile PDF");
     }
 
-    const fileName = applyWatermark
-      ? version.fileName.replace('.pdf', '_DRAFT.pdf')
-      : version.fileName;
+    const { buffer: pdfBuffer } = await issuePdf(compiledPdf.buffer, {
+      documentType: "version",
+      documentId: version._id,
+      agreementId: version.agreementId?._id || version.agreementId,
+      versionNumber: version.versionNumber,
+      fileName,
+      issuedBy: req.user?.username || null,
+      channel: "download"
+    });
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-    res.setHeader('Content-Length', compiledPdf.buffer.length);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('X-PDF-Cache', compiledPdf.cached ? 'HIT' : 'MISS');
 
-    res.end(compiledPdf.buffer);
+    res.end(pdfBuffer);
     console.log(`📥 [VERSION-DOWNLOAD] Downloaded version ${version.versionNumber}: ${fileName}`);
 
   } catch (error) {
@@ -341,6 +362,14 @@ export async function deleteVersionPdf(req, res) {
       });
     }
 
+    if (version.lockedAt) {
+      return res.status(409).json({
+        success: false,
+        error: "Version is locked",
+        detail: `Version ${version.versionNumber} was signed by the customer and cannot be deleted`
+      });
+    }
+
     version.isDeleted = true;
     version.deletedAt = new Date();
     await version.save();
@@ -469,9 +498,11 @@ export async function createVersion(req, res) {
   try {
     const { agreementId } = req.params;
     const { changeNotes, createdBy: bodyCreatedBy, replaceRecent, isFirstTime, watermark = false } = req.body || {};
+    const runAsync = req.body?.async === true || req.query.async === 'true';
 
     // Use createdBy from body, or fallback to authenticated user
     const createdBy = bodyCreatedBy || req.user?.username || req.admin?.username || null;
+    const actor = req.user ? { id: req.user.id, username: req.user.username, accessRole: req.user.accessRole } : null;
 
     if (!mongoose.isValidObjectId(agreementId)) {
       return res.status(400).json({
@@ -483,144 +514,36 @@ export async function createVersion(req, res) {
     console.log(`📝 [VERSION-CREATE] Creating version for agreement ${agreementId}`, {
       watermark,
       replaceRecent,
-      isFirstTime
+      isFirstTime,
+      async: runAsync
     });
 
-    const agreement = await CustomerHeaderDoc.findById(agreementId)
-      .select('-pdf_meta.pdfBuffer -attachedFiles -zoho')
-      .lean();
-    if (!agreement) {
-      return res.status(404).json({
-        success: false,
-        error: "Agreement not found"
+    if (runAsync) {
+      const job = await enqueuePdfJob({
+        kind: 'agreement-version',
+        agreementId,
+        options: { changeNotes, createdBy, actor, replaceRecent, isFirstTime, watermark },
+        requestedBy: createdBy,
       });
-    }
 
-    const existingVersions = await VersionPdf.find({
-      agreementId: agreementId,
-      isDeleted: { $ne: true }
-    })
-    .select('_id versionNumber createdAt status')
-    .sort({ versionNumber: -1 })
-    .lean();
-
-    const allVersions = await VersionPdf.find({
-      agreementId: agreementId
-    })
-    .select('versionNumber')
-    .sort({ versionNumber: -1 })
-    .limit(1)
-    .lean();
-
-    const highestVersionNumber = allVersions.length > 0 ? allVersions[0].versionNumber : 0;
-
-    const totalVersions = existingVersions.length;
-    const latestVersion = existingVersions[0];
-
-    let versionNumber = 1;
-
-    if (replaceRecent && latestVersion) {
-      versionNumber = latestVersion.versionNumber;
-      console.log(`🔄 [VERSION-CREATE] User requested replace - will replace v${versionNumber}`);
-    } else {
-      versionNumber = highestVersionNumber + 1;
-      console.log(`✅ [VERSION-CREATE] Creating new version v${versionNumber}`);
+      res.setHeader('Location', `/api/pdf/jobs/${job._id}`);
+      return res.status(202).json({
+        success: true,
+        message: "Version queued for generation",
+        jobId: job._id,
+        statusUrl: `/api/pdf/jobs/${job._id}`
+      });
     }
 
-    const shouldApplyWatermark = watermark === true ||
-                                  agreement.status === 'draft' ||
-                                  agreement.status === 'pending_approval';
-
-    console.log(`💧 [WATERMARK-CHECK] Watermark decision:`, {
-      requestedWatermark: watermark,
-      agreementStatus: agreement.status,
-      shouldApplyWatermark
-    });
-
-    const compiledPdf = await compileCustomerHeader(agreement.payload, {
-      watermark: shouldApplyWatermark
+    const { version, versionNumber, wasReplacement } = await createAgreementVersion(agreementId, {
+      changeNotes,
+      createdBy,
+      actor,
+      replaceRecent,
+      isFirstTime,
+      watermark
     });
 
-    if (!compiledPdf || !compiledPdf.buffer) {
-      throw new Error("Failed to compile PDF for version");
-    }
-
-    const versionData = {
-      agreementId: agreementId,
-      versionNumber: versionNumber,
-      versionLabel: `v${versionNumber}`,
-      fileName: `${agreement.payload?.headerTitle || 'Agreement'}_v${versionNumber}.pdf`,
-      status: agreement.status || 'saved',
-      createdBy: createdBy || null,
-      changeNotes: changeNotes || `Version ${versionNumber} - ${isFirstTime ? 'Initial version' : 'Updated agreement'}`,
-      payloadSnapshot: agreement.payload,
-      pdf_meta: {
-        sizeBytes: compiledPdf.buffer.length,
-        storedAt: new Date(),
-        pdfBuffer: compiledPdf.buffer,
-        contentType: 'application/pdf'
-      },
-      zoho: {
-        bigin: {},
-        crm: {}
-      }
-    };
-
-    console.log(`📋 [VERSION-CREATE] Creating version with status: ${versionData.status} (inherited from agreement)`);
-
-    let version;
-    let wasReplacement = false;
-
-    if (replaceRecent && latestVersion && versionNumber === latestVersion.versionNumber) {
-      version = await VersionPdf.findByIdAndUpdate(
-        latestVersion._id,
-        {
-          ...versionData,
-          updatedAt: new Date()
-        },
-        { new: true, runValidators: true }
-      );
-
-      if (version) {
-        wasReplacement = true;
-        console.log(`🔄 [VERSION-CREATE] Replaced version ${versionNumber} (atomic update)`);
-      } else {
-        version = new VersionPdf(versionData);
-        version = await version.save();
-        console.log(`✅ [VERSION-CREATE] Created new version ${versionNumber} (replacement target not found)`);
-      }
-    } else {
-      version = new VersionPdf(versionData);
-      version = await version.save();
-      console.log(`✅ [VERSION-CREATE] Created new version ${versionNumber}`);
-    }
-
-    const updateData = {
-      currentVersionNumber: versionNumber,
-      totalVersions: wasReplacement ? totalVersions : totalVersions + 1
-    };
-
-    if (!wasReplacement) {
-      updateData.$push = {
-        versions: {
-          versionId: version._id,
-          versionNumber: versionNumber,
-          versionLabel: `v${versionNumber}`,
-          createdAt: version.createdAt,
-          createdBy: createdBy || null,
-          changeNotes: changeNotes || '',
-          status: 'active'
-        }
-      };
-
-      if (latestVersion && latestVersion.status === 'draft') {
-        await VersionPdf.findByIdAndUpdate(latestVersion._id, { status: 'saved' });
-        console.log(`✅ [VERSION-CREATE] Auto-updated previous draft (v${latestVersion.versionNumber}) to saved after creating v${versionNumber}`);
-      }
-    }
-
-    await CustomerHeaderDoc.findByIdAndUpdate(agreementId, updateData);
-
     res.json({
       success: true,
       message: wasReplacement ?
@@ -645,7 +568,7 @@ export async function createVersion(req, res) {
       }
     }
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       detail: error.detail || undefined
@@ -680,15 +603,37 @@ export async function replaceMainPdf(req, res) {
       throw new Error("Failed to compile PDF for main replacement");
     }
 
+    const { buffer: pdfBuffer, integrity } = await issuePdf(compiledPdf.buffer, {
+      documentType: "agreement",
+      documentId: agreement._id,
+      agreementId: agreement._id,
+      fileName: compiledPdf.filename || null,
+      issuedBy: updatedBy || null
+    });
+
+    const previousPdf = {
+      storageDriver: agreement.pdf_meta?.storageDriver,
+      storageKey: agreement.pdf_meta?.storageKey
+    };
+    const stored = await storeBlob(pdfBuffer, {
+      prefix: `agreements/${agreementId}`,
+      metadata: { agreementId: String(agreementId) }
+    });
+
     agreement.pdf_meta = {
-      sizeBytes: compiledPdf.buffer.length,
+      sizeBytes: pdfBuffer.length,
       storedAt: new Date(),
-      pdfBuffer: compiledPdf.buffer,
-      contentType: 'application/pdf'
+      pdfBuffer: stored.pdfBuffer,
+      contentType: 'application/pdf',
+      externalUrl: stored.externalUrl,
+      storageDriver: stored.storageDriver,
+      storageKey: stored.storageKey,
+      integrity
     };
 
     agreement.updatedBy = updatedBy || null;
     await agreement.save();
+    await deleteBlob(previousPdf);
 
     console.log(`✅ [REPLACE-MAIN] Replaced main PDF for agreement ${agreementId}`);
 
@@ -699,6 +644,7 @@ export async function replaceMainPdf(req, res) {
         id: agreement._id,
         headerTitle: agreement.payload?.headerTitle || 'Untitled Agreement',
         sizeBytes: agreement.pdf_meta.sizeBytes,
+        verificationCode: agreement.pdf_meta.integrity?.code || null,
         updatedAt: agreement.updatedAt
       }
     });
@@ -772,7 +718,7 @@ export async function getVersionsList(req, res) {
       items,
       summary: {
         totalVersions: items.length,
-        hasMainPdf: !!(agreement.pdf_meta?.pdfBuffer),
+        hasMainPdf: hasStoredBlob(agreement.pdf_meta),
         agreementTitle: agreement.payload?.headerTitle || 'Untitled Agreement',
         agreementStatus: agreement.status
       }
@@ -787,6 +733,91 @@ export async function getVersionsList(req, res) {
   }
 }
 
+export async function getVersionDiff(req, res) {
+  try {
+    const { agreementId } = req.params;
+    const diff = await diffAgreementVersions(agreementId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    console.log(`🔍 [VERSION-DIFF] Agreement ${agreementId}: v${diff.from.versionNumber} → v${diff.to.versionNumber}, ${diff.summary.totalChanges} change(s)`);
+
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error("❌ Failed to diff versions:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+export async function downloadVersionComparison(req, res) {
+  try {
+    const { agreementId } = req.params;
+    const comparison = await compileVersionComparison(agreementId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${comparison.filename}"`);
+    res.setHeader('Content-Length', comparison.buffer.length);
+    res.end(comparison.buffer);
+
+    console.log(`🖍️ [VERSION-REDLINE] Sent v${comparison.from.versionNumber} → v${comparison.to.versionNumber} comparison for agreement ${agreementId}`);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error("❌ Failed to build version comparison:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to build comparison PDF",
+      detail: error.detail
+    });
+  }
+}
+
+export async function attachVersionComparison(req, res) {
+  try {
+    const { agreementId } = req.params;
+    const { from, to } = req.body || {};
+    const result = await attachVersionComparisonToZoho(agreementId, { from, to });
+
+    res.json({
+      success: true,
+      message: `Comparison of v${result.from.versionNumber} and v${result.to.versionNumber} attached to Zoho deal`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        detail: error.detail
+      });
+    }
+    console.error("❌ Failed to attach version comparison:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to attach comparison PDF",
+      detail: error.detail
+    });
+  }
+}
+
 export async function viewVersionPdf(req, res) {
   try {
     const { versionId } = req.params;
@@ -811,9 +842,25 @@ export async function viewVersionPdf(req, res) {
     console.log(`👁️ [VERSION-VIEW] Viewing version ${version.versionNumber}:`, {
       fileName: version.fileName,
       watermark: applyWatermark,
-      hasStoredPdf: !!version.pdf_meta?.pdfBuffer
+      hasStoredPdf: hasStoredBlob(version.pdf_meta)
     });
 
+    const fileName = applyWatermark && !version.lockedAt
+      ? version.fileName.replace('.pdf', '_DRAFT.pdf')
+      : version.fileName;
+
+    // Stream the stored PDF when it was rendered with the requested watermark setting.
+    // Signed versions always serve the stored signed PDF.
+    if (hasStoredBlob(version.pdf_meta) && (version.lockedAt || version.pdf_meta.watermarked === applyWatermark)) {
+      res.setHeader('X-PDF-Cache', 'STORED');
+      await pipeBlobToResponse(res, version.pdf_meta, {
+        contentType: 'application/pdf',
+        disposition: `inline; filename="${fileName}"`
+      });
+      console.log(`👁️ [VERSION-VIEW] Streamed stored version ${version.versionNumber}: ${fileName}`);
+      return;
+    }
+
     console.log(`🔄 [ON-DEMAND] Regenerating PDF on-demand with watermark=${applyWatermark}`);
 
     const compiledPdf = await compileCustomerHeader(version.payloadSnapshot, {
@@ -824,15 +871,22 @@ export async function viewVersionPdf(req, res) {
       throw new Error("Failed to compile PDF");
     }
 
-    const fileName = applyWatermark
-      ? version.fileName.replace('.pdf', '_DRAFT.pdf')
-      : version.fileName;
+    const { buffer: pdfBuffer } = await issuePdf(compiledPdf.buffer, {
+      documentType: "version",
+      documentId: version._id,
+      agreementId: version.agreementId?._id || version.agreementId,
+      versionNumber: version.versionNumber,
+      fileName,
+      issuedBy: req.user?.username || null,
+      channel: "download"
+    });
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
-    res.setHeader('Content-Length', compiledPdf.buffer.length);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('X-PDF-Cache', compiledPdf.cached ? 'HIT' : 'MISS');
 
-    res.end(compiledPdf.buffer);
+    res.end(pdfBuffer);
     console.log(`👁️ [VERSION-VIEW] Viewed version ${version.versionNumber}: ${fileName}`);
 
   } catch (error) {
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import { getBiginModuleFields } from "../services/zohoService.js";
+import {
+  DERIVED_SOURCES,
+  getDealFieldMapping,
+  saveDealFieldMapping,
+  buildMappedDealFields,
+} from "../services/zohoFieldMappingService.js";
+import { validateZohoDealFieldMapping } from "../validations/adminSettingsValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+    ...(err.details ? { details: err.details } : {}),
+  });
+}
+
+export async function getZohoDealFieldMapping(req, res) {
+  try {
+    return res.json({ success: true, mapping: await getDealFieldMapping() });
+  } catch (err) {
+    return sendError(res, err, "Failed to load Zoho deal field mapping");
+  }
+}
+
+export async function updateZohoDealFieldMapping(req, res) {
+  const { error, value } = validateZohoDealFieldMapping(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid Zoho deal field mapping",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  try {
+    const mapping = await saveDealFieldMapping(value, { updatedBy: req.user?.username || null });
+    return res.json({ success: true, mapping });
+  } catch (err) {
+    return sendError(res, err, "Failed to save Zoho deal field mapping");
+  }
+}
+
+// Bigin fields and derived sources an admin can choose from.
+export async function getZohoDealFieldOptions(req, res) {
+  try {
+    const metadata = await getBiginModuleFields("Pipelines");
+    if (!metadata.success) {
+      return res.status(502).json({ success: false, error: "Could not load Bigin Pipelines fields" });
+    }
+    return res.json({
+      success: true,
+      biginFields: metadata.fields.filter((field) => !field.readOnly),
+      derivedSources: Object.keys(DERIVED_SOURCES),
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to load Zoho deal field options");
+  }
+}
+
+export async function previewZohoDealFields(req, res) {
+  try {
+    const { agreementId } = req.params;
+    if (!mongoose.isValidObjectId(agreementId)) {
+      return res.status(400).json({ success: false, error: "Invalid agreement id" });
+    }
+    const agreement = await CustomerHeaderDoc.findById(agreementId).select("-pdf_meta.pdfBuffer").lean();
+    if (!agreement) {
+      return res.status(404).json({ success: false, error: "Agreement not found" });
+    }
+    const { fields, skipped } = await buildMappedDealFields(agreement);
+    return res.json({ success: true, agreementId, fields, skipped });
+  } catch (err) {
+    return sendError(res, err, "Failed to preview Zoho deal fields");
+  }
+}
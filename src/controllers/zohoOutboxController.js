@@ -0,0 +1,105 @@
+import {
+  listZohoOperations,
+  listDeadLetters,
+  getZohoOperation,
+  getZohoOutboxCounts,
+  getZohoOutboxWorkerStatus,
+  replayZohoOperation,
+  discardZohoOperation,
+  serializeZohoOperation,
+} from "../services/zohoOutboxService.js";
+
+const STATUSES = ["blocked", "queued", "processing", "completed", "dead", "needs_check", "discarded"];
+const KINDS = ["deal", "deal_update", "note", "file", "task"];
+
+function requesterOf(req) {
+  return req.user?.username || req.admin?.username || req.admin?.id || null;
+}
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+  });
+}
+
+function readFilters(query = {}) {
+  const { status, kind, agreementId, batchId, page, limit } = query;
+  if (status && !STATUSES.includes(status)) {
+    const err = new Error(`status must be one of ${STATUSES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  if (kind && !KINDS.includes(kind)) {
+    const err = new Error(`kind must be one of ${KINDS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return { status, kind, agreementId, batchId, page, limit };
+}
+
+export async function listOutbox(req, res) {
+  try {
+    const { operations, pagination } = await listZohoOperations(readFilters(req.query));
+    return res.json({
+      success: true,
+      operations: operations.map(serializeZohoOperation),
+      pagination,
+      counts: await getZohoOutboxCounts(),
+      worker: getZohoOutboxWorkerStatus(),
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to load Zoho outbox");
+  }
+}
+
+export async function listOutboxDeadLetters(req, res) {
+  try {
+    const { operations, pagination } = await listDeadLetters(readFilters(req.query));
+    return res.json({
+      success: true,
+      operations: operations.map((op) => ({
+        ...serializeZohoOperation(op),
+        blockedDependents: op.blockedDependents,
+      })),
+      pagination,
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to load Zoho dead letters");
+  }
+}
+
+export async function getOutboxOperation(req, res) {
+  try {
+    const op = await getZohoOperation(req.params.id);
+    if (!op) {
+      return res.status(404).json({ success: false, error: "Operation not found" });
+    }
+    return res.json({ success: true, operation: serializeZohoOperation(op) });
+  } catch (err) {
+    return sendError(res, err, "Failed to load Zoho operation");
+  }
+}
+
+export async function replayOutboxOperation(req, res) {
+  try {
+    const op = await replayZohoOperation(req.params.id, { replayedBy: requesterOf(req) });
+    return res.status(202).json({ success: true, operation: serializeZohoOperation(op) });
+  } catch (err) {
+    return sendError(res, err, "Failed to replay Zoho operation");
+  }
+}
+
+export async function discardOutboxOperation(req, res) {
+  try {
+    const { operation, cascaded } = await discardZohoOperation(req.params.id, {
+      discardedBy: requesterOf(req),
+      reason: req.body?.reason?.trim() || null,
+    });
+    return res.json({ success: true, operation: serializeZohoOperation(operation), cascaded });
+  } catch (err) {
+    return sendError(res, err, "Failed to discard Zoho operation");
+  }
+}
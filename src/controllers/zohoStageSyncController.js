@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import { ZOHO_WEBHOOK_SECRET } from "../config/zohoConfig.js";
+import {
+  applyDealStageChange,
+  pollZohoDealStages,
+  getZohoStageSyncStatus,
+} from "../services/zohoStageSyncService.js";
+import {
+  normalizeDealStageWebhook,
+  validateDealStageWebhook,
+} from "../validations/zohoStageSyncValidation.js";
+
+function sendError(res, err, fallback) {
+  console.error(`${fallback}:`, err);
+  return res.status(err.status || 500).json({
+    success: false,
+    error: err.status ? err.message : fallback,
+    detail: err?.message || String(err),
+  });
+}
+
+function webhookTokenMatches(req) {
+  const provided = String(req.get("x-webhook-token") || req.query.token || "");
+  const expected = Buffer.from(ZOHO_WEBHOOK_SECRET);
+  const actual = Buffer.from(provided);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Called by a Bigin workflow webhook; authenticated by ZOHO_WEBHOOK_SECRET, not a user session.
+export async function receiveDealStageWebhook(req, res) {
+  if (!ZOHO_WEBHOOK_SECRET) {
+    return res.status(503).json({ success: false, error: "Zoho webhook is not configured" });
+  }
+  if (!webhookTokenMatches(req)) {
+    console.warn(`⚠️ [ZOHO-STAGE] Rejected webhook with invalid token from ${req.ip}`);
+    return res.status(401).json({ success: false, error: "Invalid webhook token" });
+  }
+
+  const { error, value } = validateDealStageWebhook(normalizeDealStageWebhook(req.body, req.query));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid webhook payload",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  try {
+    const result = await applyDealStageChange({ ...value, source: "webhook" });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to apply Zoho deal stage");
+  }
+}
+
+export async function getStageSync(req, res) {
+  return res.json({ success: true, stageSync: getZohoStageSyncStatus() });
+}
+
+export async function runStageSyncPoll(req, res) {
+  try {
+    const summary = await pollZohoDealStages({ force: true });
+    return res.json({ success: true, summary });
+  } catch (err) {
+    return sendError(res, err, "Failed to poll Zoho deal stages");
+  }
+}
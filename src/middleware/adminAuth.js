@@ -1,16 +1,9 @@
 import jwt from "jsonwebtoken";
+import { JWT_SECRET } from "../config/authConfig.js";
+import { signToken } from "./authMiddleware.js";
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-me";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
-
-export function signAdminToken(admin) {
-  const payload = {
-    id: admin._id.toString(),
-    username: admin.username,
-    role: 'admin',
-  };
-
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+export function signAdminToken(admin, sessionId) {
+  return signToken(admin, "admin", sessionId);
 }
 
 export function requireAdminAuth(req, res, next) {
@@ -25,6 +18,11 @@ export function requireAdminAuth(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.role !== "admin") {
+      return res
+        .status(403)
+        .json({ error: "Forbidden", detail: "Admin access required" });
+    }
     req.admin = { id: decoded.id, username: decoded.username };
     next();
   } catch (err) {
@@ -1,22 +1,24 @@
 import jwt from 'jsonwebtoken';
-
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-me";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+import { DEFAULT_ACCESS_ROLE } from '../config/rbacConfig.js';
+import { ACCESS_TOKEN_TTL, JWT_SECRET } from '../config/authConfig.js';
 
 /**
- * Sign a JWT token for any user (admin or employee)
+ * Sign a short-lived access token for any user (admin or employee)
  * @param {Object} user - User object with _id and username
  * @param {string} role - 'admin' or 'employee'
+ * @param {string} [sessionId] - AuthSession the token was issued for
  * @returns {string} JWT token
  */
-export function signToken(user, role) {
+export function signToken(user, role, sessionId) {
   const payload = {
     id: user._id.toString(),
     username: user.username,
     role: role,
+    accessRole: user.accessRole || DEFAULT_ACCESS_ROLE[role],
   };
+  if (sessionId) payload.sid = sessionId;
 
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
 /**
@@ -0,0 +1,142 @@
+import jwt from "jsonwebtoken";
+import AdminUser from "../models/AdminUser.js";
+import Employee from "../models/Employee.js";
+import {
+  DEFAULT_ACCESS_ROLE,
+  isAccessRole,
+  permissionsForRole,
+  roleHasPermission,
+} from "../config/rbacConfig.js";
+import {
+  agreementScopeFilter,
+  canAccessAgreement,
+  isOwnUpload,
+  loadAgreementOwner,
+  resolveAgreementId,
+} from "../services/accessControlService.js";
+import { isSessionRevoked, isTokenRevoked } from "../services/authSessionService.js";
+import { JWT_SECRET } from "../config/authConfig.js";
+
+const ACCOUNT_MODELS = {
+  admin: AdminUser,
+  employee: Employee,
+};
+
+function bearerToken(req) {
+  const hdr = req.headers.authorization || "";
+  return hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+}
+
+async function loadAccount(payload) {
+  const Model = ACCOUNT_MODELS[payload.role];
+  if (!Model) return null;
+  return Model.findById(payload.id).select("_id username accessRole isActive passwordChangedAt sessionsRevokedAt").lean();
+}
+
+/**
+ * Authenticates the bearer token and requires every listed permission.
+ * With no permissions it only requires a valid, active account.
+ *
+ * Tokens issued before a password change or session revocation, or whose
+ * session has been revoked, are rejected.
+ *
+ * Sets req.user = { id, username, role, accessRole, permissions, sessionId } where
+ * role is the account type ("admin" | "employee") and accessRole the RBAC role.
+ */
+export function authorize(...permissions) {
+  return async function authorizeMiddleware(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Unauthorized", detail: "Missing Authorization token" });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: "Unauthorized", detail: "Invalid or expired token" });
+    }
+
+    try {
+      const account = await loadAccount(payload);
+      if (!account || account.isActive === false) {
+        return res.status(401).json({ error: "Unauthorized", detail: "Account not found or disabled" });
+      }
+      if (isTokenRevoked(payload, account) || await isSessionRevoked(payload.sid)) {
+        return res.status(401).json({ error: "Unauthorized", detail: "Session has been revoked; please sign in again" });
+      }
+
+      const accessRole = isAccessRole(account.accessRole)
+        ? account.accessRole
+        : DEFAULT_ACCESS_ROLE[payload.role];
+
+      const missing = permissions.filter((permission) => !roleHasPermission(accessRole, permission));
+      if (missing.length > 0) {
+        console.warn(`🚫 [RBAC] ${account.username} (${accessRole}) denied ${req.method} ${req.originalUrl}: missing ${missing.join(", ")}`);
+        return res.status(403).json({
+          error: "Forbidden",
+          detail: `Missing permission: ${missing.join(", ")}`,
+        });
+      }
+
+      req.user = {
+        id: String(account._id),
+        username: account.username,
+        role: payload.role,
+        accessRole,
+        permissions: permissionsForRole(accessRole),
+        sessionId: payload.sid || null,
+      };
+      if (payload.role === "admin") {
+        req.admin = { id: req.user.id, username: account.username };
+      }
+      req.agreementScope = agreementScopeFilter(req.user);
+      next();
+    } catch (err) {
+      console.error("❌ [RBAC] Authorization check failed:", err.message);
+      res.status(500).json({ error: "Authorization failed", detail: err.message });
+    }
+  };
+}
+
+/**
+ * Restricts a route to users who may access the agreement the request targets.
+ * Must run after authorize(). The id is read from req.params[param], falling
+ * back to req.body[param]; `kind` says what it identifies:
+ * "agreement", "version", "manualUpload", "log" or "file" (any of the three
+ * file kinds). Requests without the id pass through; ids that resolve to no
+ * agreement are denied unless they name a manual upload the user uploaded.
+ */
+export function requireAgreementAccess(param = "agreementId", kind = "agreement") {
+  return async function agreementAccessMiddleware(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Unauthorized", detail: "Authentication required" });
+    }
+    if (Object.keys(req.agreementScope || {}).length === 0) {
+      return next();
+    }
+
+    try {
+      const targetId = req.params[param] ?? req.body?.[param];
+      if (targetId === undefined || targetId === null || targetId === "") {
+        return next();
+      }
+      const agreementId = await resolveAgreementId(kind, targetId);
+      if (!agreementId && (kind === "manualUpload" || kind === "file") && await isOwnUpload(req.user, targetId)) {
+        return next();
+      }
+      const agreement = await loadAgreementOwner(agreementId);
+      if (!canAccessAgreement(req.user, agreement)) {
+        console.warn(`🚫 [RBAC] ${req.user.username} denied access to agreement ${agreementId} (${req.method} ${req.originalUrl})`);
+        return res.status(403).json({
+          error: "Forbidden",
+          detail: "You can only access agreements you created",
+        });
+      }
+      next();
+    } catch (err) {
+      console.error("❌ [RBAC] Agreement access check failed:", err.message);
+      res.status(500).json({ error: "Authorization failed", detail: err.message });
+    }
+  };
+}
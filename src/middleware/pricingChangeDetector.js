@@ -4,7 +4,7 @@ class PricingChangeDetector {
 
   static async beforePriceFixUpdate(req, res, next) {
     try {
-      const changedBy = req.user ? req.user._id : null;
+      const changedBy = req.user ? req.user.id : null;
       const adminUsername = req.user ? req.user.username : 'Unknown';
 
       const changedAreas = PricingChangeDetector.detectPriceFixChangedAreas(req.body);
@@ -21,19 +21,7 @@ class PricingChangeDetector {
         changeCount: Object.keys(req.body).length
       });
 
-      if (backupResult.success) {
-        if (backupResult.created) {
-          console.log(`[Pricing Backup] Backup created: ${backupResult.backup.changeDayId}`);
-          req.pricingBackupCreated = true;
-          req.pricingBackupId = backupResult.backup.changeDayId;
-        } else if (backupResult.skipped) {
-          console.log(`[Pricing Backup] Backup skipped: ${backupResult.message}`);
-          req.pricingBackupSkipped = true;
-        }
-      } else {
-        console.error(`[Pricing Backup] Backup failed: ${backupResult.message}`);
-        req.pricingBackupError = backupResult.error;
-      }
+      PricingChangeDetector.recordBackupResult(req, backupResult);
 
       next();
 
@@ -46,7 +34,7 @@ class PricingChangeDetector {
 
   static async beforeProductCatalogUpdate(req, res, next) {
     try {
-      const changedBy = req.user ? req.user._id : null;
+      const changedBy = req.user ? req.user.id : null;
       const adminUsername = req.user ? req.user.username : 'Unknown';
 
       const isPartialUpdate = req.route.path.includes('/partial');
@@ -68,19 +56,7 @@ class PricingChangeDetector {
         changeCount: PricingChangeDetector.countProductCatalogChanges(req.body, isPartialUpdate)
       });
 
-      if (backupResult.success) {
-        if (backupResult.created) {
-          console.log(`[Pricing Backup] Backup created: ${backupResult.backup.changeDayId}`);
-          req.pricingBackupCreated = true;
-          req.pricingBackupId = backupResult.backup.changeDayId;
-        } else if (backupResult.skipped) {
-          console.log(`[Pricing Backup] Backup skipped: ${backupResult.message}`);
-          req.pricingBackupSkipped = true;
-        }
-      } else {
-        console.error(`[Pricing Backup] Backup failed: ${backupResult.message}`);
-        req.pricingBackupError = backupResult.error;
-      }
+      PricingChangeDetector.recordBackupResult(req, backupResult);
 
       next();
 
@@ -93,7 +69,7 @@ class PricingChangeDetector {
 
   static async beforeServiceConfigUpdate(req, res, next) {
     try {
-      const changedBy = req.user ? req.user._id : null;
+      const changedBy = req.user ? req.user.id : null;
       const adminUsername = req.user ? req.user.username : 'Unknown';
 
       const serviceId = req.body.serviceId || req.params.serviceId || 'unknown';
@@ -112,19 +88,7 @@ class PricingChangeDetector {
         changeCount: Object.keys(req.body).length
       });
 
-      if (backupResult.success) {
-        if (backupResult.created) {
-          console.log(`[Pricing Backup] Backup created: ${backupResult.backup.changeDayId}`);
-          req.pricingBackupCreated = true;
-          req.pricingBackupId = backupResult.backup.changeDayId;
-        } else if (backupResult.skipped) {
-          console.log(`[Pricing Backup] Backup skipped: ${backupResult.message}`);
-          req.pricingBackupSkipped = true;
-        }
-      } else {
-        console.error(`[Pricing Backup] Backup failed: ${backupResult.message}`);
-        req.pricingBackupError = backupResult.error;
-      }
+      PricingChangeDetector.recordBackupResult(req, backupResult);
 
       next();
 
@@ -135,6 +99,66 @@ class PricingChangeDetector {
     }
   }
 
+  static recordBackupResult(target, backupResult) {
+    if (backupResult.success) {
+      if (backupResult.created) {
+        console.log(`[Pricing Backup] Backup created: ${backupResult.backup.changeDayId}`);
+        target.pricingBackupCreated = true;
+        target.pricingBackupId = backupResult.backup.changeDayId;
+      } else if (backupResult.skipped) {
+        console.log(`[Pricing Backup] Backup skipped: ${backupResult.message}`);
+        target.pricingBackupSkipped = true;
+      }
+    } else {
+      console.error(`[Pricing Backup] Backup failed: ${backupResult.message}`);
+      target.pricingBackupError = backupResult.error;
+    }
+    return target;
+  }
+
+  /**
+   * Same backup the update middlewares take, for a pricing draft being
+   * published. Returns the `pricingBackup` block those routes add to their response.
+   */
+  static async beforeDraftPublish(draft, publishedBy = null) {
+    const isPartialUpdate = draft.operation === 'partial';
+    const proposer = draft.proposedBy?.username || 'Unknown';
+    const approver = publishedBy?.username || 'Unknown';
+    const options = draft.targetType === 'serviceConfig'
+      ? {
+          trigger: 'service_config_update',
+          changedAreas: PricingChangeDetector.detectServiceConfigChangedAreas(draft.targetLabel || 'unknown', draft.changes, isPartialUpdate),
+          changeCount: Object.keys(draft.changes).length
+        }
+      : {
+          trigger: 'product_catalog_update',
+          changedAreas: PricingChangeDetector.detectProductCatalogChangedAreas(draft.changes, isPartialUpdate),
+          changeCount: PricingChangeDetector.countProductCatalogChanges(draft.changes, isPartialUpdate)
+        };
+
+    console.log(`[Pricing Backup] Triggering backup before publishing pricing draft ${draft._id} approved by ${approver}`);
+
+    const result = {};
+    try {
+      const backupResult = await PricingBackupService.createBackupIfNeeded({
+        ...options,
+        changedBy: publishedBy?.id || null,
+        changeDescription: `Pricing draft ${draft._id} for ${draft.targetLabel || draft.targetId} proposed by ${proposer}, approved by ${approver}`
+      });
+      PricingChangeDetector.recordBackupResult(result, backupResult);
+    } catch (error) {
+      console.error('[Pricing Backup] Draft publish backup error:', error);
+      result.pricingBackupError = error.message;
+    }
+
+    return {
+      backupCreated: result.pricingBackupCreated || false,
+      backupSkipped: result.pricingBackupSkipped || false,
+      backupId: result.pricingBackupId || null,
+      backupError: result.pricingBackupError || null
+    };
+  }
+
   static detectPriceFixChangedAreas(requestBody) {
     const changedAreas = [];
 
@@ -0,0 +1,34 @@
+import { createDraft } from "../services/pricingDraftService.js";
+import { PRICING_REVIEW_REQUIRED } from "../config/pricingConfig.js";
+
+/**
+ * Turns a direct pricing PUT into a pricing draft submitted for review
+ * (202 with the draft). With PRICING_REVIEW_REQUIRED=false the request
+ * continues to the normal update chain.
+ */
+export function requirePricingReview(targetType, operation) {
+  return async function pricingReviewGate(req, res, next) {
+    if (!PRICING_REVIEW_REQUIRED) return next();
+
+    try {
+      const draft = await createDraft(
+        { targetType, targetId: req.params.id, operation, changes: req.body, submit: true },
+        { user: req.user }
+      );
+      return res.status(202).json({
+        success: true,
+        pendingReview: true,
+        message: "Saved as a pricing draft; it goes live once another admin approves it",
+        draft,
+      });
+    } catch (err) {
+      if (!err.status) return next(err);
+      return res.status(err.status).json({
+        success: false,
+        error: err.message,
+        detail: err.detail,
+        ...(err.details ? { details: err.details } : {}),
+      });
+    }
+  };
+}
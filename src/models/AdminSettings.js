@@ -16,6 +16,53 @@ const adminSettingsSchema = new mongoose.Schema(
       type: String,
       default: 'Agreement "{{agreementTitle}}" needs your approval',
     },
+
+    // Limits deciding which salesperson price overrides need manager review.
+    // Discounts are percentages below the original price; a salesperson limit
+    // replaces defaultMaxDiscountPct for that salesperson.
+    priceOverridePolicy: {
+      enabled: { type: Boolean, default: false },
+      defaultMaxDiscountPct: { type: Number, default: null },
+      serviceLimits: {
+        type: [{ _id: false, serviceKey: String, maxDiscountPct: Number }],
+        default: [],
+      },
+      productFamilyLimits: {
+        type: [{ _id: false, familyKey: String, maxDiscountPct: Number }],
+        default: [],
+      },
+      floorPrices: {
+        type: [{ _id: false, key: String, fieldType: { type: String, default: null }, minValue: Number }],
+        default: [],
+      },
+      salespersonLimits: {
+        type: [{ _id: false, salesperson: String, maxDiscountPct: Number }],
+        default: [],
+      },
+    },
+
+    // Bigin deal stages that move the linked agreement to a status when the
+    // stage change is pulled back (webhook or poll). Stage names match case-insensitively.
+    zohoStageSync: {
+      enabled: { type: Boolean, default: true },
+      stageStatusMap: {
+        type: [{ _id: false, stage: String, status: String }],
+        default: () => [{ stage: 'Closed Won', status: 'active' }],
+      },
+    },
+
+    // Agreement payload paths (or $-derived values) written to Bigin deal
+    // fields on first-time upload and every update. dataType/label are copied
+    // from Bigin's field metadata when the mapping is validated.
+    zohoDealFieldMapping: {
+      enabled: { type: Boolean, default: true },
+      fields: {
+        type: [{ _id: false, source: String, field: String, dataType: String, label: String }],
+        default: [],
+      },
+      validatedAt: { type: Date, default: null },
+      updatedBy: { type: String, default: null },
+    },
   },
   { timestamps: true }
 );
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ACCESS_ROLES } from "../config/rbacConfig.js";
 
 const AdminUserSchema = new mongoose.Schema(
   {
@@ -17,12 +18,28 @@ const AdminUserSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    accessRole: {
+      type: String,
+      enum: ACCESS_ROLES,
+      default: "admin",
+    },
     lastLoginAt: {
       type: Date,
     },
     passwordChangedAt: {
       type: Date,
     },
+    sessionsRevokedAt: {
+      type: Date,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// One document per refresh token. Rotating a token revokes it and points
+// replacedBy at its successor; every token issued from one login shares a familyId.
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    accountType: { type: String, enum: ["admin", "employee"], required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    username: { type: String, default: "" },
+    tokenHash: { type: String, required: true, unique: true },
+    familyId: { type: String, required: true, index: true },
+    deviceId: { type: String, default: null },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true }
+);
+
+AuthSessionSchema.index({ accountType: 1, accountId: 1, revokedAt: 1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.AuthSession
+  || mongoose.model("AuthSession", AuthSessionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import zlib from 'zlib';
+import { PRICING_BACKUP_RETENTION } from '../config/backupConfig.js';
 
 const BackupPricingSchema = new mongoose.Schema({
   changeDayId: {
@@ -72,7 +73,7 @@ const BackupPricingSchema = new mongoose.Schema({
 
   backupTrigger: {
     type: String,
-    enum: ['pricefix_update', 'product_catalog_update', 'service_config_update', 'manual', 'scheduled'],
+    enum: ['pricefix_update', 'product_catalog_update', 'service_config_update', 'manual', 'scheduled', 'pre_restore', 'import'],
     required: true
   },
 
@@ -128,7 +129,26 @@ const BackupPricingSchema = new mongoose.Schema({
     restorationNotes: {
       type: String,
       maxlength: 1000
+    },
+    // What the last restore included: { dataTypes, serviceIds, productFamilies }
+    lastSelection: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // Snapshot of live pricing taken just before the last restore; restore it to undo
+    preRestoreBackupId: {
+      type: String
     }
+  },
+
+  // Set on backups registered from an exported archive (POST /import)
+  importInfo: {
+    sourceChangeDayId: { type: String },
+    sourceChangeDay: { type: String },
+    exportedAt: { type: Date },
+    exportedBy: { type: String },
+    archiveSchemaVersion: { type: Number },
+    snapshotChecksum: { type: String },
+    importedAt: { type: Date }
   }
 }, {
   timestamps: true,
@@ -138,6 +158,7 @@ const BackupPricingSchema = new mongoose.Schema({
 BackupPricingSchema.index({ changeDay: -1, createdAt: -1 });
 BackupPricingSchema.index({ backupTrigger: 1, changeDay: -1 });
 BackupPricingSchema.index({ changedBy: 1, changeDay: -1 });
+BackupPricingSchema.index({ 'importInfo.snapshotChecksum': 1 }, { sparse: true });
 
 BackupPricingSchema.statics.compressPricingData = function(pricingData) {
   try {
@@ -176,30 +197,70 @@ BackupPricingSchema.statics.generateChangeDayId = function(changeDay) {
   return `backup_${changeDay}_${Date.now()}`;
 };
 
-BackupPricingSchema.statics.enforceRetentionPolicy = async function() {
-  try {
-    const changeDays = await this.distinct('changeDay');
-
-    changeDays.sort().reverse();
+// Monday of the ISO week containing a YYYY-MM-DD change day.
+function weekOf(changeDay) {
+  const date = new Date(`${changeDay}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split('T')[0];
+}
+
+// Keeps every backup from the newest `daily` change days, plus the newest
+// backup of each of the newest `weekly` weeks and `monthly` months.
+BackupPricingSchema.statics.planRetention = function(backups, tiers = PRICING_BACKUP_RETENTION) {
+  const sorted = [...backups].sort((a, b) =>
+    b.changeDay.localeCompare(a.changeDay) || new Date(b.createdAt) - new Date(a.createdAt)
+  );
+
+  const keep = new Set();
+  const dailyDays = [...new Set(sorted.map((backup) => backup.changeDay))].slice(0, tiers.daily);
+  for (const backup of sorted) {
+    if (dailyDays.includes(backup.changeDay)) keep.add(String(backup._id));
+  }
 
-    if (changeDays.length <= 10) {
-      return { deletedCount: 0, message: 'Retention policy not needed' };
+  const keepNewestPer = (periodOf, limit) => {
+    const seen = new Set();
+    for (const backup of sorted) {
+      const period = periodOf(backup.changeDay);
+      if (seen.has(period)) continue;
+      if (seen.size >= limit) break;
+      seen.add(period);
+      keep.add(String(backup._id));
     }
+  };
+  keepNewestPer(weekOf, tiers.weekly);
+  keepNewestPer((changeDay) => changeDay.slice(0, 7), tiers.monthly);
+
+  return {
+    tiers,
+    keep: sorted.filter((backup) => keep.has(String(backup._id))),
+    remove: sorted.filter((backup) => !keep.has(String(backup._id)))
+  };
+};
 
-    const changeDaysToDelete = changeDays.slice(10);
+BackupPricingSchema.statics.getRetentionPlan = async function(tiers = PRICING_BACKUP_RETENTION) {
+  const backups = await this.find({}).select('changeDayId changeDay createdAt backupTrigger').lean();
+  return this.planRetention(backups, tiers);
+};
+
+BackupPricingSchema.statics.enforceRetentionPolicy = async function(tiers = PRICING_BACKUP_RETENTION) {
+  try {
+    const plan = await this.getRetentionPlan(tiers);
 
-    if (changeDaysToDelete.length === 0) {
-      return { deletedCount: 0, message: 'No old change days to delete' };
+    if (plan.remove.length === 0) {
+      return { deletedCount: 0, keptCount: plan.keep.length, tiers, message: 'Retention policy not needed' };
     }
 
     const deleteResult = await this.deleteMany({
-      changeDay: { $in: changeDaysToDelete }
+      _id: { $in: plan.remove.map((backup) => backup._id) }
     });
 
     return {
       deletedCount: deleteResult.deletedCount,
-      deletedChangeDays: changeDaysToDelete,
-      message: `Deleted ${deleteResult.deletedCount} backups from ${changeDaysToDelete.length} old change days`
+      deletedChangeDayIds: plan.remove.map((backup) => backup.changeDayId),
+      deletedChangeDays: [...new Set(plan.remove.map((backup) => backup.changeDay))],
+      keptCount: plan.keep.length,
+      tiers,
+      message: `Deleted ${deleteResult.deletedCount} backups outside the retention tiers (daily ${tiers.daily}, weekly ${tiers.weekly}, monthly ${tiers.monthly})`
     };
   } catch (error) {
     throw new Error(`Retention policy enforcement failed: ${error.message}`);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const CompiledPdfCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    templateHash: { type: String, required: true, index: true },
+    agreementTemplateStamp: { type: String, default: null, index: true },
+    watermark: { type: Boolean, default: false },
+    filename: { type: String, default: "document.pdf" },
+    sizeBytes: { type: Number, default: 0 },
+    pdfBuffer: { type: Buffer, required: true },
+    compileMs: { type: Number, default: 0 },
+    hits: { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Entries are refreshed on every hit, so only unused PDFs age out.
+CompiledPdfCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.CompiledPdfCache
+  || mongoose.model("CompiledPdfCache", CompiledPdfCacheSchema);
@@ -242,6 +242,40 @@ const PayloadSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: { type: String, default: null },
+    actorId: { type: String, default: null },
+    actorRole: { type: String, default: null },
+    comment: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const PricingVerificationSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["verified", "mismatch", "unverifiable", "error"],
+      default: "unverifiable",
+    },
+    mode: { type: String, default: "flag" },
+    checkedAt: { type: Date, default: null },
+    mismatchCount: { type: Number, default: 0 },
+    mismatches: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    unverified: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    configVersions: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    catalogVersion: { type: String, default: null },
+    computedSummary: { type: mongoose.Schema.Types.Mixed, default: null },
+    priceOverrides: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const CustomerHeaderDocSchema = new mongoose.Schema(
   {
     payload: { type: PayloadSchema, required: true },
@@ -252,6 +286,16 @@ const CustomerHeaderDocSchema = new mongoose.Schema(
       storedAt: { type: Date, default: null },
       pdfBuffer: { type: Buffer, default: null },
       externalUrl: { type: String, default: null },
+      storageDriver: { type: String, default: null },
+      storageKey: { type: String, default: null },
+      integrity: {
+        sha256: { type: String, default: null },
+        code: { type: String, default: null },
+        sequence: { type: Number, default: null },
+        previousHash: { type: String, default: null },
+        chainHash: { type: String, default: null },
+        issuedAt: { type: Date, default: null },
+      },
     },
 
     attachedFiles: {
@@ -283,6 +327,8 @@ const CustomerHeaderDocSchema = new mongoose.Schema(
       }
     },
 
+    pricingVerification: { type: PricingVerificationSchema, default: null },
+
     currentVersionNumber: { type: Number, default: 0 },
     totalVersions: { type: Number, default: 0 },
 
@@ -301,6 +347,40 @@ const CustomerHeaderDocSchema = new mongoose.Schema(
       default: "saved",
       index: true,
     },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
+    // Zoho approval task for the current approval cycle; `open` prevents duplicates.
+    approvalTask: {
+      open: { type: Boolean, default: false },
+      taskId: { type: String, default: null },
+      dealId: { type: String, default: null },
+      source: { type: String, default: null },
+      createdAt: { type: Date, default: null },
+      closedAt: { type: Date, default: null },
+      error: { type: String, default: null },
+    },
+
+    // Derived term dates (services/renewalService.js) and renewal alert bookkeeping.
+    renewal: {
+      termStart: { type: Date, default: null },
+      termMonths: { type: Number, default: null },
+      termEnd: { type: Date, default: null },
+      noticeDeadline: { type: Date, default: null },
+      renewalsElapsed: { type: Number, default: 0 },
+      computedAt: { type: Date, default: null },
+      alertedTermEnd: { type: Date, default: null },
+      alertedAt: { type: Date, default: null },
+      alertEmail: { type: String, default: null },
+      alertError: { type: String, default: null },
+      alertTaskOperationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      startedForTermEnd: { type: Date, default: null },
+      startedAt: { type: Date, default: null },
+      startedBy: { type: String, default: null },
+      // The draft agreement created for the next term and its first version
+      renewalAgreementId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      renewalVersionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      // Set on a renewal draft: the agreement it renews
+      renewedFromId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
 
     createdBy: { type: String, default: null },
     updatedBy: { type: String, default: null },
@@ -323,6 +403,7 @@ const CustomerHeaderDocSchema = new mongoose.Schema(
 CustomerHeaderDocSchema.index({ createdAt: -1 });
 CustomerHeaderDocSchema.index({ isDeleted: 1, createdAt: -1 });
 CustomerHeaderDocSchema.index({ 'payload.headerTitle': 'text' });
+CustomerHeaderDocSchema.index({ status: 1, 'renewal.termEnd': 1 });
 
 export default mongoose.models.CustomerHeaderDoc
   || mongoose.model("CustomerHeaderDoc", CustomerHeaderDocSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ACCESS_ROLES } from "../config/rbacConfig.js";
 
 const EmployeeSchema = new mongoose.Schema(
   {
@@ -27,12 +28,28 @@ const EmployeeSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    accessRole: {
+      type: String,
+      enum: ACCESS_ROLES,
+      default: "salesperson",
+    },
     lastLoginAt: {
       type: Date,
     },
     passwordChangedAt: {
       type: Date,
     },
+    sessionsRevokedAt: {
+      type: Date,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -41,7 +58,7 @@ const EmployeeSchema = new mongoose.Schema(
 
 // Static method to create an employee with hashed password
 EmployeeSchema.statics.createEmployee = async function (data) {
-  const { username, password, fullName, email } = data;
+  const { username, password, fullName, email, accessRole } = data;
   const passwordHash = await bcrypt.hash(password, 10);
 
   return this.create({
@@ -49,6 +66,7 @@ EmployeeSchema.statics.createEmployee = async function (data) {
     passwordHash,
     fullName,
     email,
+    accessRole,
     isActive: true,
   });
 };
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// AES-256-GCM ciphertext produced by utils/credentialCrypto.js
+const EncryptedValueSchema = new mongoose.Schema(
+  {
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    data: { type: String, required: true },
+    keyId: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const IntegrationCredentialSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["zoho"],
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["connected", "error", "disconnected"],
+      default: "connected",
+    },
+    // "oauth" when granted through /oauth/callback, "environment" when imported from ZOHO_REFRESH_TOKEN
+    source: { type: String, enum: ["oauth", "environment"], default: "oauth" },
+
+    refreshToken: { type: EncryptedValueSchema, default: null },
+    accessToken: { type: EncryptedValueSchema, default: null },
+    accessTokenExpiresAt: { type: Date, default: null },
+
+    scopes: { type: [String], default: [] },
+    dataCenter: { type: String, default: null },
+    accountsUrl: { type: String, default: null },
+    apiDomain: { type: String, default: null },
+
+    connectedAt: { type: Date, default: null },
+    connectedBy: { type: String, default: null },
+    lastRefreshAt: { type: Date, default: null },
+    refreshCount: { type: Number, default: 0 },
+    lastRefreshError: { type: String, default: null },
+    lastRefreshErrorAt: { type: Date, default: null },
+
+    // Only one PM2 worker refreshes at a time; the others wait and reuse its token.
+    refreshLock: {
+      holder: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true },
+);
+
+const IntegrationCredential = mongoose.model("IntegrationCredential", IntegrationCredentialSchema);
+export default IntegrationCredential;
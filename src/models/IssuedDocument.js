@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Append-only record of every PDF we stored or sent out: its SHA-256, the
+// verification code printed in it and its link in the per-agreement hash chain.
+const IssuedDocumentSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    sha256: { type: String, required: true },
+    sizeBytes: { type: Number, default: 0 },
+
+    documentType: {
+      type: String,
+      // preview: compiled from an unsaved payload
+      enum: ["agreement", "version", "manualUpload", "preview"],
+      required: true,
+    },
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    agreementId: { type: mongoose.Schema.Types.ObjectId, ref: "CustomerHeaderDoc", default: null },
+    versionNumber: { type: Number, default: null },
+    fileName: { type: String, default: null },
+    // stored: the copy kept on the document; anything else is a copy sent out
+    channel: {
+      type: String,
+      enum: ["stored", "download", "email", "zoho", "preview"],
+      default: "stored",
+    },
+
+    // "agreement:<id>" for agreement PDFs, versions and attachments; "<documentType>:<id>" otherwise
+    chainKey: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    previousHash: { type: String, default: null },
+    chainHash: { type: String, required: true },
+
+    issuedAt: { type: Date, required: true },
+    issuedBy: { type: String, default: null },
+    verifyCount: { type: Number, default: 0 },
+    lastVerifiedAt: { type: Date, default: null },
+  },
+  { versionKey: false },
+);
+
+IssuedDocumentSchema.index({ code: 1 }, { unique: true });
+IssuedDocumentSchema.index({ chainKey: 1, sequence: 1 }, { unique: true });
+IssuedDocumentSchema.index({ documentType: 1, documentId: 1, issuedAt: -1 });
+
+const IssuedDocument = mongoose.model("IssuedDocument", IssuedDocumentSchema);
+export default IssuedDocument;
@@ -9,6 +9,19 @@ const ZohoRefSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: { type: String, default: null },
+    actorId: { type: String, default: null },
+    actorRole: { type: String, default: null },
+    comment: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const ManualUploadDocumentSchema = new mongoose.Schema(
   {
     fileName: {
@@ -40,9 +53,24 @@ const ManualUploadDocumentSchema = new mongoose.Schema(
       enum: ["uploaded", "processing", "completed", "failed", "pending_approval", "approved_salesman", "approved_admin"],
       default: "uploaded",
     },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
     pdfBuffer: {
       type: Buffer,
-      required: true,
+      required: function () {
+        if (!this || this instanceof mongoose.Query) return false;
+        return !this.storageKey;
+      },
+    },
+    storageDriver: { type: String, default: null },
+    storageKey: { type: String, default: null },
+    // Hash of the uploaded file; uploads get a code but nothing is printed into them
+    integrity: {
+      sha256: { type: String, default: null },
+      code: { type: String, default: null },
+      sequence: { type: Number, default: null },
+      previousHash: { type: String, default: null },
+      chainHash: { type: String, default: null },
+      issuedAt: { type: Date, default: null },
     },
     zoho: {
       bigin: { type: ZohoRefSchema, default: () => ({}) },
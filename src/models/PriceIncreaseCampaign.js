@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const CampaignFiltersSchema = new mongoose.Schema(
+  {
+    statuses: { type: [String], default: () => ["active"] },
+    // Agreements with at least one of these services active (empty = any)
+    services: { type: [String], default: [] },
+    // Case-insensitive match on headerRows values, optionally only rows whose label contains regionLabel
+    region: { type: String, default: null },
+    regionLabel: { type: String, default: null },
+    // createdBy or serviceAgreement.emSalesRepresentative
+    salesperson: { type: String, default: null },
+    startDateFrom: { type: String, default: null },
+    startDateTo: { type: String, default: null },
+    agreementIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  },
+  { _id: false },
+);
+
+const CampaignAdjustmentSchema = new mongoose.Schema(
+  {
+    // percent: every charge on a matched line × (1 + value/100)
+    // fixed: value added per visit (services) or per unit (products)
+    type: { type: String, enum: ["percent", "fixed"], required: true },
+    value: { type: Number, required: true },
+    scope: { type: String, enum: ["services", "products", "all"], default: "all" },
+    serviceKeys: { type: [String], default: [] },
+    productKeys: { type: [String], default: [] },
+  },
+  { _id: false },
+);
+
+const CampaignCountsSchema = new mongoose.Schema(
+  {
+    total: { type: Number, default: 0 },
+    applied: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    rolledBack: { type: Number, default: 0 },
+    conflicts: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+const PriceIncreaseCampaignSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    // applying / rolling_back: a worker is processing the agreements (see heartbeatAt)
+    status: {
+      type: String,
+      enum: ["draft", "applying", "applied", "partially_applied", "failed", "rolling_back", "rolled_back"],
+      default: "draft",
+      index: true,
+    },
+    filters: { type: CampaignFiltersSchema, default: () => ({}) },
+    adjustment: { type: CampaignAdjustmentSchema, required: true },
+    effectiveDate: { type: Date, required: true },
+    noticeMessage: { type: String, default: "" },
+
+    preview: {
+      previewedAt: { type: Date, default: null },
+      matched: { type: Number, default: 0 },
+      affected: { type: Number, default: 0 },
+      contractValueBefore: { type: Number, default: 0 },
+      contractValueAfter: { type: Number, default: 0 },
+      contractValueDelta: { type: Number, default: 0 },
+    },
+    progress: { type: CampaignCountsSchema, default: () => ({}) },
+
+    lockedBy: { type: String, default: null },
+    heartbeatAt: { type: Date, default: null },
+    appliedAt: { type: Date, default: null },
+    appliedBy: { type: String, default: null },
+    rolledBackAt: { type: Date, default: null },
+    rolledBackBy: { type: String, default: null },
+    lastError: { type: String, default: null },
+
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+PriceIncreaseCampaignSchema.index({ createdAt: -1 });
+
+const PriceIncreaseCampaign = mongoose.model("PriceIncreaseCampaign", PriceIncreaseCampaignSchema);
+export default PriceIncreaseCampaign;
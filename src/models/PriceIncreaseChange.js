@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const ChangeTotalsSchema = new mongoose.Schema(
+  {
+    serviceAgreementTotal: { type: Number, default: 0 },
+    productMonthlyTotal: { type: Number, default: 0 },
+    productContractTotal: { type: Number, default: 0 },
+    contractValue: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+// One agreement touched by a price increase campaign, and everything needed to undo it.
+const PriceIncreaseChangeSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceIncreaseCampaign",
+      required: true,
+    },
+    agreementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerHeaderDoc",
+      required: true,
+    },
+    // rollback_conflict: the agreement was edited or got a newer version after the increase
+    status: {
+      type: String,
+      enum: ["pending", "applied", "skipped", "failed", "rolled_back", "rollback_conflict", "rollback_failed"],
+      default: "pending",
+    },
+    customerName: { type: String, default: "" },
+    agreementTitle: { type: String, default: "" },
+    salesperson: { type: String, default: null },
+
+    // [{ section, key, label, detail, previous, next }]
+    lines: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    before: { type: ChangeTotalsSchema, default: () => ({}) },
+    after: { type: ChangeTotalsSchema, default: () => ({}) },
+    contractValueDelta: { type: Number, default: 0 },
+
+    previousPayload: { type: mongoose.Schema.Types.Mixed, default: null },
+    previousVersionNumber: { type: Number, default: null },
+    versionId: { type: mongoose.Schema.Types.ObjectId, ref: "VersionPdf", default: null },
+    versionNumber: { type: Number, default: null },
+    // SHA-256 of the payload as the increase saved it; rollback compares the live payload
+    appliedPayloadHash: { type: String, default: null },
+
+    notice: {
+      fileName: { type: String, default: null },
+      contentType: { type: String, default: "application/pdf" },
+      sizeBytes: { type: Number, default: 0 },
+      storedAt: { type: Date, default: null },
+      pdfBuffer: { type: Buffer, default: null },
+      externalUrl: { type: String, default: null },
+      storageDriver: { type: String, default: null },
+      storageKey: { type: String, default: null },
+      error: { type: String, default: null },
+    },
+
+    skipReason: { type: String, default: null },
+    error: { type: String, default: null },
+    appliedAt: { type: Date, default: null },
+    rolledBackAt: { type: Date, default: null },
+    rolledBackBy: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+PriceIncreaseChangeSchema.index({ campaignId: 1, agreementId: 1 }, { unique: true });
+PriceIncreaseChangeSchema.index({ agreementId: 1, createdAt: -1 });
+
+const PriceIncreaseChange = mongoose.model("PriceIncreaseChange", PriceIncreaseChangeSchema);
+export default PriceIncreaseChange;
@@ -116,6 +116,16 @@ const PriceOverrideLogSchema = new mongoose.Schema(
       default: false
     },
 
+    policyViolations: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+
+    policyEvaluatedAt: {
+      type: Date,
+      default: null
+    },
+
     sessionId: {
       type: String,
       required: [true, 'Session ID is required']
@@ -128,7 +138,8 @@ const PriceOverrideLogSchema = new mongoose.Schema(
 
     source: {
       type: String,
-      enum: ['form_filling', 'edit_mode', 'version_update'],
+      // pricing_engine: found by repricing the agreement on the server
+      enum: ['form_filling', 'edit_mode', 'version_update', 'pricing_engine'],
       default: 'form_filling'
     },
 
@@ -259,9 +270,13 @@ PriceOverrideLogSchema.pre('save', function(next) {
       ? ((this.changeAmount / this.originalValue) * 100)
       : 0;
 
+    // When the admin override policy already ruled on this log, keep its decision.
+    const policyDecision = this.policyEvaluatedAt ? this.requiresApproval : null;
     this.calculateSignificance();
 
-    if (!this.requiresApproval) {
+    if (policyDecision !== null) {
+      this.requiresApproval = policyDecision;
+    } else if (!this.requiresApproval) {
       this.reviewStatus = 'auto_approved';
     }
   }
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Append-only record of every published pricing draft: what changed, who
+// proposed it and who approved it.
+const PricingChangeAuditSchema = new mongoose.Schema(
+  {
+    draftId: { type: mongoose.Schema.Types.ObjectId, ref: "PricingDraft", required: true },
+    targetType: { type: String, enum: ["serviceConfig", "productCatalog"], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    targetLabel: { type: String, default: null },
+    operation: { type: String, enum: ["replace", "partial"], required: true },
+    diff: { type: mongoose.Schema.Types.Mixed, default: null },
+    note: { type: String, default: "" },
+
+    proposedBy: {
+      id: { type: String, default: null },
+      username: { type: String, default: null },
+    },
+    proposedAt: { type: Date, default: null },
+    approvedBy: {
+      id: { type: String, default: null },
+      username: { type: String, default: null },
+    },
+    approvedAt: { type: Date, required: true },
+    approvalComment: { type: String, default: "" },
+    backupId: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+PricingChangeAuditSchema.index({ approvedAt: -1 });
+PricingChangeAuditSchema.index({ targetType: 1, targetId: 1, approvedAt: -1 });
+
+export default mongoose.model("PricingChangeAudit", PricingChangeAuditSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const ActorSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: null },
+    username: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const DraftEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["created", "edited", "submitted", "withdrawn", "approved", "rejected", "published", "publish_failed"],
+      required: true,
+    },
+    by: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+    comment: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+// A proposed edit to a ServiceConfig or ProductCatalog that only goes live
+// once a second admin approves it.
+const PricingDraftSchema = new mongoose.Schema(
+  {
+    targetType: { type: String, enum: ["serviceConfig", "productCatalog"], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // serviceId or catalog version, for lists and the audit trail
+    targetLabel: { type: String, default: null },
+    // Same body as PUT /:id (replace) or PUT /:id/partial
+    operation: { type: String, enum: ["replace", "partial"], required: true },
+    changes: { type: mongoose.Schema.Types.Mixed, required: true },
+    note: { type: String, default: "" },
+
+    // Live document's updatedAt when the diff was taken; publishing refuses a stale draft.
+    baseUpdatedAt: { type: Date, default: null },
+    diff: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    status: {
+      type: String,
+      enum: ["draft", "pending_review", "publishing", "published", "rejected", "withdrawn"],
+      default: "draft",
+    },
+
+    proposedBy: { type: ActorSchema, default: () => ({}) },
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: ActorSchema, default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewComment: { type: String, default: "" },
+    publishedAt: { type: Date, default: null },
+    // pricingBackup block from the publish-time backup
+    backup: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+
+    history: { type: [DraftEventSchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+PricingDraftSchema.index({ status: 1, createdAt: -1 });
+PricingDraftSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+export default mongoose.model("PricingDraft", PricingDraftSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// One document per scheduled job; whoever holds an unexpired lease runs it.
+const SchedulerLeaseSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    owner: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+
+    // Identifies the last completed run (e.g. the day for a nightly job)
+    lastRunKey: { type: String, default: null },
+    lastRunStartedAt: { type: Date, default: null },
+    lastRunFinishedAt: { type: Date, default: null },
+    lastRunResult: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+const SchedulerLease = mongoose.model("SchedulerLease", SchedulerLeaseSchema);
+export default SchedulerLease;
@@ -21,6 +21,12 @@ const ServiceConfigSchema = new mongoose.Schema(
 
     isActive: { type: Boolean, default: false },
 
+    // Scheduled activation: in effect from local midnight of effectiveFrom up to
+    // (not including) effectiveTo; null effectiveTo means open-ended. Undated
+    // configs are activated by hand as before.
+    effectiveFrom: { type: Date, default: null },
+    effectiveTo: { type: Date, default: null },
+
     adminByDisplay: { type: Boolean, default: true },
 
     tags: [{ type: String }],
@@ -45,5 +51,6 @@ const ServiceConfigSchema = new mongoose.Schema(
 );
 
 ServiceConfigSchema.index({ serviceId: 1, isActive: 1 });
+ServiceConfigSchema.index({ serviceId: 1, effectiveFrom: 1 });
 
 export default mongoose.model("ServiceConfig", ServiceConfigSchema);
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+const SignatureEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["created", "emailed", "viewed", "signed", "revoked", "failed"],
+      required: true,
+    },
+    at: { type: Date, default: Date.now },
+    actor: { type: String, default: null },
+    ip: { type: String, default: null },
+    forwardedFor: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    detail: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const StoredPdfSchema = new mongoose.Schema(
+  {
+    sizeBytes: { type: Number, default: 0 },
+    contentType: { type: String, default: "application/pdf" },
+    storedAt: { type: Date, default: null },
+    pdfBuffer: { type: Buffer, default: null },
+    externalUrl: { type: String, default: null },
+    storageDriver: { type: String, default: null },
+    storageKey: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+// A tokenized link that lets a customer sign one agreement version.
+const SignatureRequestSchema = new mongoose.Schema(
+  {
+    agreementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerHeaderDoc",
+      required: true,
+    },
+    versionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VersionPdf",
+      required: true,
+    },
+    versionNumber: { type: Number, required: true },
+
+    // Only the SHA-256 of the link token is stored.
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    // signing: a submission is being stamped into the PDF
+    status: {
+      type: String,
+      enum: ["pending", "viewed", "signing", "signed", "revoked"],
+      default: "pending",
+    },
+    // While "signing": when the submission's claim lapses and another may take over
+    signingLeaseUntil: { type: Date, default: null },
+
+    signerName: { type: String, default: "" },
+    signerEmail: { type: String, default: null },
+    // SHA-256 of the version PDF the customer was shown
+    documentHash: { type: String, required: true },
+
+    signature: {
+      method: { type: String, enum: ["drawn", "typed", null], default: null },
+      signerName: { type: String, default: null },
+      signerTitle: { type: String, default: null },
+      typedSignature: { type: String, default: null },
+      image: { type: Buffer, default: null },
+      imageHash: { type: String, default: null },
+      signedAt: { type: Date, default: null },
+      ip: { type: String, default: null },
+      forwardedFor: { type: String, default: null },
+      userAgent: { type: String, default: null },
+    },
+
+    events: { type: [SignatureEventSchema], default: [] },
+    // SHA-256 over the document hash, signer details, signature image hash and events
+    auditHash: { type: String, default: null },
+    signedPdfHash: { type: String, default: null },
+    signedPdf: { type: StoredPdfSchema, default: null },
+    // The version PDF as it was before stamping; kept for the audit trail
+    unsignedPdf: { type: StoredPdfSchema, default: null },
+
+    createdBy: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: String, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+SignatureRequestSchema.index({ tokenHash: 1 }, { unique: true });
+SignatureRequestSchema.index({ agreementId: 1, createdAt: -1 });
+SignatureRequestSchema.index({ versionId: 1, status: 1 });
+
+const SignatureRequest = mongoose.model("SignatureRequest", SignatureRequestSchema);
+export default SignatureRequest;
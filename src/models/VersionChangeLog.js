@@ -13,20 +13,14 @@ const FieldChangeSchema = new mongoose.Schema({
 
   productType: {
     type: String,
-    enum: ['product', 'dispenser', 'service'],
+    enum: ['product', 'dispenser', 'service', 'agreement_text'],
     required: [true, 'Product type is required']
   },
 
+  // Client-reported overrides use the pricing field names; server-side
+  // version diffs also report breakdown lines, totals and text fields.
   fieldType: {
     type: String,
-    enum: [
-      'unitPrice', 'amount', 'warrantyPrice', 'replacementPrice', 'total',
-      'hourlyRate', 'minimumVisit', 'customPerVisitTotal', 'workers', 'hours', 'customAmount',
-      'insideSqFt', 'outsideSqFt', 'insideRate', 'outsideRate', 'sqFtFixedFee',
-      'customStandardBathroomTotal', 'customHugeBathroomTotal', 'customExtraAreaTotal',
-      'customStandaloneTotal', 'customChemicalTotal', 'customPerVisitPrice',
-      'customMonthlyRecurring', 'customFirstMonthPrice', 'customContractTotal'
-    ],
     required: [true, 'Field type is required']
   },
 
@@ -35,24 +29,40 @@ const FieldChangeSchema = new mongoose.Schema({
     required: [true, 'Field display name is required']
   },
 
+  changeType: {
+    type: String,
+    enum: ['numeric', 'text'],
+    default: 'numeric'
+  },
+
   originalValue: {
     type: Number,
-    required: [true, 'Original value is required']
+    default: 0
   },
 
   newValue: {
     type: Number,
-    required: [true, 'New value is required']
+    default: 0
   },
 
   changeAmount: {
     type: Number,
-    required: [true, 'Change amount is required']
+    default: 0
   },
 
   changePercentage: {
     type: Number,
-    required: [true, 'Change percentage is required']
+    default: 0
+  },
+
+  originalText: {
+    type: String,
+    default: ''
+  },
+
+  newText: {
+    type: String,
+    default: ''
   },
 
   quantity: {
@@ -17,6 +17,19 @@ const ZohoVersionRefSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: { type: String, default: null },
+    actorId: { type: String, default: null },
+    actorRole: { type: String, default: null },
+    comment: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const VersionPdfSchema = new mongoose.Schema(
   {
     agreementId: {
@@ -42,8 +55,30 @@ const VersionPdfSchema = new mongoose.Schema(
       sizeBytes: { type: Number, default: 0 },
       contentType: { type: String, default: "application/pdf" },
       storedAt: { type: Date, default: Date.now },
-      pdfBuffer: { type: Buffer, required: [true, 'PDF buffer is required'] },
+      pdfBuffer: {
+        type: Buffer,
+        required: [
+          function() {
+            // Update validators run without a document; only enforce on saves.
+            if (!this || this instanceof mongoose.Query) return false;
+            return !this.pdf_meta?.storageKey;
+          },
+          'PDF buffer is required'
+        ]
+      },
       externalUrl: { type: String, default: null },
+      storageDriver: { type: String, default: null },
+      storageKey: { type: String, default: null },
+      watermarked: { type: Boolean, default: null },
+      // SHA-256 and verification code recorded when the PDF was stored (see IssuedDocument)
+      integrity: {
+        sha256: { type: String, default: null },
+        code: { type: String, default: null },
+        sequence: { type: Number, default: null },
+        previousHash: { type: String, default: null },
+        chainHash: { type: String, default: null },
+        issuedAt: { type: Date, default: null },
+      },
     },
 
     payloadSnapshot: {
@@ -69,9 +104,13 @@ const VersionPdfSchema = new mongoose.Schema(
       enum: ['draft', 'saved', 'pending_approval', 'approved_salesman', 'approved_admin'],
       default: 'saved'
     },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
 
     changeNotes: { type: String, default: "" },
 
+    // PDF job that produced this version, so a retried job reuses it instead of adding another.
+    sourceJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomerHeaderJob', default: null },
+
     fileName: {
       type: String,
       default: function() {
@@ -82,6 +121,17 @@ const VersionPdfSchema = new mongoose.Schema(
     isDeleted: { type: Boolean, default: false },
     deletedAt: { type: Date, default: null },
     deletedBy: { type: String, default: null },
+
+    // Set once the customer signs; locked versions are never recompiled, replaced or deleted.
+    lockedAt: { type: Date, default: null },
+    signature: {
+      requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'SignatureRequest', default: null },
+      signerName: { type: String, default: null },
+      signedAt: { type: Date, default: null },
+      auditHash: { type: String, default: null },
+      unsignedPdfHash: { type: String, default: null },
+      signedPdfHash: { type: String, default: null },
+    },
   },
   {
     timestamps: true,
@@ -93,6 +143,7 @@ VersionPdfSchema.index({ agreementId: 1, versionNumber: 1 }, { unique: true });
 VersionPdfSchema.index({ agreementId: 1, createdAt: -1 });
 VersionPdfSchema.index({ agreementId: 1, status: 1, isDeleted: 1 });
 VersionPdfSchema.index({ agreementId: 1, versionNumber: -1 });
+VersionPdfSchema.index({ agreementId: 1, sourceJobId: 1 });
 
 VersionPdfSchema.statics.getNextVersionNumber = async function(agreementId) {
   const latestVersion = await this.findOne(
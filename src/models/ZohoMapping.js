@@ -46,6 +46,22 @@ const zohoMappingSchema = new mongoose.Schema({
       type: String,
       required: true,
       description: "Current deal stage (e.g., 'Proposal')"
+    },
+    stageChangedAt: {
+      type: Date,
+      default: null,
+      description: "Bigin Modified_Time of the last inbound stage change (orders webhook/poll updates)"
+    },
+    stageSyncedAt: {
+      type: Date,
+      default: null,
+      description: "When the stage was last pulled back from Bigin"
+    },
+    stageSource: {
+      type: String,
+      enum: ['upload', 'webhook', 'poll', null],
+      default: null,
+      description: "How the current stage was learned"
     }
   },
 
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const OutboxFileSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, default: "" },
+    contentType: { type: String, default: "application/pdf" },
+    sizeBytes: { type: Number, default: 0 },
+    buffer: { type: Buffer, default: null },
+  },
+  { _id: false },
+);
+
+const ZohoSyncOperationSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["deal", "deal_update", "note", "file", "task"],
+      required: true,
+    },
+    // blocked: waiting for the operation in dependsOn to complete
+    // dead: failed permanently or ran out of attempts (dead-letter view)
+    // needs_check: a create whose worker lock expired mid-request; it may already exist in Bigin
+    status: {
+      type: String,
+      enum: ["blocked", "queued", "processing", "completed", "dead", "needs_check", "discarded"],
+      default: "queued",
+      index: true,
+    },
+    agreementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerHeaderDoc",
+      default: null,
+    },
+    // Bigin pipeline record; filled from the deal operation when it completes
+    dealId: { type: String, default: null },
+    dependsOn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ZohoSyncOperation",
+      default: null,
+    },
+    batchId: { type: String, default: null },
+
+    // Arguments for the zohoService call (deal fields, mapped field updates, note title/content, task fields)
+    payload: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    file: { type: OutboxFileSchema, default: undefined },
+    // Local bookkeeping applied after success: { mapping }, { recordUpload }, { approvalTask }
+    context: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    rateLimitHits: { type: Number, default: 0 },
+    nextRunAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+    lastStatus: { type: Number, default: null },
+    errorDetail: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    deadLetteredAt: { type: Date, default: null },
+    replayCount: { type: Number, default: 0 },
+    replayedAt: { type: Date, default: null },
+    replayedBy: { type: String, default: null },
+    discardedAt: { type: Date, default: null },
+    discardedBy: { type: String, default: null },
+    discardReason: { type: String, default: null },
+
+    requestedBy: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+ZohoSyncOperationSchema.index({ status: 1, nextRunAt: 1, createdAt: 1 });
+ZohoSyncOperationSchema.index({ agreementId: 1, createdAt: -1 });
+ZohoSyncOperationSchema.index({ dependsOn: 1 });
+ZohoSyncOperationSchema.index({ batchId: 1 });
+ZohoSyncOperationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ZohoSyncOperation = mongoose.model("ZohoSyncOperation", ZohoSyncOperationSchema);
+export default ZohoSyncOperation;
@@ -1,97 +1,11 @@
 import mongoose from "mongoose";
 
-const HeaderRowSchema = new mongoose.Schema(
-  {
-    labelLeft: { type: String, default: "" },
-    valueLeft: { type: String, default: "" },
-    labelRight: { type: String, default: "" },
-    valueRight: { type: String, default: "" },
-  },
-  { _id: false },
-);
-
-const ProductsSchema = new mongoose.Schema(
-  {
-    headers: { type: [String], default: [] },
-    rows: { type: [mongoose.Schema.Types.Mixed], default: [] },
-  },
-  { _id: false },
-);
-
-const ServiceRowSchema = new mongoose.Schema(
-  {
-    type: { type: String, enum: ["line", "bold", "atCharge"], default: "line" },
-    label: { type: String, default: "" },
-    value: { type: String, default: "" },
-    v1: { type: String, default: "" },
-    v2: { type: String, default: "" },
-    v3: { type: String, default: "" },
-  },
-  { _id: false },
-);
-
-const ServiceColumnSchema = new mongoose.Schema(
-  {
-    heading: { type: String, default: "" },
-    rows: { type: [ServiceRowSchema], default: [] },
-    sections: { type: [mongoose.Schema.Types.Mixed], default: [] },
-  },
-  { _id: false },
-);
-
-const RefreshPowerScrubSchema = new mongoose.Schema(
-  {
-    heading: { type: String, default: "" },
-    columns: { type: [String], default: [] },
-    freqLabels: { type: [String], default: [] },
-  },
-  { _id: false },
-);
-
-const ServiceNotesSchema = new mongoose.Schema(
-  {
-    heading: { type: String, default: "" },
-    lines: { type: Number, default: 3 },
-    textLines: { type: [String], default: [] },
-  },
-  { _id: false },
-);
-
-const ServicesSchema = new mongoose.Schema(
-  {
-    topRow: { type: [ServiceColumnSchema], default: [] },
-    bottomRow: { type: [ServiceColumnSchema], default: [] },
-    refreshPowerScrub: { type: RefreshPowerScrubSchema, default: undefined },
-    notes: { type: ServiceNotesSchema, default: undefined },
-  },
-  { _id: false },
-);
-
-const AgreementSchema = new mongoose.Schema(
-  {
-    enviroOf: { type: String, default: "" },
-    customerExecutedOn: { type: String, default: "" },
-    additionalMonths: { type: String, default: "" },
-  },
-  { _id: false },
-);
-
-const CustomerHeaderPayloadSchema = new mongoose.Schema(
-  {
-    headerTitle: { type: String, default: "" },
-    headerRows: { type: [HeaderRowSchema], default: [] },
-    products: { type: ProductsSchema, default: undefined },
-    services: { type: ServicesSchema, default: undefined },
-    agreement: { type: AgreementSchema, default: undefined },
-  },
-  { _id: false, minimize: false },
-);
-
 const PdfMetaSchema = new mongoose.Schema(
   {
     filename: { type: String, default: "customer-header.pdf" },
     sizeBytes: { type: Number, default: 0 },
     mimeType: { type: String, default: "application/pdf" },
+    buffer: { type: Buffer, default: null },
   },
   { _id: false },
 );
@@ -103,16 +17,72 @@ const RemoteCompilerSchema = new mongoose.Schema(
     durationMs: { type: Number, default: 0 },
     ok: { type: Boolean, default: true },
     error: { type: String, default: "" },
+    errorType: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const JobProgressSchema = new mongoose.Schema(
+  {
+    stage: {
+      type: String,
+      enum: ["queued", "compiling", "storing", "done", "retrying", "failed"],
+      default: "queued",
+    },
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: "" },
   },
   { _id: false },
 );
 
 const CustomerHeaderJobSchema = new mongoose.Schema(
   {
-    kind: { type: String, default: "customer-header" },
-    payload: { type: CustomerHeaderPayloadSchema, required: true },
-    pdf: { type: PdfMetaSchema, required: true },
+    // customer-header: compile a raw payload and keep the PDF on the job
+    // agreement-version: create a new VersionPdf from the agreement payload
+    // version-regenerate: recompile an existing VersionPdf snapshot in place
+    kind: {
+      type: String,
+      enum: ["customer-header", "agreement-version", "version-regenerate"],
+      default: "customer-header",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", "cancelled"],
+      default: "queued",
+      index: true,
+    },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+    options: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    agreementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerHeaderDoc",
+      default: null,
+    },
+    versionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VersionPdf",
+      default: null,
+    },
+    batchId: { type: String, default: null },
+    priority: { type: Number, default: 0 },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    nextRunAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+
+    progress: { type: JobProgressSchema, default: () => ({}) },
+    pdf: { type: PdfMetaSchema, default: () => ({}) },
     compiler: { type: RemoteCompilerSchema, default: undefined },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+    errorDetail: { type: String, default: null },
+
+    requestedBy: { type: String, default: null },
     isDeleted: { type: Boolean, default: false },
     deletedAt: { type: Date, default: null },
     deletedBy: { type: String, default: null },
@@ -122,6 +92,9 @@ const CustomerHeaderJobSchema = new mongoose.Schema(
 
 CustomerHeaderJobSchema.index({ createdAt: -1 });
 CustomerHeaderJobSchema.index({ kind: 1 });
+CustomerHeaderJobSchema.index({ status: 1, nextRunAt: 1, priority: -1 });
+CustomerHeaderJobSchema.index({ batchId: 1 });
+CustomerHeaderJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const CustomerHeaderJob = mongoose.model(
   "CustomerHeaderJob",
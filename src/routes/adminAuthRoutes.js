@@ -9,19 +9,31 @@ import {
   getAdminDashboardStatusCounts,
   resetAdminPassword,
 } from "../controllers/adminAuthController.js";
-import { requireAdminAuth } from "../middleware/adminAuth.js";
+import {
+  refreshSession,
+  logout,
+  logoutAllSessions,
+  getMySessions,
+  revokeMySession,
+} from "../controllers/authSessionController.js";
+import { authorize } from "../middleware/authorize.js";
 
 const router = Router();
 
 router.post("/login", adminLogin);
 router.post("/reset-password", resetAdminPassword);
+router.post("/refresh", refreshSession);
+router.post("/logout", logout);
 
-router.get("/me", requireAdminAuth, getAdminProfile);
-router.post("/change-password", requireAdminAuth, changeAdminPassword);
-router.post("/create", createAdminAccount);
+router.get("/me", authorize(), getAdminProfile);
+router.post("/change-password", authorize(), changeAdminPassword);
+router.post("/logout-all", authorize(), logoutAllSessions);
+router.get("/sessions", authorize(), getMySessions);
+router.delete("/sessions/:sessionId", authorize(), revokeMySession);
+router.post("/create", authorize("users:manage"), createAdminAccount);
 
-router.get("/dashboard", requireAdminAuth, getAdminDashboard);
-router.get("/recent-documents", requireAdminAuth, getAdminRecentDocuments);
-router.get("/dashboard/status-counts", requireAdminAuth, getAdminDashboardStatusCounts);
+router.get("/dashboard", authorize("reports:read"), getAdminDashboard);
+router.get("/recent-documents", authorize("reports:read"), getAdminRecentDocuments);
+router.get("/dashboard/status-counts", authorize("reports:read"), getAdminDashboardStatusCounts);
 
 export default router;
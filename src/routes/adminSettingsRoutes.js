@@ -1,10 +1,18 @@
 import express from 'express';
 import AdminSettings from '../models/AdminSettings.js';
+import { authorize, requireAgreementAccess } from '../middleware/authorize.js';
+import { validatePriceOverridePolicy, validateZohoStageSync } from '../validations/adminSettingsValidation.js';
+import {
+  getZohoDealFieldMapping,
+  updateZohoDealFieldMapping,
+  getZohoDealFieldOptions,
+  previewZohoDealFields,
+} from '../controllers/zohoFieldMappingController.js';
 
 const router = express.Router();
 
 // GET /api/admin-settings
-router.get('/', async (req, res) => {
+router.get('/', authorize('settings:read'), async (req, res) => {
   try {
     const settings = await AdminSettings.getSingleton();
     return res.json({ success: true, settings });
@@ -15,9 +23,36 @@ router.get('/', async (req, res) => {
 });
 
 // PATCH /api/admin-settings
-router.patch('/', async (req, res) => {
+router.patch('/', authorize('settings:write'), async (req, res) => {
   try {
-    const { defaultApprovalTaskOwner, approvalTaskSubject } = req.body;
+    const { defaultApprovalTaskOwner, approvalTaskSubject, priceOverridePolicy, zohoStageSync } = req.body;
+
+    let policyUpdate = null;
+    if (priceOverridePolicy !== undefined) {
+      const { error, value } = validatePriceOverridePolicy(priceOverridePolicy);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid priceOverridePolicy',
+          details: error.details.map((d) => d.message),
+        });
+      }
+      policyUpdate = value;
+    }
+
+    let stageSyncUpdate = null;
+    if (zohoStageSync !== undefined) {
+      const { error, value } = validateZohoStageSync(zohoStageSync);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid zohoStageSync',
+          details: error.details.map((d) => d.message),
+        });
+      }
+      stageSyncUpdate = value;
+    }
+
     const settings = await AdminSettings.getSingleton();
 
     if (defaultApprovalTaskOwner !== undefined) {
@@ -26,6 +61,14 @@ router.patch('/', async (req, res) => {
     if (approvalTaskSubject !== undefined) {
       settings.approvalTaskSubject = approvalTaskSubject;
     }
+    if (policyUpdate) {
+      const current = settings.priceOverridePolicy?.toObject?.() || {};
+      settings.priceOverridePolicy = { ...current, ...policyUpdate };
+    }
+    if (stageSyncUpdate) {
+      const current = settings.zohoStageSync?.toObject?.() || {};
+      settings.zohoStageSync = { ...current, ...stageSyncUpdate };
+    }
 
     await settings.save();
     console.log('✅ [ADMIN-SETTINGS] Updated:', settings.toObject());
@@ -36,4 +79,10 @@ router.patch('/', async (req, res) => {
   }
 });
 
+// Agreement payload → Bigin deal field mapping (validated against Bigin on save)
+router.get('/zoho-deal-fields', authorize('settings:read'), getZohoDealFieldMapping);
+router.put('/zoho-deal-fields', authorize('settings:write'), updateZohoDealFieldMapping);
+router.get('/zoho-deal-fields/options', authorize('settings:read'), getZohoDealFieldOptions);
+router.get('/zoho-deal-fields/preview/:agreementId', authorize('settings:read'), requireAgreementAccess('agreementId'), previewZohoDealFields);
+
 export default router;
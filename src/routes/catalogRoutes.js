@@ -1,10 +1,10 @@
 import { Router } from 'express';
 import { getCatalog, updateCatalog } from '../controllers/catalogController.js';
-import { requireAdmin } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/authorize.js';
 
 const r = Router();
 
-r.get('/', getCatalog);
-r.put('/', requireAdmin, updateCatalog);
+r.get('/', authorize('pricing:read'), getCatalog);
+r.put('/', authorize('pricing:write'), updateCatalog);
 
 export default r;
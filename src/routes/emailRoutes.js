@@ -4,13 +4,14 @@ import {
   verifyEmailConfiguration,
   sendTestEmail
 } from '../controllers/emailController.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = Router();
 
-router.post('/send', sendEmailWithPdf);
+router.post('/send', authorize('email:send'), sendEmailWithPdf);
 
-router.get('/verify-config', verifyEmailConfiguration);
+router.get('/verify-config', authorize('settings:read'), verifyEmailConfiguration);
 
-router.post('/send-test', sendTestEmail);
+router.post('/send-test', authorize('settings:write'), sendTestEmail);
 
 export default router;
@@ -4,13 +4,14 @@ import {
   updateTemplate,
   testTemplate
 } from '../controllers/emailTemplateController.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = Router();
 
-router.get('/active', getActiveTemplate);
+router.get('/active', authorize('settings:read'), getActiveTemplate);
 
-router.put('/', updateTemplate);
+router.put('/', authorize('settings:write'), updateTemplate);
 
-router.get('/test', testTemplate);
+router.get('/test', authorize('settings:read'), testTemplate);
 
 export default router;
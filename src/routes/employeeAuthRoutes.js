@@ -4,15 +4,27 @@ import {
   getEmployeeProfile,
   changeEmployeePassword,
 } from "../controllers/employeeAuthController.js";
-import { requireAuth } from "../middleware/authMiddleware.js";
+import {
+  refreshSession,
+  logout,
+  logoutAllSessions,
+  getMySessions,
+  revokeMySession,
+} from "../controllers/authSessionController.js";
+import { authorize } from "../middleware/authorize.js";
 
 const router = Router();
 
 // Public routes
 router.post("/login", employeeLogin);
+router.post("/refresh", refreshSession);
+router.post("/logout", logout);
 
 // Protected routes (require employee or admin auth)
-router.get("/me", requireAuth, getEmployeeProfile);
-router.post("/change-password", requireAuth, changeEmployeePassword);
+router.get("/me", authorize(), getEmployeeProfile);
+router.post("/change-password", authorize(), changeEmployeePassword);
+router.post("/logout-all", authorize(), logoutAllSessions);
+router.get("/sessions", authorize(), getMySessions);
+router.delete("/sessions/:sessionId", authorize(), revokeMySession);
 
 export default router;
@@ -8,8 +8,10 @@ import {
   updateManualUploadStatus,
   deleteManualUpload,
 } from "../controllers/manualUploadController.js";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
 
 const router = express.Router();
+const ownUpload = requireAgreementAccess("id", "manualUpload");
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -25,16 +27,16 @@ const upload = multer({
   },
 });
 
-router.post("/", upload.single("file"), uploadManualPdf);
+router.post("/", authorize("files:write"), upload.single("file"), uploadManualPdf);
 
-router.get("/", getManualUploads);
+router.get("/", authorize("files:read"), getManualUploads);
 
-router.get("/:id", getManualUploadById);
+router.get("/:id", authorize("files:read"), ownUpload, getManualUploadById);
 
-router.get("/:id/download", downloadManualUpload);
+router.get("/:id/download", authorize("files:read"), ownUpload, downloadManualUpload);
 
-router.patch("/:id/status", updateManualUploadStatus);
+router.patch("/:id/status", authorize("files:write"), ownUpload, updateManualUploadStatus);
 
-router.delete("/:id", deleteManualUpload);
+router.delete("/:id", authorize("files:write"), ownUpload, deleteManualUpload);
 
 export default router;
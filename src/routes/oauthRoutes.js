@@ -2,21 +2,21 @@ import { Router } from "express";
 import {
   handleZohoOAuthCallback,
   generateZohoAuthUrl,
+  verifyZohoOAuthState,
+  getZohoConnectionStatus,
   runZohoDiagnostics
 } from "../services/zohoService.js";
+import { authorize } from "../middleware/authorize.js";
 
 const router = Router();
 
-const maskValue = (value, length = 6) => {
-  if (!value) return "Not configured";
-  return `${value.substring(0, Math.min(length, value.length))}...`;
-};
+const configuredLabel = (value) => (value ? "Configured" : "Not configured");
 
-router.get("/zoho/auth", async (req, res) => {
+router.get("/zoho/auth", authorize("system:admin"), async (req, res) => {
   try {
     console.log("Generating Zoho OAuth authorization URL...");
 
-    const authUrl = generateZohoAuthUrl();
+    const authUrl = generateZohoAuthUrl({ requestedBy: req.user?.username });
 
     console.log("OAuth URL generated successfully");
 
@@ -35,14 +35,14 @@ router.get("/zoho/auth", async (req, res) => {
   }
 });
 
+// Zoho redirects the browser here, so the callback cannot carry a bearer token.
 router.get("/callback", async (req, res) => {
   try {
-    const { code, location } = req.query;
+    const { code, location, state } = req.query;
 
     console.log("OAuth callback received:");
-    console.log("  Authorization code:", code ? code.substring(0, 20) + "..." : "MISSING");
+    console.log("  Authorization code:", code ? "present" : "MISSING");
     console.log("  Location:", location);
-    console.log("  Full query:", JSON.stringify(req.query, null, 2));
 
     if (!code) {
       console.error("No authorization code received");
@@ -58,14 +58,29 @@ router.get("/callback", async (req, res) => {
       `);
     }
 
+    let connectedBy;
+    try {
+      connectedBy = verifyZohoOAuthState(state);
+    } catch (stateError) {
+      console.error("Rejected OAuth callback:", stateError.message);
+      return res.status(stateError.status || 400).send(`
+        <html>
+          <body style="font-family: Arial, sans-serif; padding: 40px;">
+            <h1 style="color: #dc3545;">OAuth Error</h1>
+            <p>This authorization link is invalid or has expired.</p>
+            <p>Start the authorization again from the admin panel.</p>
+          </body>
+        </html>
+      `);
+    }
+
     console.log("Exchanging authorization code for tokens...");
 
-    const tokens = await handleZohoOAuthCallback(code, location);
+    const tokens = await handleZohoOAuthCallback(code, location, { connectedBy });
 
     if (tokens.success) {
       console.log("OAuth flow completed successfully!");
-      console.log("  Access token length:", tokens.access_token?.length || 0);
-      console.log("  Refresh token length:", tokens.refresh_token?.length || 0);
+      console.log("  Stored in:", tokens.storage);
       console.log("  Expires in:", tokens.expires_in, "seconds");
 
       const clientId = process.env.ZOHO_CLIENT_ID;
@@ -77,13 +92,13 @@ router.get("/callback", async (req, res) => {
             <h1 style="color: #28a745;">OAuth Setup Complete!</h1>
             <p>Zoho integration has been successfully configured.</p>
             <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-              <h3>Token Information:</h3>
-              <p><strong>Access Token:</strong> ${tokens.access_token}... (${tokens.access_token.length} chars)</p>
-              <p><strong>Refresh Token:</strong> ${tokens.refresh_token}... (${tokens.refresh_token.length} chars)</p>
-              <p><strong>Expires In:</strong> ${tokens.expires_in} seconds</p>
-              <p><strong>Location:</strong> ${location || 'Not specified'}</p>
-              <p><strong>Client ID:</strong> ${maskValue(clientId)}</p>
-              <p><strong>Client Secret:</strong> ${maskValue(clientSecret)}</p>
+              <h3>Connection Information:</h3>
+              <p><strong>Stored In:</strong> ${tokens.storage === "database" ? "Database (encrypted)" : "Server memory only - set CREDENTIAL_ENCRYPTION_KEY to persist"}</p>
+              <p><strong>Data Center:</strong> ${tokens.data_center}</p>
+              <p><strong>Scopes:</strong> ${tokens.scopes.join(", ")}</p>
+              <p><strong>Connected By:</strong> ${connectedBy}</p>
+              <p><strong>Client ID:</strong> ${configuredLabel(clientId)}</p>
+              <p><strong>Client Secret:</strong> ${configuredLabel(clientSecret)}</p>
             </div>
             <div style="margin-top: 30px;">
               <a href="/oauth/test-zoho" style="background: #17a2b8; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin-right: 10px;">Test Integration</a>
@@ -128,7 +143,21 @@ router.get("/callback", async (req, res) => {
   }
 });
 
-router.get("/test-zoho", async (req, res) => {
+router.get("/zoho/status", authorize("system:admin"), async (req, res) => {
+  try {
+    const status = await getZohoConnectionStatus();
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error("Failed to load Zoho connection status:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load Zoho connection status",
+      detail: error.message
+    });
+  }
+});
+
+router.get("/test-zoho", authorize("system:admin"), async (req, res) => {
   try {
     console.log("Running Zoho integration diagnostics...");
 
@@ -175,15 +204,15 @@ router.get("/test-zoho", async (req, res) => {
   }
 });
 
-router.get("/debug", async (req, res) => {
+router.get("/debug", authorize("system:admin"), async (req, res) => {
   try {
     const clientId = process.env.ZOHO_CLIENT_ID;
     const clientSecret = process.env.ZOHO_CLIENT_SECRET;
     const redirectUri = process.env.ZOHO_REDIRECT_URI;
 
     console.log("[DEBUG] OAuth Configuration Check");
-    console.log("  Client ID:", clientId ? `${clientId.substring(0, 20)}...` : "MISSING");
-    console.log("  Client Secret:", clientSecret ? `${clientSecret.substring(0, 10)}...` : "MISSING");
+    console.log("  Client ID:", clientId ? "present" : "MISSING");
+    console.log("  Client Secret:", clientSecret ? "present" : "MISSING");
     console.log("  Redirect URI:", redirectUri || "MISSING");
 
     res.send(`
@@ -194,7 +223,7 @@ router.get("/debug", async (req, res) => {
           <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
             <h3>Current Configuration:</h3>
             <p><strong>Client ID:</strong> ${clientId || 'MISSING'}</p>
-            <p><strong>Client Secret:</strong> ${clientSecret ? clientSecret.substring(0, 10) + '...' : 'MISSING'}</p>
+            <p><strong>Client Secret:</strong> ${clientSecret ? 'Configured' : 'MISSING'}</p>
             <p><strong>Redirect URI:</strong> ${redirectUri}</p>
           </div>
 
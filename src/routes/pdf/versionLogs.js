@@ -2,6 +2,8 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { authorize, requireAgreementAccess } from '../../middleware/authorize.js';
+import { diffVersionAgainstPrevious } from '../../services/versionDiffService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,7 +22,16 @@ const ensureLogsDirectory = async () => {
 
 ensureLogsDirectory().catch(console.error);
 
-router.post('/create', async (req, res) => {
+const ownAgreement = requireAgreementAccess('agreementId');
+
+// Log files are named changes_v<n>_<agreementId>.txt
+const agreementFromFileName = (req, _res, next) => {
+  const match = /_([a-f0-9]{24})\.txt$/i.exec(req.params.fileName || '');
+  req.params.agreementId = match ? match[1] : undefined;
+  next();
+};
+
+router.post('/create', authorize('agreements:write'), ownAgreement, async (req, res) => {
   try {
     const {
       agreementId,
@@ -33,10 +44,20 @@ router.post('/create', async (req, res) => {
       changes
     } = req.body;
 
+    let serverDiff;
+    try {
+      serverDiff = await diffVersionAgainstPrevious(versionId, agreementId);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    const loggedChanges = serverDiff ? serverDiff.changes : (changes || []);
+
     console.log('[VERSION-LOGS] Creating log file:', {
       agreementId,
       versionNumber,
-      changesCount: changes?.length || 0,
+      changesCount: loggedChanges.length,
+      changeSource: serverDiff ? 'server' : 'client',
       saveAction
     });
 
@@ -53,18 +74,18 @@ router.post('/create', async (req, res) => {
       salespersonName,
       saveAction,
       documentTitle,
-      changes: changes || []
+      changes: loggedChanges
     });
 
     await fs.writeFile(filePath, logContent, 'utf8');
 
     console.log('[VERSION-LOGS] Log file created successfully:', fileName);
 
-    const totalChanges = changes?.length || 0;
-    const totalPriceImpact = changes?.reduce((sum, change) => sum + (change.changeAmount || 0), 0) || 0;
-    const hasSignificantChanges = changes?.some(change =>
+    const totalChanges = loggedChanges.length;
+    const totalPriceImpact = loggedChanges.reduce((sum, change) => sum + (change.changeAmount || 0), 0);
+    const hasSignificantChanges = loggedChanges.some(change =>
       Math.abs(change.changeAmount || 0) >= 50 || Math.abs(change.changePercentage || 0) >= 15
-    ) || false;
+    );
 
     res.status(200).json({
       success: true,
@@ -79,6 +100,7 @@ router.post('/create', async (req, res) => {
         totalPriceImpact: parseFloat(totalPriceImpact.toFixed(2)),
         hasSignificantChanges,
         saveAction,
+        changeSource: serverDiff ? 'server' : 'client',
         createdAt: new Date().toISOString()
       }
     });
@@ -93,7 +115,7 @@ router.post('/create', async (req, res) => {
   }
 });
 
-router.get('/:agreementId', async (req, res) => {
+router.get('/:agreementId', authorize('agreements:read'), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
 
@@ -128,7 +150,7 @@ router.get('/:agreementId', async (req, res) => {
   }
 });
 
-router.get('/download/:fileName', async (req, res) => {
+router.get('/download/:fileName', authorize('agreements:read'), agreementFromFileName, ownAgreement, async (req, res) => {
   try {
     const { fileName } = req.params;
     const filePath = path.join(LOGS_DIR, fileName);
@@ -230,6 +252,13 @@ function generateLogContent({
       content += '\n';
 
       productChanges.forEach(change => {
+        if (change.changeType === 'text') {
+          content += `   • ${change.fieldDisplayName}:\n`;
+          content += `     Original: "${change.originalText || '(empty)'}"\n`;
+          content += `     New: "${change.newText || '(empty)'}"\n\n`;
+          return;
+        }
+
         const isSignificant = Math.abs(change.changeAmount || 0) >= 50 || Math.abs(change.changePercentage || 0) >= 15;
         const indicator = isSignificant ? 'SIGNIFICANT' : 'Minor';
 
@@ -1,9 +1,10 @@
 import { Router } from "express";
 import multer from "multer";
-import { requireAdminAuth } from "../middleware/adminAuth.js";
-import { requireAuth } from "../middleware/authMiddleware.js";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
 import {
   pdfHealth,
+  getPdfCacheStatus,
+  clearPdfCache,
   testZohoAccessEndpoint,
   runZohoDiagnosticsEndpoint,
   testV10CompatibilityEndpoint,
@@ -18,6 +19,9 @@ import {
   getCustomerHeaderForEdit,
   updateCustomerHeader,
   updateCustomerHeaderStatus,
+  getAgreementWorkflowTimeline,
+  getCustomerHeaderPricingVerification,
+  saveCustomerHeaderPricingVerification,
   compileAndStoreAdminHeader,
   getAdminHeaders,
   getAdminHeaderById,
@@ -56,6 +60,15 @@ import {
   exportPricingCatalogFromDb
 } from "../controllers/pdfController.js";
 
+import {
+  createPdfJob,
+  getPdfJobStatus,
+  downloadPdfJobResult,
+  cancelPdfJobRequest,
+  bulkRegeneratePdfs,
+  getPdfJobBatch
+} from "../controllers/pdfJobController.js";
+
 import {
   createVersionLog,
   getVersionLogs,
@@ -66,76 +79,93 @@ import {
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
+const ownAgreement = requireAgreementAccess("agreementId");
+const ownHeader = requireAgreementAccess("id");
+const ownFile = requireAgreementAccess("fileId", "file");
+
 router.get("/health", pdfHealth);
-router.get("/test-zoho-access", testZohoAccessEndpoint);
-router.get("/zoho-diagnostics", runZohoDiagnosticsEndpoint);
-router.get("/test-v10-compatibility", testV10CompatibilityEndpoint);
-router.get("/test-v9-simple-pipeline", testV9SimplePipelineEndpoint);
-router.get("/test-v7-layout-pipeline", testV7LayoutPipelineEndpoint);
-
-router.get("/debug/all-files", debugGetAllFiles);
-router.get("/debug/verify-trash-workflow", verifyTrashWorkflow);
-
-router.post("/compile", compileFromRaw);
-router.post("/proposal", compileFromProposalFile);
-
-router.post("/customer-header-preview", compileCustomerHeaderPdf);
-router.post("/customer-header", requireAuth, compileAndStoreCustomerHeader);
-router.get("/customer-headers", getCustomerHeaders);
-router.get("/customer-headers/:id", getCustomerHeaderById);
-router.get("/customer-headers/:id/edit-format", getCustomerHeaderForEdit);
-router.put("/customer-headers/:id", requireAuth, updateCustomerHeader);
-router.patch("/customer-headers/:id/status", requireAuth, updateCustomerHeaderStatus);
-
-router.post("/admin-header", compileAndStoreAdminHeader);
-router.get("/admin-headers", getAdminHeaders);
-router.get("/admin-headers/:id", getAdminHeaderById);
-router.put("/admin-headers/:id", updateAdminHeader);
-
-router.get("/viewer/getall/highlevel", getCustomerHeadersHighLevel);
-router.get("/viewer/getbyid/:id", getCustomerHeaderViewerById);
-router.get("/viewer/download/:id", downloadCustomerHeaderPdf)
-
-router.get("/saved-files", getSavedFilesList);
-router.get("/saved-files/grouped", getSavedFilesGrouped);
-router.get("/saved-files/:id/details", getSavedFileDetails);
-router.post("/saved-files/:agreementId/add-files", addFileToAgreement);
-router.get("/attached-files/:fileId/download", downloadAttachedFile);
-
-router.get("/document-status-counts", getDocumentStatusCounts);
-
-router.get("/approval-documents/grouped", getApprovalDocumentsGrouped);
-
-router.patch("/agreements/:agreementId/restore", restoreAgreement);
-router.patch("/files/:fileId/restore", restoreFile);
-router.patch("/agreements/:agreementId/delete", deleteAgreement);
-router.patch("/files/:fileId/delete", deleteFile);
-router.delete("/agreements/:agreementId/permanent-delete", requireAdminAuth, permanentlyDeleteAgreement);
-router.delete("/files/:fileId/permanent-delete", requireAdminAuth, permanentlyDeleteFile);
-
-router.post("/price-overrides/log", logPriceOverride);
-router.get("/price-overrides/logs/:agreementId", getPriceOverrideLogs);
-router.get("/price-overrides/stats/:agreementId", getPriceOverrideStats);
-router.patch("/price-overrides/:logId/review", reviewPriceOverride);
-router.get("/price-overrides/pending", getPendingPriceOverrides);
-
-router.post("/version-changes/log", logVersionChanges);
-router.get("/version-changes/logs/:agreementId", getVersionChangeLogs);
-router.get("/version-changes/log/:versionId", getVersionChangeLog);
-router.patch("/version-changes/:logId/review", reviewVersionChanges);
-router.get("/version-changes/pending", getPendingVersionChanges);
-
-router.post("/logs/create", createVersionLog);
-router.get("/logs/agreement/:agreementId", getVersionLogs);
-router.get("/logs/all", getAllVersionLogs);
-router.get("/logs/:logId/download", downloadVersionLog);
-
-router.post("/pricing-catalog/export", exportPricingCatalog);
-router.get("/pricing-catalog/export", requireAdminAuth, exportPricingCatalogFromDb);
-
-router.post("/compile-file", upload.single("file"), proxyCompileFile);
+router.get("/cache/stats", authorize("system:admin"), getPdfCacheStatus);
+router.delete("/cache", authorize("system:admin"), clearPdfCache);
+router.get("/test-zoho-access", authorize("system:admin"), testZohoAccessEndpoint);
+router.get("/zoho-diagnostics", authorize("system:admin"), runZohoDiagnosticsEndpoint);
+router.get("/test-v10-compatibility", authorize("system:admin"), testV10CompatibilityEndpoint);
+router.get("/test-v9-simple-pipeline", authorize("system:admin"), testV9SimplePipelineEndpoint);
+router.get("/test-v7-layout-pipeline", authorize("system:admin"), testV7LayoutPipelineEndpoint);
+
+router.get("/debug/all-files", authorize("system:admin"), debugGetAllFiles);
+router.get("/debug/verify-trash-workflow", authorize("system:admin"), verifyTrashWorkflow);
+
+router.post("/compile", authorize("pdf:compile"), compileFromRaw);
+router.post("/proposal", authorize("pdf:compile"), compileFromProposalFile);
+
+router.post("/customer-header-preview", authorize("pdf:compile"), compileCustomerHeaderPdf);
+router.post("/customer-header", authorize("agreements:write"), compileAndStoreCustomerHeader);
+router.get("/customer-headers", authorize("agreements:read"), getCustomerHeaders);
+router.get("/customer-headers/:id", authorize("agreements:read"), ownHeader, getCustomerHeaderById);
+router.get("/customer-headers/:id/edit-format", authorize("agreements:read"), ownHeader, getCustomerHeaderForEdit);
+router.put("/customer-headers/:id", authorize("agreements:write"), ownHeader, updateCustomerHeader);
+router.patch("/customer-headers/:id/status", authorize("agreements:write"), ownHeader, updateCustomerHeaderStatus);
+router.get("/customer-headers/:id/pricing-verification", authorize("agreements:read"), ownHeader, getCustomerHeaderPricingVerification);
+router.post("/customer-headers/:id/pricing-verification", authorize("agreements:write"), ownHeader, saveCustomerHeaderPricingVerification);
+
+router.post("/jobs", authorize("pdf:compile"), ownAgreement, createPdfJob);
+router.post("/jobs/bulk-regenerate", authorize("system:admin"), bulkRegeneratePdfs);
+router.get("/jobs/batches/:batchId", authorize("pdf:compile"), getPdfJobBatch);
+router.get("/jobs/:id", authorize("pdf:compile"), getPdfJobStatus);
+router.get("/jobs/:id/pdf", authorize("pdf:compile"), downloadPdfJobResult);
+router.delete("/jobs/:id", authorize("pdf:compile"), cancelPdfJobRequest);
+
+router.post("/admin-header", authorize("settings:write"), compileAndStoreAdminHeader);
+router.get("/admin-headers", authorize("settings:read"), getAdminHeaders);
+router.get("/admin-headers/:id", authorize("settings:read"), getAdminHeaderById);
+router.put("/admin-headers/:id", authorize("settings:write"), updateAdminHeader);
+
+router.get("/viewer/getall/highlevel", authorize("agreements:read"), getCustomerHeadersHighLevel);
+router.get("/viewer/getbyid/:id", authorize("agreements:read"), ownHeader, getCustomerHeaderViewerById);
+router.get("/viewer/download/:id", authorize("agreements:read"), ownHeader, downloadCustomerHeaderPdf)
+
+router.get("/saved-files", authorize("agreements:read"), getSavedFilesList);
+router.get("/saved-files/grouped", authorize("agreements:read"), getSavedFilesGrouped);
+router.get("/saved-files/:id/details", authorize("agreements:read"), ownHeader, getSavedFileDetails);
+router.post("/saved-files/:agreementId/add-files", authorize("files:write"), ownAgreement, addFileToAgreement);
+router.get("/attached-files/:fileId/download", authorize("files:read"), requireAgreementAccess("fileId", "manualUpload"), downloadAttachedFile);
+
+router.get("/document-status-counts", authorize("agreements:read"), getDocumentStatusCounts);
+
+router.get("/approval-documents/grouped", authorize("agreements:read"), getApprovalDocumentsGrouped);
+
+router.get("/agreements/:id/workflow", authorize("agreements:read"), ownHeader, getAgreementWorkflowTimeline);
+router.patch("/agreements/:agreementId/restore", authorize("agreements:delete"), ownAgreement, restoreAgreement);
+router.patch("/files/:fileId/restore", authorize("agreements:delete"), ownFile, restoreFile);
+router.patch("/agreements/:agreementId/delete", authorize("agreements:delete"), ownAgreement, deleteAgreement);
+router.patch("/files/:fileId/delete", authorize("agreements:delete"), ownFile, deleteFile);
+router.delete("/agreements/:agreementId/permanent-delete", authorize("agreements:purge"), permanentlyDeleteAgreement);
+router.delete("/files/:fileId/permanent-delete", authorize("agreements:purge"), permanentlyDeleteFile);
+
+router.post("/price-overrides/log", authorize("agreements:write"), ownAgreement, logPriceOverride);
+router.get("/price-overrides/logs/:agreementId", authorize("agreements:read"), ownAgreement, getPriceOverrideLogs);
+router.get("/price-overrides/stats/:agreementId", authorize("agreements:read"), ownAgreement, getPriceOverrideStats);
+router.patch("/price-overrides/:logId/review", authorize("price_overrides:review"), reviewPriceOverride);
+router.get("/price-overrides/pending", authorize("price_overrides:review"), getPendingPriceOverrides);
+
+router.post("/version-changes/log", authorize("agreements:write"), ownAgreement, logVersionChanges);
+router.get("/version-changes/logs/:agreementId", authorize("agreements:read"), ownAgreement, getVersionChangeLogs);
+router.get("/version-changes/log/:versionId", authorize("agreements:read"), requireAgreementAccess("versionId", "version"), getVersionChangeLog);
+router.patch("/version-changes/:logId/review", authorize("agreements:approve"), reviewVersionChanges);
+router.get("/version-changes/pending", authorize("agreements:approve"), getPendingVersionChanges);
+
+router.post("/logs/create", authorize("agreements:write"), ownAgreement, createVersionLog);
+router.get("/logs/agreement/:agreementId", authorize("agreements:read"), ownAgreement, getVersionLogs);
+router.get("/logs/all", authorize("agreements:read_all"), getAllVersionLogs);
+router.get("/logs/:logId/download", authorize("agreements:read"), requireAgreementAccess("logId", "log"), downloadVersionLog);
+
+router.post("/pricing-catalog/export", authorize("pricing:read"), exportPricingCatalog);
+router.get("/pricing-catalog/export", authorize("pricing:read"), exportPricingCatalogFromDb);
+
+router.post("/compile-file", authorize("pdf:compile"), upload.single("file"), proxyCompileFile);
 router.post(
   "/compile-bundle",
+  authorize("pdf:compile"),
   upload.fields([
     { name: "main", maxCount: 1 },
     { name: "assets", maxCount: 63 },
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import PricingChangeDetector from "../middleware/pricingChangeDetector.js";
+import { authorize } from "../middleware/authorize.js";
 
 import {
   createPriceFix,
@@ -10,13 +11,14 @@ import {
 
 const router = Router();
 
-router.post("/", createPriceFix);
+router.post("/", authorize("pricing:write"), createPriceFix);
 
-router.get("/", getAllPriceFixes);
+router.get("/", authorize("pricing:read"), getAllPriceFixes);
 
-router.get("/:id", getPriceFixById);
+router.get("/:id", authorize("pricing:read"), getPriceFixById);
 
 router.put("/:id",
+  authorize("pricing:write"),
   PricingChangeDetector.beforePriceFixUpdate,
   PricingChangeDetector.addBackupInfoToResponse,
   updatePriceFix
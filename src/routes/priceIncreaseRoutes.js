@@ -0,0 +1,37 @@
+import { Router } from "express";
+import { authorize } from "../middleware/authorize.js";
+import {
+  createPriceIncrease,
+  updatePriceIncrease,
+  listPriceIncreases,
+  getPriceIncrease,
+  deletePriceIncrease,
+  previewPriceIncrease,
+  applyPriceIncrease,
+  rollbackPriceIncrease,
+  downloadPriceIncreaseNotice,
+} from "../controllers/priceIncreaseController.js";
+
+const router = Router();
+
+router.get("/", authorize("pricing:read"), listPriceIncreases);
+
+router.post("/", authorize("pricing:write"), createPriceIncrease);
+
+router.get("/:id", authorize("pricing:read"), getPriceIncrease);
+
+router.patch("/:id", authorize("pricing:write"), updatePriceIncrease);
+
+router.delete("/:id", authorize("pricing:write"), deletePriceIncrease);
+
+router.post("/:id/preview", authorize("pricing:write"), previewPriceIncrease);
+
+// Runs in the background; poll GET /:id for progress.
+router.post("/:id/apply", authorize("pricing:write"), applyPriceIncrease);
+
+// Body: { force: true } also restores agreements edited after the increase.
+router.post("/:id/rollback", authorize("pricing:write"), rollbackPriceIncrease);
+
+router.get("/:id/notices/:agreementId", authorize("pricing:read"), downloadPriceIncreaseNotice);
+
+export default router;
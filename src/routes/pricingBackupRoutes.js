@@ -1,51 +1,99 @@
 import express from "express";
+import multer from "multer";
 import PricingBackupController from "../controllers/pricingBackupController.js";
+import { authorize } from "../middleware/authorize.js";
+import { PRICING_BACKUP_IMPORT_MAX_MB } from "../config/backupConfig.js";
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: PRICING_BACKUP_IMPORT_MAX_MB * 1024 * 1024,
+  },
+});
+
 router.post(
   "/create",
+  authorize("pricing_backups:manage"),
   PricingBackupController.createManualBackup
 );
 
 router.get(
   "/list",
+  authorize("pricing_backups:read"),
   PricingBackupController.getBackupList
 );
 
 router.get(
   "/details/:changeDayId",
+  authorize("pricing_backups:read"),
   PricingBackupController.getBackupDetails
 );
 
+// Dry run: same body as /restore, returns what would change without writing anything.
+router.post(
+  "/restore/preview",
+  authorize("pricing_backups:read"),
+  PricingBackupController.previewRestore
+);
+
 router.post(
   "/restore",
+  authorize("pricing_backups:manage"),
   PricingBackupController.restoreFromBackup
 );
 
 router.get(
   "/statistics",
+  authorize("pricing_backups:read"),
   PricingBackupController.getBackupStatistics
 );
 
 router.post(
   "/enforce-retention",
+  authorize("pricing_backups:manage"),
   PricingBackupController.enforceRetentionPolicy
 );
 
+// Runs the nightly snapshot + retention now (fails with 409 while another worker is running it).
+router.post(
+  "/schedule/run",
+  authorize("pricing_backups:manage"),
+  PricingBackupController.runScheduledBackup
+);
+
 router.delete(
   "/delete",
+  authorize("pricing_backups:manage"),
   PricingBackupController.deleteBackups
 );
 
 router.get(
   "/snapshot/:changeDayId",
+  authorize("pricing_backups:read"),
   PricingBackupController.getBackupSnapshot
 );
 
+// Portable .json.gz archive (with schema version and snapshot checksum) for moving
+// a price set between environments or keeping an offline copy.
+router.post(
+  "/import",
+  authorize("pricing_backups:manage"),
+  upload.single("file"),
+  PricingBackupController.importBackup
+);
+
 router.get(
   "/health",
+  authorize("pricing_backups:read"),
   PricingBackupController.getBackupSystemHealth
 );
 
+router.get(
+  "/:changeDayId/export",
+  authorize("pricing_backups:read"),
+  PricingBackupController.exportBackup
+);
+
 export default router;
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import { authorize } from "../middleware/authorize.js";
+import {
+  createPricingDraft,
+  listPricingDrafts,
+  getPricingDraft,
+  updatePricingDraft,
+  submitPricingDraft,
+  withdrawPricingDraft,
+  approvePricingDraft,
+  rejectPricingDraft,
+  listPricingChangeAudit,
+} from "../controllers/pricingDraftController.js";
+
+const router = Router();
+
+router.get("/", authorize("pricing:read"), listPricingDrafts);
+
+router.post("/", authorize("pricing:write"), createPricingDraft);
+
+// Published changes with who proposed and who approved them.
+router.get("/audit", authorize("pricing:read"), listPricingChangeAudit);
+
+// Includes a fresh diff against the live config and whether the draft is stale.
+router.get("/:id", authorize("pricing:read"), getPricingDraft);
+
+router.patch("/:id", authorize("pricing:write"), updatePricingDraft);
+
+router.post("/:id/submit", authorize("pricing:write"), submitPricingDraft);
+
+router.post("/:id/withdraw", authorize("pricing:write"), withdrawPricingDraft);
+
+// The approver must be a different admin from the proposer; approval publishes.
+router.post("/:id/approve", authorize("pricing:approve"), approvePricingDraft);
+
+router.post("/:id/reject", authorize("pricing:approve"), rejectPricingDraft);
+
+export default router;
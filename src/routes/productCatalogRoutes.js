@@ -2,86 +2,105 @@ import express from "express";
 import * as productCatalogController from "../controllers/productCatalogController.js";
 import * as productDescriptionController from "../controllers/productDescriptionController.js";
 import PricingChangeDetector from "../middleware/pricingChangeDetector.js";
+import { authorize } from "../middleware/authorize.js";
+import { requirePricingReview } from "../middleware/pricingReviewGate.js";
 
 const router = express.Router();
 
 router.post(
   "/",
+  authorize("pricing:write"),
   productCatalogController.createCatalogController
 );
 
 router.get(
   "/",
+  authorize("pricing:read"),
   productCatalogController.getAllCatalogsController
 );
 
 router.get(
   "/active",
+  authorize("pricing:read"),
   productCatalogController.getActiveCatalogController
 );
 
 router.get(
   "/category/:familyKey",
+  authorize("pricing:read"),
   productCatalogController.getByCategoryController
 );
 
 router.get(
   "/products/search",
+  authorize("pricing:read"),
   productCatalogController.searchProductsController
 );
 
 router.post(
   "/add-descriptions",
+  authorize("pricing:write"),
   productDescriptionController.addProductDescriptions
 );
 
 router.put(
   "/product/:productKey/description",
+  authorize("pricing:write"),
   productDescriptionController.updateProductDescription
 );
 
 router.get(
   "/missing-descriptions",
+  authorize("pricing:read"),
   productDescriptionController.getMissingDescriptions
 );
 
 router.post(
   "/add-comprehensive-data",
+  authorize("pricing:write"),
   productDescriptionController.addComprehensiveProductData
 );
 
 router.get(
   "/comprehensive-data",
+  authorize("pricing:read"),
   productDescriptionController.getComprehensiveProductData
 );
 
 router.get(
   "/service-pricing",
+  authorize("pricing:read"),
   productDescriptionController.getServicePricing
 );
 
 router.get(
   "/products-by-category/:category",
+  authorize("pricing:read"),
   productDescriptionController.getProductsByCategory
 );
 
 router.get(
   "/pricing-summary",
+  authorize("pricing:read"),
   productDescriptionController.getPricingSummary
 );
 
 router.get(
   "/categories",
+  authorize("pricing:read"),
   productDescriptionController.getAvailableCategories
 );
 
 router.get(
   "/:id",
+  authorize("pricing:read"),
   productCatalogController.getCatalogByIdController
 );
 
 router.put(
   "/:id",
+  authorize("pricing:write"),
+  requirePricingReview("productCatalog", "replace"),
   PricingChangeDetector.beforeProductCatalogUpdate,
   PricingChangeDetector.addBackupInfoToResponse,
   productCatalogController.replaceCatalogController
@@ -89,6 +108,8 @@ router.put(
 
 router.put(
   "/:id/partial",
+  authorize("pricing:write"),
+  requirePricingReview("productCatalog", "partial"),
   PricingChangeDetector.beforeProductCatalogUpdate,
   PricingChangeDetector.addBackupInfoToResponse,
   productCatalogController.partialUpdateCatalogController
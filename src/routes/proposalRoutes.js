@@ -7,16 +7,17 @@ import {
   getFormCatalog,
   attachPdfAndMarkForZoho,
 } from '../controllers/proposalController.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
-router.get('/catalog', getFormCatalog);
+router.get('/catalog', authorize('pricing:read'), getFormCatalog);
 
-router.get('/', listProposals);
-router.get('/:id', getProposalById);
-router.post('/', createProposal);
-router.put('/:id', updateProposal);
+router.get('/', authorize('agreements:read'), listProposals);
+router.get('/:id', authorize('agreements:read'), getProposalById);
+router.post('/', authorize('agreements:write'), createProposal);
+router.put('/:id', authorize('agreements:write'), updateProposal);
 
-router.post('/:id/pdf', attachPdfAndMarkForZoho);
+router.post('/:id/pdf', authorize('agreements:write'), attachPdfAndMarkForZoho);
 
 export default router;
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
+import {
+  getExpiringAgreements,
+  getRenewal,
+  startRenewal,
+  getRenewalJob,
+  runRenewalJobNow,
+} from "../controllers/renewalController.js";
+
+const router = Router();
+
+const ownAgreement = requireAgreementAccess("agreementId");
+
+// GET /api/renewals/expiring?days=60&by=termEnd|notice
+router.get("/expiring", authorize("agreements:read"), getExpiringAgreements);
+
+router.get("/job", authorize("system:admin"), getRenewalJob);
+
+router.post("/job/run", authorize("system:admin"), runRenewalJobNow);
+
+router.get("/:agreementId", authorize("agreements:read"), ownAgreement, getRenewal);
+
+// Moves the agreement back to draft for the next term and snapshots it as a new version.
+router.post("/:agreementId/start", authorize("agreements:write"), ownAgreement, startRenewal);
+
+export default router;
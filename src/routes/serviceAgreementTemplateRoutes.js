@@ -1,10 +1,11 @@
 import express from 'express';
 import { getActiveTemplate, updateTemplate } from '../controllers/serviceAgreementTemplateController.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
-router.get('/active', getActiveTemplate);
+router.get('/active', authorize('settings:read'), getActiveTemplate);
 
-router.put('/', updateTemplate);
+router.put('/', authorize('settings:write'), updateTemplate);
 
 export default router;
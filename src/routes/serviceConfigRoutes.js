@@ -4,6 +4,8 @@ import path from "path";
 import { fileURLToPath } from "url";
 import * as serviceConfigController from "../controllers/serviceConfigController.js";
 import PricingChangeDetector from "../middleware/pricingChangeDetector.js";
+import { authorize } from "../middleware/authorize.js";
+import { requirePricingReview } from "../middleware/pricingReviewGate.js";
 
 const router = express.Router();
 
@@ -28,37 +30,50 @@ const upload = multer({
 
 router.post(
   "/",
-
+  authorize("pricing:write"),
   serviceConfigController.createServiceConfigController
 );
 
 router.get(
   "/",
+  authorize("pricing:read"),
   serviceConfigController.getAllServiceConfigsController
 );
 
+router.post(
+  "/quote",
+  authorize("pricing:read"),
+  serviceConfigController.quoteServiceController
+);
+
 router.get(
   "/active",
+  authorize("pricing:read"),
   serviceConfigController.getActiveServiceConfigsController
 );
 
 router.get(
   "/pricing",
+  authorize("pricing:read"),
   serviceConfigController.getAllServicePricingController
 );
 
 router.get(
   "/service/:serviceId/latest",
+  authorize("pricing:read"),
   serviceConfigController.getLatestConfigForServiceController
 );
 
 router.get(
   "/:id",
+  authorize("pricing:read"),
   serviceConfigController.getServiceConfigByIdController
 );
 
 router.put(
   "/:id",
+  authorize("pricing:write"),
+  requirePricingReview("serviceConfig", "replace"),
   PricingChangeDetector.beforeServiceConfigUpdate,
   PricingChangeDetector.addBackupInfoToResponse,
   serviceConfigController.replaceServiceConfigController
@@ -66,6 +81,8 @@ router.put(
 
 router.put(
   "/:id/partial",
+  authorize("pricing:write"),
+  requirePricingReview("serviceConfig", "partial"),
   PricingChangeDetector.beforeServiceConfigUpdate,
   PricingChangeDetector.addBackupInfoToResponse,
   serviceConfigController.partialUpdateServiceConfigController
@@ -73,16 +90,19 @@ router.put(
 
 router.delete(
   "/:id",
+  authorize("pricing:write"),
   serviceConfigController.deleteServiceConfigController
 );
 
 router.delete(
   "/service/:serviceId",
+  authorize("pricing:write"),
   serviceConfigController.deleteServiceConfigsByServiceIdController
 );
 
 router.post(
   "/:id/upload-image",
+  authorize("pricing:write"),
   upload.single("image"),
   serviceConfigController.uploadServiceImageController
 );
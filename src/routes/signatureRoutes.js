@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
+import { createLink, listLinks, revokeLink } from "../controllers/signatureController.js";
+
+const router = Router();
+
+const ownAgreement = requireAgreementAccess("agreementId");
+
+router.get("/agreements/:agreementId/links", authorize("agreements:read"), ownAgreement, listLinks);
+
+// Body: { versionId?, signerName, signerEmail, expiresInHours?, sendEmail? }. Returns the one-time token and URL.
+router.post("/agreements/:agreementId/links", authorize("agreements:write"), ownAgreement, createLink);
+
+router.post("/agreements/:agreementId/links/:linkId/revoke", authorize("agreements:write"), ownAgreement, revokeLink);
+
+export default router;
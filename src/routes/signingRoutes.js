@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { getSession, viewSigningPdf, signAgreement } from "../controllers/signatureController.js";
+
+// Public customer signing endpoints; the link token is the only credential.
+const router = Router();
+
+router.get("/:token", getSession);
+
+router.get("/:token/pdf", viewSigningPdf);
+
+// Body: { signerName, signerTitle?, method: "drawn"|"typed", signatureImage | typedSignature, consent: true }
+router.post("/:token", signAgreement);
+
+export default router;
@@ -8,12 +8,12 @@ import {
   resetUserPassword,
   deleteUser,
 } from "../controllers/userManagementController.js";
-import { requireAdmin } from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
 
 const router = Router();
 
-// All routes require admin authentication
-router.use(requireAdmin);
+// All routes require the users:manage permission
+router.use(authorize("users:manage"));
 
 // List all users
 router.get("/", listUsers);
@@ -0,0 +1,20 @@
+import express from "express";
+import multer from "multer";
+import { verifyByCode, verifyUpload } from "../controllers/verifyController.js";
+import { VERIFY_MAX_UPLOAD_MB } from "../config/integrityConfig.js";
+
+// Public: anyone holding one of our PDFs can check it against the code printed in its footer.
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: VERIFY_MAX_UPLOAD_MB * 1024 * 1024,
+  },
+});
+
+router.get("/:code", verifyByCode);
+
+router.post("/:code", upload.single("file"), verifyUpload);
+
+export default router;
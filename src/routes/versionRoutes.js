@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { requireAuth } from "../middleware/authMiddleware.js";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
 import {
   getAllVersionPdfs,
   getVersionPdfById,
@@ -11,41 +11,54 @@ import {
   replaceMainPdf,
   getVersionsList,
   getVersionForEdit,
+  getVersionDiff,
+  downloadVersionComparison,
+  attachVersionComparison,
   viewVersionPdf
 } from "../controllers/versionController.js";
 
 const router = Router();
 
-router.get("/", getAllVersionPdfs);
+const ownAgreement = requireAgreementAccess("agreementId");
+const ownVersion = requireAgreementAccess("id", "version");
+const ownVersionById = requireAgreementAccess("versionId", "version");
 
-router.get("/:id", getVersionPdfById);
+router.get("/", authorize("agreements:read"), getAllVersionPdfs);
 
-router.patch("/:id/status", updateVersionStatus);
+router.get("/:id", authorize("agreements:read"), ownVersion, getVersionPdfById);
 
-router.get("/:id/download", downloadVersionPdf);
+router.patch("/:id/status", authorize("agreements:write"), ownVersion, updateVersionStatus);
 
-router.delete("/:id", deleteVersionPdf);
+router.get("/:id/download", authorize("agreements:read"), ownVersion, downloadVersionPdf);
 
-router.get("/:agreementId/check-status", checkVersionStatus);
+router.delete("/:id", authorize("agreements:delete"), ownVersion, deleteVersionPdf);
 
-router.post("/:agreementId/create-version", requireAuth, createVersion);
+router.get("/:agreementId/check-status", authorize("agreements:read"), ownAgreement, checkVersionStatus);
 
-router.post("/:agreementId/replace-main", requireAuth, replaceMainPdf);
+router.post("/:agreementId/create-version", authorize("agreements:write"), ownAgreement, createVersion);
 
-router.get("/:agreementId/list", getVersionsList);
+router.post("/:agreementId/replace-main", authorize("agreements:write"), ownAgreement, replaceMainPdf);
 
-router.get("/version/:versionId/view", viewVersionPdf);
+router.get("/:agreementId/list", authorize("agreements:read"), ownAgreement, getVersionsList);
 
-router.get("/version/:versionId/download", (req, res, next) => {
+router.get("/:agreementId/diff", authorize("agreements:read"), ownAgreement, getVersionDiff);
+
+router.get("/:agreementId/compare", authorize("agreements:read"), ownAgreement, downloadVersionComparison);
+
+router.post("/:agreementId/compare/zoho", authorize("zoho:sync"), ownAgreement, attachVersionComparison);
+
+router.get("/version/:versionId/view", authorize("agreements:read"), ownVersionById, viewVersionPdf);
+
+router.get("/version/:versionId/download", authorize("agreements:read"), ownVersionById, (req, res, next) => {
   req.params.id = req.params.versionId;
   downloadVersionPdf(req, res, next);
 });
 
-router.delete("/version/:versionId", (req, res, next) => {
+router.delete("/version/:versionId", authorize("agreements:delete"), ownVersionById, (req, res, next) => {
   req.params.id = req.params.versionId;
   deleteVersionPdf(req, res, next);
 });
 
-router.get("/version/:versionId/edit-format", getVersionForEdit);
+router.get("/version/:versionId/edit-format", authorize("agreements:read"), ownVersionById, getVersionForEdit);
 
 export default router;
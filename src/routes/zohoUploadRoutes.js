@@ -1,12 +1,16 @@
-import { Router } from "express";
+import { Router, urlencoded } from "express";
 import mongoose from "mongoose"; 
 import ZohoMapping from "../models/ZohoMapping.js";
 import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
 import ManualUploadDocument from "../models/ManualUploadDocument.js";
 import Log from "../models/Log.js";
 import VersionPdf from "../models/VersionPdf.js";
-import AdminSettings from "../models/AdminSettings.js";
-import { compileCustomerHeader } from "../services/pdfService.js";
+import { compileCustomerHeader, compileRawTex } from "../services/pdfService.js";
+import { readBlob, hasStoredBlob } from "../services/blobStoreService.js";
+import { issuePdf } from "../services/documentIntegrityService.js";
+import { authorize, requireAgreementAccess } from "../middleware/authorize.js";
+import { createAgreementApprovalTask } from "../services/approvalWorkflowService.js";
+import { buildMappedDealFields } from "../services/zohoFieldMappingService.js";
 import {
   getBiginCompanies,
   getAllBiginCompanies,
@@ -23,8 +27,74 @@ import {
   validatePipelineStage,
   getOrCreateContactForDeal,
 } from "../services/zohoService.js";
+import {
+  enqueueZohoOperations,
+  runZohoOperationsNow,
+  summarizeZohoOperations,
+  findPendingDealOperation,
+  supersedeDeadDealOperations,
+} from "../services/zohoOutboxService.js";
+import {
+  listOutbox,
+  listOutboxDeadLetters,
+  getOutboxOperation,
+  replayOutboxOperation,
+  discardOutboxOperation,
+} from "../controllers/zohoOutboxController.js";
+import {
+  receiveDealStageWebhook,
+  getStageSync,
+  runStageSyncPoll,
+} from "../controllers/zohoStageSyncController.js";
 
 const router = Router();
+const ownAgreement = requireAgreementAccess("agreementId");
+
+// PDFs uploaded to Bigin are recompiled, so each copy gets its own verification code.
+async function issueZohoCopy(compiledPdf, { agreementId, versionDoc = null, fileName, requestedBy = null }) {
+  const { buffer } = await issuePdf(compiledPdf.buffer, {
+    documentType: versionDoc ? "version" : "agreement",
+    documentId: versionDoc?._id || agreementId,
+    agreementId,
+    versionNumber: versionDoc?.versionNumber ?? null,
+    fileName,
+    issuedBy: requestedBy,
+    channel: "zoho",
+  });
+  return buffer;
+}
+
+// Zoho sync outbox administration (registered before the /:agreementId routes)
+// Pushes the admin-mapped agreement fields to the agreement's own deal. Runs
+// as a separate outbox batch so a rejected field never fails the upload itself.
+async function syncMappedDealFields(agreement, dealId, requestedBy) {
+  try {
+    const { fields, skipped } = await buildMappedDealFields(agreement);
+    if (Object.keys(fields).length === 0) {
+      return null;
+    }
+    const ids = await enqueueZohoOperations(
+      [{ kind: "deal_update", dealId, payload: { fields } }],
+      { agreementId: agreement._id, requestedBy },
+    );
+    const operations = await runZohoOperationsNow(ids);
+    return { ...summarizeZohoOperations(operations), fields: Object.keys(fields), skipped };
+  } catch (err) {
+    console.error(`❌ [ZOHO-FIELDS] Deal field sync for ${agreement._id} failed:`, err.message);
+    return { state: "failed", error: err.message };
+  }
+}
+
+router.get("/outbox", authorize("system:admin"), listOutbox);
+router.get("/outbox/dead-letter", authorize("system:admin"), listOutboxDeadLetters);
+router.get("/outbox/:id", authorize("system:admin"), getOutboxOperation);
+router.post("/outbox/:id/replay", authorize("system:admin"), replayOutboxOperation);
+router.post("/outbox/:id/discard", authorize("system:admin"), discardOutboxOperation);
+
+// Bigin deal stage sync: webhook (shared-secret token) plus admin view of the polling fallback
+router.post("/webhook/deal-stage", urlencoded({ extended: false }), receiveDealStageWebhook);
+router.get("/stage-sync", authorize("system:admin"), getStageSync);
+router.post("/stage-sync/poll", authorize("system:admin"), runStageSyncPoll);
 
 async function convertTextLogToPdf(textContent, fileName = "log.txt") {
   console.log(`📄 [TEXT-TO-PDF] Converting log text to PDF: ${fileName}`);
@@ -50,41 +120,9 @@ ${textContent}
 \\end{document}`;
 
   try {
-    
-    const PDF_REMOTE_BASE =
-      process.env.PDF_REMOTE_BASE || "http://45.55.208.199:3000";
-    const timeoutMs = 30000; 
-
-    console.log(
-      `🌐 [TEXT-TO-PDF] Calling remote LaTeX service: ${PDF_REMOTE_BASE}`,
-    );
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-    const response = await fetch(`${PDF_REMOTE_BASE}/pdf/compile`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/pdf",
-      },
-      body: JSON.stringify({ template: latexContent }), 
-      signal: controller.signal,
+    const { buffer: pdfBuffer } = await compileRawTex(latexContent, {
+      timeoutMs: 30000,
     });
-
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => "");
-      console.error(
-        `❌ [TEXT-TO-PDF] Remote service error (${response.status}): ${errorText}`,
-      );
-      throw new Error(
-        `Remote LaTeX service failed: ${response.status} ${errorText}`,
-      );
-    }
-
-    const pdfBuffer = Buffer.from(await response.arrayBuffer());
     console.log(`✅ [TEXT-TO-PDF] Generated PDF: ${pdfBuffer.length} bytes`);
 
     return pdfBuffer;
@@ -150,10 +188,8 @@ async function getPdfForAgreement(agreementId, options = {}) {
           "pdf_meta fileName currentVersionNumber",
         ));
 
-      if (customerDoc?.pdf_meta?.pdfBuffer) {
-        const fallbackBuffer = Buffer.isBuffer(customerDoc.pdf_meta.pdfBuffer)
-          ? customerDoc.pdf_meta.pdfBuffer
-          : Buffer.from(customerDoc.pdf_meta.pdfBuffer);
+      if (hasStoredBlob(customerDoc?.pdf_meta)) {
+        const fallbackBuffer = await readBlob(customerDoc.pdf_meta);
         const resolvedFileName =
           customerDoc.fileName ||
           customerDoc.pdf_meta.fileName ||
@@ -199,7 +235,7 @@ async function getPdfForAgreement(agreementId, options = {}) {
     );
   }
 
-  if (!versionDoc.pdf_meta?.pdfBuffer) {
+  if (!hasStoredBlob(versionDoc.pdf_meta)) {
     console.error(
       `ƒ?O [PDF-LOOKUP] VersionPdf v${versionDoc.versionNumber} has no pdfBuffer field`,
     );
@@ -220,17 +256,13 @@ async function getPdfForAgreement(agreementId, options = {}) {
     };
   }
 
-  const mongoBuffer = versionDoc.pdf_meta.pdfBuffer;
-  const actualSize = mongoBuffer.length || mongoBuffer.buffer?.length || 0;
+  const properBuffer = await readBlob(versionDoc.pdf_meta);
+  const actualSize = properBuffer?.length || 0;
 
-  console.log(`📊 [PDF-BUFFER-INFO] Retrieved buffer from database:`, {
+  console.log(`📊 [PDF-BUFFER-INFO] Retrieved buffer from storage:`, {
     versionId: versionDoc._id,
     versionNumber: versionDoc.versionNumber,
-    bufferType: Buffer.isBuffer(mongoBuffer)
-      ? "Node Buffer"
-      : mongoBuffer.buffer
-        ? "MongoDB Binary"
-        : "Unknown",
+    storage: versionDoc.pdf_meta.storageDriver || "inline",
     actualSize: actualSize,
     storedSizeBytes: versionDoc.pdf_meta.sizeBytes,
     isMongooseDoc: !!(versionDoc.constructor.name === "model"),
@@ -249,7 +281,10 @@ async function getPdfForAgreement(agreementId, options = {}) {
     const versionsWithPdf = await VersionPdf.countDocuments({
       agreementId: agreementId,
       status: { $ne: "archived" },
-      "pdf_meta.pdfBuffer": { $exists: true, $ne: null },
+      $or: [
+        { "pdf_meta.pdfBuffer": { $exists: true, $ne: null } },
+        { "pdf_meta.storageKey": { $ne: null } },
+      ],
       "pdf_meta.sizeBytes": { $gt: 0 },
     });
 
@@ -277,15 +312,6 @@ async function getPdfForAgreement(agreementId, options = {}) {
   const resolvedFileName =
     versionDoc.fileName || `version_${versionDoc.versionNumber}.pdf`;
 
-  let properBuffer;
-  if (Buffer.isBuffer(mongoBuffer)) {
-    properBuffer = mongoBuffer;
-  } else if (mongoBuffer.buffer) {
-    properBuffer = Buffer.from(mongoBuffer.buffer);
-  } else {
-    properBuffer = Buffer.from(mongoBuffer);
-  }
-
   const sourceLabel = requestedVersionId
     ? "VersionPdf (requested)"
     : "VersionPdf";
@@ -322,7 +348,7 @@ function buildNormalizedFileName(
   return `${finalBase}${extension}`;
 }
 
-router.get("/:agreementId/status", async (req, res) => {
+router.get("/:agreementId/status", authorize("agreements:read"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
 
@@ -405,7 +431,7 @@ router.get("/:agreementId/status", async (req, res) => {
   }
 });
 
-router.get("/companies", async (req, res) => {
+router.get("/companies", authorize("zoho:sync"), async (req, res) => {
   try {
     const { search } = req.query;
 
@@ -463,7 +489,7 @@ router.get("/companies", async (req, res) => {
   }
 });
 
-router.get("/users", async (req, res) => {
+router.get("/users", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log("👥 Fetching Bigin users");
     const result = await getBiginUsers();
@@ -474,7 +500,7 @@ router.get("/users", async (req, res) => {
   }
 });
 
-router.post("/companies", async (req, res) => {
+router.post("/companies", authorize("zoho:sync"), async (req, res) => {
   try {
     const { name, phone, email, website, address } = req.body;
 
@@ -516,7 +542,7 @@ router.post("/companies", async (req, res) => {
   }
 });
 
-router.post("/:agreementId/first-time", async (req, res) => {
+router.post("/:agreementId/first-time", authorize("zoho:sync"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
     const {
@@ -668,14 +694,21 @@ console.log(
       `✅ [ZOHO-FIRST-TIME] PDF compiled successfully: ${compiledPdf.buffer.length} bytes`,
     );
 
+    const uploadFileName = fileName || `agreement_v${versionNumber}.pdf`;
+    const uploadBuffer = await issueZohoCopy(compiledPdf, {
+      agreementId: agreement._id,
+      versionDoc,
+      fileName: uploadFileName,
+      requestedBy: req.user?.username || null,
+    });
     const pdfData = {
-      pdfBuffer: compiledPdf.buffer,
+      pdfBuffer: uploadBuffer,
       source: "On-Demand Compilation",
       version: versionNumber,
       versionId: versionDoc?._id || null,
-      fileName: fileName || `agreement_v${versionNumber}.pdf`,
-      sizeBytes: compiledPdf.buffer.length,
-      bufferSize: compiledPdf.buffer.length,
+      fileName: uploadFileName,
+      sizeBytes: uploadBuffer.length,
+      bufferSize: uploadBuffer.length,
     };
 
     console.log(
@@ -700,6 +733,17 @@ if (existingMapping && existingMapping.lastUploadStatus === "failed") {
       });
     }
 
+    const pendingDeal = await findPendingDealOperation(agreementId);
+    if (pendingDeal) {
+      return res.status(409).json({
+        success: false,
+        error:
+          "A first-time upload for this agreement is already queued for Zoho or awaiting a check.",
+        operationId: pendingDeal._id,
+      });
+    }
+    await supersedeDeadDealOperations(agreementId, req.user?.username || null);
+
     const calculateDealAmount = (agreement) => {
       let total = 0;
       const payload = agreement.payload;
@@ -760,71 +804,9 @@ if (existingMapping && existingMapping.lastUploadStatus === "failed") {
       console.error(`❌ [CONTACT-LOOKUP] Exception: ${contactError.message}`);
     }
 
-    const dealResult = await createBiginDeal({
-      dealName: dealName.trim(),
-      companyId,
-      contactId, 
-      subPipelineName: validatedPipeline, 
-      stage: validatedStage, 
-      amount: dealAmount,
-      closingDate: new Date().toISOString().split("T")[0],
-      description: `EnviroMaster service agreement - ${agreement.payload?.headerTitle || "Service Proposal"}`,
-    });
-
-    if (!dealResult.success) {
-      console.error(`❌ Deal creation failed:`, dealResult.error);
-
-console.log(
-        `🔄 [V2-CLEAN-RETRY] No mapping created - allowing clean retry`,
-      );
-
-      return res.status(500).json({
-        success: false,
-        error: `Failed to create deal: ${dealResult.error?.message || "Unknown error"}`,
-        details: dealResult.error,
-        retryable: true, 
-        suggestion: "Please try again - no partial data was saved",
-      });
-    }
-
-    const deal = dealResult.deal;
-    console.log(`✅ Deal created: ${deal.id}`);
-
-    const noteResult = await createBiginNote(deal.id, {
-      title: `Agreement v1 - ${new Date().toLocaleDateString()}`,
-      content: noteText.trim(),
-    });
-
-    if (!noteResult.success) {
-      console.error(`❌ Failed to create note, but deal exists: ${deal.id}`);
-
-console.log(
-        `🔄 [V2-CLEAN-RETRY] Deal created but note failed - keeping state clean`,
-      );
-      console.log(
-        `⚠️ [V2-CLEAN-RETRY] Deal ${deal.id} exists in Zoho but note creation failed`,
-      );
-
-      return res.status(500).json({
-        success: false,
-        error: `Deal created but failed to create note: ${noteResult.error?.message}`,
-        dealId: deal.id,
-        retryable: true, 
-        suggestion:
-          "Deal was created in Zoho. You can try uploading again - the system will handle the existing deal.",
-        zohoStatus: "deal_created_note_failed",
-      });
-    }
-
-    const note = noteResult.note;
-    console.log(`✅ Note created: ${note.id}`);
-
-    let file = null;
+    const sanitizedNoteText = noteText.trim();
     let finalVersionFileName = null;
-
     if (!skipFileUpload) {
-      
-      const pdfBuffer = pdfData.pdfBuffer; 
       const sanitizedDealNameBase = dealName
         ? dealName.replace(/[^a-zA-Z0-9-_.]/g, "_")
         : "deal";
@@ -833,120 +815,152 @@ console.log(
         pdfData.fileName,
         fallbackBase,
       );
+    }
 
-      console.log(
-        `📎 Retrieved PDF from ${pdfData.source} v${pdfData.version}: ${pdfBuffer.length} bytes (proper Node.js Buffer for upload)`,
-      );
+    const { fields: mappedDealFields, skipped: skippedDealFields } = await buildMappedDealFields(agreement);
+    if (skippedDealFields.length > 0) {
+      console.log(`ℹ️ [ZOHO-FIELDS] Skipped empty/unconvertible mapped fields: ${skippedDealFields.map((f) => f.field).join(", ")}`);
+    }
 
-      console.log(`🔍 [BUFFER-DEBUG] Buffer info:`, {
-        isBuffer: Buffer.isBuffer(pdfBuffer),
-        length: pdfBuffer.length,
-        type: typeof pdfBuffer,
-        constructor: pdfBuffer.constructor.name,
+    // deal → note → file run in order through the Zoho outbox; the deal
+    // operation creates the mapping and the file operation records the upload.
+    const entries = [
+      {
+        kind: "deal",
+        payload: {
+          dealName: dealName.trim(),
+          companyId,
+          contactId,
+          subPipelineName: validatedPipeline,
+          stage: validatedStage,
+          amount: dealAmount,
+          closingDate: new Date().toISOString().split("T")[0],
+          description: `EnviroMaster service agreement - ${agreement.payload?.headerTitle || "Service Proposal"}`,
+        },
+        context: {
+          mapping: {
+            company: { id: companyId, name: companyName, createdByUs: false },
+            pipelineName: "Default",
+            stage: validatedStage,
+          },
+        },
+      },
+      {
+        kind: "note",
+        after: 0,
+        payload: {
+          title: `Agreement v1 - ${new Date().toLocaleDateString()}`,
+          content: sanitizedNoteText,
+        },
+      },
+    ];
+    if (!skipFileUpload) {
+      entries.push({
+        kind: "file",
+        after: 1,
+        file: { buffer: pdfData.pdfBuffer, fileName: finalVersionFileName },
+        context: {
+          recordUpload: { noteText: sanitizedNoteText, uploadedBy: "system" },
+        },
       });
+    }
 
-      const fileResult = await uploadBiginFile(
-        deal.id,
-        pdfBuffer,
-        finalVersionFileName,
-      );
-
-      if (!fileResult.success) {
-        console.error(
-          `❌ Failed to upload file, but deal and note exist: ${deal.id}, ${note.id}`,
-        );
-
-console.log(
-          `🔄 [V2-CLEAN-RETRY] Deal and note created but file failed - keeping state clean`,
-        );
-        console.log(
-          `⚠️ [V2-CLEAN-RETRY] Deal ${deal.id} and note ${note.id} exist in Zoho but file upload failed`,
-        );
-
-        return res.status(500).json({
-          success: false,
-          error: `Deal and note created but failed to upload file: ${fileResult.error?.message}`,
-          dealId: deal.id,
-          noteId: note.id,
-          retryable: true, 
-          suggestion:
-            "Deal and note were created in Zoho. You can try uploading again - the system will handle the existing records.",
-          zohoStatus: "deal_note_created_file_failed",
-        });
-      }
-
-      file = fileResult.file;
-      console.log(`✅ File uploaded: ${file.id}`);
-    } else {
-      console.log(`⏭️ Skipping PDF upload as requested (skipFileUpload: true)`);
+    // Mapped fields go in their own deal_update after the create, outside the
+    // upload summary, so a field Bigin rejects never fails the deal itself.
+    const uploadOpCount = entries.length;
+    if (Object.keys(mappedDealFields).length > 0) {
+      entries.push({ kind: "deal_update", after: 0, payload: { fields: mappedDealFields } });
     }
 
-    const mapping = new ZohoMapping({
+    const operationIds = await enqueueZohoOperations(entries, {
       agreementId,
-      zohoCompany: {
-        id: companyId,
-        name: companyName,
-        createdByUs: false, 
-      },
-      zohoDeal: {
-        id: deal.id,
-        name: deal.name,
-        pipelineName: "Default", 
-        stage: validatedStage, 
-      },
-      moduleName: "Pipelines",
-      lastUploadStatus: "success",
-      lastError: null,
+      requestedBy: req.user?.username || null,
     });
+    const operations = await runZohoOperationsNow(operationIds);
+    const uploadOps = operations.slice(0, uploadOpCount);
+    const sync = summarizeZohoOperations(uploadOps);
+    const [dealOp, noteOp, fileOp] = uploadOps;
+    const dealFieldsOp = operations[uploadOpCount] || null;
+    const dealFields = dealFieldsOp
+      ? {
+          ...summarizeZohoOperations([dealFieldsOp]),
+          fields: Object.keys(mappedDealFields),
+          skipped: skippedDealFields,
+        }
+      : null;
 
-    if (!skipFileUpload && file) {
-      mapping.addUpload({
-        zohoNoteId: note.id,
-        zohoFileId: file.id,
-        noteText: noteText.trim(),
-        fileName: finalVersionFileName,
-        uploadedBy: "system", 
+    if (sync.state === "failed") {
+      const failedOp = uploadOps.find((op) => op.status === "dead");
+      console.error(
+        `❌ [ZOHO-FIRST-TIME] ${failedOp.kind} failed permanently: ${failedOp.lastError}`,
+      );
+      return res.status(500).json({
+        success: false,
+        error: `Failed to create ${failedOp.kind}: ${failedOp.lastError}`,
+        dealId: dealOp.result?.dealId || null,
+        retryable: false,
+        suggestion:
+          "The failed step is in the Zoho outbox dead-letter list and can be replayed by an admin.",
+        sync,
       });
     }
 
-    await mapping.save();
+    if (sync.state === "pending") {
+      console.warn(
+        `⏳ [ZOHO-FIRST-TIME] Upload for ${agreementId} queued for retry (batch ${sync.batchId})`,
+      );
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message:
+          "Zoho is not reachable right now - the upload is queued and will be retried automatically",
+        data: {
+          deal: dealOp.result?.dealId
+            ? { id: dealOp.result.dealId, name: dealOp.result.dealName }
+            : null,
+        },
+        sync,
+        dealFields,
+      });
+    }
 
     console.log(`✅ First-time upload completed successfully!`);
-    console.log(`  ├ Deal: ${deal.name} (${deal.id})`);
-    console.log(`  ├ Note: ${note.id}`);
-    if (!skipFileUpload && file) {
-      console.log(`  ├ File: ${finalVersionFileName} (${file.id})`);
+    console.log(`  ├ Deal: ${dealOp.result.dealName} (${dealOp.result.dealId})`);
+    console.log(`  ├ Note: ${noteOp.result.noteId}`);
+    if (fileOp) {
+      console.log(`  ├ File: ${finalVersionFileName} (${fileOp.result.fileId})`);
     } else {
       console.log(`  ├ File: Skipped (will be added separately)`);
     }
-    console.log(`  └ Mapping: ${mapping._id}`);
+    console.log(`  └ Mapping: ${dealOp.result.mappingId}`);
 
     res.json({
       success: true,
       message: "Successfully uploaded to Zoho Bigin",
       data: {
         deal: {
-          id: deal.id,
-          name: deal.name,
-          stage: deal.stage,
+          id: dealOp.result.dealId,
+          name: dealOp.result.dealName,
+          stage: validatedStage,
           amount: dealAmount,
         },
         note: {
-          id: note.id,
-          title: note.title,
+          id: noteOp.result.noteId,
+          title: noteOp.result.title,
         },
-        file:
-          !skipFileUpload && file
-            ? {
-                id: file.id,
-                fileName: finalVersionFileName,
-              }
-            : null, 
+        file: fileOp
+          ? {
+              id: fileOp.result.fileId,
+              fileName: finalVersionFileName,
+            }
+          : null,
         mapping: {
-          id: mapping._id,
+          id: dealOp.result.mappingId,
           version: 1,
         },
       },
+      sync,
+      dealFields,
     });
   } catch (error) {
     console.error("❌ First-time upload failed:", error.message);
@@ -957,7 +971,7 @@ console.log(
   }
 });
 
-router.post("/:agreementId/update", async (req, res) => {
+router.post("/:agreementId/update", authorize("zoho:sync"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
     const {
@@ -1053,15 +1067,22 @@ const compiledPdf = await compileCustomerHeader(
         `✅ [ZOHO-UPLOAD] PDF compiled successfully: ${compiledPdf.buffer.length} bytes`,
       );
 
+      const uploadFileName =
+        versionDoc.fileName || `version_${versionDoc.versionNumber}.pdf`;
+      const uploadBuffer = await issueZohoCopy(compiledPdf, {
+        agreementId,
+        versionDoc,
+        fileName: uploadFileName,
+        requestedBy: req.user?.username || null,
+      });
       pdfData = {
-        pdfBuffer: compiledPdf.buffer,
+        pdfBuffer: uploadBuffer,
         source: "On-Demand Compilation",
         version: versionDoc.versionNumber,
         versionId: versionDoc._id,
-        fileName:
-          versionDoc.fileName || `version_${versionDoc.versionNumber}.pdf`,
-        sizeBytes: compiledPdf.buffer.length,
-        bufferSize: compiledPdf.buffer.length,
+        fileName: uploadFileName,
+        sizeBytes: uploadBuffer.length,
+        bufferSize: uploadBuffer.length,
       };
     } else {
       console.log(`ℹ️ Skipping PDF lookup per request (skipFileUpload=true)`);
@@ -1132,35 +1153,6 @@ const compiledPdf = await compileCustomerHeader(
 
     const sanitizedNoteText = noteText.trim();
 
-    let note = null;
-    if (!skipNoteCreation) {
-      let noteContent = sanitizedNoteText;
-      if (!skipFileUpload && finalVersionFileName) {
-        noteContent = `${sanitizedNoteText}${sanitizedNoteText ? "\n\n" : ""}Uploaded File: ${finalVersionFileName}`;
-      }
-
-      const noteTitle =
-        finalVersionFileName || `Note update ${new Date().toISOString()}`;
-      const noteResult = await createBiginNote(dealId, {
-        title: noteTitle,
-        content: noteContent,
-      });
-
-      if (!noteResult.success) {
-        return res.status(500).json({
-          success: false,
-          error: `Failed to create note: ${noteResult.error?.message || "Unknown error"}`,
-          details: noteResult.error,
-        });
-      }
-
-      note = noteResult.note;
-      console.log(`✅ Note created: ${note.id}`);
-    } else {
-      console.log(`⏭️ Skipping note creation for bulk upload file`);
-    }
-
-    let file = null;
     if (!skipFileUpload) {
       const pdfBuffer = pdfData.pdfBuffer;
 
@@ -1188,128 +1180,143 @@ if (
         });
       }
 
-      console.log(`📎 [VERSION-UPLOAD] Uploading version PDF:`, {
+      console.log(`📎 [VERSION-UPLOAD] Queueing version PDF:`, {
         fileName: finalVersionFileName,
         bufferLength: pdfBuffer.length,
         versionId: pdfData.versionId,
         source: pdfData.source,
       });
+    }
 
-      const fileResult = await uploadBiginFile(
-        dealId,
-        pdfBuffer,
-        finalVersionFileName,
-      );
-
-      if (!fileResult.success) {
-        console.error(
-          `❌ Failed to upload file, noteId: ${note?.id || "none"}`,
-        );
-        return res.status(500).json({
-          success: false,
-          error: `Note created but failed to upload file: ${fileResult.error?.message}`,
-          noteId: note?.id || null,
-        });
+    const entries = [];
+    if (!skipNoteCreation) {
+      let noteContent = sanitizedNoteText;
+      if (!skipFileUpload && finalVersionFileName) {
+        noteContent = `${sanitizedNoteText}${sanitizedNoteText ? "\n\n" : ""}Uploaded File: ${finalVersionFileName}`;
       }
-
-      file = fileResult.file;
-      console.log(`✅ File uploaded: ${file.id}`);
+      entries.push({
+        kind: "note",
+        dealId,
+        payload: {
+          title: finalVersionFileName || `Note update ${new Date().toISOString()}`,
+          content: noteContent,
+        },
+      });
     } else {
-      console.log(`ℹ️ Skipping PDF upload because skipFileUpload=true`);
+      console.log(`⏭️ Skipping note creation for bulk upload file`);
     }
 
     if (!skipFileUpload) {
-      if (mapping) {
-        mapping.addUpload({
-          zohoNoteId: note?.id || null,
-          zohoFileId: file.id,
-          noteText: noteText.trim(),
-          fileName: finalVersionFileName,
-          uploadedBy: "system", 
-        });
-        await mapping.save();
-      } else {
-        
-        console.log(
-          `📤 [BULK] Creating new ZohoMapping for agreement ${agreementId} in shared deal ${dealId}`,
-        );
+      entries.push({
+        kind: "file",
+        dealId,
+        after: entries.length ? 0 : undefined,
+        file: { buffer: pdfData.pdfBuffer, fileName: finalVersionFileName },
+        context: {
+          recordUpload: { noteText: sanitizedNoteText, uploadedBy: "system" },
+        },
+      });
+    } else {
+      console.log(`ℹ️ Skipping PDF upload because skipFileUpload=true`);
+    }
 
-        const dealDetails = await getBiginDealById(dealId);
+    const operationIds = await enqueueZohoOperations(entries, {
+      agreementId,
+      requestedBy: req.user?.username || null,
+    });
+    const operations = await runZohoOperationsNow(operationIds);
+    const sync = summarizeZohoOperations(operations);
+    const dealFields = mapping?.zohoDeal?.id === dealId
+      ? await syncMappedDealFields(agreement, dealId, req.user?.username || null)
+      : null;
+    const noteOp = operations.find((op) => op.kind === "note") || null;
+    const fileOp = operations.find((op) => op.kind === "file") || null;
+
+    if (sync.state === "failed") {
+      const failedOp = operations.find((op) => op.status === "dead");
+      return res.status(500).json({
+        success: false,
+        error:
+          failedOp.kind === "note"
+            ? `Failed to create note: ${failedOp.lastError}`
+            : `Failed to upload file: ${failedOp.lastError}`,
+        noteId: noteOp?.result?.noteId || null,
+        sync,
+      });
+    }
 
-        mapping = new ZohoMapping({
-          agreementId: agreement._id,
-          companyId: dealDetails.Account_Name?.id || "unknown",
-          companyName: dealDetails.Account_Name?.name || "Unknown Company",
-          zohoDeal: {
-            id: dealId,
-            name: dealDetails.Deal_Name || dealName,
-          },
-          pipelineName: dealDetails.Pipeline || "Sales Pipeline",
-          stage: dealDetails.Stage || "Proposal",
-          uploads: [
-            {
-              version: 1,
-              zohoNoteId: note?.id || null, 
-              zohoFileId: file.id,
-              noteText: noteText.trim(),
-              fileName: finalVersionFileName,
-              uploadedAt: new Date(),
-              uploadedBy: "system",
-            },
-          ],
-        });
+    if (sync.state === "pending") {
+      console.warn(
+        `⏳ [ZOHO-UPLOAD] Update for ${agreementId} queued for retry (batch ${sync.batchId})`,
+      );
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message:
+          "Zoho is not reachable right now - the update is queued and will be retried automatically",
+        data: {
+          deal: { id: dealId, name: dealName },
+        },
+        sync,
+        dealFields,
+      });
+    }
 
-        await mapping.save();
-        console.log(`✅ [BULK] Created new mapping: ${mapping._id}`);
-      }
+    if (!skipFileUpload) {
+      mapping = await ZohoMapping.findByAgreementId(agreementId);
     } else {
       console.log(
         `ℹ️ Note-only update detected, skipping mapping upload entry`,
       );
     }
+    const uploadedVersion = fileOp?.result?.mappingVersion || nextVersion;
 
     console.log(`✅ Update upload completed successfully!`);
     console.log(`  ├ Deal: ${dealName} (${dealId})`);
-    if (note) {
-      console.log(`  ├ Note: ${note.id}`);
+    if (noteOp) {
+      console.log(`  ├ Note: ${noteOp.result.noteId}`);
     } else {
       console.log(`  ├ Note: Skipped (bulk upload)`);
     }
-    if (!skipFileUpload && file) {
-      console.log(`  ├ File: ${finalVersionFileName} (${file.id})`);
+    if (fileOp) {
+      console.log(`  ├ File: ${finalVersionFileName} (${fileOp.result.fileId})`);
     } else {
       console.log(`  ├ File: Skipped (note-only update)`);
     }
-    console.log(`  └ Version: ${nextVersion}`);
+    console.log(`  └ Version: ${uploadedVersion}`);
 
     res.json({
       success: true,
       message: skipFileUpload
         ? `Successfully added note to Zoho deal ${dealName}`
-        : `Successfully uploaded version ${nextVersion} to existing Zoho deal`,
+        : `Successfully uploaded version ${uploadedVersion} to existing Zoho deal`,
       data: {
         deal: {
           id: dealId,
           name: dealName,
         },
-        note: note
+        note: noteOp
           ? {
-              id: note.id,
-              title: note.title,
+              id: noteOp.result.noteId,
+              title: noteOp.result.title,
             }
-          : null, 
-        file: file
+          : null,
+        file: fileOp
           ? {
-              id: file.id,
+              id: fileOp.result.fileId,
               fileName: finalVersionFileName,
             }
           : null,
-        mapping: {
-          id: mapping._id,
-          version: nextVersion,
-          totalVersions: mapping.uploads.length,
-        },
+        mapping: mapping
+          ? {
+              id: mapping._id,
+              version: uploadedVersion,
+              totalVersions: mapping.uploads.length,
+            }
+          : null,
       },
+      sync,
+      dealFields,
     });
   } catch (error) {
     console.error("❌ Update upload failed:", error.message);
@@ -1320,7 +1327,7 @@ if (
   }
 });
 
-router.get("/:agreementId/history", async (req, res) => {
+router.get("/:agreementId/history", authorize("agreements:read"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
 
@@ -1368,7 +1375,7 @@ router.get("/:agreementId/history", async (req, res) => {
   }
 });
 
-router.get("/modules", async (req, res) => {
+router.get("/modules", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`📋 Fetching Zoho Bigin modules...`);
 
@@ -1394,7 +1401,7 @@ router.get("/modules", async (req, res) => {
   }
 });
 
-router.get("/companies/:companyId/pipeline-options", async (req, res) => {
+router.get("/companies/:companyId/pipeline-options", authorize("zoho:sync"), async (req, res) => {
   try {
     const { companyId } = req.params;
     console.log(`📋 Fetching pipeline options for company: ${companyId}`);
@@ -1461,7 +1468,7 @@ router.get("/companies/:companyId/pipeline-options", async (req, res) => {
   }
 });
 
-router.get("/pipeline-options", async (req, res) => {
+router.get("/pipeline-options", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`📋 Fetching Zoho Bigin pipeline and stage options...`);
 
@@ -1513,7 +1520,7 @@ router.get("/pipeline-options", async (req, res) => {
   }
 });
 
-router.post("/validate-deal-fields", async (req, res) => {
+router.post("/validate-deal-fields", authorize("zoho:sync"), async (req, res) => {
   try {
     const { pipelineName, stage } = req.body;
 
@@ -1556,7 +1563,7 @@ router.post("/validate-deal-fields", async (req, res) => {
   }
 });
 
-router.post("/cleanup-failed", async (req, res) => {
+router.post("/cleanup-failed", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`🧹 [V2-CLEANUP] Starting cleanup of failed mappings...`);
 
@@ -1606,7 +1613,7 @@ const deleteResult = await ZohoMapping.deleteMany({
   }
 });
 
-router.get("/companies/:companyId/deals", async (req, res) => {
+router.get("/companies/:companyId/deals", authorize("zoho:sync"), async (req, res) => {
   try {
     const { companyId } = req.params;
     const { page = 1, per_page = 20 } = req.query;
@@ -1704,7 +1711,7 @@ router.get("/companies/:companyId/deals", async (req, res) => {
   }
 });
 
-router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
+router.post("/attached-file/:fileId/add-to-deal", authorize("zoho:sync"), requireAgreementAccess("fileId", "manualUpload"), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { dealId, noteText, dealName, skipNoteCreation, fileType } = req.body;
@@ -1785,7 +1792,7 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
         `[ATTACHED-FILE] Looking up ManualUploadDocument with ID: ${fileId}`,
       );
       const manualDoc = await ManualUploadDocument.findById(fileId).select(
-        "fileName originalFileName pdfBuffer",
+        "fileName originalFileName pdfBuffer storageDriver storageKey",
       );
 
       if (!manualDoc) {
@@ -1818,7 +1825,7 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
         });
       }
 
-      if (!manualDoc.pdfBuffer) {
+      if (!hasStoredBlob(manualDoc)) {
         return res.status(400).json({
           success: false,
           error: "Attached file has no PDF content",
@@ -1828,13 +1835,7 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
       originalFileName =
         manualDoc.originalFileName || manualDoc.fileName || originalFileName;
 
-      if (Buffer.isBuffer(manualDoc.pdfBuffer)) {
-        pdfBuffer = manualDoc.pdfBuffer;
-      } else if (typeof manualDoc.pdfBuffer === "string") {
-        pdfBuffer = Buffer.from(manualDoc.pdfBuffer, "base64");
-      } else {
-        throw new Error("Invalid PDF buffer format");
-      }
+      pdfBuffer = await readBlob(manualDoc);
     }
 
     const sanitizedFileNameBase = (originalFileName || "file").replace(
@@ -1857,49 +1858,75 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
       `[ATTACHED-FILE] Processing ${normalizedFileType}: ${originalFileName} -> ${zohoFileName}`,
     );
 
-    let note = null;
+    const entries = [];
     if (!skipNoteCreation) {
-      const noteTitle = isLogAttachment
-        ? `Version Log - ${originalFileName}`
-        : `Attached File - ${originalFileName}`;
-      const noteResult = await createBiginNote(dealId, {
-        title: noteTitle,
-        content: trimmedNoteText,
+      entries.push({
+        kind: "note",
+        dealId,
+        payload: {
+          title: isLogAttachment
+            ? `Version Log - ${originalFileName}`
+            : `Attached File - ${originalFileName}`,
+          content: trimmedNoteText,
+        },
       });
-
-      if (!noteResult.success) {
-        console.error(
-          `[ATTACHED-FILE] Note creation failed: ${noteResult.error}`,
-        );
-        return res.status(500).json({
-          success: false,
-          error: `Failed to create note: ${noteResult.error?.message || "Unknown error"}`,
-        });
-      }
-
-      note = noteResult.note;
-      console.log(`[ATTACHED-FILE] Note created: ${note.id}`);
     } else {
       console.log(
         `[ATTACHED-FILE] Skipping note creation for ${normalizedFileType} (bulk upload)`,
       );
     }
+    entries.push({
+      kind: "file",
+      dealId,
+      after: entries.length ? 0 : undefined,
+      file: {
+        buffer: pdfBuffer,
+        fileName: zohoFileName,
+        contentType: isLogAttachment ? "text/plain" : "application/pdf",
+      },
+    });
 
-    const fileResult = await uploadBiginFile(dealId, pdfBuffer, zohoFileName, {
-      contentType: isLogAttachment ? "text/plain" : "application/pdf",
+    const operationIds = await enqueueZohoOperations(entries, {
+      requestedBy: req.user?.username || null,
     });
-    if (!fileResult.success) {
-      console.error(`[ATTACHED-FILE] File upload failed: ${fileResult.error}`);
+    const operations = await runZohoOperationsNow(operationIds);
+    const sync = summarizeZohoOperations(operations);
+    const noteOp = operations.find((op) => op.kind === "note") || null;
+    const fileOp = operations.find((op) => op.kind === "file");
+
+    if (sync.state === "failed") {
+      const failedOp = operations.find((op) => op.status === "dead");
+      console.error(
+        `[ATTACHED-FILE] ${failedOp.kind} failed permanently: ${failedOp.lastError}`,
+      );
       return res.status(500).json({
         success: false,
-        error: `Failed to upload file: ${fileResult.error?.message || "Unknown error"}`,
-        noteId: note?.id,
+        error:
+          failedOp.kind === "note"
+            ? `Failed to create note: ${failedOp.lastError}`
+            : `Failed to upload file: ${failedOp.lastError}`,
+        noteId: noteOp?.result?.noteId,
         fileType: normalizedFileType,
+        sync,
       });
     }
 
-    const file = fileResult.file;
-    console.log(`[ATTACHED-FILE] Uploaded file ${file.id} to deal ${dealId}`);
+    if (sync.state === "pending") {
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message: `Zoho is not reachable right now - the ${isLogAttachment ? "version log" : "attached file"} is queued and will be retried automatically`,
+        data: {
+          deal: {
+            id: dealId,
+            name: dealName || "Unknown Deal",
+          },
+        },
+        sync,
+      });
+    }
+
+    console.log(`[ATTACHED-FILE] Uploaded file ${fileOp.result.fileId} to deal ${dealId}`);
 
     res.json({
       success: true,
@@ -1909,14 +1936,14 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
           id: dealId,
           name: dealName || "Unknown Deal",
         },
-        note: note
+        note: noteOp
           ? {
-              id: note.id,
-              title: note.title,
+              id: noteOp.result.noteId,
+              title: noteOp.result.title,
             }
           : null,
         file: {
-          id: file.id,
+          id: fileOp.result.fileId,
           fileName: zohoFileName,
         },
         uploadedFile: {
@@ -1925,6 +1952,7 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
           fileType: normalizedFileType,
         },
       },
+      sync,
     });
   } catch (error) {
     console.error("Attached file Zoho upload error:", error);
@@ -1936,7 +1964,7 @@ router.post("/attached-file/:fileId/add-to-deal", async (req, res) => {
   }
 });
 
-router.post("/:agreementId/batch-update", async (req, res) => {
+router.post("/:agreementId/batch-update", authorize("zoho:sync"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
     const { versionIds, noteText, dealId: providedDealId } = req.body;
@@ -2059,9 +2087,14 @@ const compiledPdf = await compileCustomerHeader(
           continue;
         }
 
-        const pdfBuffer = compiledPdf.buffer;
         const fileName =
           versionDoc.fileName || `version_${versionDoc.versionNumber}.pdf`;
+        const pdfBuffer = await issueZohoCopy(compiledPdf, {
+          agreementId,
+          versionDoc,
+          fileName,
+          requestedBy: req.user?.username || null,
+        });
 
         if (!Buffer.isBuffer(pdfBuffer) || pdfBuffer.length === 0) {
           console.error(
@@ -2113,90 +2146,100 @@ const compiledPdf = await compileCustomerHeader(
 const fileList = processedFiles.map((f) => `• ${f.fileName}`).join("\n");
     const batchNoteContent = `${noteText.trim()}\n\nBatch upload of ${processedFiles.length} files:\n${fileList}`;
 
-    const noteResult = await createBiginNote(dealId, {
-      title: `Batch Upload - ${processedFiles.length} files`,
-      content: batchNoteContent,
-    });
-
-    if (!noteResult.success) {
+    const operationIds = await enqueueZohoOperations(
+      [
+        {
+          kind: "note",
+          dealId,
+          payload: {
+            title: `Batch Upload - ${processedFiles.length} files`,
+            content: batchNoteContent,
+          },
+        },
+        ...processedFiles.map((file) => ({
+          kind: "file",
+          dealId,
+          after: 0,
+          file: { buffer: file.pdfBuffer, fileName: file.fileName },
+          context: {
+            recordUpload: { noteText: noteText.trim(), uploadedBy: "system" },
+          },
+        })),
+      ],
+      { agreementId, requestedBy: req.user?.username || null },
+    );
+    const operations = await runZohoOperationsNow(operationIds);
+    const sync = summarizeZohoOperations(operations);
+    const dealFields = mapping?.zohoDeal?.id === dealId
+      ? await syncMappedDealFields(agreement, dealId, req.user?.username || null)
+      : null;
+    const [noteOp, ...fileOps] = operations;
+
+    if (noteOp.status === "dead") {
       return res.status(500).json({
         success: false,
-        error: `Failed to create note: ${noteResult.error?.message || "Unknown error"}`,
-        details: noteResult.error,
+        error: `Failed to create note: ${noteOp.lastError}`,
         processedFiles: processedFiles.length,
         failedFiles: failedFiles.length,
+        sync,
       });
     }
 
-    const note = noteResult.note;
-    console.log(`✅ [BATCH-UPDATE] Created batch note: ${note.id}`);
-
-    const uploadResults = [];
-    let currentVersion = nextVersion;
-
-    for (const file of processedFiles) {
-      try {
-        console.log(`📤 [BATCH-UPDATE] Uploading ${file.fileName} to Zoho...`);
-
-        const fileResult = await uploadBiginFile(
-          dealId,
-          file.pdfBuffer,
-          file.fileName,
-        );
+    if (noteOp.status !== "completed") {
+      console.warn(
+        `⏳ [BATCH-UPDATE] Batch for ${agreementId} queued for retry (batch ${sync.batchId})`,
+      );
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message:
+          "Zoho is not reachable right now - the batch is queued and will be retried automatically",
+        data: {
+          deal: { id: dealId, name: dealName },
+        },
+        sync,
+        dealFields,
+      });
+    }
 
-        if (!fileResult.success) {
-          console.error(
-            `❌ [BATCH-UPDATE] Failed to upload ${file.fileName}:`,
-            fileResult.error,
-          );
-          failedFiles.push({
-            versionId: file.versionId,
-            fileName: file.fileName,
-            error: fileResult.error?.message || "Upload failed",
-          });
-        } else {
-          console.log(
-            `✅ [BATCH-UPDATE] Uploaded ${file.fileName}: ${fileResult.file.id}`,
-          );
+    console.log(`✅ [BATCH-UPDATE] Created batch note: ${noteOp.result.noteId}`);
 
-          uploadResults.push({
-            versionId: file.versionId,
-            versionNumber: file.versionNumber,
-            fileName: file.fileName,
-            zohoFileId: fileResult.file.id,
-            version: currentVersion,
-          });
+    const uploadResults = [];
+    const queuedFiles = [];
 
-          currentVersion++;
-        }
-      } catch (err) {
+    fileOps.forEach((op, index) => {
+      const file = processedFiles[index];
+      if (op.status === "completed") {
+        uploadResults.push({
+          versionId: file.versionId,
+          versionNumber: file.versionNumber,
+          fileName: file.fileName,
+          zohoFileId: op.result.fileId,
+          version: op.result.mappingVersion || null,
+        });
+      } else if (op.status === "dead") {
         console.error(
-          `❌ [BATCH-UPDATE] Error uploading ${file.fileName}:`,
-          err,
+          `❌ [BATCH-UPDATE] Failed to upload ${file.fileName}: ${op.lastError}`,
         );
         failedFiles.push({
           versionId: file.versionId,
           fileName: file.fileName,
-          error: err.message,
+          error: op.lastError || "Upload failed",
+          operationId: op._id,
         });
-      }
-    }
-
-    if (uploadResults.length > 0 && mapping) {
-      for (const result of uploadResults) {
-        mapping.addUpload({
-          zohoNoteId: note.id,
-          zohoFileId: result.zohoFileId,
-          noteText: noteText.trim(),
-          fileName: result.fileName,
-          uploadedBy: "system",
+      } else {
+        queuedFiles.push({
+          versionId: file.versionId,
+          fileName: file.fileName,
+          operationId: op._id,
         });
       }
-      await mapping.save();
-      console.log(
-        `✅ [BATCH-UPDATE] Updated mapping with ${uploadResults.length} new uploads`,
-      );
-    } else if (uploadResults.length > 0 && !mapping) {
+    });
+
+    const versions = uploadResults.map((r) => r.version).filter(Boolean);
+    if (mapping) {
+      mapping = await ZohoMapping.findByAgreementId(agreementId);
+    } else if (uploadResults.length > 0) {
       console.warn(
         `⚠️ [BATCH-UPDATE] No mapping found for agreement ${agreementId} - uploads completed but not tracked in mapping`,
       );
@@ -2205,10 +2248,10 @@ const fileList = processedFiles.map((f) => `• ${f.fileName}`).join("\n");
     console.log(`✅ [BATCH-UPDATE] Batch upload completed!`);
     console.log(`  ├ Total files: ${versionIds.length}`);
     console.log(`  ├ Successful: ${uploadResults.length}`);
+    console.log(`  ├ Queued for retry: ${queuedFiles.length}`);
     console.log(`  ├ Failed: ${failedFiles.length}`);
     console.log(`  ├ Deal: ${dealName} (${dealId})`);
-    console.log(`  ├ Note: ${note.id}`);
-    console.log(`  └ Versions: ${nextVersion} - ${currentVersion - 1}`);
+    console.log(`  └ Note: ${noteOp.result.noteId}`);
 
     res.json({
       success: true,
@@ -2219,25 +2262,29 @@ const fileList = processedFiles.map((f) => `• ${f.fileName}`).join("\n");
           name: dealName,
         },
         note: {
-          id: note.id,
-          title: note.title,
+          id: noteOp.result.noteId,
+          title: noteOp.result.title,
         },
         uploadedFiles: uploadResults,
+        queuedFiles: queuedFiles.length > 0 ? queuedFiles : undefined,
         failedFiles: failedFiles.length > 0 ? failedFiles : undefined,
         mapping: mapping
           ? {
               id: mapping._id,
-              startVersion: nextVersion,
-              endVersion: currentVersion - 1,
+              startVersion: versions.length ? Math.min(...versions) : nextVersion,
+              endVersion: versions.length ? Math.max(...versions) : nextVersion - 1,
               totalVersions: mapping.uploads.length,
             }
           : undefined,
         summary: {
           total: versionIds.length,
           successful: uploadResults.length,
+          queued: queuedFiles.length,
           failed: failedFiles.length,
         },
       },
+      sync,
+      dealFields,
     });
   } catch (error) {
     console.error("❌ [BATCH-UPDATE] Batch upload failed:", error.message);
@@ -2248,7 +2295,7 @@ const fileList = processedFiles.map((f) => `• ${f.fileName}`).join("\n");
   }
 });
 
-router.post("/batch-attached-files/add-to-deal", async (req, res) => {
+router.post("/batch-attached-files/add-to-deal", authorize("zoho:sync"), async (req, res) => {
   try {
     const { fileIds, dealId, noteText, dealName } = req.body;
 
@@ -2334,7 +2381,7 @@ router.post("/batch-attached-files/add-to-deal", async (req, res) => {
           pdfBuffer = Buffer.from(textContent, "utf8");
         } else {
           const manualDoc = await ManualUploadDocument.findById(fileId).select(
-            "fileName originalFileName pdfBuffer",
+            "fileName originalFileName pdfBuffer storageDriver storageKey",
           );
 
           if (!manualDoc) {
@@ -2349,7 +2396,7 @@ router.post("/batch-attached-files/add-to-deal", async (req, res) => {
             continue;
           }
 
-          if (!manualDoc.pdfBuffer) {
+          if (!hasStoredBlob(manualDoc)) {
             failedFiles.push({
               fileId,
               fileType,
@@ -2363,13 +2410,7 @@ router.post("/batch-attached-files/add-to-deal", async (req, res) => {
             manualDoc.fileName ||
             originalFileName;
 
-          if (Buffer.isBuffer(manualDoc.pdfBuffer)) {
-            pdfBuffer = manualDoc.pdfBuffer;
-          } else if (typeof manualDoc.pdfBuffer === "string") {
-            pdfBuffer = Buffer.from(manualDoc.pdfBuffer, "base64");
-          } else {
-            throw new Error("Invalid PDF buffer format");
-          }
+          pdfBuffer = await readBlob(manualDoc);
         }
 
 const sanitizedFileNameBase = (originalFileName || "file").replace(
@@ -2540,7 +2581,7 @@ const fileList = processedFiles
   }
 });
 
-router.get("/:agreementId/history", async (req, res) => {
+router.get("/:agreementId/history", authorize("agreements:read"), ownAgreement, async (req, res) => {
   try {
     const { agreementId } = req.params;
 
@@ -2588,7 +2629,7 @@ router.get("/:agreementId/history", async (req, res) => {
   }
 });
 
-router.get("/modules", async (req, res) => {
+router.get("/modules", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`📋 Fetching Zoho Bigin modules...`);
 
@@ -2614,7 +2655,7 @@ router.get("/modules", async (req, res) => {
   }
 });
 
-router.get("/companies/:companyId/pipeline-options", async (req, res) => {
+router.get("/companies/:companyId/pipeline-options", authorize("zoho:sync"), async (req, res) => {
   try {
     const { companyId } = req.params;
     console.log(`📋 Fetching pipeline options for company: ${companyId}`);
@@ -2683,7 +2724,7 @@ if (!companyId || !companyId.trim()) {
   }
 });
 
-router.get("/pipeline-options", async (req, res) => {
+router.get("/pipeline-options", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`📋 Fetching Zoho Bigin pipeline and stage options...`);
 
@@ -2737,7 +2778,7 @@ router.get("/pipeline-options", async (req, res) => {
   }
 });
 
-router.post("/validate-deal-fields", async (req, res) => {
+router.post("/validate-deal-fields", authorize("zoho:sync"), async (req, res) => {
   try {
     const { pipelineName, stage } = req.body;
 
@@ -2780,7 +2821,7 @@ router.post("/validate-deal-fields", async (req, res) => {
   }
 });
 
-router.post("/cleanup-failed", async (req, res) => {
+router.post("/cleanup-failed", authorize("zoho:sync"), async (req, res) => {
   try {
     console.log(`🧹 [V2-CLEANUP] Starting cleanup of failed mappings...`);
 
@@ -2830,7 +2871,7 @@ const deleteResult = await ZohoMapping.deleteMany({
   }
 });
 
-router.get("/companies/:companyId/deals", async (req, res) => {
+router.get("/companies/:companyId/deals", authorize("zoho:sync"), async (req, res) => {
   try {
     const { companyId } = req.params;
     const { page = 1, per_page = 20 } = req.query;
@@ -2928,7 +2969,7 @@ if (error.message === "ZOHO_AUTH_REQUIRED") {
   }
 });
 
-router.get("/users", async (req, res) => {
+router.get("/users", authorize("zoho:sync"), async (req, res) => {
   try {
     const result = await getBiginUsers();
     return res.json(result);
@@ -2937,7 +2978,7 @@ router.get("/users", async (req, res) => {
   }
 });
 
-router.post("/:agreementId/tasks", async (req, res) => {
+router.post("/:agreementId/tasks", authorize("zoho:sync"), ownAgreement, async (req, res) => {
   const { agreementId } = req.params;
   const { subject, dueDate, status, priority, description, ownerId, reminder, reminderWhen, reminderTime, repeat, repeatFrequency, repeatUntil } = req.body;
 
@@ -2952,86 +2993,69 @@ router.post("/:agreementId/tasks", async (req, res) => {
     }
 
     console.log(`📋 Creating task on pipeline ${mapping.zohoDeal.id} (${mapping.zohoDeal.name})`);
-    const result = await createBiginTask(mapping.zohoDeal.id, {
-      subject: subject.trim(),
-      dueDate: dueDate || null,
-      status: status || 'Not Started',
-      priority: priority || 'Medium',
-      description: description?.trim() || '',
-      ownerId: ownerId || null,
-      seModule: 'Deals',
-      reminder: !!reminder,
-      reminderWhen: reminderWhen || 'On due date',
-      reminderTime: reminderTime || '08:00',
-      repeat: !!repeat,
-      repeatFrequency: repeatFrequency || 'Every Day',
-      repeatUntil: repeatUntil || null,
-    });
+    const operationIds = await enqueueZohoOperations([{
+      kind: "task",
+      dealId: mapping.zohoDeal.id,
+      payload: {
+        subject: subject.trim(),
+        dueDate: dueDate || null,
+        status: status || 'Not Started',
+        priority: priority || 'Medium',
+        description: description?.trim() || '',
+        ownerId: ownerId || null,
+        seModule: 'Deals',
+        reminder: !!reminder,
+        reminderWhen: reminderWhen || 'On due date',
+        reminderTime: reminderTime || '08:00',
+        repeat: !!repeat,
+        repeatFrequency: repeatFrequency || 'Every Day',
+        repeatUntil: repeatUntil || null,
+      },
+    }], { agreementId, requestedBy: req.user?.username || null });
+    const [operation] = await runZohoOperationsNow(operationIds);
+    const sync = summarizeZohoOperations([operation]);
 
-    if (!result.success) {
-      return res.status(500).json({ success: false, error: result.error });
+    if (operation.status === "dead") {
+      return res.status(500).json({ success: false, error: operation.lastError, sync });
+    }
+    if (operation.status !== "completed") {
+      return res.status(202).json({ success: true, queued: true, message: "Zoho is not reachable right now - the task is queued and will be retried automatically", sync });
     }
 
-    return res.json({ success: true, task: result.task });
+    return res.json({
+      success: true,
+      task: {
+        id: operation.result.taskId,
+        subject: operation.result.subject,
+        dueDate: dueDate || null,
+        status: status || 'Not Started',
+        priority: priority || 'Medium',
+      },
+      sync,
+    });
   } catch (err) {
     console.error("❌ Task creation error:", err);
     return res.status(500).json({ success: false, error: err.message });
   }
 });
 
-router.post("/:agreementId/auto-approval-task", async (req, res) => {
+router.post("/:agreementId/auto-approval-task", authorize("zoho:sync"), ownAgreement, async (req, res) => {
   const { agreementId } = req.params;
   const { agreementTitle } = req.body;
 
   try {
-    
-    const mapping = await ZohoMapping.findOne({ agreementId });
-    if (!mapping?.zohoDeal?.id) {
-      console.log(`📋 [AUTO-TASK] No pipeline linked for ${agreementId} — skipping auto task`);
-      return res.json({ success: true, skipped: true, reason: 'no_pipeline' });
-    }
-
-const settings = await AdminSettings.getSingleton();
-    const ownerId = settings.defaultApprovalTaskOwner?.id || null;
-    const ownerName = settings.defaultApprovalTaskOwner?.name || 'Unassigned';
-
-    const title = agreementTitle?.trim() || 'Agreement';
-    const subject = (settings.approvalTaskSubject || 'Agreement "{{agreementTitle}}" needs your approval')
-      .replace('{{agreementTitle}}', title);
-
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const dueDate = tomorrow.toISOString().split('T')[0];
-
-    console.log(`📋 [AUTO-TASK] Creating approval task on pipeline ${mapping.zohoDeal.id} (${mapping.zohoDeal.name}) — owner: ${ownerName}`);
-
-    const result = await createBiginTask(mapping.zohoDeal.id, {
-      subject,
-      dueDate,
-      status: 'Not Started',
-      priority: 'High',
-      description: `This agreement has been submitted and is awaiting approval. Please review the pricing and approve or reject.`,
-      ownerId,
-      seModule: 'Deals',
-      reminder: false,
-      repeat: false,
-    });
-
+    const result = await createAgreementApprovalTask(agreementId, { agreementTitle, source: "manual" });
     if (!result.success) {
-      console.error(`❌ [AUTO-TASK] Bigin task creation failed:`, result.error);
       return res.status(500).json({ success: false, error: result.error });
     }
-
-    console.log(`✅ [AUTO-TASK] Approval task created for agreement ${agreementId}`);
-    return res.json({ success: true, task: result.task });
-
+    return res.json(result);
   } catch (err) {
     console.error('❌ [AUTO-TASK] Error:', err.message);
     return res.status(500).json({ success: false, error: err.message });
   }
 });
 
-router.post("/companies/:companyId/tasks", async (req, res) => {
+router.post("/companies/:companyId/tasks", authorize("zoho:sync"), async (req, res) => {
   const { companyId } = req.params;
   const { subject, dueDate, status, priority, description, ownerId, companyName, agreementId, reminder, reminderWhen, reminderTime, repeat, repeatFrequency, repeatUntil } = req.body;
 
@@ -3,6 +3,12 @@ import mongoose from 'mongoose';
 import app from './app.js';
 import connectDB from './config/db.js';
 import { cleanupTemporaryArtifacts } from './utils/tmpCleanup.js';
+import { startPdfJobWorker } from './services/pdfJobService.js';
+import { startZohoOutboxWorker } from './services/zohoOutboxService.js';
+import { startZohoStageSyncWorker } from './services/zohoStageSyncService.js';
+import { startRenewalScheduler } from './services/renewalService.js';
+import { startPricingBackupScheduler } from './services/pricingBackupScheduler.js';
+import { startServiceConfigActivationScheduler } from './services/serviceConfigService.js';
 
 dotenv.config();
 
@@ -18,6 +24,14 @@ const PORT = process.env.PORT || 5000;
     }
 
     await cleanupTemporaryArtifacts({ purgeAll: true });
+    if (dbConnected) {
+      startPdfJobWorker();
+      startZohoOutboxWorker();
+      startZohoStageSyncWorker();
+      startRenewalScheduler();
+      startPricingBackupScheduler();
+      startServiceConfigActivationScheduler();
+    }
     app.listen(PORT, () =>
       console.log(`🚀 API listening on http://localhost:${PORT}`)
     );
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import VersionPdf from "../models/VersionPdf.js";
+import ManualUploadDocument from "../models/ManualUploadDocument.js";
+import Log from "../models/Log.js";
+import { roleHasPermission } from "../config/rbacConfig.js";
+
+export function canReadAllAgreements(user) {
+  return !!user && roleHasPermission(user.accessRole, "agreements:read_all");
+}
+
+/**
+ * Mongo filter restricting CustomerHeaderDoc queries to what the user may see.
+ * Empty for roles with agreements:read_all; salespeople get their own agreements.
+ */
+export function agreementScopeFilter(user) {
+  if (!user || canReadAllAgreements(user)) return {};
+  return { createdBy: user.username };
+}
+
+/**
+ * Agreement ids visible to the user, or null when unrestricted. Used to scope
+ * collections that reference agreements (VersionPdf, Log, attachments).
+ */
+export async function scopedAgreementIds(user) {
+  if (!user || canReadAllAgreements(user)) return null;
+  return CustomerHeaderDoc.distinct("_id", agreementScopeFilter(user));
+}
+
+/**
+ * Whether the user may act on the agreement. A target that belongs to no
+ * agreement (null) is only open to users who read every agreement.
+ */
+export function canAccessAgreement(user, agreement) {
+  if (canReadAllAgreements(user)) return true;
+  if (!agreement) return false;
+  return !!user?.username && agreement.createdBy === user.username;
+}
+
+// Manual uploads record the uploader's username or id.
+export async function isOwnUpload(user, uploadId) {
+  if (!user || !mongoose.isValidObjectId(uploadId)) return false;
+  const owners = [user.id, user.username].filter(Boolean);
+  return !!(await ManualUploadDocument.exists({ _id: uploadId, uploadedBy: { $in: owners } }));
+}
+
+const AGREEMENT_RESOLVERS = {
+  agreement: async (id) => id,
+  version: async (id) => {
+    const version = await VersionPdf.findById(id).select("agreementId").lean();
+    return version?.agreementId || null;
+  },
+  manualUpload: async (id) => {
+    const doc = await ManualUploadDocument.findById(id).select("metadata.attachedToAgreement").lean();
+    return doc?.metadata?.attachedToAgreement || null;
+  },
+  log: async (id) => {
+    const log = await Log.findById(id).select("agreementId").lean();
+    return log?.agreementId || null;
+  },
+  // Trash/restore routes take an id that may be an attachment, version or log.
+  file: async (id) =>
+    (await AGREEMENT_RESOLVERS.manualUpload(id)) ||
+    (await AGREEMENT_RESOLVERS.version(id)) ||
+    (await AGREEMENT_RESOLVERS.log(id)),
+};
+
+/**
+ * Resolves the agreement an id belongs to. Returns null when the target does
+ * not exist or is not tied to an agreement.
+ */
+export async function resolveAgreementId(kind, id) {
+  const resolver = AGREEMENT_RESOLVERS[kind];
+  if (!resolver) {
+    throw new Error(`Unknown agreement resolver "${kind}"`);
+  }
+  if (!mongoose.isValidObjectId(id)) return null;
+  return resolver(id);
+}
+
+export async function loadAgreementOwner(agreementId) {
+  if (!agreementId || !mongoose.isValidObjectId(agreementId)) return null;
+  return CustomerHeaderDoc.findById(agreementId).select("_id createdBy").lean();
+}
@@ -0,0 +1,386 @@
+import mongoose from "mongoose";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import VersionPdf from "../models/VersionPdf.js";
+import ManualUploadDocument from "../models/ManualUploadDocument.js";
+import ZohoMapping from "../models/ZohoMapping.js";
+import AdminSettings from "../models/AdminSettings.js";
+import { enqueueZohoOperations, runZohoOperationsNow } from "./zohoOutboxService.js";
+import { evaluateAgreementOverrides, findBlockingOverrides } from "./priceOverridePolicyService.js";
+import { roleHasPermission } from "../config/rbacConfig.js";
+import { APPROVAL_PENDING_STATUS, WORKFLOW_DEFINITIONS } from "../config/workflowConfig.js";
+
+const WORKFLOW_TARGETS = {
+  agreement: { Model: CustomerHeaderDoc, projection: "-pdf_meta.pdfBuffer" },
+  version: { Model: VersionPdf, projection: "-pdf_meta.pdfBuffer" },
+  manualUpload: { Model: ManualUploadDocument, projection: "-pdfBuffer" },
+};
+
+// Leaving the approval stage closes the current Zoho task cycle.
+const APPROVAL_STAGE = [APPROVAL_PENDING_STATUS, "approved_salesman"];
+
+const APPROVED_STATUSES = ["approved_salesman", "approved_admin"];
+
+function workflowError(status, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  Object.assign(err, extra);
+  return err;
+}
+
+function getDefinition(kind) {
+  const definition = WORKFLOW_DEFINITIONS[kind];
+  if (!definition) {
+    throw new Error(`Unknown workflow "${kind}"`);
+  }
+  return definition;
+}
+
+function historyEntry(from, to, user, comment) {
+  return {
+    from,
+    to,
+    actor: user?.username || null,
+    actorId: user?.id || null,
+    actorRole: user?.accessRole || null,
+    comment: String(comment || "").slice(0, 2000),
+    at: new Date(),
+  };
+}
+
+/**
+ * Statuses the user may move a `kind` document to from `from`.
+ */
+export function allowedTransitions(kind, from, user) {
+  const transitions = getDefinition(kind).transitions[from] || {};
+  return Object.entries(transitions)
+    .filter(([, permission]) => roleHasPermission(user?.accessRole, permission))
+    .map(([to]) => to);
+}
+
+/**
+ * Validates and applies a status change on a loaded document without saving
+ * it. Throws 400 for unknown statuses, 409 for transitions the workflow does
+ * not allow and 403 when the user lacks the permission the transition needs.
+ */
+export function applyTransition(doc, kind, to, user, comment = "") {
+  const definition = getDefinition(kind);
+  if (!to || !definition.statuses.includes(to)) {
+    throw workflowError(400, `Invalid status. Must be one of: ${definition.statuses.join(", ")}`);
+  }
+
+  const from = doc.status || null;
+  if (from === to) {
+    return { changed: false, from, to };
+  }
+
+  const permission = definition.transitions[from]?.[to];
+  if (!permission) {
+    throw workflowError(409, `Cannot move from "${from}" to "${to}"`, {
+      allowedTransitions: allowedTransitions(kind, from, user),
+    });
+  }
+  if (!roleHasPermission(user?.accessRole, permission)) {
+    throw workflowError(403, `Missing permission: ${permission}`);
+  }
+
+  doc.status = to;
+  doc.statusHistory ||= [];
+  doc.statusHistory.push(historyEntry(from, to, user, comment));
+  return { changed: true, from, to };
+}
+
+/**
+ * Records a status change reported by an integration (e.g. a Bigin deal
+ * stage) rather than made by a user, so the transition table and
+ * permissions do not apply. The history entry is written even when the
+ * status stays the same, keeping every inbound change visible.
+ */
+export function applyExternalStatusChange(doc, kind, to, { actor, comment = "" } = {}) {
+  const definition = getDefinition(kind);
+  const from = doc.status || null;
+  const target = to || from;
+  if (!definition.statuses.includes(target)) {
+    throw workflowError(400, `Invalid status. Must be one of: ${definition.statuses.join(", ")}`);
+  }
+
+  doc.status = target;
+  doc.statusHistory ||= [];
+  doc.statusHistory.push(historyEntry(from, target, { username: actor, accessRole: "integration" }, comment));
+  return { changed: from !== target, from, to: target };
+}
+
+/**
+ * Checks the status a new document is created with and records it as the
+ * first history entry.
+ */
+export function applyInitialStatus(doc, kind, user, comment = "") {
+  const definition = getDefinition(kind);
+  const initial = definition.initialStatuses || definition.statuses;
+  if (!initial.includes(doc.status)) {
+    throw workflowError(400, `New documents must start as one of: ${initial.join(", ")}`);
+  }
+  doc.statusHistory = [historyEntry(null, doc.status, user, comment)];
+  return { changed: true, from: null, to: doc.status };
+}
+
+/**
+ * Throws 403 when the document's current status locks its content and the
+ * user lacks the permission to edit it there (see contentLocks).
+ */
+export function assertContentEditable(doc, kind, user) {
+  const permission = getDefinition(kind).contentLocks?.[doc.status];
+  if (permission && !roleHasPermission(user?.accessRole, permission)) {
+    throw workflowError(
+      403,
+      `Missing permission: ${permission} (the agreement is ${doc.status}; move it back to ${APPROVAL_PENDING_STATUS} or saved to edit it)`
+    );
+  }
+}
+
+function agreementIdOf(kind, doc) {
+  if (kind === "agreement") return doc._id;
+  if (kind === "version") return doc.agreementId;
+  return doc.metadata?.attachedToAgreement || null;
+}
+
+/**
+ * Checks that need the database before a transition may be saved. An
+ * agreement (or one of its versions) cannot move into an approved status,
+ * from any status, while price overrides outside the admin limits await
+ * review; withdrawing it to draft/saved stays possible. A version locked by
+ * a customer signature keeps its status. Overrides are found by repricing the
+ * agreement (the unsaved payload when `doc` is the agreement), attributed to
+ * `actor` or else the agreement's last editor.
+ */
+export async function assertTransitionGuards(kind, doc, { changed, from, to }, { actor = null } = {}) {
+  if (!changed || kind === "manualUpload") return;
+  if (kind === "version" && doc.lockedAt) {
+    throw workflowError(409, `Version ${doc.versionNumber} was signed by the customer and is locked`);
+  }
+  if (!APPROVED_STATUSES.includes(to)) return;
+
+  const agreementId = agreementIdOf(kind, doc);
+  if (!agreementId) return;
+
+  await evaluateAgreementOverrides(agreementId, {
+    payload: kind === "agreement" ? doc.payload : null,
+    verification: kind === "agreement" ? doc.pricingVerification : null,
+    actor,
+  });
+  const blocking = await findBlockingOverrides(agreementId);
+  if (blocking.length > 0) {
+    throw workflowError(
+      409,
+      `${blocking.length} price override(s) exceed the configured limits and need manager approval`,
+      { blockingOverrides: blocking }
+    );
+  }
+}
+
+/**
+ * Side effects of a saved transition: entering pending_approval opens a Zoho
+ * approval task for the agreement; leaving the approval stage closes the cycle.
+ * Zoho is called in the background so status changes never wait on it.
+ */
+export async function afterTransition(kind, doc, { changed, from, to }) {
+  if (!changed) return;
+
+  const agreementId = agreementIdOf(kind, doc);
+  if (!agreementId || !mongoose.isValidObjectId(agreementId)) return;
+
+  if (to === APPROVAL_PENDING_STATUS) {
+    createAgreementApprovalTask(agreementId, { source: `${kind}:${doc._id}` })
+      .catch((err) => console.error(`❌ [WORKFLOW] Approval task for ${agreementId} failed:`, err.message));
+    return;
+  }
+
+  if (APPROVAL_STAGE.includes(from) && !APPROVAL_STAGE.includes(to)) {
+    await CustomerHeaderDoc.updateOne(
+      { _id: agreementId, "approvalTask.open": true },
+      { $set: { "approvalTask.open": false, "approvalTask.closedAt": new Date() } }
+    );
+  }
+}
+
+/**
+ * Loads, transitions and saves a workflow document. Returns
+ * { doc, changed, from, to }.
+ */
+export async function transitionStatus(kind, id, to, user, comment = "") {
+  const target = WORKFLOW_TARGETS[kind];
+  if (!target) {
+    throw new Error(`Unknown workflow "${kind}"`);
+  }
+  if (!mongoose.isValidObjectId(id)) {
+    throw workflowError(400, "Invalid id");
+  }
+
+  const doc = await target.Model.findById(id).select(target.projection);
+  if (!doc) {
+    throw workflowError(404, "Document not found");
+  }
+
+  const result = applyTransition(doc, kind, to, user, comment);
+  await assertTransitionGuards(kind, doc, result);
+  if (result.changed) {
+    if (kind === "agreement") {
+      doc.updatedBy = user?.username || doc.updatedBy;
+    }
+    await doc.save();
+    await afterTransition(kind, doc, result);
+    console.log(`🔀 [WORKFLOW] ${kind} ${id}: ${result.from} → ${result.to} by ${user?.username || "system"}`);
+  }
+
+  return { doc, ...result };
+}
+
+/**
+ * Creates the Bigin approval task configured in AdminSettings on the
+ * agreement's pipeline. Only one task is opened per approval cycle; later
+ * calls return { skipped: true, reason: "already_created" }. While Zoho is
+ * unreachable the task waits in the sync outbox and { queued: true } is returned.
+ */
+export async function createAgreementApprovalTask(agreementId, { agreementTitle, source = "manual" } = {}) {
+  const mapping = await ZohoMapping.findOne({ agreementId });
+  if (!mapping?.zohoDeal?.id) {
+    console.log(`📋 [AUTO-TASK] No pipeline linked for ${agreementId} — skipping auto task`);
+    return { success: true, skipped: true, reason: "no_pipeline" };
+  }
+
+  const claimed = await CustomerHeaderDoc.findOneAndUpdate(
+    { _id: agreementId, "approvalTask.open": { $ne: true } },
+    {
+      $set: {
+        approvalTask: {
+          open: true,
+          taskId: null,
+          dealId: mapping.zohoDeal.id,
+          source,
+          createdAt: new Date(),
+          closedAt: null,
+          error: null,
+        },
+      },
+    },
+    { new: true, projection: { "payload.headerTitle": 1, approvalTask: 1 } }
+  );
+  if (!claimed) {
+    const existing = await CustomerHeaderDoc.findById(agreementId).select("approvalTask").lean();
+    if (!existing) {
+      return { success: false, error: "Agreement not found" };
+    }
+    console.log(`📋 [AUTO-TASK] Approval task already open for ${agreementId} — skipping`);
+    return { success: true, skipped: true, reason: "already_created", task: { id: existing.approvalTask?.taskId || null } };
+  }
+
+  const settings = await AdminSettings.getSingleton();
+  const ownerId = settings.defaultApprovalTaskOwner?.id || null;
+  const ownerName = settings.defaultApprovalTaskOwner?.name || "Unassigned";
+
+  const title = agreementTitle?.trim() || claimed.payload?.headerTitle?.trim() || "Agreement";
+  const subject = (settings.approvalTaskSubject || 'Agreement "{{agreementTitle}}" needs your approval')
+    .replace("{{agreementTitle}}", title);
+
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const dueDate = tomorrow.toISOString().split("T")[0];
+
+  console.log(`📋 [AUTO-TASK] Creating approval task on pipeline ${mapping.zohoDeal.id} (${mapping.zohoDeal.name}) — owner: ${ownerName}`);
+
+  // The outbox records the task id (or closes the cycle on permanent failure).
+  const ids = await enqueueZohoOperations([
+    {
+      kind: "task",
+      dealId: mapping.zohoDeal.id,
+      payload: {
+        subject,
+        dueDate,
+        status: "Not Started",
+        priority: "High",
+        description: "This agreement has been submitted and is awaiting approval. Please review the pricing and approve or reject.",
+        ownerId,
+        seModule: "Deals",
+        reminder: false,
+        repeat: false,
+      },
+      context: { approvalTask: true },
+    },
+  ], { agreementId, requestedBy: source });
+  const [operation] = await runZohoOperationsNow(ids);
+
+  if (operation.status === "dead") {
+    console.error(`❌ [AUTO-TASK] Bigin task creation failed:`, operation.lastError);
+    return { success: false, error: operation.lastError, operationId: operation._id };
+  }
+  if (operation.status !== "completed") {
+    console.warn(`⏳ [AUTO-TASK] Approval task for ${agreementId} queued for retry (${operation.lastError})`);
+    return { success: true, queued: true, operationId: operation._id };
+  }
+
+  console.log(`✅ [AUTO-TASK] Approval task created for agreement ${agreementId}`);
+  return { success: true, task: { id: operation.result.taskId, subject: operation.result.subject } };
+}
+
+function timelineEntries(kind, target, label, history = []) {
+  return history.map((entry) => ({ kind, targetId: target, label, ...entry }));
+}
+
+/**
+ * Status, permitted next steps and the merged transition history of an
+ * agreement, its versions and its attachments.
+ */
+export async function getAgreementWorkflow(agreementId, user) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw workflowError(400, "Invalid id");
+  }
+
+  const agreement = await CustomerHeaderDoc.findById(agreementId)
+    .select("_id status statusHistory approvalTask payload.headerTitle createdBy createdAt")
+    .lean();
+  if (!agreement) {
+    throw workflowError(404, "Agreement not found");
+  }
+
+  const [versions, attachments, blockingOverrides] = await Promise.all([
+    VersionPdf.find({ agreementId, isDeleted: { $ne: true } })
+      .select("_id versionNumber status statusHistory")
+      .sort({ versionNumber: 1 })
+      .lean(),
+    ManualUploadDocument.find({
+      "metadata.attachedToAgreement": { $in: [agreement._id, String(agreement._id)] },
+      isDeleted: { $ne: true },
+    })
+      .select("_id fileName status statusHistory")
+      .lean(),
+    findBlockingOverrides(agreement._id),
+  ]);
+
+  const timeline = [
+    ...timelineEntries("agreement", agreement._id, agreement.payload?.headerTitle || "Agreement", agreement.statusHistory),
+    ...versions.flatMap((v) => timelineEntries("version", v._id, `Version ${v.versionNumber}`, v.statusHistory)),
+    ...attachments.flatMap((a) => timelineEntries("manualUpload", a._id, a.fileName, a.statusHistory)),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    agreementId: agreement._id,
+    title: agreement.payload?.headerTitle || "",
+    status: agreement.status,
+    allowedTransitions: allowedTransitions("agreement", agreement.status, user),
+    approvalTask: agreement.approvalTask || null,
+    blockingOverrides,
+    versions: versions.map((v) => ({
+      id: v._id,
+      versionNumber: v.versionNumber,
+      status: v.status,
+      allowedTransitions: allowedTransitions("version", v.status, user),
+    })),
+    attachments: attachments.map((a) => ({
+      id: a._id,
+      fileName: a.fileName,
+      status: a.status,
+      allowedTransitions: allowedTransitions("manualUpload", a.status, user),
+    })),
+    timeline,
+  };
+}
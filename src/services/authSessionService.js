@@ -0,0 +1,312 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import AuthSession from "../models/AuthSession.js";
+import AdminUser from "../models/AdminUser.js";
+import Employee from "../models/Employee.js";
+import { signToken } from "../middleware/authMiddleware.js";
+import { DEFAULT_ACCESS_ROLE, permissionsForRole } from "../config/rbacConfig.js";
+import {
+  ACCESS_TOKEN_TTL,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config/authConfig.js";
+
+const ACCOUNT_MODELS = {
+  admin: AdminUser,
+  employee: Employee,
+};
+
+function authError(status, detail) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function clientInfo(req) {
+  const deviceId = req?.body?.deviceId || req?.headers?.["x-device-id"] || null;
+  return {
+    deviceId: deviceId ? String(deviceId).slice(0, 200) : null,
+    userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 500),
+    ip: req?.ip || "",
+  };
+}
+
+export function getAccountModel(accountType) {
+  return ACCOUNT_MODELS[accountType] || null;
+}
+
+/**
+ * True when the access token was issued before the account's password changed
+ * or before its sessions were revoked (logout-all, deactivation, reset).
+ */
+export function isTokenRevoked(payload, account) {
+  const issuedAt = Number(payload?.iat || 0);
+  return [account?.passwordChangedAt, account?.sessionsRevokedAt].some(
+    (revokedAt) => revokedAt && issuedAt < Math.floor(new Date(revokedAt).getTime() / 1000)
+  );
+}
+
+/**
+ * True when the session an access token was issued for has ended (logout,
+ * reuse detection, device replacement) or the token names no session. A rotated session stays usable while
+ * its login still has a live session, so tokens issued just before a refresh
+ * keep working until they expire.
+ */
+export async function isSessionRevoked(sessionId) {
+  // Every token is issued for a session; one without a sid predates sessions.
+  if (!sessionId) return true;
+  if (!mongoose.isValidObjectId(sessionId)) return true;
+
+  const session = await AuthSession.findById(sessionId).select("familyId revokedAt revokedReason").lean();
+  if (!session) return true;
+  if (!session.revokedAt) return false;
+  if (session.revokedReason !== "rotated") return true;
+
+  const live = await AuthSession.exists({ familyId: session.familyId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !live;
+}
+
+function buildTokenResponse(account, accountType, session, refreshToken) {
+  const accessRole = account.accessRole || DEFAULT_ACCESS_ROLE[accountType];
+  return {
+    token: signToken(account, accountType, String(session._id)),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt,
+    sessionId: session._id,
+    role: accountType,
+    accessRole,
+    permissions: permissionsForRole(accessRole),
+  };
+}
+
+async function insertSession(account, accountType, client, familyId, _id = new mongoose.Types.ObjectId()) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const session = await AuthSession.create({
+    _id,
+    accountType,
+    accountId: account._id,
+    username: account.username,
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    ...client,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+  return { session, refreshToken };
+}
+
+/**
+ * Starts a new session after a successful login. A login from a device that
+ * already has a session replaces it, so each device holds one refresh token.
+ */
+export async function createSession(account, accountType, req) {
+  const client = clientInfo(req);
+
+  if (client.deviceId) {
+    await AuthSession.updateMany(
+      { accountType, accountId: account._id, deviceId: client.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "replaced_by_login" } }
+    );
+  }
+
+  const { session, refreshToken } = await insertSession(account, accountType, client, crypto.randomUUID());
+  return buildTokenResponse(account, accountType, session, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. Each refresh token
+ * is single-use: presenting one that was already rotated is treated as theft
+ * and revokes every session descended from the same login.
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  if (!refreshToken) {
+    throw authError(400, "refreshToken is required");
+  }
+
+  const session = await AuthSession.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) {
+    throw authError(401, "Invalid refresh token");
+  }
+
+  if (session.revokedAt) {
+    if (session.replacedBy) {
+      await revokeFamily(session.familyId, "refresh_token_reuse");
+      console.warn(`🚨 [AUTH] Refresh token reuse detected for ${session.accountType} ${session.username}; session family ${session.familyId} revoked`);
+      throw authError(401, "Refresh token has already been used; please sign in again");
+    }
+    throw authError(401, "Session has been revoked");
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw authError(401, "Refresh token expired");
+  }
+
+  const Model = getAccountModel(session.accountType);
+  const account = Model ? await Model.findById(session.accountId).exec() : null;
+  if (!account || account.isActive === false) {
+    await revokeSession(session._id, "account_disabled");
+    throw authError(401, "Account not found or disabled");
+  }
+
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await AuthSession.findOneAndUpdate(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated", replacedBy: nextId } },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(session.familyId, "refresh_token_reuse");
+    throw authError(401, "Refresh token has already been used; please sign in again");
+  }
+
+  const client = clientInfo(req);
+  const { session: next, refreshToken: nextToken } = await insertSession(
+    account,
+    session.accountType,
+    { ...client, deviceId: session.deviceId || client.deviceId },
+    session.familyId,
+    nextId
+  );
+
+  return buildTokenResponse(account, session.accountType, next, nextToken);
+}
+
+async function revokeFamily(familyId, reason) {
+  await AuthSession.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revokes the session a refresh token belongs to. Returns the session, or
+ * null when the token is unknown.
+ */
+export async function revokeRefreshToken(refreshToken, reason = "logout") {
+  if (!refreshToken) return null;
+  const session = await AuthSession.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) return null;
+  await revokeSession(session._id, reason);
+  return session;
+}
+
+/**
+ * Ends every session of an account. Stamping sessionsRevokedAt also rejects
+ * access tokens issued before now, so this takes effect immediately.
+ */
+export async function revokeAllSessions(accountType, accountId, reason = "logout_all") {
+  const Model = getAccountModel(accountType);
+  const now = new Date();
+
+  const result = await AuthSession.updateMany(
+    { accountType, accountId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  if (Model) {
+    await Model.updateOne({ _id: accountId }, { $set: { sessionsRevokedAt: now } });
+  }
+
+  console.log(`🔒 [AUTH] Revoked ${result.modifiedCount} session(s) for ${accountType} ${accountId} (${reason})`);
+  return result.modifiedCount;
+}
+
+export async function listActiveSessions(accountType, accountId) {
+  return AuthSession.find({
+    accountType,
+    accountId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("_id deviceId userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export function lockoutSecondsRemaining(account) {
+  if (!account?.lockedUntil) return 0;
+  const remainingMs = new Date(account.lockedUntil).getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Counts a wrong password against the account and locks it once the limit is
+ * reached. Returns the lockout length in seconds, or 0 if not locked.
+ *
+ * The count and the lock are one update, so parallel attempts can't lose
+ * increments and slip past the limit.
+ */
+export async function registerFailedLogin(account) {
+  const attempts = { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] };
+  const reachesLimit = { $gte: [attempts, LOGIN_MAX_FAILED_ATTEMPTS] };
+
+  const updated = await account.constructor.findOneAndUpdate(
+    { _id: account._id },
+    [
+      {
+        $set: {
+          failedLoginAttempts: { $cond: [reachesLimit, 0, attempts] },
+          lockedUntil: {
+            $cond: [reachesLimit, new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000), "$lockedUntil"],
+          },
+        },
+      },
+    ],
+    { new: true, projection: { username: 1, failedLoginAttempts: 1, lockedUntil: 1 } }
+  ).lean();
+
+  const lockedFor = lockoutSecondsRemaining(updated);
+  if (lockedFor > 0 && updated.failedLoginAttempts === 0) {
+    console.warn(`🔐 [AUTH] ${account.username} locked for ${LOGIN_LOCKOUT_MINUTES} minute(s) after ${LOGIN_MAX_FAILED_ATTEMPTS} failed login(s)`);
+  }
+  return lockedFor;
+}
+
+/**
+ * Records a correct password: resets the failed-login count and stamps
+ * lastLoginAt, unless a parallel wrong guess locked the account after the
+ * caller's lockout check. Returns the lockout length in seconds in that case,
+ * or 0 when the login may proceed.
+ */
+export async function registerSuccessfulLogin(account) {
+  const now = new Date();
+  const updated = await account.constructor.findOneAndUpdate(
+    { _id: account._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { failedLoginAttempts: 0, lockedUntil: null, lastLoginAt: now } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+
+  if (!updated) {
+    const current = await account.constructor.findById(account._id).select("lockedUntil").lean();
+    return Math.max(lockoutSecondsRemaining(current), 1);
+  }
+
+  account.failedLoginAttempts = 0;
+  account.lockedUntil = null;
+  account.lastLoginAt = now;
+  return 0;
+}
+
+export function clearFailedLogins(account) {
+  account.failedLoginAttempts = 0;
+  account.lockedUntil = null;
+}
@@ -0,0 +1,304 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import mongoose from "mongoose";
+import {
+  BLOB_STORE_DRIVER,
+  BLOB_STORE_GRIDFS_BUCKET,
+  BLOB_STORE_LOCAL_DIR,
+  BLOB_STORE_S3_BUCKET,
+  BLOB_STORE_S3_REGION,
+  BLOB_STORE_S3_ENDPOINT,
+  BLOB_STORE_S3_FORCE_PATH_STYLE,
+} from "../config/blobStoreConfig.js";
+
+function blobNotFound(driver, key) {
+  const err = new Error(`Blob not found in ${driver} store: ${key}`);
+  err.status = 404;
+  err.errorType = "BLOB_NOT_FOUND";
+  return err;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function gridFsBucket() {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error("GridFS blob store requires an open MongoDB connection");
+  }
+  return new mongoose.mongo.GridFSBucket(db, { bucketName: BLOB_STORE_GRIDFS_BUCKET });
+}
+
+const gridFsDriver = {
+  name: "gridfs",
+
+  async put(key, buffer, { contentType = "application/octet-stream", metadata = {} } = {}) {
+    const bucket = gridFsBucket();
+    await new Promise((resolve, reject) => {
+      const upload = bucket.openUploadStream(key, { contentType, metadata });
+      upload.once("finish", resolve);
+      upload.once("error", reject);
+      upload.end(buffer);
+    });
+  },
+
+  async stat(key) {
+    const [file] = await gridFsBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) throw blobNotFound("gridfs", key);
+    return { sizeBytes: file.length, contentType: file.contentType || null };
+  },
+
+  async createReadStream(key) {
+    await this.stat(key);
+    return gridFsBucket().openDownloadStreamByName(key);
+  },
+
+  async delete(key) {
+    const bucket = gridFsBucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  },
+};
+
+function localPath(key) {
+  const root = path.resolve(BLOB_STORE_LOCAL_DIR);
+  const target = path.resolve(root, key);
+  if (!target.startsWith(root + path.sep)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return target;
+}
+
+const localDriver = {
+  name: "local",
+
+  async put(key, buffer) {
+    const target = localPath(key);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, buffer);
+    await fsp.rename(tmp, target);
+  },
+
+  async stat(key) {
+    try {
+      const info = await fsp.stat(localPath(key));
+      return { sizeBytes: info.size, contentType: null };
+    } catch (err) {
+      if (err.code === "ENOENT") throw blobNotFound("local", key);
+      throw err;
+    }
+  },
+
+  async createReadStream(key) {
+    await this.stat(key);
+    return fs.createReadStream(localPath(key));
+  },
+
+  async delete(key) {
+    await fsp.rm(localPath(key), { force: true });
+  },
+};
+
+let s3ClientPromise = null;
+
+async function s3() {
+  if (!BLOB_STORE_S3_BUCKET) {
+    throw new Error("BLOB_STORE_S3_BUCKET must be set to use the s3 blob store");
+  }
+  if (!s3ClientPromise) {
+    s3ClientPromise = import("@aws-sdk/client-s3")
+      .then((sdk) => ({
+        sdk,
+        client: new sdk.S3Client({
+          region: BLOB_STORE_S3_REGION,
+          endpoint: BLOB_STORE_S3_ENDPOINT || undefined,
+          forcePathStyle: BLOB_STORE_S3_FORCE_PATH_STYLE,
+        }),
+      }))
+      .catch((err) => {
+        s3ClientPromise = null;
+        throw new Error(`The s3 blob store needs the @aws-sdk/client-s3 package: ${err.message}`);
+      });
+  }
+  return s3ClientPromise;
+}
+
+const s3Driver = {
+  name: "s3",
+
+  async put(key, buffer, { contentType = "application/octet-stream" } = {}) {
+    const { sdk, client } = await s3();
+    await client.send(new sdk.PutObjectCommand({
+      Bucket: BLOB_STORE_S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  },
+
+  async stat(key) {
+    const { sdk, client } = await s3();
+    try {
+      const head = await client.send(new sdk.HeadObjectCommand({ Bucket: BLOB_STORE_S3_BUCKET, Key: key }));
+      return { sizeBytes: head.ContentLength ?? null, contentType: head.ContentType || null };
+    } catch (err) {
+      if (err?.$metadata?.httpStatusCode === 404) throw blobNotFound("s3", key);
+      throw err;
+    }
+  },
+
+  async createReadStream(key) {
+    const { sdk, client } = await s3();
+    try {
+      const obj = await client.send(new sdk.GetObjectCommand({ Bucket: BLOB_STORE_S3_BUCKET, Key: key }));
+      return obj.Body;
+    } catch (err) {
+      if (err?.$metadata?.httpStatusCode === 404) throw blobNotFound("s3", key);
+      throw err;
+    }
+  },
+
+  async delete(key) {
+    const { sdk, client } = await s3();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: BLOB_STORE_S3_BUCKET, Key: key }));
+  },
+};
+
+const drivers = new Map([
+  [gridFsDriver.name, gridFsDriver],
+  [localDriver.name, localDriver],
+  [s3Driver.name, s3Driver],
+]);
+
+export function registerBlobDriver(driver) {
+  if (!driver?.name || typeof driver.put !== "function" || typeof driver.createReadStream !== "function") {
+    throw new Error("A blob driver needs a name, put(key, buffer, opts) and createReadStream(key)");
+  }
+  drivers.set(driver.name, driver);
+}
+
+export function getBlobDriver(name = BLOB_STORE_DRIVER) {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown blob store driver "${name}". Available: ${[...drivers.keys()].join(", ")}`);
+  }
+  return driver;
+}
+
+export function isInlineBlobStore(name = BLOB_STORE_DRIVER) {
+  return name === "inline";
+}
+
+export function buildBlobKey(prefix = "pdf", extension = "pdf") {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  return `${prefix}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}.${extension}`;
+}
+
+// Normalizes the shapes legacy code stored: Buffer, BSON Binary, base64 string or byte array.
+export function toNodeBuffer(stored) {
+  if (!stored) return null;
+  if (Buffer.isBuffer(stored)) return stored;
+  if (typeof stored === "string") return Buffer.from(stored, "base64");
+  if (Array.isArray(stored)) return Buffer.from(stored);
+  if (stored.buffer) return Buffer.from(stored.buffer);
+  return Buffer.from(stored);
+}
+
+/**
+ * Persists a PDF/attachment and returns the fields to merge into the owning
+ * document: either { pdfBuffer } for the inline driver or a storage reference.
+ */
+export async function storeBlob(buffer, { prefix = "pdf", fileName = null, contentType = "application/pdf", metadata = {}, driver = BLOB_STORE_DRIVER } = {}) {
+  if (isInlineBlobStore(driver)) {
+    return {
+      pdfBuffer: buffer,
+      storageDriver: null,
+      storageKey: null,
+      externalUrl: null,
+      sizeBytes: buffer.length,
+    };
+  }
+
+  const store = getBlobDriver(driver);
+  const extension = /\.([a-z0-9]{1,8})$/i.exec(fileName || "")?.[1]?.toLowerCase() || "pdf";
+  const key = buildBlobKey(prefix, extension);
+  await store.put(key, buffer, { contentType, metadata });
+  return {
+    pdfBuffer: null,
+    storageDriver: store.name,
+    storageKey: key,
+    externalUrl: `${store.name}://${key}`,
+    sizeBytes: buffer.length,
+  };
+}
+
+export function hasStoredBlob(holder, field = "pdfBuffer") {
+  if (!holder) return false;
+  if (holder.storageKey) return true;
+  const inline = holder[field];
+  return !!inline && (inline.length > 0 || inline.buffer?.length > 0);
+}
+
+export async function readBlob(holder, field = "pdfBuffer") {
+  if (!holder) return null;
+  if (holder.storageKey) {
+    const stream = await getBlobDriver(holder.storageDriver).createReadStream(holder.storageKey);
+    return streamToBuffer(stream);
+  }
+  return toNodeBuffer(holder[field]);
+}
+
+export async function openBlobStream(holder, field = "pdfBuffer") {
+  if (!holder) return null;
+  if (holder.storageKey) {
+    const store = getBlobDriver(holder.storageDriver);
+    const { sizeBytes } = await store.stat(holder.storageKey);
+    return { stream: await store.createReadStream(holder.storageKey), sizeBytes };
+  }
+  const buffer = toNodeBuffer(holder[field]);
+  if (!buffer) return null;
+  return { stream: Readable.from([buffer]), sizeBytes: buffer.length };
+}
+
+export async function deleteBlob(holder) {
+  if (!holder?.storageKey) return;
+  try {
+    await getBlobDriver(holder.storageDriver).delete(holder.storageKey);
+  } catch (err) {
+    console.warn(`⚠️ [BLOB STORE] Failed to delete ${holder.storageDriver}://${holder.storageKey}:`, err.message);
+  }
+}
+
+export async function pipeBlobToResponse(res, holder, { field = "pdfBuffer", contentType, disposition } = {}) {
+  const opened = await openBlobStream(holder, field);
+  if (!opened) return false;
+
+  res.setHeader("Content-Type", contentType || holder.contentType || holder.mimeType || "application/pdf");
+  if (disposition) res.setHeader("Content-Disposition", disposition);
+  if (opened.sizeBytes != null) res.setHeader("Content-Length", opened.sizeBytes);
+
+  await new Promise((resolve, reject) => {
+    opened.stream.once("error", (err) => {
+      if (!res.headersSent) return reject(err);
+      console.error("❌ [BLOB STORE] Stream failed mid-response:", err.message);
+      res.destroy(err);
+      resolve();
+    });
+    res.once("finish", resolve);
+    res.once("close", resolve);
+    opened.stream.pipe(res);
+  });
+  return true;
+}
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import IssuedDocument from "../models/IssuedDocument.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import VersionPdf from "../models/VersionPdf.js";
+import ManualUploadDocument from "../models/ManualUploadDocument.js";
+import { VERIFY_BASE_URL } from "../config/integrityConfig.js";
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped.
+const CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CODE_LENGTH = 10;
+const APPEND_ATTEMPTS = 5;
+const MAX_CHAIN_CHECK = 1000;
+const FOOTER_FONT_SIZE = 7;
+const FOOTER_OFFSET_PT = 7;
+
+function integrityError(status, detail) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  return err;
+}
+
+export function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+export function newVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % 32]).join("");
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/** Uppercases a typed code, maps look-alike letters and restores the dash. */
+export function normalizeVerificationCode(code) {
+  const chars = String(code || "")
+    .toUpperCase()
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1")
+    .replace(/[^0-9A-Z]/g, "");
+  if (chars.length !== CODE_LENGTH || [...chars].some((c) => !CODE_ALPHABET.includes(c))) {
+    return null;
+  }
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+export function verificationUrl(code) {
+  return VERIFY_BASE_URL ? `${VERIFY_BASE_URL}/${code}` : null;
+}
+
+function chainKeyOf(documentType, documentId, agreementId) {
+  return agreementId ? `agreement:${agreementId}` : `${documentType}:${documentId}`;
+}
+
+function chainHashOf(entry) {
+  return sha256Hex([
+    entry.previousHash || "",
+    entry.sha256,
+    entry.documentType,
+    String(entry.documentId),
+    entry.sequence,
+    new Date(entry.issuedAt).toISOString(),
+  ].join("|"));
+}
+
+function integrityOf(entry) {
+  return {
+    sha256: entry.sha256,
+    code: entry.code,
+    sequence: entry.sequence,
+    previousHash: entry.previousHash,
+    chainHash: entry.chainHash,
+    issuedAt: entry.issuedAt,
+  };
+}
+
+/**
+ * Prints the verification code (and where to check it) at the foot of every
+ * page. Done on the compiled PDF so the compile itself stays cacheable.
+ */
+export async function stampVerificationCode(buffer, code) {
+  const pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const url = verificationUrl(code);
+  const text = `Verification code: ${code} -- verify this document${url ? ` at ${url}` : ""}`;
+  const textWidth = font.widthOfTextAtSize(text, FOOTER_FONT_SIZE);
+
+  for (const page of pdf.getPages()) {
+    const { width } = page.getSize();
+    page.drawText(text, {
+      x: Math.max((width - textWidth) / 2, FOOTER_OFFSET_PT),
+      y: FOOTER_OFFSET_PT,
+      size: FOOTER_FONT_SIZE,
+      font,
+      color: rgb(0.5, 0.5, 0.5),
+    });
+  }
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * The one way a compiled PDF leaves the system: stamps a new verification
+ * code into it and records the stamped bytes. `meta` is as for
+ * issueDocument; `channel` says where this copy went. Returns the stamped
+ * buffer with its integrity block.
+ */
+export async function issuePdf(buffer, meta = {}) {
+  const code = newVerificationCode();
+  const stamped = await stampVerificationCode(buffer, code);
+  const integrity = await issueDocument(stamped, { ...meta, code });
+  return { buffer: stamped, integrity };
+}
+
+/**
+ * Records a stored PDF: hashes the bytes and appends it to its agreement's
+ * hash chain. `code` is the verification code printed in the PDF (a new
+ * one is made for files we can't print into). Returns the integrity block
+ * to keep next to the stored PDF.
+ */
+export async function issueDocument(buffer, {
+  code = newVerificationCode(),
+  documentType,
+  documentId,
+  agreementId = null,
+  versionNumber = null,
+  fileName = null,
+  issuedBy = null,
+  channel = "stored",
+} = {}) {
+  const chainKey = chainKeyOf(documentType, documentId, agreementId);
+  const sha256 = sha256Hex(buffer);
+
+  for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt += 1) {
+    const last = await IssuedDocument.findOne({ chainKey }).sort({ sequence: -1 }).select("sequence chainHash").lean();
+    const entry = {
+      code,
+      sha256,
+      sizeBytes: buffer.length,
+      documentType,
+      documentId,
+      agreementId,
+      versionNumber,
+      fileName,
+      channel,
+      chainKey,
+      sequence: (last?.sequence || 0) + 1,
+      previousHash: last?.chainHash || null,
+      issuedAt: new Date(),
+      issuedBy,
+    };
+    entry.chainHash = chainHashOf(entry);
+
+    try {
+      const created = await IssuedDocument.create(entry);
+      console.log(`🔏 [INTEGRITY] Issued ${documentType} ${documentId} as ${code} (${chainKey} #${entry.sequence})`);
+      return integrityOf(created);
+    } catch (err) {
+      // Another PDF for the same chain took this sequence number; re-read the tip and retry.
+      const sequenceTaken = err?.code === 11000 && err?.keyPattern?.sequence;
+      if (!sequenceTaken || attempt === APPEND_ATTEMPTS) throw err;
+    }
+  }
+  return null;
+}
+
+async function checkChain(entry) {
+  const links = await IssuedDocument.find({ chainKey: entry.chainKey, sequence: { $lte: entry.sequence } })
+    .sort({ sequence: -1 })
+    .limit(MAX_CHAIN_CHECK)
+    .select("sha256 documentType documentId sequence issuedAt previousHash chainHash")
+    .lean();
+  links.reverse();
+
+  const broken = [];
+  let previous = null;
+  for (const link of links) {
+    if (chainHashOf(link) !== link.chainHash) {
+      broken.push({ sequence: link.sequence, reason: "hash_mismatch" });
+    }
+    if (previous && (link.sequence !== previous.sequence + 1 || link.previousHash !== previous.chainHash)) {
+      broken.push({ sequence: link.sequence, reason: "broken_link" });
+    }
+    previous = link;
+  }
+  if (links[0] && links[0].sequence === 1 && links[0].previousHash !== null) {
+    broken.push({ sequence: 1, reason: "broken_link" });
+  }
+
+  return {
+    intact: broken.length === 0,
+    sequence: entry.sequence,
+    checkedLinks: links.length,
+    complete: links[0]?.sequence === 1,
+    broken,
+  };
+}
+
+async function currentStateOf(entry) {
+  if (entry.documentType === "preview") return "copy";
+  const lookups = {
+    agreement: () => CustomerHeaderDoc.findById(entry.documentId).select("isDeleted pdf_meta.integrity.code").lean(),
+    version: () => VersionPdf.findById(entry.documentId).select("isDeleted pdf_meta.integrity.code").lean(),
+    manualUpload: () => ManualUploadDocument.findById(entry.documentId).select("isDeleted integrity.code").lean(),
+  };
+  const doc = await lookups[entry.documentType]?.();
+  if (!doc || doc.isDeleted) return "deleted";
+  // Downloads, emails and uploads are copies of the document, not what we store for it.
+  if (entry.channel && entry.channel !== "stored") return "copy";
+  const currentCode = entry.documentType === "manualUpload" ? doc.integrity?.code : doc.pdf_meta?.integrity?.code;
+  return currentCode === entry.code ? "current" : "superseded";
+}
+
+/**
+ * Looks up an issued PDF by its verification code and, when a file (or its
+ * SHA-256) is given, says whether those bytes are exactly what we issued.
+ * Also re-checks the hash chain up to this document.
+ */
+export async function verifyIssuedDocument(code, { buffer = null, sha256 = null } = {}) {
+  const normalized = normalizeVerificationCode(code);
+  if (!normalized) {
+    throw integrityError(400, "Invalid verification code");
+  }
+
+  const entry = await IssuedDocument.findOne({ code: normalized }).lean();
+  if (!entry) {
+    throw integrityError(404, "No document was issued with this verification code");
+  }
+
+  const presentedHash = buffer ? sha256Hex(buffer) : sha256 ? String(sha256).toLowerCase() : null;
+  const match = presentedHash ? presentedHash === entry.sha256 : null;
+
+  const [chain, state] = await Promise.all([checkChain(entry), currentStateOf(entry)]);
+  await IssuedDocument.updateOne({ _id: entry._id }, { $inc: { verifyCount: 1 }, $set: { lastVerifiedAt: new Date() } });
+
+  let message = "Document found. Upload the PDF or pass its SHA-256 to compare it with what was issued.";
+  if (match === true) message = "The PDF matches the document we issued.";
+  if (match === false) message = "The PDF does NOT match the document we issued under this code.";
+
+  return {
+    code: normalized,
+    match,
+    message,
+    presentedSha256: presentedHash,
+    issued: {
+      documentType: entry.documentType,
+      versionNumber: entry.versionNumber,
+      sha256: entry.sha256,
+      sizeBytes: entry.sizeBytes,
+      issuedAt: entry.issuedAt,
+      state,
+    },
+    chain,
+  };
+}
@@ -56,6 +56,16 @@ const getTransporter = () => {
 
 const createTransporter = getTransporter;
 
+/** Escapes user-supplied text before it goes into an HTML email body. */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 export async function sendEmail({ to, from, subject, body, attachment, fireAndForget = false }) {
   try {
     console.log('⚡ [EMAIL-SERVICE] Preparing to send email:', {
@@ -0,0 +1,257 @@
+import os from "os";
+import mongoose from "mongoose";
+import IntegrationCredential from "../models/IntegrationCredential.js";
+import {
+  encryptSecret,
+  decryptSecret,
+  isCredentialEncryptionConfigured,
+  credentialKeyId,
+} from "../utils/credentialCrypto.js";
+
+const PROVIDER = "zoho";
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const REFRESH_LOCK_MS = 30_000;
+const REFRESH_WAIT_MS = 15_000;
+const REFRESH_POLL_MS = 500;
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+// Zoho answers these when the refresh token was revoked or the client changed.
+const REVOKED_ERRORS = new Set(["invalid_code", "invalid_grant", "invalid_client"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function dataCenterFromAccountsUrl(accountsUrl = "") {
+  if (accountsUrl.includes(".com.au")) return "com.au";
+  if (accountsUrl.includes(".in")) return "in";
+  if (accountsUrl.includes(".eu")) return "eu";
+  if (accountsUrl.includes(".jp")) return "jp";
+  if (accountsUrl.includes(".ca")) return "ca";
+  return "com";
+}
+
+function parseScopes(scope) {
+  if (Array.isArray(scope)) return scope;
+  return String(scope || "").split(/[\s,]+/).filter(Boolean);
+}
+
+export function isCredentialStoreAvailable() {
+  return isCredentialEncryptionConfigured() && mongoose.connection.readyState === 1;
+}
+
+function readTokens(doc) {
+  return {
+    refreshToken: decryptSecret(doc.refreshToken, "zoho:refreshToken"),
+    accessToken: doc.accessToken ? decryptSecret(doc.accessToken, "zoho:accessToken") : null,
+    accessTokenExpiresAt: doc.accessTokenExpiresAt ? new Date(doc.accessTokenExpiresAt) : null,
+    accountsUrl: doc.accountsUrl,
+    apiDomain: doc.apiDomain,
+    dataCenter: doc.dataCenter,
+    scopes: doc.scopes || [],
+  };
+}
+
+function hasUsableAccessToken(tokens) {
+  return !!tokens.accessToken
+    && !!tokens.accessTokenExpiresAt
+    && tokens.accessTokenExpiresAt.getTime() - EXPIRY_BUFFER_MS > Date.now();
+}
+
+/**
+ * Stores a Zoho grant (refresh token plus optional first access token),
+ * replacing any previous one.
+ */
+export async function saveZohoGrant({
+  refreshToken,
+  accessToken = null,
+  expiresIn = 3600,
+  scope,
+  accountsUrl,
+  apiDomain = null,
+  connectedBy = null,
+  source = "oauth",
+}) {
+  const now = Date.now();
+  const scopes = parseScopes(scope);
+  const dataCenter = dataCenterFromAccountsUrl(accountsUrl);
+
+  const doc = await IntegrationCredential.findOneAndUpdate(
+    { provider: PROVIDER },
+    {
+      $set: {
+        status: "connected",
+        source,
+        refreshToken: encryptSecret(refreshToken, "zoho:refreshToken"),
+        accessToken: accessToken ? encryptSecret(accessToken, "zoho:accessToken") : null,
+        accessTokenExpiresAt: accessToken ? new Date(now + expiresIn * 1000) : null,
+        scopes,
+        dataCenter,
+        accountsUrl,
+        apiDomain,
+        connectedAt: new Date(now),
+        connectedBy,
+        lastRefreshAt: accessToken ? new Date(now) : null,
+        lastRefreshError: null,
+        lastRefreshErrorAt: null,
+        refreshLock: { holder: null, expiresAt: null },
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`🔐 [ZOHO-CREDENTIAL] Stored ${source} grant (data center: ${dataCenter}, ${scopes.length} scope(s))`);
+  return doc;
+}
+
+/**
+ * Decrypted Zoho tokens, or null when nothing is stored or the store is
+ * unavailable. A ZOHO_REFRESH_TOKEN from the environment is imported once.
+ */
+export async function loadZohoCredential({ defaultAccountsUrl, defaultScopes = [] } = {}) {
+  if (!isCredentialStoreAvailable()) return null;
+
+  let doc = await IntegrationCredential.findOne({ provider: PROVIDER }).lean();
+  if (!doc && process.env.ZOHO_REFRESH_TOKEN) {
+    console.log("🔐 [ZOHO-CREDENTIAL] Importing ZOHO_REFRESH_TOKEN from the environment into the credential store");
+    doc = (await saveZohoGrant({
+      refreshToken: process.env.ZOHO_REFRESH_TOKEN.trim(),
+      scope: defaultScopes,
+      accountsUrl: defaultAccountsUrl,
+      source: "environment",
+    })).toObject();
+  }
+  if (!doc?.refreshToken || doc.status === "disconnected") return null;
+
+  return readTokens(doc);
+}
+
+async function releaseRefreshLock() {
+  await IntegrationCredential.updateOne(
+    { provider: PROVIDER, "refreshLock.holder": WORKER_ID },
+    { $set: { refreshLock: { holder: null, expiresAt: null } } }
+  );
+}
+
+async function performRefresh(tokens, exchange) {
+  try {
+    const result = await exchange(tokens.refreshToken, tokens.accountsUrl);
+    const now = Date.now();
+    const accessTokenExpiresAt = new Date(now + Number(result.expires_in || 3600) * 1000);
+
+    await IntegrationCredential.updateOne(
+      { provider: PROVIDER },
+      {
+        $set: {
+          status: "connected",
+          accessToken: encryptSecret(result.access_token, "zoho:accessToken"),
+          accessTokenExpiresAt,
+          apiDomain: result.api_domain || tokens.apiDomain,
+          lastRefreshAt: new Date(now),
+          lastRefreshError: null,
+          lastRefreshErrorAt: null,
+        },
+        $inc: { refreshCount: 1 },
+      }
+    );
+    console.log(`✅ [ZOHO-CREDENTIAL] Access token refreshed by ${WORKER_ID}, valid until ${accessTokenExpiresAt.toISOString()}`);
+    return { ...tokens, accessToken: result.access_token, accessTokenExpiresAt };
+  } catch (error) {
+    const code = error.code || error.response?.data?.error || null;
+    const revoked = REVOKED_ERRORS.has(code);
+    await IntegrationCredential.updateOne(
+      { provider: PROVIDER },
+      {
+        $set: {
+          lastRefreshError: code || error.message,
+          lastRefreshErrorAt: new Date(),
+          ...(revoked ? { status: "error" } : {}),
+        },
+      }
+    );
+    console.error(`❌ [ZOHO-CREDENTIAL] Token refresh failed${revoked ? " (refresh token rejected - reauthorize via /oauth/zoho/auth)" : ""}: ${code || error.message}`);
+    throw error;
+  } finally {
+    await releaseRefreshLock();
+  }
+}
+
+/**
+ * Returns stored tokens with a valid access token. Across PM2 workers only
+ * the holder of the DB refresh lock calls `exchange(refreshToken,
+ * accountsUrl)`; the others wait and reuse the token it stores.
+ */
+export async function refreshZohoAccessTokenShared(exchange) {
+  const deadline = Date.now() + REFRESH_WAIT_MS;
+
+  for (;;) {
+    const doc = await IntegrationCredential.findOne({ provider: PROVIDER }).lean();
+    if (!doc?.refreshToken) {
+      throw new Error("No Zoho credential is stored");
+    }
+    const tokens = readTokens(doc);
+    if (hasUsableAccessToken(tokens)) {
+      return tokens;
+    }
+
+    const now = new Date();
+    const locked = await IntegrationCredential.findOneAndUpdate(
+      {
+        provider: PROVIDER,
+        $or: [{ "refreshLock.expiresAt": null }, { "refreshLock.expiresAt": { $lte: now } }],
+      },
+      { $set: { refreshLock: { holder: WORKER_ID, expiresAt: new Date(now.getTime() + REFRESH_LOCK_MS) } } },
+      { new: true }
+    ).lean();
+    if (locked) {
+      // The worker that held the lock before us may have just stored a fresh token.
+      const lockedTokens = readTokens(locked);
+      if (hasUsableAccessToken(lockedTokens)) {
+        await releaseRefreshLock();
+        return lockedTokens;
+      }
+      return performRefresh(lockedTokens, exchange);
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for another worker to refresh the Zoho access token");
+    }
+    await sleep(REFRESH_POLL_MS);
+  }
+}
+
+// Called after Zoho answers 401 so every worker refreshes instead of reusing the rejected token.
+export async function expireStoredZohoAccessToken() {
+  if (mongoose.connection.readyState !== 1) return;
+  await IntegrationCredential.updateOne(
+    { provider: PROVIDER },
+    { $set: { accessTokenExpiresAt: null } }
+  );
+}
+
+/**
+ * Stored connection details without any secret, or null when nothing is stored.
+ */
+export async function describeZohoCredential() {
+  if (mongoose.connection.readyState !== 1) return null;
+
+  const doc = await IntegrationCredential.findOne({ provider: PROVIDER })
+    .select("-accessToken.data -accessToken.iv -accessToken.tag -refreshToken.data -refreshToken.iv -refreshToken.tag")
+    .lean();
+  if (!doc) return null;
+
+  return {
+    status: doc.status,
+    source: doc.source,
+    scopes: doc.scopes || [],
+    dataCenter: doc.dataCenter,
+    accountsUrl: doc.accountsUrl,
+    apiDomain: doc.apiDomain,
+    connectedAt: doc.connectedAt,
+    connectedBy: doc.connectedBy,
+    lastRefreshAt: doc.lastRefreshAt,
+    refreshCount: doc.refreshCount || 0,
+    lastRefreshError: doc.lastRefreshError,
+    lastRefreshErrorAt: doc.lastRefreshErrorAt,
+    accessTokenExpiresAt: doc.accessTokenExpiresAt,
+    hasRefreshToken: !!doc.refreshToken,
+    encryptionKeyMatches: doc.refreshToken?.keyId ? doc.refreshToken.keyId === credentialKeyId() : null,
+  };
+}
@@ -0,0 +1,418 @@
+import fs from "fs/promises";
+import path from "path";
+import { execFile } from "child_process";
+import {
+  PDF_REMOTE_BASE,
+  PDF_REMOTE_TIMEOUT_MS,
+  PDF_COMPILER,
+  PDF_COMPILER_FAILOVER,
+  PDF_LOCAL_ENGINE,
+  PDF_LOCAL_BIN,
+  PDF_LOCAL_TIMEOUT_MS,
+} from "../config/pdfConfig.js";
+import { LATEX_WORK_DIR } from "../config/storagePaths.js";
+
+function remoteUrl(pathname) {
+  return `${PDF_REMOTE_BASE.replace(/\/+$/, "")}/${pathname.replace(/^\/+/, "")}`;
+}
+
+async function remotePostPdf(
+  pathname,
+  body = {},
+  { timeoutMs = PDF_REMOTE_TIMEOUT_MS } = {}
+) {
+  const url = remoteUrl(pathname);
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/pdf" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => "");
+      const err = new Error(`Remote compile failed (${resp.status})`);
+      err.detail = txt;
+      err.httpStatus = resp.status;
+      err.url = url;
+      err.errorType = "REMOTE_PDF_SERVICE_ERROR";
+      throw err;
+    }
+    const ab = await resp.arrayBuffer();
+    return Buffer.from(ab);
+  } catch (error) {
+    if (!error.errorType) {
+      error.errorType = error.name === "AbortError" ? "TIMEOUT" : "NETWORK_ERROR";
+      error.url = url;
+      error.timeout = timeoutMs;
+    }
+    throw error;
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+async function remotePostMultipart(
+  pathname,
+  files,
+  extraFields = {},
+  { timeoutMs = PDF_REMOTE_TIMEOUT_MS } = {}
+) {
+  const url = remoteUrl(pathname);
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    console.log(`📡 [REMOTE PDF] Calling remote PDF service: ${url}`);
+
+    const fd = new FormData();
+    for (const [k, v] of Object.entries(extraFields || {})) {
+      fd.append(k, typeof v === "string" ? v : JSON.stringify(v));
+    }
+    for (const f of files) {
+      const filename = String(f.name).replace(/\\/g, "/");
+      fd.append(
+        f.field,
+        new Blob([f.data], { type: f.type || "application/octet-stream" }),
+        filename
+      );
+    }
+    const resp = await fetch(url, { method: "POST", body: fd, signal: controller.signal });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => "");
+      console.error(`❌ [REMOTE PDF] Remote compile failed with status ${resp.status}:`, txt.slice(0, 500));
+
+      const err = new Error(`Remote PDF service failed: ${resp.status} ${resp.statusText}`);
+      err.detail = txt;
+      err.httpStatus = resp.status;
+      err.url = url;
+      err.errorType = 'REMOTE_PDF_SERVICE_ERROR';
+      throw err;
+    }
+    const ab = await resp.arrayBuffer();
+    console.log(`✅ [REMOTE PDF] Successfully compiled PDF, size: ${ab.byteLength} bytes`);
+    return Buffer.from(ab);
+  } catch (error) {
+    clearTimeout(to);
+
+    console.error(`❌ [REMOTE PDF] Error during PDF compilation:`, {
+      name: error.name,
+      message: error.message,
+      url,
+      timeout: timeoutMs
+    });
+
+    const enhancedError = new Error(error.message || 'PDF compilation failed');
+    enhancedError.originalError = error.message;
+    enhancedError.errorName = error.name;
+    enhancedError.url = url;
+    enhancedError.timeout = timeoutMs;
+    enhancedError.detail = error.detail || null;
+    enhancedError.httpStatus = error.httpStatus || null;
+    enhancedError.errorType = error.errorType || (error.name === 'AbortError' ? 'TIMEOUT' : 'NETWORK_ERROR');
+    enhancedError.stack = error.stack;
+
+    throw enhancedError;
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+const remoteCompiler = {
+  name: "remote",
+
+  async compileTex(tex, opts = {}) {
+    return remotePostPdf("pdf/compile", { template: tex }, opts);
+  },
+
+  async compileFile(file, opts = {}) {
+    return remotePostMultipart("pdf/compile-file", [file], {}, opts);
+  },
+
+  async compileBundle(files, { assetsManifest, ...opts } = {}) {
+    const extraFields = assetsManifest ? { assetsManifest } : {};
+    return remotePostMultipart("pdf/compile-bundle", files, extraFields, opts);
+  },
+
+  async health() {
+    try {
+      const r = await fetch(remoteUrl("health"));
+      const j = await r.json();
+      return { ok: true, base: PDF_REMOTE_BASE, remote: j };
+    } catch (e) {
+      return { ok: false, base: PDF_REMOTE_BASE, error: String(e) };
+    }
+  },
+};
+
+function safeRelativePath(name, fallback) {
+  const normalized = path.posix.normalize(String(name || fallback).replace(/\\/g, "/"));
+  if (!normalized || normalized.startsWith("../") || normalized === ".." || path.posix.isAbsolute(normalized)) {
+    const err = new Error(`Refusing to write file outside the compile sandbox: ${name}`);
+    err.status = 400;
+    throw err;
+  }
+  return normalized;
+}
+
+// File-reading commands followed by an absolute, home-relative or parent path.
+const OUTSIDE_PATH_PATTERN =
+  /\\(?:input|include|InputIfFileExists|IfFileExists|openin|includegraphics|includepdf|lstinputlisting|verbatiminput|import|subimport|subfile)(?![A-Za-z])\s*(?:\[[^\]]*\]\s*)*(?:\d+\s*=\s*)?\{?\s*["']?\s*(?:\/|~|[A-Za-z]:[\\/]|\.\.[\\/])/;
+
+// TeX sources may only read files inside the sandbox; openin_any blocks the
+// rest in TeX Live, this also covers engines that ignore it.
+function assertSandboxedTex(file) {
+  if (!/\.tex$/i.test(String(file.name || "doc.tex"))) return;
+  const match = OUTSIDE_PATH_PATTERN.exec(Buffer.from(file.data).toString("utf8"));
+  if (match) {
+    const err = new Error(`Refusing to read a file outside the compile sandbox: ${match[0].trim()}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+function buildLocalCommand(mainName, workDir) {
+  if (PDF_LOCAL_ENGINE === "tectonic") {
+    return {
+      passes: 1,
+      args: ["--untrusted", "--chatter", "minimal", "--outdir", workDir, mainName],
+    };
+  }
+  return {
+    passes: 2,
+    args: [
+      "-interaction=nonstopmode",
+      "-halt-on-error",
+      "-no-shell-escape",
+      `-output-directory=${workDir}`,
+      mainName,
+    ],
+  };
+}
+
+function runEngine(args, workDir, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      PDF_LOCAL_BIN,
+      args,
+      {
+        cwd: workDir,
+        timeout: timeoutMs,
+        killSignal: "SIGKILL",
+        maxBuffer: 10 * 1024 * 1024,
+        env: {
+          PATH: process.env.PATH,
+          HOME: workDir,
+          TEXMFOUTPUT: workDir,
+          TEXMFVAR: path.join(workDir, ".texmf-var"),
+          openin_any: "p",
+          openout_any: "p",
+          shell_escape: "f",
+        },
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          return reject(error);
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+}
+
+async function readLogTail(logPath, maxChars = 4000) {
+  try {
+    const log = await fs.readFile(logPath, "utf8");
+    return log.slice(-maxChars);
+  } catch {
+    return null;
+  }
+}
+
+async function compileInSandbox(files, { mainField = "main", timeoutMs = PDF_LOCAL_TIMEOUT_MS } = {}) {
+  await fs.mkdir(LATEX_WORK_DIR, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(LATEX_WORK_DIR, "job-"));
+
+  try {
+    let mainName = null;
+    for (const file of files) {
+      const isMain = file.field === mainField;
+      assertSandboxedTex(file);
+      const relative = safeRelativePath(isMain ? path.posix.basename(String(file.name || "doc.tex")) : file.name, "asset.bin");
+      const target = path.join(workDir, relative);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.data);
+      if (isMain) mainName = relative;
+    }
+
+    if (!mainName) {
+      const err = new Error("Missing main .tex file for local compilation");
+      err.status = 400;
+      throw err;
+    }
+
+    const { passes, args } = buildLocalCommand(mainName, workDir);
+    const started = Date.now();
+    console.log(`🖥️ [LOCAL PDF] Compiling ${mainName} with ${PDF_LOCAL_ENGINE} (${passes} pass${passes > 1 ? "es" : ""})`);
+
+    try {
+      for (let pass = 0; pass < passes; pass += 1) {
+        const remaining = timeoutMs - (Date.now() - started);
+        if (remaining <= 0) {
+          const timeoutErr = new Error("Local LaTeX compile timed out");
+          timeoutErr.killed = true;
+          throw timeoutErr;
+        }
+        await runEngine(args, workDir, remaining);
+      }
+    } catch (engineError) {
+      const baseName = mainName.replace(/\.tex$/i, "");
+      const err = new Error(
+        engineError.killed
+          ? `Local LaTeX compile timed out after ${timeoutMs}ms`
+          : engineError.code === "ENOENT"
+            ? `Local LaTeX engine not found: ${PDF_LOCAL_BIN}`
+            : "Local LaTeX compilation failed"
+      );
+      err.errorType = engineError.killed ? "TIMEOUT" : "LOCAL_LATEX_ERROR";
+      err.detail =
+        (await readLogTail(path.join(workDir, `${baseName}.log`))) ||
+        engineError.stderr ||
+        engineError.stdout ||
+        engineError.message;
+      err.timeout = timeoutMs;
+      throw err;
+    }
+
+    const pdfPath = path.join(workDir, mainName.replace(/\.tex$/i, "") + ".pdf");
+    const buffer = await fs.readFile(pdfPath);
+    console.log(`✅ [LOCAL PDF] Compiled PDF in ${Date.now() - started}ms, size: ${buffer.length} bytes`);
+    return buffer;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch((err) => {
+      console.warn(`⚠️ [LOCAL PDF] Failed to remove sandbox ${workDir}:`, err.message);
+    });
+  }
+}
+
+const localCompiler = {
+  name: "local",
+
+  async compileTex(tex, opts = {}) {
+    const files = [{ field: "main", name: "doc.tex", data: Buffer.from(tex, "utf8") }];
+    return compileInSandbox(files, opts);
+  },
+
+  async compileFile(file, opts = {}) {
+    return compileInSandbox([{ ...file, field: "main" }], opts);
+  },
+
+  async compileBundle(files, { assetsManifest, ...opts } = {}) {
+    let manifest = assetsManifest || {};
+    if (typeof manifest === "string") {
+      try {
+        manifest = JSON.parse(manifest);
+      } catch {
+        manifest = {};
+      }
+    }
+    const placed = files.map((f) =>
+      f.field !== "main" && manifest[f.name] ? { ...f, name: manifest[f.name] } : f
+    );
+    return compileInSandbox(placed, opts);
+  },
+
+  async health() {
+    try {
+      const { stdout } = await runEngine(["--version"], process.cwd(), 10_000);
+      return { ok: true, engine: PDF_LOCAL_ENGINE, bin: PDF_LOCAL_BIN, version: stdout.split("\n")[0] };
+    } catch (e) {
+      return { ok: false, engine: PDF_LOCAL_ENGINE, bin: PDF_LOCAL_BIN, error: e.code === "ENOENT" ? "engine not installed" : String(e.message || e) };
+    }
+  },
+};
+
+const compilers = new Map([
+  [remoteCompiler.name, remoteCompiler],
+  [localCompiler.name, localCompiler],
+]);
+
+export function registerCompiler(compiler) {
+  if (!compiler?.name || typeof compiler.compileBundle !== "function") {
+    throw new Error("A compiler needs a name and a compileBundle(files, opts) function");
+  }
+  compilers.set(compiler.name, compiler);
+}
+
+export function getCompiler(name = PDF_COMPILER) {
+  const compiler = compilers.get(name);
+  if (!compiler) {
+    throw new Error(`Unknown PDF compiler "${name}". Available: ${[...compilers.keys()].join(", ")}`);
+  }
+  return compiler;
+}
+
+export function isFailoverError(error) {
+  if (!error) return false;
+  if (error.errorType === "TIMEOUT" || error.errorType === "NETWORK_ERROR") return true;
+  return Number(error.httpStatus) >= 500;
+}
+
+async function runWithFailover(method, args, { compiler, ...opts } = {}) {
+  const primary = getCompiler(compiler || PDF_COMPILER);
+  try {
+    return await primary[method](...args, opts);
+  } catch (error) {
+    const canFailover =
+      PDF_COMPILER_FAILOVER &&
+      !compiler &&
+      primary.name === "remote" &&
+      compilers.has("local") &&
+      isFailoverError(error);
+
+    if (!canFailover) throw error;
+
+    console.warn(`⚠️ [PDF COMPILER] Remote compile failed (${error.errorType || error.httpStatus}), failing over to local ${PDF_LOCAL_ENGINE}`);
+    try {
+      return await getCompiler("local")[method](...args);
+    } catch (localError) {
+      localError.failoverFrom = {
+        compiler: primary.name,
+        errorType: error.errorType,
+        httpStatus: error.httpStatus,
+        message: error.message,
+      };
+      throw localError;
+    }
+  }
+}
+
+export async function compileLatexSource(tex, opts = {}) {
+  return runWithFailover("compileTex", [tex], opts);
+}
+
+export async function compileLatexFile(file, opts = {}) {
+  return runWithFailover("compileFile", [file], opts);
+}
+
+export async function compileLatexBundle(files, opts = {}) {
+  return runWithFailover("compileBundle", [files], opts);
+}
+
+export async function getCompilerHealth() {
+  const [remote, local] = await Promise.all([
+    remoteCompiler.health(),
+    localCompiler.health(),
+  ]);
+  return {
+    mode: PDF_COMPILER,
+    failover: PDF_COMPILER_FAILOVER,
+    ok: PDF_COMPILER === "local" ? local.ok : remote.ok || (PDF_COMPILER_FAILOVER && local.ok),
+    base: PDF_REMOTE_BASE,
+    remote,
+    local,
+  };
+}
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import CompiledPdfCache from "../models/CompiledPdfCache.js";
+import ServiceAgreementTemplate from "../models/ServiceAgreementTemplate.js";
+import { PDF_CACHE_ENABLED, PDF_CACHE_TTL_DAYS } from "../config/pdfConfig.js";
+
+// Bump when the LaTeX builders in pdfService change output for the same payload.
+const CACHE_FORMAT_VERSION = 1;
+
+let knownTemplateHash = null;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function expiryDate() {
+  return new Date(Date.now() + PDF_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function toBuffer(stored) {
+  if (!stored) return null;
+  if (Buffer.isBuffer(stored)) return stored;
+  return stored.buffer ? Buffer.from(stored.buffer) : Buffer.from(stored);
+}
+
+export function stableStringify(value) {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value ?? null);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item === undefined ? null : item)).join(",")}]`;
+  }
+  const keys = Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+}
+
+export function isPdfCacheAvailable() {
+  return PDF_CACHE_ENABLED && mongoose.connection.readyState === 1;
+}
+
+async function getAgreementTemplateStamp() {
+  const template = await ServiceAgreementTemplate.findOne({ isActive: true })
+    .select("updatedAt")
+    .lean();
+  return template?.updatedAt ? new Date(template.updatedAt).toISOString() : "none";
+}
+
+async function noteTemplateHash(templateHash) {
+  if (knownTemplateHash === templateHash) return;
+  knownTemplateHash = templateHash;
+  const { deletedCount } = await CompiledPdfCache.deleteMany({ templateHash: { $ne: templateHash } });
+  if (deletedCount) {
+    console.log(`🧹 [PDF CACHE] customer-header.tex changed, dropped ${deletedCount} stale PDF(s)`);
+  }
+}
+
+export async function computePdfCacheKey(sanitizedBody, { templateSource, watermark = false }) {
+  const templateHash = sha256(templateSource);
+  const agreementTemplateStamp = await getAgreementTemplateStamp();
+  // Round-trip through JSON so Mongoose subdocuments and plain objects hash identically.
+  const normalized = JSON.parse(JSON.stringify(sanitizedBody || {}));
+  const payloadHash = sha256(stableStringify(normalized));
+  const key = sha256(
+    [CACHE_FORMAT_VERSION, payloadHash, templateHash, agreementTemplateStamp, watermark ? 1 : 0].join(":")
+  );
+  return { key, payloadHash, templateHash, agreementTemplateStamp };
+}
+
+export async function getCachedPdf(cacheKey) {
+  await noteTemplateHash(cacheKey.templateHash);
+  const entry = await CompiledPdfCache.findOneAndUpdate(
+    { key: cacheKey.key },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date(), expiresAt: expiryDate() } },
+    { new: true }
+  ).lean();
+  if (!entry) return null;
+  return { buffer: toBuffer(entry.pdfBuffer), filename: entry.filename };
+}
+
+export async function storeCachedPdf(cacheKey, { buffer, filename, watermark = false, compileMs = 0 }) {
+  await CompiledPdfCache.updateOne(
+    { key: cacheKey.key },
+    {
+      $set: {
+        templateHash: cacheKey.templateHash,
+        agreementTemplateStamp: cacheKey.agreementTemplateStamp,
+        watermark,
+        filename,
+        sizeBytes: buffer.length,
+        pdfBuffer: buffer,
+        compileMs,
+        expiresAt: expiryDate(),
+      },
+      $setOnInsert: { hits: 0 },
+    },
+    { upsert: true }
+  );
+}
+
+export async function invalidatePdfCache({ reason = "manual" } = {}) {
+  const { deletedCount } = await CompiledPdfCache.deleteMany({});
+  knownTemplateHash = null;
+  console.log(`🧹 [PDF CACHE] Cleared ${deletedCount} cached PDF(s) (${reason})`);
+  return { deletedCount };
+}
+
+export async function getPdfCacheStats() {
+  const [totals] = await CompiledPdfCache.aggregate([
+    {
+      $group: {
+        _id: null,
+        entries: { $sum: 1 },
+        sizeBytes: { $sum: "$sizeBytes" },
+        hits: { $sum: "$hits" },
+        savedCompileMs: { $sum: { $multiply: ["$hits", "$compileMs"] } },
+      },
+    },
+  ]);
+  return {
+    enabled: PDF_CACHE_ENABLED,
+    ttlDays: PDF_CACHE_TTL_DAYS,
+    entries: totals?.entries || 0,
+    sizeBytes: totals?.sizeBytes || 0,
+    hits: totals?.hits || 0,
+    savedCompileMs: totals?.savedCompileMs || 0,
+  };
+}
@@ -0,0 +1,451 @@
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import CustomerHeaderJob from "../models/customerHeaderJob.model.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import VersionPdf from "../models/VersionPdf.js";
+import { compileCustomerHeader } from "./pdfService.js";
+import { issuePdf } from "./documentIntegrityService.js";
+import { createAgreementVersion, regenerateVersionPdf } from "./versionService.js";
+import { isFailoverError } from "./latexCompilerService.js";
+import {
+  PDF_COMPILER,
+  PDF_REMOTE_BASE,
+  PDF_JOB_WORKER_ENABLED,
+  PDF_JOB_CONCURRENCY,
+  PDF_JOB_MAX_ATTEMPTS,
+  PDF_JOB_BACKOFF_MS,
+  PDF_JOB_POLL_MS,
+  PDF_JOB_LOCK_TIMEOUT_MS,
+  PDF_JOB_RETENTION_HOURS,
+} from "../config/pdfConfig.js";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const MAX_BACKOFF_MS = 10 * 60_000;
+
+const STAGE_PERCENT = {
+  queued: 0,
+  compiling: 30,
+  storing: 80,
+  done: 100,
+};
+
+const activeJobs = new Set();
+let pollTimer = null;
+let ticking = false;
+
+function expiryDate() {
+  return new Date(Date.now() + PDF_JOB_RETENTION_HOURS * 60 * 60 * 1000);
+}
+
+export function computeBackoffMs(attempts) {
+  return Math.min(PDF_JOB_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+// Compile errors (bad TeX, missing agreement) will fail the same way on retry.
+export function isRetryableJobError(error) {
+  if (!error) return false;
+  if (error.status && error.status < 500) return false;
+  if (error.errorType === "LOCAL_LATEX_ERROR") return false;
+  if (error.errorType === "REMOTE_PDF_SERVICE_ERROR") return isFailoverError(error);
+  return true;
+}
+
+export async function enqueuePdfJob({
+  kind = "customer-header",
+  payload = null,
+  agreementId = null,
+  versionId = null,
+  options = {},
+  batchId = null,
+  priority = 0,
+  requestedBy = null,
+} = {}) {
+  if (kind === "customer-header" && !payload) {
+    const err = new Error("customer-header jobs require a payload");
+    err.status = 400;
+    throw err;
+  }
+  if (kind === "agreement-version" && !mongoose.isValidObjectId(agreementId)) {
+    const err = new Error("agreement-version jobs require a valid agreementId");
+    err.status = 400;
+    throw err;
+  }
+  if (kind === "version-regenerate" && !mongoose.isValidObjectId(versionId)) {
+    const err = new Error("version-regenerate jobs require a valid versionId");
+    err.status = 400;
+    throw err;
+  }
+
+  const job = await CustomerHeaderJob.create({
+    kind,
+    payload,
+    agreementId,
+    versionId,
+    options,
+    batchId,
+    priority,
+    requestedBy,
+    maxAttempts: PDF_JOB_MAX_ATTEMPTS,
+    nextRunAt: new Date(),
+  });
+
+  console.log(`📥 [PDF JOB] Queued ${kind} job ${job._id}${batchId ? ` (batch ${batchId})` : ""}`);
+  setImmediate(() => tick());
+  return job;
+}
+
+export async function enqueueBulkRegeneration({ agreementIds = [], statuses = [], requestedBy = null } = {}) {
+  const filter = { isDeleted: { $ne: true } };
+  if (agreementIds.length) {
+    filter._id = { $in: agreementIds.filter((id) => mongoose.isValidObjectId(id)) };
+  }
+  if (statuses.length) {
+    filter.status = { $in: statuses };
+  }
+
+  const agreements = await CustomerHeaderDoc.find(filter).select("_id").lean();
+  const ids = agreements.map((a) => a._id);
+
+  let latest = await VersionPdf.aggregate([
+    { $match: { agreementId: { $in: ids }, isDeleted: { $ne: true } } },
+    { $sort: { versionNumber: -1 } },
+    { $group: { _id: "$agreementId", versionId: { $first: "$_id" }, lockedAt: { $first: "$lockedAt" } } },
+  ]);
+
+  // Signed versions keep the PDF the customer signed.
+  const skippedSigned = latest.filter((row) => row.lockedAt).length;
+  latest = latest.filter((row) => !row.lockedAt);
+
+  const batchId = crypto.randomUUID();
+  if (!latest.length) {
+    return { batchId, queued: 0, skippedSigned };
+  }
+
+  const now = new Date();
+  await CustomerHeaderJob.insertMany(
+    latest.map((row) => ({
+      kind: "version-regenerate",
+      agreementId: row._id,
+      versionId: row.versionId,
+      batchId,
+      priority: -1,
+      requestedBy,
+      maxAttempts: PDF_JOB_MAX_ATTEMPTS,
+      nextRunAt: now,
+    }))
+  );
+
+  console.log(`📦 [PDF JOB] Queued bulk regeneration batch ${batchId}: ${latest.length} version(s)`);
+  setImmediate(() => tick());
+  return { batchId, queued: latest.length, skippedSigned };
+}
+
+export async function getPdfJob(jobId, { includeBuffer = false } = {}) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const query = CustomerHeaderJob.findById(jobId);
+  if (!includeBuffer) query.select("-pdf.buffer -payload");
+  return query.lean();
+}
+
+// With requestedBy, only that requester's jobs in the batch are counted.
+export async function getBatchSummary(batchId, { requestedBy = null } = {}) {
+  const rows = await CustomerHeaderJob.aggregate([
+    { $match: requestedBy ? { batchId, requestedBy } : { batchId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const row of rows) counts[row._id] = row.count;
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const finished = counts.completed + counts.failed + counts.cancelled;
+  return {
+    batchId,
+    total,
+    counts,
+    percent: total ? Math.round((finished / total) * 100) : 0,
+    done: total > 0 && finished === total,
+  };
+}
+
+export async function cancelPdfJob(jobId) {
+  return CustomerHeaderJob.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    {
+      $set: {
+        status: "cancelled",
+        completedAt: new Date(),
+        expiresAt: expiryDate(),
+        "progress.message": "Cancelled before processing",
+      },
+    },
+    { new: true, projection: { "pdf.buffer": 0, payload: 0 } }
+  ).lean();
+}
+
+async function setStage(jobId, stage, message = "") {
+  await CustomerHeaderJob.updateOne(
+    { _id: jobId, lockedBy: WORKER_ID },
+    { $set: { progress: { stage, percent: STAGE_PERCENT[stage] ?? 0, message } } }
+  );
+}
+
+async function runJob(job) {
+  const onProgress = (stage) => setStage(job._id, stage);
+
+  if (job.kind === "customer-header") {
+    await onProgress("compiling");
+    const compiled = await compileCustomerHeader(job.payload || {}, {
+      watermark: !!job.options?.watermark,
+    });
+    const { filename } = compiled;
+    const { buffer } = await issuePdf(compiled.buffer, {
+      documentType: "preview",
+      documentId: job._id,
+      agreementId: job.agreementId || null,
+      fileName: filename,
+      issuedBy: job.requestedBy || null,
+      channel: "preview",
+    });
+    return {
+      pdf: { filename, sizeBytes: buffer.length, mimeType: "application/pdf", buffer },
+      result: { filename, sizeBytes: buffer.length },
+    };
+  }
+
+  if (job.kind === "agreement-version") {
+    const { version, versionNumber, wasReplacement } = await createAgreementVersion(job.agreementId, {
+      ...job.options,
+      createdBy: job.options?.createdBy || job.requestedBy,
+      sourceJobId: job._id,
+      onProgress,
+    });
+    return {
+      result: { versionId: version._id, versionNumber, wasReplacement, status: version.status },
+    };
+  }
+
+  if (job.kind === "version-regenerate") {
+    const { version, versionNumber, sizeBytes } = await regenerateVersionPdf(job.versionId, { onProgress });
+    return {
+      result: { versionId: version._id, versionNumber, sizeBytes },
+    };
+  }
+
+  const err = new Error(`Unknown PDF job kind: ${job.kind}`);
+  err.status = 400;
+  throw err;
+}
+
+async function processJob(job) {
+  const started = Date.now();
+  const compilerBase = PDF_COMPILER === "local" ? "local" : PDF_REMOTE_BASE;
+
+  try {
+    const { pdf, result } = await runJob(job);
+    const update = {
+      status: "completed",
+      progress: { stage: "done", percent: 100, message: "" },
+      compiler: {
+        base: compilerBase,
+        endpoint: "pdf/compile-bundle",
+        durationMs: Date.now() - started,
+        ok: true,
+        error: "",
+        errorType: null,
+      },
+      result,
+      lastError: null,
+      errorDetail: null,
+      lockedAt: null,
+      lockedBy: null,
+      completedAt: new Date(),
+      expiresAt: expiryDate(),
+    };
+    if (pdf) update.pdf = pdf;
+
+    const { matchedCount } = await CustomerHeaderJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: update });
+    if (!matchedCount) {
+      console.warn(`⚠️ [PDF JOB] Job ${job._id} lost its worker lock before completing; result discarded`);
+      return;
+    }
+    console.log(`✅ [PDF JOB] Job ${job._id} (${job.kind}) completed in ${Date.now() - started}ms`);
+  } catch (error) {
+    const retryable = isRetryableJobError(error) && job.attempts < job.maxAttempts;
+    const detail = typeof error.detail === "string" ? error.detail : error.detail ? JSON.stringify(error.detail) : null;
+    const compiler = {
+      base: compilerBase,
+      endpoint: "pdf/compile-bundle",
+      durationMs: Date.now() - started,
+      ok: false,
+      error: error.message || String(error),
+      errorType: error.errorType || null,
+    };
+
+    if (retryable) {
+      const delay = computeBackoffMs(job.attempts);
+      const { matchedCount } = await CustomerHeaderJob.updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        {
+          $set: {
+            status: "queued",
+            nextRunAt: new Date(Date.now() + delay),
+            progress: { stage: "retrying", percent: 0, message: `Attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s` },
+            compiler,
+            lastError: compiler.error,
+            errorDetail: detail ? detail.slice(-4000) : null,
+            lockedAt: null,
+            lockedBy: null,
+          },
+        }
+      );
+      if (!matchedCount) {
+        console.warn(`⚠️ [PDF JOB] Job ${job._id} lost its worker lock before it could be re-queued`);
+        return;
+      }
+      console.warn(`⚠️ [PDF JOB] Job ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed (${error.errorType || error.message}), retrying in ${delay}ms`);
+      return;
+    }
+
+    const { matchedCount } = await CustomerHeaderJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: "failed",
+          progress: { stage: "failed", percent: 100, message: compiler.error },
+          compiler,
+          lastError: compiler.error,
+          errorDetail: detail ? detail.slice(-4000) : null,
+          lockedAt: null,
+          lockedBy: null,
+          completedAt: new Date(),
+          expiresAt: expiryDate(),
+        },
+      }
+    );
+    if (!matchedCount) {
+      console.warn(`⚠️ [PDF JOB] Job ${job._id} lost its worker lock before it could be marked failed`);
+      return;
+    }
+    console.error(`❌ [PDF JOB] Job ${job._id} (${job.kind}) failed after ${job.attempts} attempt(s): ${compiler.error}`);
+  }
+}
+
+async function claimNextJob() {
+  const now = new Date();
+  return CustomerHeaderJob.findOneAndUpdate(
+    {
+      status: "queued",
+      nextRunAt: { $lte: now },
+      isDeleted: { $ne: true },
+      $expr: { $lt: ["$attempts", "$maxAttempts"] },
+    },
+    {
+      $set: {
+        status: "processing",
+        lockedAt: now,
+        lockedBy: WORKER_ID,
+        startedAt: now,
+        progress: { stage: "compiling", percent: STAGE_PERCENT.compiling, message: "" },
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, nextRunAt: 1, createdAt: 1 }, new: true }
+  ).lean();
+}
+
+async function releaseStaleJobs() {
+  const cutoff = new Date(Date.now() - PDF_JOB_LOCK_TIMEOUT_MS);
+  const now = new Date();
+
+  // A job whose worker died on its last attempt would otherwise sit in the queue
+  // forever, since claimNextJob skips anything that has used up its attempts.
+  const exhausted = await CustomerHeaderJob.updateMany(
+    {
+      $or: [
+        { status: "processing", lockedAt: { $lt: cutoff } },
+        { status: "queued" },
+      ],
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    },
+    {
+      $set: {
+        status: "failed",
+        progress: { stage: "failed", percent: 100, message: "Maximum attempts exhausted" },
+        lastError: "Maximum attempts exhausted",
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: now,
+        expiresAt: expiryDate(),
+      },
+    }
+  );
+  if (exhausted.modifiedCount) {
+    console.warn(`⚠️ [PDF JOB] Failed ${exhausted.modifiedCount} job(s) that exhausted their attempts`);
+  }
+
+  const { modifiedCount } = await CustomerHeaderJob.updateMany(
+    { status: "processing", lockedAt: { $lt: cutoff } },
+    {
+      $set: {
+        status: "queued",
+        nextRunAt: now,
+        lockedAt: null,
+        lockedBy: null,
+        "progress.stage": "retrying",
+        "progress.message": "Worker lock expired",
+      },
+    }
+  );
+  if (modifiedCount) {
+    console.warn(`⚠️ [PDF JOB] Re-queued ${modifiedCount} job(s) with expired worker locks`);
+  }
+}
+
+async function tick() {
+  if (ticking || !pollTimer || mongoose.connection.readyState !== 1) return;
+  ticking = true;
+  try {
+    await releaseStaleJobs();
+    while (activeJobs.size < PDF_JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      const running = processJob(job).finally(() => {
+        activeJobs.delete(running);
+        setImmediate(() => tick());
+      });
+      activeJobs.add(running);
+    }
+  } catch (err) {
+    console.error("❌ [PDF JOB] Worker tick failed:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startPdfJobWorker() {
+  if (!PDF_JOB_WORKER_ENABLED) {
+    console.log("⏸️ [PDF JOB] Worker disabled (PDF_JOB_WORKER=false)");
+    return;
+  }
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, PDF_JOB_POLL_MS);
+  pollTimer.unref?.();
+  console.log(`🛠️ [PDF JOB] Worker ${WORKER_ID} started (concurrency ${PDF_JOB_CONCURRENCY})`);
+  setImmediate(() => tick());
+}
+
+export function stopPdfJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export function getPdfJobWorkerStatus() {
+  return {
+    workerId: WORKER_ID,
+    running: !!pollTimer,
+    active: activeJobs.size,
+    concurrency: PDF_JOB_CONCURRENCY,
+  };
+}
@@ -3,105 +3,25 @@ import path from "path";
 import zlib from "zlib";
 import Mustache from "mustache";
 import {
-  PDF_REMOTE_BASE,
-  PDF_REMOTE_TIMEOUT_MS,
   PDF_TEMPLATE_PATH,
   PDF_HEADER_TEMPLATE_PATH,
+  PDF_REDLINE_TEMPLATE_PATH,
+  PDF_NOTICE_TEMPLATE_PATH,
 } from "../config/pdfConfig.js";
 import { cleanupTemporaryArtifacts } from "../utils/tmpCleanup.js";
-
-async function remotePostPdf(
-  pathname,
-  body = {},
-  { timeoutMs = PDF_REMOTE_TIMEOUT_MS } = {}
-) {
-  const url = `${PDF_REMOTE_BASE.replace(/\/+$/, "")}/${pathname.replace(/^\/+/, "")}`;
-  const controller = new AbortController();
-  const to = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Accept: "application/pdf" },
-      body: JSON.stringify(body),
-      signal: controller.signal,
-    });
-    if (!resp.ok) {
-      const txt = await resp.text().catch(() => "");
-      const err = new Error(`Remote compile failed (${resp.status})`);
-      err.detail = txt;
-      throw err;
-    }
-    const ab = await resp.arrayBuffer();
-    return Buffer.from(ab);
-  } finally {
-    clearTimeout(to);
-  }
-}
-
-async function remotePostMultipart(
-  pathname,
-  files,
-  extraFields = {},
-  { timeoutMs = PDF_REMOTE_TIMEOUT_MS } = {}
-) {
-  const url = `${PDF_REMOTE_BASE.replace(/\/+$/, "")}/${pathname.replace(/^\/+/, "")}`;
-  const controller = new AbortController();
-  const to = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    console.log(`📡 [REMOTE PDF] Calling remote PDF service: ${url}`);
-
-    const fd = new FormData();
-    for (const [k, v] of Object.entries(extraFields || {})) {
-      fd.append(k, typeof v === "string" ? v : JSON.stringify(v));
-    }
-    for (const f of files) {
-      const filename = String(f.name).replace(/\\/g, "/");
-      fd.append(
-        f.field,
-        new Blob([f.data], { type: f.type || "application/octet-stream" }),
-        filename
-      );
-    }
-    const resp = await fetch(url, { method: "POST", body: fd, signal: controller.signal });
-    if (!resp.ok) {
-      const txt = await resp.text().catch(() => "");
-      console.error(`❌ [REMOTE PDF] Remote compile failed with status ${resp.status}:`, txt.slice(0, 500));
-
-      const err = new Error(`Remote PDF service failed: ${resp.status} ${resp.statusText}`);
-      err.detail = txt;
-      err.httpStatus = resp.status;
-      err.url = url;
-      err.errorType = 'REMOTE_PDF_SERVICE_ERROR';
-      throw err;
-    }
-    const ab = await resp.arrayBuffer();
-    console.log(`✅ [REMOTE PDF] Successfully compiled PDF, size: ${ab.byteLength} bytes`);
-    return Buffer.from(ab);
-  } catch (error) {
-    clearTimeout(to);
-
-    console.error(`❌ [REMOTE PDF] Error during PDF compilation:`, {
-      name: error.name,
-      message: error.message,
-      url,
-      timeout: timeoutMs
-    });
-
-    const enhancedError = new Error(error.message || 'PDF compilation failed');
-    enhancedError.originalError = error.message;
-    enhancedError.errorName = error.name;
-    enhancedError.url = url;
-    enhancedError.timeout = timeoutMs;
-    enhancedError.detail = error.detail || null;
-    enhancedError.httpStatus = error.httpStatus || null;
-    enhancedError.errorType = error.errorType || (error.name === 'AbortError' ? 'TIMEOUT' : 'NETWORK_ERROR');
-    enhancedError.stack = error.stack;
-
-    throw enhancedError;
-  } finally {
-    clearTimeout(to);
-  }
-}
+import {
+  compileLatexSource,
+  compileLatexFile,
+  compileLatexBundle,
+  getCompilerHealth,
+} from "./latexCompilerService.js";
+import {
+  isPdfCacheAvailable,
+  computePdfCacheKey,
+  getCachedPdf,
+  storeCachedPdf,
+} from "./pdfCacheService.js";
+import { diffPayloadSnapshots, flattenPayload } from "./versionDiffService.js";
 
 async function tidyTempArtifacts(options = {}) {
   try {
@@ -111,12 +31,25 @@ async function tidyTempArtifacts(options = {}) {
   }
 }
 
-function buildServiceAgreementLatex(agreementData = {}) {
+const SIGNATURE_IMAGE_ASSET = "images/customer-signature.png";
+
+// Drawn signatures are bundled as an image asset; typed ones are set in italics.
+function buildSignatureMarkLatex(signature, { height = "1.1cm", width = "5cm" } = {}) {
+  if (signature.image) {
+    return `\\includegraphics[height=${height},width=${width},keepaspectratio]{${SIGNATURE_IMAGE_ASSET}}`;
+  }
+  return `{\\itshape\\large ${latexEscape(signature.typedSignature || signature.signerName || '')}}`;
+}
+
+function buildServiceAgreementLatex(agreementData = {}, signature = null) {
   if (!agreementData || !agreementData.includeInPdf) {
     return '';
   }
 
   const escape = latexEscape;
+  const customerSignatureLatex = signature
+    ? `\\raisebox{-0.3\\height}{${buildSignatureMarkLatex(signature)}}`
+    : `\\filledlineleftlim[5.1cm]{${escape(agreementData.customerSignature || '')}}`;
 
   const checkbox = (checked) => checked ? '{[\\textbf{X}]}' : '{[~~]}';
 
@@ -196,7 +129,7 @@ ${escape(agreementData.noteText || '')}
 
   \\vspace{0.6em}
 
-  ${escape(agreementData.customerSignatureLabel || 'Signature:')}: \\filledlineleftlim[5.1cm]{${escape(agreementData.customerSignature || '')}}
+  ${escape(agreementData.customerSignatureLabel || 'Signature:')}: ${customerSignatureLatex}
 
   \\vspace{0.6em}
 
@@ -217,6 +150,74 @@ ${escape(agreementData.noteText || '')}
 `;
 }
 
+/**
+ * Final page of a signed agreement: who signed, when and from where, the
+ * hash of the document they were shown, the audit trail and its hash.
+ */
+function buildSignatureCertificateLatex(certificate, signature) {
+  const row = (label, value) => `\\textbf{${latexEscape(label)}} & ${latexEscape(value ?? '')} \\\\\n\\hline\n`;
+  const hashRow = (label, value) => `\\textbf{${latexEscape(label)}} & {\\ttfamily\\footnotesize ${breakableHash(value)}} \\\\\n\\hline\n`;
+
+  let events = '';
+  for (const event of certificate.events || []) {
+    const where = [event.ip, event.userAgent].filter(Boolean).join(' -- ');
+    events += `${latexEscape(event.at)} & ${latexEscape(event.type)} & ${latexEscape(event.actor || '')} & {\\footnotesize ${latexEscape(where)}} \\\\\n\\hline\n`;
+  }
+
+  return `
+\\newpage
+
+% ====== SIGNATURE CERTIFICATE ========================================
+
+\\noindent
+\\begin{minipage}[c]{0.20\\textwidth}
+  \\centering
+  \\includegraphics[width=0.80\\linewidth]{images/Envimaster.png}
+\\end{minipage}%
+\\hspace{0.5cm}%
+\\begin{minipage}[c]{0.75\\textwidth}
+  \\centering
+  {\\bfseries\\Large\\textcolor{emred}{CERTIFICATE OF ELECTRONIC SIGNATURE}\\par}
+  \\vspace{0.3em}
+  {\\bfseries ${latexEscape(certificate.agreementTitle || '')}\\par}
+  {\\small Version ${latexEscape(certificate.versionNumber)}\\par}
+\\end{minipage}
+
+\\vspace{1em}
+
+\\noindent
+\\begin{tabular}{|p{0.28\\textwidth}|p{0.66\\textwidth}|}
+\\hline
+${row('Signer', certificate.signerName)}${certificate.signerTitle ? row('Title', certificate.signerTitle) : ''}${certificate.signerEmail ? row('Email', certificate.signerEmail) : ''}${row('Signature method', certificate.method === 'drawn' ? 'Drawn' : 'Typed')}${row('Signed at (UTC)', certificate.signedAt)}${row('IP address', certificate.ip)}${row('Request ID', certificate.requestId)}${hashRow('Document SHA-256', certificate.documentHash)}${hashRow('Audit trail SHA-256', certificate.auditHash)}\\end{tabular}
+
+\\vspace{1em}
+
+\\noindent\\textbf{Signature}\\par
+\\vspace{0.4em}
+\\noindent\\fbox{\\parbox[c][1.8cm][c]{7cm}{\\centering ${buildSignatureMarkLatex(signature, { height: '1.5cm', width: '6.5cm' })}}}
+
+\\vspace{1em}
+
+\\noindent\\textbf{Audit trail}\\par
+\\vspace{0.4em}
+\\noindent
+\\begin{tabular}{|p{0.24\\textwidth}|p{0.10\\textwidth}|p{0.18\\textwidth}|p{0.38\\textwidth}|}
+\\hline
+\\textbf{Time (UTC)} & \\textbf{Event} & \\textbf{Actor} & \\textbf{Source} \\\\
+\\hline
+${events}\\end{tabular}
+
+\\vspace{1em}
+
+{\\footnotesize The signer agreed to sign electronically. The document hash identifies the exact PDF presented for signature; the audit trail hash covers the document hash, the signer details, the signature and every event above.\\par}
+`;
+}
+
+// Lets long hex digests wrap inside a table cell.
+function breakableHash(value = '') {
+  return String(value).replace(/[^0-9a-f]/gi, '').match(/.{1,16}/g)?.join('\\allowbreak ') || '';
+}
+
 function buildWatermarkLatex() {
   const preamble = `
 % ====== DRAFT WATERMARK PACKAGES ======================================
@@ -3003,22 +3004,16 @@ export async function compilePricingCatalogPdf({ services = [], catalog = null }
 }
 
 export async function getPdfHealth() {
-  try {
-    const r = await fetch(`${PDF_REMOTE_BASE.replace(/\/+$/, "")}/health`);
-    const j = await r.json();
-    return { mode: "remote", ok: true, base: PDF_REMOTE_BASE, remote: j };
-  } catch (e) {
-    return { mode: "remote", ok: false, base: PDF_REMOTE_BASE, error: String(e) };
-  }
+  return getCompilerHealth();
 }
 
-export async function compileRawTex(texString) {
+export async function compileRawTex(texString, opts = {}) {
   if (!texString || typeof texString !== "string") {
     const err = new Error("Body must include a 'template' string.");
     err.status = 400;
     throw err;
   }
-  const buffer = await remotePostPdf("pdf/compile", { template: texString });
+  const buffer = await compileLatexSource(texString, opts);
   await tidyTempArtifacts({ purgeAll: true });
   return { buffer, filename: "document.pdf" };
 }
@@ -3035,13 +3030,16 @@ export async function compileProposalTemplate() {
   ];
   const manifest = { "Envimaster.png": "images/Envimaster.png" };
 
-  const buffer = await remotePostMultipart("pdf/compile-bundle", files, { assetsManifest: manifest });
+  const buffer = await compileLatexBundle(files, { assetsManifest: manifest });
   await tidyTempArtifacts({ purgeAll: true });
   return { buffer, filename: "proposal.pdf" };
 }
 
 export async function compileCustomerHeader(body = {}, options = {}) {
-  const { watermark = false } = options;
+  const { watermark = false, signature = null, certificate = null } = options;
+  // Signed output is unique to one signing, so it never goes through the PDF cache.
+  // Verification codes are stamped afterwards (documentIntegrityService.issuePdf).
+  const useCache = options.cache !== false && !signature && !certificate;
 
   console.log('ÐY"? [PDF COMPILE] Starting compilation with options:', {
     templatePath: PDF_HEADER_TEMPLATE_PATH,
@@ -3055,6 +3053,25 @@ export async function compileCustomerHeader(body = {}, options = {}) {
   body = deepSanitizeObject(body);
   console.log('✅ [PDF COMPILE] Payload sanitization complete');
 
+  const template = await fs.readFile(PDF_HEADER_TEMPLATE_PATH, "utf8");
+  const customerName = extractCustomerName(body.customerName, body.headerRows);
+  const filename = `${customerName}.pdf`;
+
+  let cacheKey = null;
+  if (useCache && isPdfCacheAvailable()) {
+    try {
+      cacheKey = await computePdfCacheKey(body, { templateSource: template, watermark });
+      const hit = await getCachedPdf(cacheKey);
+      if (hit?.buffer) {
+        console.log(`⚡ [PDF CACHE] Hit ${cacheKey.key.slice(0, 12)} (${hit.buffer.length} bytes)`);
+        return { buffer: hit.buffer, filename, cached: true };
+      }
+    } catch (cacheErr) {
+      console.warn('⚠️ [PDF CACHE] Lookup failed, compiling instead:', cacheErr.message);
+      cacheKey = null;
+    }
+  }
+
   if (body.products) {
     console.log('🔍 [PRODUCTS VALIDATION] Checking products data for corrupted fields...');
 
@@ -3170,8 +3187,6 @@ export async function compileCustomerHeader(body = {}, options = {}) {
     showContractMonths,
   };
 
-  const template = await fs.readFile(PDF_HEADER_TEMPLATE_PATH, "utf8");
-
   let tex = Mustache.render(template, view);
   console.log('🔍 [PDF COMPILE] After Mustache rendering, LaTeX length:', tex.length);
 
@@ -3194,12 +3209,18 @@ export async function compileCustomerHeader(body = {}, options = {}) {
 
   if (body.serviceAgreement && body.serviceAgreement.includeInPdf) {
     console.log('📄 [SERVICE AGREEMENT] Including Service Agreement in PDF');
-    const serviceAgreementLatex = buildServiceAgreementLatex(body.serviceAgreement);
+    const serviceAgreementLatex = buildServiceAgreementLatex(body.serviceAgreement, signature);
     tex = tex.replace(/\\end\{document\}/, serviceAgreementLatex + '\n\\end{document}');
   } else {
     console.log('📄 [SERVICE AGREEMENT] Service Agreement not included (checkbox not checked or data missing)');
   }
 
+  if (certificate && signature) {
+    console.log('✍️ [SIGNATURE] Appending signature certificate page');
+    const certificateLatex = buildSignatureCertificateLatex(certificate, signature);
+    tex = tex.replace(/\\end\{document\}/, () => certificateLatex + '\n\\end{document}');
+  }
+
   const openBraces = (tex.match(/\{/g) || []).length;
   const closeBraces = (tex.match(/\}/g) || []).length;
   if (openBraces !== closeBraces) {
@@ -3230,15 +3251,28 @@ export async function compileCustomerHeader(body = {}, options = {}) {
     { field: "assets", name: "images/Envimaster.png", data: logoBuf, type: "image/png" },
   ];
   const manifest = { "Envimaster.png": "images/Envimaster.png" };
+  if (signature?.image) {
+    files.push({ field: "assets", name: SIGNATURE_IMAGE_ASSET, data: signature.image, type: "image/png" });
+    manifest["customer-signature.png"] = SIGNATURE_IMAGE_ASSET;
+  }
 
   try {
-    const buffer = await remotePostMultipart("pdf/compile-bundle", files, { assetsManifest: manifest });
+    const compileStarted = Date.now();
+    const buffer = await compileLatexBundle(files, { assetsManifest: manifest });
     await tidyTempArtifacts({ purgeAll: true });
 
-    const customerName = extractCustomerName(body.customerName, body.headerRows);
-    const filename = `${customerName}.pdf`;
+    if (cacheKey) {
+      await storeCachedPdf(cacheKey, {
+        buffer,
+        filename,
+        watermark,
+        compileMs: Date.now() - compileStarted,
+      }).catch((cacheErr) => {
+        console.warn('⚠️ [PDF CACHE] Failed to store compiled PDF:', cacheErr.message);
+      });
+    }
 
-    return { buffer, filename };
+    return { buffer, filename, cached: false };
   } catch (error) {
     console.error('❌ [PDF COMPILE] PDF compilation failed:', {
       errorType: error.errorType,
@@ -3270,6 +3304,306 @@ export async function compileCustomerHeader(body = {}, options = {}) {
   }
 }
 
+// ====== VERSION REDLINE =============================================
+
+const REDLINE_SECTIONS = [
+  ["header", "CUSTOMER"],
+  ["services", "SERVICES"],
+  ["products", "PRODUCTS"],
+  ["summary", "TOTALS"],
+  ["agreement", "AGREEMENT TERMS"],
+];
+
+function redlineText(cell) {
+  if (!cell) return "";
+  return latexEscape(cell.kind === "money" ? formatCurrency(cell.value) : cell.value);
+}
+
+// Returns { latex, changed } for one cell of the newer version, given the same
+// cell in the older version.
+function redlineCell(prev, next, groupState = null) {
+  const before = redlineText(prev);
+  const after = redlineText(next);
+  if (groupState === "removed" || (prev && !next)) {
+    return { latex: before ? `\\redlineRemoved{${before}}` : "", changed: Boolean(before) };
+  }
+  if (groupState === "added" || (!prev && next)) {
+    return { latex: after ? `\\redlineAdded{${after}}` : "", changed: Boolean(after) };
+  }
+  if (before === after) return { latex: after, changed: false };
+  return { latex: `\\redlineChanged{${before}}{${after}}`, changed: true };
+}
+
+function redlineGroupName(group) {
+  return group.section === "services" ? SERVICE_DISPLAY_NAMES[group.productKey] || group.productName : group.productName;
+}
+
+function redlineGroupHeading(group, state) {
+  const tag = state === "added" ? " (ADDED)" : state === "removed" ? " (REMOVED)" : "";
+  return `\\redlineGroup{${latexEscape(redlineGroupName(group))}${tag}}\n`;
+}
+
+function buildRedlineFieldTable(prevGroup, nextGroup) {
+  const group = nextGroup || prevGroup;
+  const state = !prevGroup ? "added" : !nextGroup ? "removed" : null;
+  const prevCells = prevGroup?.cells || new Map();
+  const nextCells = nextGroup?.cells || new Map();
+  const keys = [...new Set([...nextCells.keys(), ...prevCells.keys()])];
+  if (keys.length === 0) return "";
+
+  let latex = redlineGroupHeading(group, state);
+  latex += "\\begin{longtable}{|p{0.36\\textwidth}|p{0.58\\textwidth}|}\n\\hline\n";
+  for (const key of keys) {
+    const cell = nextCells.get(key) || prevCells.get(key);
+    const { latex: value, changed } = redlineCell(prevCells.get(key), nextCells.get(key), state);
+    latex += `${changed ? "\\rowcolor{redlinefill}" : ""}${latexEscape(cell.fieldDisplayName)} & ${value} \\\\\n\\hline\n`;
+  }
+  latex += "\\end{longtable}\n";
+  return latex;
+}
+
+const REDLINE_PRODUCT_COLUMNS = [
+  ["Qty", ["qty"]],
+  ["Rate", ["unitPrice", "warrantyPrice"]],
+  ["Replacement", ["replacementPrice"]],
+  ["Total", ["total"]],
+  ["Frequency", ["frequency"]],
+];
+
+function buildRedlineProductsTable(entries) {
+  if (entries.length === 0) return "";
+
+  const cellFor = (group, fieldTypes) =>
+    group ? [...group.cells.values()].find((cell) => fieldTypes.includes(cell.fieldType)) : undefined;
+
+  let latex = "\\begin{longtable}{|p{0.28\\textwidth}|p{0.07\\textwidth}|p{0.13\\textwidth}|p{0.13\\textwidth}|p{0.13\\textwidth}|p{0.13\\textwidth}|}\n\\hline\n";
+  latex += `\\rowcolor{headergray}\\textbf{Product} & ${REDLINE_PRODUCT_COLUMNS.map(([label]) => `\\textbf{${label}}`).join(" & ")} \\\\\n\\hline\n\\endhead\n`;
+
+  for (const { prev, next } of entries) {
+    const group = next || prev;
+    const state = !prev ? "added" : !next ? "removed" : null;
+    const cells = REDLINE_PRODUCT_COLUMNS.map(([, fieldTypes]) =>
+      redlineCell(cellFor(prev, fieldTypes), cellFor(next, fieldTypes), state));
+    const changed = state !== null || cells.some((cell) => cell.changed);
+    const name = latexEscape(`${group.productName}${group.productType === "dispenser" ? " (dispenser)" : ""}`);
+    const nameLatex = state === "added" ? `\\redlineAdded{${name}}` : state === "removed" ? `\\redlineRemoved{${name}}` : name;
+    latex += `${changed ? "\\rowcolor{redlinefill}" : ""}${nameLatex} & ${cells.map((cell) => cell.latex).join(" & ")} \\\\\n\\hline\n`;
+  }
+
+  latex += "\\end{longtable}\n";
+  return latex;
+}
+
+function buildRedlineSectionsLatex(before, after) {
+  let latex = "";
+
+  for (const [section, title] of REDLINE_SECTIONS) {
+    const keys = [
+      ...[...after.values()].filter((g) => g.section === section).map((g) => g.key),
+      ...[...before.values()].filter((g) => g.section === section && !after.has(g.key)).map((g) => g.key),
+    ];
+    const entries = keys.map((key) => ({ prev: before.get(key), next: after.get(key) }));
+    if (entries.every(({ prev, next }) => (prev?.cells.size || 0) + (next?.cells.size || 0) === 0)) continue;
+
+    latex += `\\redlineSection{${title}}\n`;
+    if (section === "products") {
+      latex += buildRedlineProductsTable(entries);
+    } else {
+      for (const { prev, next } of entries) {
+        latex += buildRedlineFieldTable(prev, next);
+      }
+    }
+    latex += "\\vspace{0.6em}\n";
+  }
+
+  return latex;
+}
+
+function formatSignedCurrency(value) {
+  const num = Number(value) || 0;
+  return `${num > 0 ? "+" : num < 0 ? "-" : ""}${formatCurrency(Math.abs(num))}`;
+}
+
+function buildRedlineSummaryLatex(fromPayload, toPayload, diff) {
+  const summaryOf = (payload) => payload?.summary || {};
+  const amount = (payload, key) => Number(summaryOf(payload)[key]) || 0;
+  const contractValue = (payload) => amount(payload, "serviceAgreementTotal") + amount(payload, "productContractTotal");
+
+  const impactRows = [
+    ["Service Agreement Total", amount(fromPayload, "serviceAgreementTotal"), amount(toPayload, "serviceAgreementTotal"), diff.summary.priceImpact.serviceAgreementTotal],
+    ["Product Monthly Total", amount(fromPayload, "productMonthlyTotal"), amount(toPayload, "productMonthlyTotal"), diff.summary.priceImpact.productMonthlyTotal],
+    ["Product Contract Total", amount(fromPayload, "productContractTotal"), amount(toPayload, "productContractTotal"), diff.summary.priceImpact.productContractTotal],
+    ["Contract Value", contractValue(fromPayload), contractValue(toPayload), diff.summary.priceImpact.contractTotal],
+  ];
+
+  let latex = "\\redlineGroup{Price Impact}\n";
+  latex += "\\begin{longtable}{|p{0.34\\textwidth}|p{0.18\\textwidth}|p{0.18\\textwidth}|p{0.18\\textwidth}|}\n\\hline\n";
+  latex += "\\rowcolor{headergray}\\textbf{Total} & \\textbf{Previous} & \\textbf{New} & \\textbf{Change} \\\\\n\\hline\n";
+  for (const [label, previous, next, change] of impactRows) {
+    const changeLatex = change === 0
+      ? latexEscape(formatSignedCurrency(change))
+      : `\\textcolor{${change > 0 ? "redlinenew" : "emred"}}{\\textbf{${latexEscape(formatSignedCurrency(change))}}}`;
+    latex += `${latexEscape(label)} & ${latexEscape(formatCurrency(previous))} & ${latexEscape(formatCurrency(next))} & ${changeLatex} \\\\\n\\hline\n`;
+  }
+  latex += "\\end{longtable}\n";
+
+  const list = (title, items, markup) => {
+    let out = `\\redlineGroup{${title}}\n`;
+    if (items.length === 0) return `${out}\\noindent None\\par\\vspace{0.6em}\n`;
+    out += "\\begin{itemize}\n";
+    for (const item of items) {
+      const total = item.contractTotal ? ` -- ${latexEscape(formatCurrency(item.contractTotal))}` : "";
+      out += `  \\item ${markup}{${latexEscape(redlineGroupName(item))}}${total}\n`;
+    }
+    return `${out}\\end{itemize}\n`;
+  };
+
+  const bySection = (items, section) => items.filter((item) => item.section === section);
+  latex += list("Services Added", bySection(diff.added, "services"), "\\redlineAdded");
+  latex += list("Services Removed", bySection(diff.removed, "services"), "\\redlineRemoved");
+  latex += list("Products Added", bySection(diff.added, "products"), "\\redlineAdded");
+  latex += list("Products Removed", bySection(diff.removed, "products"), "\\redlineRemoved");
+
+  const counts = diff.summary.sections;
+  latex += "\\redlineGroup{Changes by Section}\n";
+  latex += "\\begin{longtable}{|p{0.34\\textwidth}|p{0.18\\textwidth}|}\n\\hline\n";
+  for (const [section, title] of REDLINE_SECTIONS) {
+    latex += `${latexEscape(title)} & ${counts[section] || 0} \\\\\n\\hline\n`;
+  }
+  latex += `\\textbf{Total} & \\textbf{${diff.summary.totalChanges}} \\\\\n\\hline\n`;
+  latex += "\\end{longtable}\n";
+
+  return latex;
+}
+
+function redlineVersionLabel(version) {
+  const label = version.versionLabel ? ` (${version.versionLabel})` : "";
+  return latexEscape(`Version ${version.versionNumber}${label}`);
+}
+
+/**
+ * Renders a comparison PDF for two stored versions: the newer version's
+ * content with changed cells highlighted (old value struck through, new value
+ * in color) followed by a summary page of added/removed services and products.
+ * `from` and `to` are VersionPdf documents with their payloadSnapshot.
+ */
+export async function compileVersionRedline({ agreementTitle, from, to }) {
+  const fromPayload = from.payloadSnapshot || {};
+  const toPayload = to.payloadSnapshot || {};
+  const before = flattenPayload(fromPayload);
+  const after = flattenPayload(toPayload);
+  const diff = diffPayloadSnapshots(fromPayload, toPayload);
+
+  const template = await fs.readFile(PDF_REDLINE_TEMPLATE_PATH, "utf8");
+  const tex = Mustache.render(template, {
+    agreementTitle: latexEscape(agreementTitle || toPayload.headerTitle || "Agreement"),
+    fromLabel: redlineVersionLabel(from),
+    toLabel: redlineVersionLabel(to),
+    sectionsLatex: buildRedlineSectionsLatex(before, after),
+    summaryLatex: buildRedlineSummaryLatex(fromPayload, toPayload, diff),
+  });
+
+  const headerDir = path.dirname(PDF_HEADER_TEMPLATE_PATH);
+  const logoBuf = await fs.readFile(path.join(headerDir, "images", "Envimaster.png"));
+  const files = [
+    { field: "main", name: "doc.tex", data: Buffer.from(tex, "utf8"), type: "application/x-tex" },
+    { field: "assets", name: "images/Envimaster.png", data: logoBuf, type: "image/png" },
+  ];
+
+  const customerName = extractCustomerName(toPayload.customerName, toPayload.headerRows);
+  const filename = `${customerName}_v${from.versionNumber}_vs_v${to.versionNumber}_redline.pdf`;
+
+  console.log(`🖍️ [PDF REDLINE] Compiling v${from.versionNumber} → v${to.versionNumber} (${diff.summary.totalChanges} change(s))`);
+  const buffer = await compileLatexBundle(files, { assetsManifest: { "Envimaster.png": "images/Envimaster.png" } });
+  await tidyTempArtifacts({ purgeAll: true });
+
+  return { buffer, filename, diff };
+}
+
+function formatNoticeDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+function buildNoticeLinesLatex(lines = []) {
+  let latex = "";
+  for (const line of lines) {
+    const label = line.detail ? `${line.label} -- ${line.detail}` : line.label;
+    latex += `${latexEscape(label)} & ${latexEscape(formatCurrency(line.previous))} & `
+      + `\\textbf{${latexEscape(formatCurrency(line.next))}} & `
+      + `${latexEscape(formatSignedCurrency(Number(line.next) - Number(line.previous)))} \\\\\n\\hline\n`;
+  }
+  return latex;
+}
+
+function buildNoticeTotalsLatex(before = {}, after = {}) {
+  const rows = [
+    ["Service Agreement Total", "serviceAgreementTotal"],
+    ["Product Monthly Total", "productMonthlyTotal"],
+    ["Product Contract Total", "productContractTotal"],
+  ].filter(([, key]) => (Number(before[key]) || 0) !== (Number(after[key]) || 0));
+  if (rows.length === 0) return "";
+
+  let latex = "\\begin{longtable}{|p{0.44\\textwidth}|p{0.14\\textwidth}|p{0.14\\textwidth}|p{0.14\\textwidth}|}\n\\hline\n";
+  latex += "\\rowcolor{headergray}\\textbf{Agreement Totals} & \\textbf{Current} & \\textbf{New} & \\textbf{Change} \\\\\n\\hline\n";
+  for (const [label, key] of rows) {
+    const previous = Number(before[key]) || 0;
+    const next = Number(after[key]) || 0;
+    latex += `${latexEscape(label)} & ${latexEscape(formatCurrency(previous))} & \\textbf{${latexEscape(formatCurrency(next))}} & `
+      + `${latexEscape(formatSignedCurrency(next - previous))} \\\\\n\\hline\n`;
+  }
+  return `${latex}\\end{longtable}\n`;
+}
+
+/**
+ * Renders the customer letter for a price increase campaign: the changed
+ * charges (current, new, change), the agreement totals that move, and the
+ * date the new prices take effect.
+ */
+export async function compilePriceIncreaseNotice({
+  customerName,
+  agreementTitle,
+  noticeDate = new Date(),
+  effectiveDate,
+  lines = [],
+  before = {},
+  after = {},
+  message = "",
+  contactName = "",
+}) {
+  const template = await fs.readFile(PDF_NOTICE_TEMPLATE_PATH, "utf8");
+  const messageLatex = String(message || "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => latexEscape(paragraph.trim()))
+    .filter(Boolean)
+    .join("\n\n");
+
+  const tex = Mustache.render(template, {
+    customerName: latexEscape(customerName || "Valued Customer"),
+    agreementTitle: latexEscape(agreementTitle || ""),
+    noticeDate: latexEscape(formatNoticeDate(noticeDate)),
+    effectiveDate: latexEscape(formatNoticeDate(effectiveDate)),
+    messageLatex,
+    linesLatex: buildNoticeLinesLatex(lines),
+    totalsLatex: buildNoticeTotalsLatex(before, after),
+    contactName: latexEscape(contactName || "your Enviro-Master representative"),
+  });
+
+  const headerDir = path.dirname(PDF_HEADER_TEMPLATE_PATH);
+  const logoBuf = await fs.readFile(path.join(headerDir, "images", "Envimaster.png"));
+  const files = [
+    { field: "main", name: "doc.tex", data: Buffer.from(tex, "utf8"), type: "application/x-tex" },
+    { field: "assets", name: "images/Envimaster.png", data: logoBuf, type: "image/png" },
+  ];
+
+  const filename = `${extractCustomerName(customerName)}_price_notice_${new Date(effectiveDate).toISOString().split("T")[0]}.pdf`;
+  const buffer = await compileLatexBundle(files, { assetsManifest: { "Envimaster.png": "images/Envimaster.png" } });
+  await tidyTempArtifacts({ purgeAll: true });
+
+  return { buffer, filename };
+}
+
 function extractCustomerName(customerNameFromBody, headerRows = []) {
   if (customerNameFromBody && customerNameFromBody.trim()) {
     return sanitizeFilename(customerNameFromBody.trim());
@@ -3310,7 +3644,7 @@ export async function proxyCompileFileToRemote(file, opts = {}) {
       type: file.mimetype || "application/x-tex",
     },
   ];
-  const buffer = await remotePostMultipart("pdf/compile-file", files, {}, opts);
+  const buffer = await compileLatexFile(files[0], opts);
   await tidyTempArtifacts({ purgeAll: true });
   return { buffer, filename: "document.pdf" };
 }
@@ -3335,7 +3669,7 @@ export async function proxyCompileBundleToRemote(mainFile, assets = [], manifest
       type: f.mimetype || "application/octet-stream",
     })),
   ];
-  const buffer = await remotePostMultipart("pdf/compile-bundle", files, { assetsManifest: manifest }, opts);
+  const buffer = await compileLatexBundle(files, { ...opts, assetsManifest: manifest });
   await tidyTempArtifacts({ purgeAll: true });
   return { buffer, filename: "document.pdf" };
 }
@@ -0,0 +1,883 @@
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import PriceIncreaseCampaign from "../models/PriceIncreaseCampaign.js";
+import PriceIncreaseChange from "../models/PriceIncreaseChange.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import VersionPdf from "../models/VersionPdf.js";
+import { resolveServiceId, round2, priceProducts } from "./pricingEngineService.js";
+import { createAgreementVersion } from "./versionService.js";
+import { compilePriceIncreaseNotice } from "./pdfService.js";
+import { storeBlob } from "./blobStoreService.js";
+import { parseAgreementDate } from "./renewalService.js";
+import { stableStringify } from "./pdfCacheService.js";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+// A campaign whose worker hasn't reported for this long can be resumed by another.
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+const NON_SERVICE_KEYS = new Set(["notes", "topRow", "bottomRow", "secondRow", "customServices"]);
+const BREAKDOWN_KEYS = ["fixtureBreakdown", "drainBreakdown", "serviceBreakdown", "windows"];
+const LINE_MONEY_FIELDS = ["rate", "total", "amount"];
+const PRODUCT_GROUPS = ["products", "smallProducts", "bigProducts", "dispensers"];
+// In priority order: the first one set is the rate the PDF and totals use.
+const PRODUCT_RATE_FIELDS = ["unitPriceOverride", "amountOverride", "unitPrice", "amount"];
+const DISPENSER_RATE_FIELDS = ["warrantyPriceOverride", "warrantyRate"];
+const DISPENSER_ONE_TIME_FIELDS = ["replacementRate", "replacementPriceOverride"];
+
+const CHANGE_LIST_FIELDS = "-previousPayload -notice.pdfBuffer";
+
+function campaignError(status, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  Object.assign(err, extra);
+  return err;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function readMoney(value) {
+  if (isPlainObject(value)) return readMoney(value.amount ?? value.value);
+  if (value === undefined || value === null || value === "") return undefined;
+  const parsed = Number(typeof value === "string" ? value.replace(/[$,\s]/g, "") : value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function toLabel(key) {
+  return String(key)
+    .replace(/([A-Z])/g, " $1")
+    .replace(/^./, (c) => c.toUpperCase())
+    .trim();
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function resolveServiceData(serviceData) {
+  let data = serviceData;
+  const seen = new Set();
+  while (isPlainObject(data?.formData) && !seen.has(data)) {
+    seen.add(data);
+    data = data.formData;
+  }
+  return data;
+}
+
+function isServiceActive(serviceData) {
+  if (!isPlainObject(serviceData)) return false;
+  return serviceData.isActive !== false && resolveServiceData(serviceData)?.isActive !== false;
+}
+
+export function customerNameOf(payload = {}) {
+  for (const row of payload.headerRows || []) {
+    if (String(row?.labelLeft || "").toUpperCase().includes("CUSTOMER NAME") && row.valueLeft?.trim()) {
+      return row.valueLeft.trim();
+    }
+    if (String(row?.labelRight || "").toUpperCase().includes("CUSTOMER NAME") && row.valueRight?.trim()) {
+      return row.valueRight.trim();
+    }
+  }
+  return payload.headerTitle || "";
+}
+
+function salespersonOf(agreement) {
+  return agreement.payload?.serviceAgreement?.emSalesRepresentative?.trim() || agreement.createdBy || null;
+}
+
+// ---- Matching -----------------------------------------------------------
+
+function activeServiceIds(services = {}) {
+  const ids = new Set();
+  for (const [key, data] of Object.entries(services || {})) {
+    if (NON_SERVICE_KEYS.has(key) || !isServiceActive(data)) continue;
+    ids.add(resolveServiceId(key));
+  }
+  for (const custom of services?.customServices || []) {
+    const name = custom?.name || custom?.label;
+    if (name && custom.isActive !== false) ids.add(String(name).trim().toLowerCase());
+  }
+  return ids;
+}
+
+function matchesRegion(headerRows = [], region, regionLabel) {
+  const needle = region.trim().toLowerCase();
+  const cells = (headerRows || []).flatMap((row) => [
+    [row?.labelLeft, row?.valueLeft],
+    [row?.labelRight, row?.valueRight],
+  ]);
+  return cells.some(([label, value]) => {
+    if (regionLabel && !String(label || "").toLowerCase().includes(regionLabel.trim().toLowerCase())) return false;
+    return String(value || "").toLowerCase().includes(needle);
+  });
+}
+
+/**
+ * True when an agreement satisfies the campaign filters. Statuses and
+ * explicit ids are applied by the query; this covers the payload filters.
+ */
+export function matchesCampaignFilters(agreement, filters = {}) {
+  const payload = agreement.payload || {};
+
+  if (filters.services?.length) {
+    const active = activeServiceIds(payload.services);
+    const wanted = filters.services.map((key) => resolveServiceId(key));
+    if (!wanted.some((id) => active.has(id) || active.has(String(id).toLowerCase()))) return false;
+  }
+
+  if (filters.region && !matchesRegion(payload.headerRows, filters.region, filters.regionLabel)) {
+    return false;
+  }
+
+  if (filters.salesperson) {
+    const candidates = [agreement.createdBy, payload.serviceAgreement?.emSalesRepresentative];
+    if (!candidates.some((name) => sameText(name, filters.salesperson))) return false;
+  }
+
+  if (filters.startDateFrom || filters.startDateTo) {
+    const start = parseAgreementDate(payload.agreement?.startDate);
+    if (!start) return false;
+    const from = parseAgreementDate(filters.startDateFrom);
+    const to = parseAgreementDate(filters.startDateTo);
+    if (from && start < from) return false;
+    if (to && start > to) return false;
+  }
+
+  return true;
+}
+
+function campaignQuery(filters = {}) {
+  const query = {
+    isDeleted: { $ne: true },
+    status: { $in: filters.statuses?.length ? filters.statuses : ["active"] },
+  };
+  if (filters.agreementIds?.length) {
+    query._id = { $in: filters.agreementIds };
+  }
+  return query;
+}
+
+// ---- Price adjustment ---------------------------------------------------
+
+function adjustAmount(value, adjustment, fixedShare = 0) {
+  const amount = readMoney(value);
+  if (amount === undefined) return value;
+  if (adjustment.type === "percent") {
+    return round2(amount * (1 + adjustment.value / 100));
+  }
+  return round2(amount + fixedShare);
+}
+
+function scaleAmount(value, factor) {
+  const amount = readMoney(value);
+  return amount === undefined ? value : round2(amount * factor);
+}
+
+function scaleLine(line, factor) {
+  for (const field of LINE_MONEY_FIELDS) {
+    if (line[field] !== undefined && !isPlainObject(line[field])) {
+      line[field] = scaleAmount(line[field], factor);
+    }
+  }
+}
+
+function scaleCustomFields(fields = [], factor) {
+  for (const field of fields || []) {
+    if (!isPlainObject(field)) continue;
+    if (field.type === "dollar" || field.type === "money") {
+      field.value = scaleAmount(field.value, factor);
+    } else if (field.type === "calc") {
+      if (isPlainObject(field.calcValues)) {
+        field.calcValues.middle = scaleAmount(field.calcValues.middle, factor);
+        field.calcValues.right = scaleAmount(field.calcValues.right, factor);
+      } else if (isPlainObject(field.value)) {
+        scaleLine(field.value, factor);
+      }
+    }
+  }
+}
+
+function serviceTotals(data) {
+  const totals = data?.totals || {};
+  return {
+    perVisit: readMoney(totals.perVisit),
+    monthly: readMoney(totals.monthlyRecurring) ?? readMoney(totals.monthly),
+    contract: readMoney(totals.contract) ?? readMoney(data?.contractTotal),
+  };
+}
+
+// Every charge on a service scales by the same factor so lines, per-visit,
+// monthly and contract totals stay consistent with each other.
+function scaleService(data, factor) {
+  for (const key of BREAKDOWN_KEYS) {
+    for (const line of data[key] || []) {
+      if (isPlainObject(line)) scaleLine(line, factor);
+    }
+  }
+  for (const [key, field] of Object.entries(data)) {
+    if (BREAKDOWN_KEYS.includes(key) || key === "totals" || !isPlainObject(field)) continue;
+    if (key === "customFields") continue;
+    scaleLine(field, factor);
+  }
+  for (const field of Object.values(data.totals || {})) {
+    if (isPlainObject(field) && field.amount !== undefined) field.amount = scaleAmount(field.amount, factor);
+  }
+  if (data.contractTotal !== undefined && !isPlainObject(data.contractTotal)) {
+    data.contractTotal = scaleAmount(data.contractTotal, factor);
+  }
+  scaleCustomFields(data.customFields, factor);
+  scaleCustomFields(data.fields, factor);
+}
+
+function serviceFactor(totals, adjustment) {
+  if (adjustment.type === "percent") return { factor: 1 + adjustment.value / 100 };
+  if (!totals.perVisit) return { factor: null, reason: "no_per_visit_price" };
+  return { factor: (totals.perVisit + adjustment.value) / totals.perVisit };
+}
+
+function serviceLines(label, before, after) {
+  const lines = [];
+  for (const [field, detail] of [["perVisit", "per visit"], ["monthly", "monthly"], ["contract", "contract total"]]) {
+    if (before[field] === undefined || round2(before[field]) === round2(after[field])) continue;
+    lines.push({ section: "services", label, detail, field, previous: round2(before[field]), next: round2(after[field]) });
+  }
+  return lines;
+}
+
+function serviceTargeted(key, adjustment) {
+  if (adjustment.scope === "products") return false;
+  if (!adjustment.serviceKeys?.length) return true;
+  return adjustment.serviceKeys.some((wanted) =>
+    resolveServiceId(wanted) === resolveServiceId(key) || sameText(wanted, key));
+}
+
+function adjustServices(services, adjustment, result) {
+  let contractDelta = 0;
+
+  for (const [key, serviceData] of Object.entries(services || {})) {
+    if (NON_SERVICE_KEYS.has(key) || !isServiceActive(serviceData) || !serviceTargeted(key, adjustment)) continue;
+    const data = resolveServiceData(serviceData);
+    const before = serviceTotals(data);
+    const { factor, reason } = serviceFactor(before, adjustment);
+    if (!factor) {
+      result.skipped.push({ section: "services", key, reason });
+      continue;
+    }
+    scaleService(data, factor);
+    const after = serviceTotals(data);
+    result.lines.push(...serviceLines(data.label || toLabel(key), before, after));
+    contractDelta += (after.contract ?? 0) - (before.contract ?? 0);
+  }
+
+  for (const custom of services?.customServices || []) {
+    const name = custom?.name || custom?.label || "Custom Service";
+    if (!isPlainObject(custom) || custom.isActive === false || !serviceTargeted(name, adjustment)) continue;
+    const before = serviceTotals(custom);
+    const { factor, reason } = serviceFactor(before, adjustment);
+    if (!factor) {
+      result.skipped.push({ section: "services", key: name, reason });
+      continue;
+    }
+    scaleService(custom, factor);
+    const after = serviceTotals(custom);
+    result.lines.push(...serviceLines(name, before, after));
+    contractDelta += (after.contract ?? 0) - (before.contract ?? 0);
+  }
+
+  return contractDelta;
+}
+
+function productTargeted(row, adjustment) {
+  if (adjustment.scope === "services") return false;
+  if (!adjustment.productKeys?.length) return true;
+  return adjustment.productKeys.some((key) => sameText(key, row.productKey));
+}
+
+function effectiveRate(row, fields) {
+  for (const field of fields) {
+    const value = readMoney(row[field]);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function adjustProductRow(row, isDispenser, adjustment) {
+  const rateFields = isDispenser ? DISPENSER_RATE_FIELDS : PRODUCT_RATE_FIELDS;
+  const qty = Number(row.qty) || 0;
+  const previousRate = effectiveRate(row, rateFields);
+  if (previousRate === undefined) return null;
+
+  for (const field of rateFields) {
+    if (row[field] !== undefined && row[field] !== null) row[field] = adjustAmount(row[field], adjustment, adjustment.value);
+  }
+  if (isDispenser && adjustment.type === "percent") {
+    for (const field of DISPENSER_ONE_TIME_FIELDS) {
+      if (row[field] !== undefined && row[field] !== null) row[field] = adjustAmount(row[field], adjustment);
+    }
+  }
+
+  const nextRate = effectiveRate(row, rateFields);
+  if (row.totalOverride !== undefined && row.totalOverride !== null) {
+    row.totalOverride = adjustAmount(row.totalOverride, adjustment, adjustment.value * qty);
+  }
+  for (const field of ["total", "extPrice"]) {
+    if (row[field] !== undefined && row[field] !== null) row[field] = round2(qty * nextRate);
+  }
+
+  return { previous: round2(previousRate), next: round2(nextRate) };
+}
+
+function adjustProducts(products, adjustment, result) {
+  for (const group of PRODUCT_GROUPS) {
+    for (const row of products?.[group] || []) {
+      if (!row || !(Number(row.qty) > 0) || !productTargeted(row, adjustment)) continue;
+      const isDispenser = group === "dispensers" || row._productType === "dispenser";
+      const name = row.customName || row.displayName || row.productKey || "Product";
+      const change = adjustProductRow(row, isDispenser, adjustment);
+      if (!change) {
+        result.skipped.push({ section: "products", key: row.productKey || name, reason: "no_unit_price" });
+        continue;
+      }
+      if (change.previous === change.next) continue;
+      result.lines.push({
+        section: "products",
+        key: row.productKey || null,
+        label: `${row.qty} x ${name}`,
+        detail: isDispenser ? "warranty rate" : "unit price",
+        field: isDispenser ? "warrantyRate" : "unitPrice",
+        previous: change.previous,
+        next: change.next,
+      });
+    }
+  }
+}
+
+function summaryTotals(summary = {}) {
+  const serviceAgreementTotal = round2(readMoney(summary?.serviceAgreementTotal) || 0);
+  const productMonthlyTotal = round2(readMoney(summary?.productMonthlyTotal) || 0);
+  const productContractTotal = round2(readMoney(summary?.productContractTotal) || 0);
+  return {
+    serviceAgreementTotal,
+    productMonthlyTotal,
+    productContractTotal,
+    contractValue: round2(serviceAgreementTotal + productContractTotal),
+  };
+}
+
+/**
+ * Applies a campaign adjustment to a copy of an agreement payload. Summary
+ * totals move by the change in the adjusted lines, so totals that already
+ * differ from a recomputation keep their offset. Returns the new payload,
+ * the changed lines for the notice, before/after totals and any lines that
+ * could not be adjusted.
+ */
+export function applyAdjustmentToPayload(payload = {}, adjustment) {
+  const next = JSON.parse(JSON.stringify(payload || {}));
+  const result = { lines: [], skipped: [] };
+
+  const serviceContractDelta = next.services ? adjustServices(next.services, adjustment, result) : 0;
+
+  let productMonthlyDelta = 0;
+  let productContractDelta = 0;
+  if (next.products && adjustment.scope !== "services") {
+    const months = Number(next.summary?.contractMonths) || undefined;
+    const previousProducts = priceProducts(payload.products || {}, null, months);
+    adjustProducts(next.products, adjustment, result);
+    const nextProducts = priceProducts(next.products, null, months);
+    productMonthlyDelta = nextProducts.monthlyTotal - previousProducts.monthlyTotal;
+    productContractDelta = nextProducts.contractTotal - previousProducts.contractTotal;
+  }
+
+  const before = summaryTotals(payload.summary);
+  if (result.lines.length > 0) {
+    next.summary = {
+      ...(next.summary || {}),
+      serviceAgreementTotal: round2(before.serviceAgreementTotal + serviceContractDelta),
+      productMonthlyTotal: round2(before.productMonthlyTotal + productMonthlyDelta),
+      productContractTotal: round2(before.productContractTotal + productContractDelta),
+    };
+  }
+  const after = summaryTotals(next.summary);
+
+  return {
+    payload: next,
+    lines: result.lines,
+    skipped: result.skipped,
+    before,
+    after,
+    contractValueDelta: round2(after.contractValue - before.contractValue),
+  };
+}
+
+// ---- Campaign CRUD ------------------------------------------------------
+
+async function loadCampaign(campaignId) {
+  if (!mongoose.isValidObjectId(campaignId)) {
+    throw campaignError(400, "Invalid campaign id");
+  }
+  const campaign = await PriceIncreaseCampaign.findById(campaignId);
+  if (!campaign) {
+    throw campaignError(404, "Price increase campaign not found");
+  }
+  return campaign;
+}
+
+export async function createCampaign(data, { createdBy = null } = {}) {
+  const campaign = await PriceIncreaseCampaign.create({ ...data, createdBy, updatedBy: createdBy });
+  console.log(`📈 [PRICE-INCREASE] Campaign "${campaign.name}" created by ${createdBy || "unknown"}`);
+  return campaign.toObject();
+}
+
+export async function updateCampaign(campaignId, data, { updatedBy = null } = {}) {
+  const campaign = await loadCampaign(campaignId);
+  if (campaign.status !== "draft") {
+    throw campaignError(409, `Only draft campaigns can be edited (status: ${campaign.status})`);
+  }
+  campaign.set({ ...data, updatedBy });
+  campaign.preview = { previewedAt: null };
+  await campaign.save();
+  return campaign.toObject();
+}
+
+export async function listCampaigns({ page = 1, limit = 20 } = {}) {
+  const skip = (page - 1) * limit;
+  const [campaigns, total] = await Promise.all([
+    PriceIncreaseCampaign.find().sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    PriceIncreaseCampaign.countDocuments(),
+  ]);
+  return { campaigns, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+export async function getCampaign(campaignId) {
+  const campaign = await loadCampaign(campaignId);
+  const changes = await PriceIncreaseChange.find({ campaignId: campaign._id })
+    .select(CHANGE_LIST_FIELDS)
+    .sort({ customerName: 1 })
+    .lean();
+  return { campaign: campaign.toObject(), changes };
+}
+
+export async function deleteCampaign(campaignId) {
+  const campaign = await loadCampaign(campaignId);
+  if (campaign.status !== "draft") {
+    throw campaignError(409, "Only draft campaigns can be deleted; roll back an applied campaign instead");
+  }
+  await campaign.deleteOne();
+  return { id: campaign._id };
+}
+
+// ---- Preview ------------------------------------------------------------
+
+async function forEachMatchingAgreement(campaign, fn) {
+  const cursor = CustomerHeaderDoc.find(campaignQuery(campaign.filters))
+    .select("_id status createdBy payload currentVersionNumber")
+    .lean()
+    .cursor();
+  for await (const agreement of cursor) {
+    if (!matchesCampaignFilters(agreement, campaign.filters)) continue;
+    await fn(agreement);
+  }
+}
+
+function describeImpact(agreement, adjusted) {
+  return {
+    agreementId: agreement._id,
+    customerName: customerNameOf(agreement.payload),
+    agreementTitle: agreement.payload?.headerTitle || "",
+    salesperson: salespersonOf(agreement),
+    lines: adjusted.lines,
+    skippedLines: adjusted.skipped,
+    before: adjusted.before,
+    after: adjusted.after,
+    contractValueDelta: adjusted.contractValueDelta,
+  };
+}
+
+/**
+ * Per-customer impact of the campaign against the agreements as they are
+ * now. Nothing is changed except the campaign's preview summary.
+ */
+export async function previewCampaign(campaignId) {
+  const campaign = await loadCampaign(campaignId);
+  const agreements = [];
+  const unaffected = [];
+
+  await forEachMatchingAgreement(campaign, (agreement) => {
+    const adjusted = applyAdjustmentToPayload(agreement.payload, campaign.adjustment);
+    if (adjusted.lines.length === 0) {
+      unaffected.push({ agreementId: agreement._id, customerName: customerNameOf(agreement.payload), skippedLines: adjusted.skipped });
+      return;
+    }
+    agreements.push(describeImpact(agreement, adjusted));
+  });
+
+  agreements.sort((a, b) => b.contractValueDelta - a.contractValueDelta);
+  const sum = (key) => round2(agreements.reduce((total, item) => total + item[key].contractValue, 0));
+  const preview = {
+    previewedAt: new Date(),
+    matched: agreements.length + unaffected.length,
+    affected: agreements.length,
+    contractValueBefore: sum("before"),
+    contractValueAfter: sum("after"),
+    contractValueDelta: round2(sum("after") - sum("before")),
+  };
+
+  if (campaign.status === "draft") {
+    await PriceIncreaseCampaign.updateOne({ _id: campaign._id }, { $set: { preview } });
+  }
+  return { campaignId: campaign._id, ...preview, agreements, unaffected };
+}
+
+// ---- Apply / rollback ---------------------------------------------------
+
+async function claimCampaign(campaignId, fromStatuses, toStatus, extra = {}) {
+  const staleBefore = new Date(Date.now() - STALE_RUN_MS);
+  return PriceIncreaseCampaign.findOneAndUpdate(
+    {
+      _id: campaignId,
+      $or: [
+        { status: { $in: fromStatuses } },
+        { status: toStatus, heartbeatAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: toStatus, lockedBy: WORKER_ID, heartbeatAt: new Date(), lastError: null, ...extra } },
+    { new: true },
+  );
+}
+
+/**
+ * Heartbeat after every agreement (with the counts when given), so a run is
+ * never taken over while it is still working. Returns false once another
+ * worker has claimed the campaign.
+ */
+async function recordProgress(campaign, counts = null) {
+  const update = { heartbeatAt: new Date() };
+  if (counts) update.progress = counts;
+  const res = await PriceIncreaseCampaign.updateOne(
+    { _id: campaign._id, lockedBy: WORKER_ID },
+    { $set: update },
+  );
+  return res.matchedCount > 0;
+}
+
+function payloadHash(payload) {
+  // JSON round trip first so dates and ids hash by value.
+  const plain = JSON.parse(JSON.stringify(payload ?? null));
+  return crypto.createHash("sha256").update(stableStringify(plain)).digest("hex");
+}
+
+async function countChanges(campaignId) {
+  const rows = await PriceIncreaseChange.aggregate([
+    { $match: { campaignId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const by = Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  return {
+    total: rows.reduce((total, row) => total + row.count, 0),
+    applied: (by.applied || 0) + (by.rollback_conflict || 0) + (by.rollback_failed || 0),
+    skipped: by.skipped || 0,
+    failed: by.failed || 0,
+    rolledBack: by.rolled_back || 0,
+    conflicts: by.rollback_conflict || 0,
+  };
+}
+
+async function storeNotice(campaign, change, agreement) {
+  try {
+    const { buffer, filename } = await compilePriceIncreaseNotice({
+      customerName: change.customerName,
+      agreementTitle: change.agreementTitle,
+      effectiveDate: campaign.effectiveDate,
+      lines: change.lines,
+      before: change.before,
+      after: change.after,
+      message: campaign.noticeMessage,
+      contactName: agreement.payload?.serviceAgreement?.emSalesRepresentative || "",
+    });
+    const stored = await storeBlob(buffer, {
+      prefix: `price-increases/${campaign._id}`,
+      metadata: { campaignId: String(campaign._id), agreementId: String(agreement._id) },
+    });
+    change.notice = {
+      fileName: filename,
+      contentType: "application/pdf",
+      sizeBytes: buffer.length,
+      storedAt: new Date(),
+      pdfBuffer: stored.pdfBuffer,
+      externalUrl: stored.externalUrl,
+      storageDriver: stored.storageDriver,
+      storageKey: stored.storageKey,
+      error: null,
+    };
+  } catch (err) {
+    console.error(`❌ [PRICE-INCREASE] Notice PDF failed for ${agreement._id}:`, err.message);
+    change.notice = { error: err.message };
+  }
+}
+
+async function applyToAgreement(campaign, agreementId, actor) {
+  const existing = await PriceIncreaseChange.findOne({ campaignId: campaign._id, agreementId });
+  if (existing && existing.status !== "pending" && existing.status !== "failed") return;
+
+  const agreement = await CustomerHeaderDoc.findById(agreementId).select("-pdf_meta.pdfBuffer");
+  if (!agreement || agreement.isDeleted) return;
+
+  // A pending record means an earlier run stopped mid-way; start again from
+  // the payload it saved so the increase is never applied twice.
+  const previousPayload = existing?.status === "pending" && existing.previousPayload
+    ? existing.previousPayload
+    : agreement.toObject().payload;
+  const adjusted = applyAdjustmentToPayload(previousPayload, campaign.adjustment);
+  const change = existing || new PriceIncreaseChange({ campaignId: campaign._id, agreementId });
+
+  change.set({
+    customerName: customerNameOf(previousPayload),
+    agreementTitle: previousPayload.headerTitle || "",
+    salesperson: salespersonOf(agreement),
+    lines: adjusted.lines,
+    before: adjusted.before,
+    after: adjusted.after,
+    contractValueDelta: adjusted.contractValueDelta,
+    error: null,
+  });
+
+  if (adjusted.lines.length === 0) {
+    change.status = "skipped";
+    change.skipReason = adjusted.skipped.length ? "no_adjustable_lines" : "no_matching_lines";
+    await change.save();
+    return;
+  }
+
+  change.status = "pending";
+  change.previousPayload = previousPayload;
+  change.previousVersionNumber = agreement.currentVersionNumber || null;
+  await change.save();
+
+  const percentLabel = campaign.adjustment.type === "percent"
+    ? `+${campaign.adjustment.value}%`
+    : `+$${campaign.adjustment.value}`;
+  try {
+    agreement.payload = adjusted.payload;
+    agreement.updatedBy = actor;
+    agreement.markModified("payload");
+    await agreement.save();
+
+    const { version, versionNumber } = await createAgreementVersion(agreement._id, {
+      changeNotes: `Price increase "${campaign.name}" (${percentLabel}) effective ${campaign.effectiveDate.toISOString().split("T")[0]}`,
+      createdBy: actor,
+    });
+    change.versionId = version._id;
+    change.versionNumber = versionNumber;
+    change.appliedPayloadHash = payloadHash(agreement.toObject().payload);
+  } catch (err) {
+    await CustomerHeaderDoc.updateOne({ _id: agreement._id }, { $set: { payload: previousPayload } });
+    change.status = "failed";
+    change.error = err.message;
+    await change.save();
+    console.error(`❌ [PRICE-INCREASE] ${agreement._id} failed and was restored:`, err.message);
+    return;
+  }
+
+  await storeNotice(campaign, change, agreement);
+  change.status = "applied";
+  change.appliedAt = new Date();
+  await change.save();
+}
+
+async function runApply(campaign, actor) {
+  let processed = 0;
+  try {
+    const agreementIds = [];
+    await forEachMatchingAgreement(campaign, (agreement) => {
+      agreementIds.push(agreement._id);
+    });
+    const pendingIds = await PriceIncreaseChange.distinct("agreementId", {
+      campaignId: campaign._id,
+      status: { $in: ["pending", "failed"] },
+    });
+    const queue = [...new Map([...agreementIds, ...pendingIds].map((id) => [String(id), id])).values()];
+
+    for (const agreementId of queue) {
+      try {
+        await applyToAgreement(campaign, agreementId, actor);
+      } catch (err) {
+        console.error(`❌ [PRICE-INCREASE] Could not process agreement ${agreementId}:`, err.message);
+      }
+      processed += 1;
+      const counts = processed % 5 === 0 ? await countChanges(campaign._id) : null;
+      if (!(await recordProgress(campaign, counts))) {
+        console.warn(`⚠️ [PRICE-INCREASE] Campaign ${campaign._id} was taken over by another worker; stopping`);
+        return;
+      }
+    }
+
+    const counts = await countChanges(campaign._id);
+    const status = counts.failed === 0 ? "applied" : counts.applied > 0 ? "partially_applied" : "failed";
+    await PriceIncreaseCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status, progress: counts, appliedAt: new Date(), lockedBy: null, heartbeatAt: null } },
+    );
+    console.log(`📈 [PRICE-INCREASE] "${campaign.name}" ${status}: ${counts.applied} applied, ${counts.skipped} skipped, ${counts.failed} failed`);
+  } catch (err) {
+    console.error(`❌ [PRICE-INCREASE] Campaign ${campaign._id} stopped:`, err.message);
+    await PriceIncreaseCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status: "failed", lastError: err.message, progress: await countChanges(campaign._id), lockedBy: null, heartbeatAt: null } },
+    );
+  }
+}
+
+/**
+ * Applies a campaign in the background: for each matching agreement the
+ * adjusted payload is saved, a new version is created and the customer
+ * notice PDF is stored, with the previous payload kept for rollback. A
+ * failed or interrupted campaign can be applied again; agreements already
+ * applied are not touched twice.
+ */
+export async function applyCampaign(campaignId, { appliedBy = null } = {}) {
+  const existing = await loadCampaign(campaignId);
+  if (!existing.preview?.previewedAt && existing.status === "draft") {
+    throw campaignError(409, "Preview the campaign before applying it");
+  }
+
+  const campaign = await claimCampaign(existing._id, ["draft", "failed", "partially_applied"], "applying", { appliedBy });
+  if (!campaign) {
+    throw campaignError(409, `Campaign cannot be applied while ${existing.status}`);
+  }
+
+  console.log(`📈 [PRICE-INCREASE] Applying "${campaign.name}" (requested by ${appliedBy || "unknown"})`);
+  setImmediate(() => runApply(campaign, appliedBy));
+  return { campaignId: campaign._id, status: campaign.status };
+}
+
+async function rollbackAgreement(change, { force, actor }) {
+  const agreement = await CustomerHeaderDoc.findById(change.agreementId).select("-pdf_meta.pdfBuffer");
+  if (!agreement) {
+    change.status = "rollback_failed";
+    change.error = "Agreement no longer exists";
+    await change.save();
+    return;
+  }
+
+  // A signed version is the customer's contract; even a forced rollback leaves it alone.
+  const signed = change.versionId && await VersionPdf.exists({ _id: change.versionId, lockedAt: { $ne: null } });
+  if (signed) {
+    change.status = "rollback_conflict";
+    change.error = `Version v${change.versionNumber} was signed by the customer`;
+    await change.save();
+    return;
+  }
+
+  const newerVersion = change.versionNumber && (agreement.currentVersionNumber || 0) > change.versionNumber;
+  if (newerVersion && !force) {
+    change.status = "rollback_conflict";
+    change.error = `Agreement has version v${agreement.currentVersionNumber} created after the increase (v${change.versionNumber})`;
+    await change.save();
+    return;
+  }
+
+  // Edits saved without a new version would be lost by restoring the old payload.
+  const editedSinceApply = change.appliedPayloadHash
+    && payloadHash(agreement.toObject().payload) !== change.appliedPayloadHash;
+  if (editedSinceApply && !force) {
+    change.status = "rollback_conflict";
+    change.error = "Agreement pricing was edited after the increase was applied";
+    await change.save();
+    return;
+  }
+
+  try {
+    agreement.payload = change.previousPayload;
+    agreement.updatedBy = actor;
+    agreement.markModified("payload");
+
+    if (change.versionId) {
+      await VersionPdf.updateOne(
+        { _id: change.versionId },
+        { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: actor } },
+      );
+      const ref = agreement.versions?.find((v) => String(v.versionId) === String(change.versionId));
+      if (ref) ref.status = "archived";
+      if (!newerVersion) {
+        agreement.currentVersionNumber = change.previousVersionNumber || 0;
+        agreement.totalVersions = Math.max((agreement.totalVersions || 1) - 1, 0);
+      }
+    }
+    await agreement.save();
+
+    change.status = "rolled_back";
+    change.error = null;
+    change.rolledBackAt = new Date();
+    change.rolledBackBy = actor;
+    await change.save();
+  } catch (err) {
+    change.status = "rollback_failed";
+    change.error = err.message;
+    await change.save();
+  }
+}
+
+async function runRollback(campaign, { force, actor }) {
+  try {
+    const cursor = PriceIncreaseChange.find({
+      campaignId: campaign._id,
+      status: { $in: force ? ["applied", "rollback_conflict", "rollback_failed"] : ["applied", "rollback_failed"] },
+    }).cursor();
+
+    let processed = 0;
+    for await (const change of cursor) {
+      await rollbackAgreement(change, { force, actor });
+      processed += 1;
+      const counts = processed % 10 === 0 ? await countChanges(campaign._id) : null;
+      if (!(await recordProgress(campaign, counts))) {
+        console.warn(`⚠️ [PRICE-INCREASE] Rollback of ${campaign._id} was taken over by another worker; stopping`);
+        return;
+      }
+    }
+
+    const counts = await countChanges(campaign._id);
+    const status = counts.applied === 0 ? "rolled_back" : "partially_applied";
+    await PriceIncreaseCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status, progress: counts, rolledBackAt: new Date(), lockedBy: null, heartbeatAt: null } },
+    );
+    console.log(`↩️ [PRICE-INCREASE] "${campaign.name}" rollback: ${counts.rolledBack} restored, ${counts.conflicts} conflict(s)`);
+  } catch (err) {
+    console.error(`❌ [PRICE-INCREASE] Rollback of ${campaign._id} stopped:`, err.message);
+    await PriceIncreaseCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status: "partially_applied", lastError: err.message, progress: await countChanges(campaign._id), lockedBy: null, heartbeatAt: null } },
+    );
+  }
+}
+
+/**
+ * Restores every agreement the campaign changed to its previous payload and
+ * removes the campaign's version. Agreements edited since the increase are
+ * left alone and reported as conflicts unless `force` is set.
+ */
+export async function rollbackCampaign(campaignId, { rolledBackBy = null, force = false } = {}) {
+  const existing = await loadCampaign(campaignId);
+  const campaign = await claimCampaign(existing._id, ["applied", "partially_applied", "failed"], "rolling_back", { rolledBackBy });
+  if (!campaign) {
+    throw campaignError(409, `Campaign cannot be rolled back while ${existing.status}`);
+  }
+
+  console.log(`↩️ [PRICE-INCREASE] Rolling back "${campaign.name}" (requested by ${rolledBackBy || "unknown"}${force ? ", forced" : ""})`);
+  setImmediate(() => runRollback(campaign, { force, actor: rolledBackBy }));
+  return { campaignId: campaign._id, status: campaign.status };
+}
+
+export async function getChangeNotice(campaignId, agreementId) {
+  if (!mongoose.isValidObjectId(campaignId) || !mongoose.isValidObjectId(agreementId)) {
+    throw campaignError(400, "Invalid campaign or agreement id");
+  }
+  const change = await PriceIncreaseChange.findOne({ campaignId, agreementId }).select("notice status").lean();
+  if (!change?.notice?.storedAt) {
+    throw campaignError(404, "No notice letter was generated for this agreement");
+  }
+  return change.notice;
+}
@@ -0,0 +1,312 @@
+import PriceOverrideLog from "../models/PriceOverrideLog.js";
+import AdminSettings from "../models/AdminSettings.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import { getActiveCatalog } from "./productCatalogService.js";
+import { pricingOptionsFor, resolveServiceId, round2, verifyAgreementPricing, withinTolerance } from "./pricingEngineService.js";
+
+// PriceOverrideLog.source of overrides found by repricing the agreement server-side.
+const ENGINE_SOURCE = "pricing_engine";
+
+// Override fields that are prices; quantities and areas are never limited.
+const PRICE_FIELDS = new Set([
+  "unitPrice", "amount", "warrantyPrice", "replacementPrice", "total",
+  "hourlyRate", "minimumVisit", "customPerVisitTotal", "customAmount",
+  "insideRate", "outsideRate", "sqFtFixedFee",
+]);
+
+function sameKey(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function sameService(a, b) {
+  return !!a && !!b && resolveServiceId(a) === resolveServiceId(b);
+}
+
+function isLimit(value) {
+  return value !== null && value !== undefined && Number.isFinite(Number(value));
+}
+
+export async function loadOverridePolicy() {
+  const settings = await AdminSettings.getSingleton();
+  const policy = settings.priceOverridePolicy?.toObject
+    ? settings.priceOverridePolicy.toObject()
+    : settings.priceOverridePolicy;
+  return policy || { enabled: false };
+}
+
+function plainPayload(payload) {
+  return payload?.toObject ? payload.toObject() : payload;
+}
+
+/**
+ * The value an override replaced, from the active catalog for products and
+ * dispensers and from repricing the stored agreement for a service's per-visit
+ * total (against the configs it was verified with). Returns { value, source };
+ * other fields keep the submitted value.
+ */
+export async function resolveOriginalValue({ agreementId, productKey, productType, fieldType }, submitted) {
+  if (productType !== "service") {
+    const catalog = await getActiveCatalog();
+    for (const family of catalog?.families || []) {
+      const product = (family.products || []).find((p) => p.key === productKey);
+      if (!product) continue;
+      const amount = fieldType === "warrantyPrice"
+        ? product.warrantyPricePerUnit?.amount
+        : ["unitPrice", "amount"].includes(fieldType) ? product.basePrice?.amount : undefined;
+      if (isLimit(amount)) return { value: Number(amount), source: "catalog" };
+    }
+  } else if (fieldType === "customPerVisitTotal") {
+    const agreement = await CustomerHeaderDoc.findById(agreementId)
+      .select("payload pricingVerification createdAt updatedAt")
+      .lean();
+    if (agreement?.payload) {
+      const result = await verifyAgreementPricing(agreement.payload, pricingOptionsFor(agreement)).catch(() => null);
+      const quote = Object.entries(result?.services || {})
+        .find(([serviceKey]) => sameService(serviceKey, productKey))?.[1]?.quote;
+      if (quote) return { value: quote.perVisit, source: ENGINE_SOURCE };
+    }
+  }
+  return { value: Number(submitted), source: "submitted" };
+}
+
+/**
+ * Price overrides in a pricing verification result: product rates that differ
+ * from the catalog and service per-visit totals that differ from the configs.
+ */
+export function overridesFromVerification(result) {
+  const found = [];
+  for (const override of result?.products?.overrides || []) {
+    found.push({
+      productKey: override.productKey,
+      productName: override.productName || override.productKey,
+      productType: override.productType || "product",
+      fieldType: override.productType === "dispenser" ? "warrantyPrice" : "unitPrice",
+      originalValue: round2(override.catalogRate),
+      overrideValue: round2(override.overrideRate),
+      quantity: override.qty || 0,
+      frequency: override.frequency || "",
+    });
+  }
+  for (const [serviceKey, { quote, submitted }] of Object.entries(result?.services || {})) {
+    if (submitted?.perVisit === undefined || withinTolerance(submitted.perVisit, quote.perVisit)) continue;
+    found.push({
+      productKey: serviceKey,
+      productName: serviceKey,
+      productType: "service",
+      fieldType: "customPerVisitTotal",
+      originalValue: round2(quote.perVisit),
+      overrideValue: round2(submitted.perVisit),
+      quantity: 0,
+      frequency: quote.frequency || "",
+    });
+  }
+  return found;
+}
+
+function overrideIdentity(entry) {
+  return [entry.productType, entry.productKey, entry.fieldType, round2(entry.originalValue), round2(entry.overrideValue)].join("|");
+}
+
+/**
+ * Keeps one pricing_engine log per override the engine finds in the payload,
+ * so the policy applies whether or not the client logged its overrides.
+ * Unchanged overrides keep their log (and any review); unreviewed logs of
+ * overrides that are gone are soft-deleted.
+ */
+async function syncEngineOverrides(agreementId, { payload = null, verification = null, actor = null } = {}) {
+  const agreement = await CustomerHeaderDoc.findById(agreementId)
+    .select("payload pricingVerification createdBy updatedBy currentVersionNumber createdAt updatedAt")
+    .lean();
+  if (!agreement) return;
+
+  const currentPayload = plainPayload(payload) || agreement.payload || {};
+  let result;
+  try {
+    result = await verifyAgreementPricing(currentPayload, pricingOptionsFor({
+      ...agreement,
+      pricingVerification: verification || agreement.pricingVerification,
+    }));
+  } catch (err) {
+    console.error(`❌ [PRICE-POLICY] Could not reprice agreement ${agreementId}:`, err.message);
+    return;
+  }
+
+  const existing = await PriceOverrideLog.find({ agreementId, source: ENGINE_SOURCE, isDeleted: { $ne: true } })
+    .select("_id productType productKey fieldType originalValue overrideValue reviewedAt")
+    .lean();
+  const known = new Set(existing.map(overrideIdentity));
+  const wanted = new Set();
+  const salesperson = actor?.username || agreement.updatedBy || agreement.createdBy || "unknown";
+
+  const created = [];
+  for (const override of overridesFromVerification(result)) {
+    const identity = overrideIdentity(override);
+    if (wanted.has(identity)) continue;
+    wanted.add(identity);
+    if (known.has(identity)) continue;
+
+    const changeAmount = round2(override.overrideValue - override.originalValue);
+    created.push({
+      ...override,
+      agreementId,
+      versionNumber: agreement.currentVersionNumber || 1,
+      salespersonId: actor?.id || salesperson,
+      salespersonName: salesperson,
+      changeAmount,
+      changePercentage: override.originalValue ? round2((changeAmount / override.originalValue) * 100) : 0,
+      sessionId: `${ENGINE_SOURCE}_${agreementId}`,
+      documentTitle: currentPayload.headerTitle || "Untitled Document",
+      source: ENGINE_SOURCE,
+    });
+  }
+
+  const stale = existing.filter((log) => !log.reviewedAt && !wanted.has(overrideIdentity(log)));
+  if (stale.length > 0) {
+    await PriceOverrideLog.updateMany(
+      { _id: { $in: stale.map((log) => log._id) } },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: ENGINE_SOURCE } }
+    );
+  }
+  if (created.length > 0) {
+    await PriceOverrideLog.insertMany(created);
+  }
+}
+
+async function loadFamilyIndex() {
+  const catalog = await getActiveCatalog();
+  const index = new Map();
+  for (const family of catalog?.families || []) {
+    for (const product of family.products || []) {
+      index.set(product.key, family.key);
+    }
+  }
+  return index;
+}
+
+/**
+ * Checks one override against the policy. Returns { withinLimits, discountPct,
+ * violations } where each violation names the rule, its limit and the actual value.
+ */
+export function evaluateOverride(log, policy = {}, { familyKey = null } = {}) {
+  const violations = [];
+  const originalValue = Number(log.originalValue) || 0;
+  const overrideValue = Number(log.overrideValue) || 0;
+  const discountPct = originalValue > 0 ? round2(((originalValue - overrideValue) / originalValue) * 100) : 0;
+
+  if (!PRICE_FIELDS.has(log.fieldType)) {
+    return { withinLimits: true, discountPct, violations };
+  }
+
+  const isService = log.productType === "service";
+
+  const floor = (policy.floorPrices || []).find((rule) =>
+    (isService ? sameService(rule.key, log.productKey) : sameKey(rule.key, log.productKey)) &&
+    (!rule.fieldType || rule.fieldType === log.fieldType)
+  );
+  if (floor && isLimit(floor.minValue) && overrideValue < Number(floor.minValue)) {
+    violations.push({ rule: "floor_price", key: floor.key, limit: Number(floor.minValue), actual: overrideValue });
+  }
+
+  if (discountPct > 0) {
+    const categoryRule = isService
+      ? (policy.serviceLimits || []).find((rule) => sameService(rule.serviceKey, log.productKey))
+      : (policy.productFamilyLimits || []).find((rule) => familyKey && sameKey(rule.familyKey, familyKey));
+    if (categoryRule && isLimit(categoryRule.maxDiscountPct) && discountPct > Number(categoryRule.maxDiscountPct)) {
+      violations.push({
+        rule: isService ? "service_discount" : "product_family_discount",
+        key: isService ? categoryRule.serviceKey : categoryRule.familyKey,
+        limit: Number(categoryRule.maxDiscountPct),
+        actual: discountPct,
+      });
+    }
+
+    const personalRule = (policy.salespersonLimits || []).find((rule) =>
+      sameKey(rule.salesperson, log.salespersonId) || sameKey(rule.salesperson, log.salespersonName)
+    );
+    const personalLimit = personalRule ? personalRule.maxDiscountPct : policy.defaultMaxDiscountPct;
+    if (isLimit(personalLimit) && discountPct > Number(personalLimit)) {
+      violations.push({
+        rule: personalRule ? "salesperson_discount" : "default_discount",
+        key: personalRule?.salesperson || null,
+        limit: Number(personalLimit),
+        actual: discountPct,
+      });
+    }
+  }
+
+  return { withinLimits: violations.length === 0, discountPct, violations };
+}
+
+function applyDecision(log, evaluation) {
+  log.policyViolations = evaluation.violations;
+  log.policyEvaluatedAt = new Date();
+  log.requiresApproval = !evaluation.withinLimits;
+  log.reviewStatus = evaluation.withinLimits ? "auto_approved" : "pending";
+}
+
+/**
+ * Applies the policy to a new, unsaved log document. Returns the evaluation,
+ * or null when the policy is disabled (the model's significance rule applies).
+ */
+export async function applyOverridePolicy(log) {
+  const policy = await loadOverridePolicy();
+  if (!policy.enabled) return null;
+
+  const familyIndex = log.productType === "service" ? new Map() : await loadFamilyIndex();
+  const evaluation = evaluateOverride(log, policy, { familyKey: familyIndex.get(log.productKey) || null });
+  applyDecision(log, evaluation);
+  return evaluation;
+}
+
+/**
+ * Re-evaluates every override of an agreement that no manager has reviewed yet,
+ * so policy changes and new overrides are reflected when the agreement is saved.
+ * Overrides the pricing engine finds in `payload` (default: the stored one) are
+ * logged first; `actor` is the salesperson they are attributed to.
+ */
+export async function evaluateAgreementOverrides(agreementId, { payload = null, verification = null, actor = null } = {}) {
+  const policy = await loadOverridePolicy();
+  if (!policy.enabled) return null;
+
+  await syncEngineOverrides(agreementId, { payload, verification, actor });
+
+  const logs = await PriceOverrideLog.find({
+    agreementId,
+    isDeleted: { $ne: true },
+    reviewedAt: null,
+  });
+  if (logs.length === 0) {
+    return { evaluated: 0, requiresApproval: 0 };
+  }
+
+  const familyIndex = await loadFamilyIndex();
+  let requiresApproval = 0;
+
+  for (const log of logs) {
+    const evaluation = evaluateOverride(log, policy, { familyKey: familyIndex.get(log.productKey) || null });
+    applyDecision(log, evaluation);
+    if (!evaluation.withinLimits) requiresApproval += 1;
+  }
+
+  await PriceOverrideLog.bulkSave(logs);
+  console.log(`💰 [PRICE-POLICY] Agreement ${agreementId}: ${logs.length} override(s) evaluated, ${requiresApproval} need review`);
+  return { evaluated: logs.length, requiresApproval };
+}
+
+/**
+ * Overrides outside the configured limits still awaiting a manager decision.
+ * Always empty while the policy is disabled.
+ */
+export async function findBlockingOverrides(agreementId) {
+  const policy = await loadOverridePolicy();
+  if (!policy.enabled) return [];
+
+  return PriceOverrideLog.find({
+    agreementId,
+    isDeleted: { $ne: true },
+    requiresApproval: true,
+    reviewStatus: "pending",
+  })
+    .select("_id productKey productName fieldType originalValue overrideValue salespersonName policyViolations")
+    .lean();
+}
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import PricingBackupService from "./pricingBackupService.js";
+import { acquireLease, completeLease, getLease, leaseOwnerId } from "./schedulerLeaseService.js";
+import {
+  PRICING_BACKUP_SCHEDULE_ENABLED,
+  PRICING_BACKUP_HOUR,
+  PRICING_BACKUP_LEASE_MS,
+  PRICING_BACKUP_RETENTION,
+} from "../config/backupConfig.js";
+
+const LEASE_NAME = "pricing-backup-nightly";
+const JOB_CHECK_MS = 15 * 60 * 1000;
+
+let jobTimer = null;
+let jobRunning = false;
+
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function atRunHour(date, dayOffset = 0) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + dayOffset);
+  next.setHours(PRICING_BACKUP_HOUR, 0, 0, 0);
+  return next;
+}
+
+/**
+ * Takes tonight's snapshot if no worker has done so yet. Only the worker
+ * holding the Mongo lease runs it; the others return `{ skipped: true }`.
+ * `force` runs again even when today's run already completed.
+ */
+export async function runScheduledPricingBackup({ force = false } = {}) {
+  const runDay = localDay(new Date());
+  const lease = await acquireLease(LEASE_NAME, {
+    ttlMs: PRICING_BACKUP_LEASE_MS,
+    runKey: force ? null : runDay,
+  });
+  if (!lease) {
+    return { success: true, skipped: true, runDay, message: "Nightly backup already ran today or is running on another worker" };
+  }
+
+  jobRunning = true;
+  try {
+    const result = await PricingBackupService.createScheduledBackup(runDay);
+    const summary = {
+      runDay,
+      created: result.created,
+      changeDayId: result.backup.changeDayId,
+      deletedByRetention: result.retentionPolicy.deletedCount,
+    };
+    await completeLease(LEASE_NAME, { runKey: runDay, result: summary });
+    console.log(`🗄️ [PRICING-BACKUP] Nightly backup ${summary.changeDayId} ${result.created ? "created" : "already existed"}, retention removed ${summary.deletedByRetention}`);
+    return { ...result, runDay };
+  } catch (err) {
+    await completeLease(LEASE_NAME, { error: err }).catch(() => {});
+    throw err;
+  } finally {
+    jobRunning = false;
+  }
+}
+
+function jobTick() {
+  if (jobRunning || new Date().getHours() < PRICING_BACKUP_HOUR) return;
+  if (mongoose.connection.readyState !== 1) return;
+
+  runScheduledPricingBackup().catch((err) =>
+    console.error("❌ [PRICING-BACKUP] Nightly backup failed:", err.message)
+  );
+}
+
+export function startPricingBackupScheduler() {
+  if (!PRICING_BACKUP_SCHEDULE_ENABLED) {
+    console.log("⏸️ [PRICING-BACKUP] Nightly backup disabled (PRICING_BACKUP_SCHEDULE=false)");
+    return;
+  }
+  if (jobTimer) return;
+  jobTimer = setInterval(jobTick, JOB_CHECK_MS);
+  jobTimer.unref?.();
+  console.log(`📅 [PRICING-BACKUP] Nightly backup scheduled after ${PRICING_BACKUP_HOUR}:00`);
+  setImmediate(jobTick);
+}
+
+export function stopPricingBackupScheduler() {
+  if (jobTimer) {
+    clearInterval(jobTimer);
+    jobTimer = null;
+  }
+}
+
+/** Schedule state shared by all workers (read from the lease) plus this worker's own. */
+export async function getPricingBackupScheduleStatus() {
+  const lease = await getLease(LEASE_NAME);
+  const now = new Date();
+
+  let nextRunAt = null;
+  if (PRICING_BACKUP_SCHEDULE_ENABLED) {
+    const ranToday = lease?.lastRunKey === localDay(now);
+    nextRunAt = ranToday ? atRunHour(now, 1) : new Date(Math.max(atRunHour(now).getTime(), now.getTime()));
+  }
+  const held = lease?.expiresAt && new Date(lease.expiresAt) > now;
+
+  return {
+    enabled: PRICING_BACKUP_SCHEDULE_ENABLED,
+    scheduledOnThisWorker: !!jobTimer,
+    runningOnThisWorker: jobRunning,
+    runAfterHour: PRICING_BACKUP_HOUR,
+    retentionTiers: PRICING_BACKUP_RETENTION,
+    lastRun: lease?.lastRunFinishedAt
+      ? {
+          runDay: lease.lastRunKey,
+          startedAt: lease.lastRunStartedAt,
+          finishedAt: lease.lastRunFinishedAt,
+          result: lease.lastRunResult,
+          lastError: lease.lastError,
+        }
+      : null,
+    nextRunAt,
+    lease: held ? { owner: lease.owner, expiresAt: lease.expiresAt, ownedByThisWorker: lease.owner === leaseOwnerId() } : null,
+  };
+}
@@ -1,7 +1,86 @@
+import mongoose from 'mongoose';
+import zlib from 'zlib';
 import BackupPricing from '../models/BackupPricing.js';
 import PriceFix from '../models/PriceFix.js';
 import ProductCatalog from '../models/ProductCatalog.js';
 import ServiceConfig from '../models/ServiceConfig.js';
+import { stableStringify } from './pdfCacheService.js';
+import { sha256Hex } from './documentIntegrityService.js';
+import { validateArchiveSnapshot } from '../validations/pricingBackupValidation.js';
+import { toPlain, diffKeyed, diffCatalogFamilies, countChanges } from '../utils/pricingDiff.js';
+
+const RESTORABLE_DATA_TYPES = ['priceFix', 'productCatalog', 'serviceConfigs'];
+
+function serviceError(status, message, extra = {}) {
+  return { success: false, status, error: message, message, ...extra };
+}
+
+export const ARCHIVE_FORMAT = 'pricing-backup-archive';
+export const ARCHIVE_SCHEMA_VERSION = 2;
+const MAX_ARCHIVE_JSON_BYTES = 200 * 1024 * 1024;
+
+function snapshotChecksum(snapshot) {
+  return sha256Hex(stableStringify(snapshot));
+}
+
+// Each entry upgrades an archive from schema version N to N + 1.
+const ARCHIVE_MIGRATIONS = {
+  // Version 0: JSON saved from GET /snapshot/:changeDayId?preview=false, either the
+  // whole response or just its data.snapshot.
+  0: (legacy) => {
+    const data = legacy.data?.snapshot ? legacy.data : { snapshot: legacy };
+    return {
+      format: ARCHIVE_FORMAT,
+      schemaVersion: 1,
+      exportedAt: legacy.timestamp || data.snapshot.timestamp || null,
+      exportedBy: null,
+      source: {
+        changeDayId: data.changeDayId || null,
+        changeDay: data.changeDay || null
+      },
+      snapshot: data.snapshot
+    };
+  },
+  // Version 2: service configs carry effectiveFrom/effectiveTo.
+  1: (archive) => {
+    const serviceConfigs = archive.snapshot?.dataTypes?.serviceConfigs;
+    if (Array.isArray(serviceConfigs?.documents)) {
+      serviceConfigs.documents = serviceConfigs.documents.map((config) => ({
+        effectiveFrom: null,
+        effectiveTo: null,
+        ...config
+      }));
+    }
+    return { ...archive, schemaVersion: 2 };
+  }
+};
+
+function archiveVersionOf(archive) {
+  if (archive?.format === ARCHIVE_FORMAT) {
+    return Number.isInteger(archive.schemaVersion) && archive.schemaVersion >= 1 ? archive.schemaVersion : null;
+  }
+  if (archive?.dataTypes || archive?.data?.snapshot?.dataTypes) return 0;
+  return null;
+}
+
+function migrateArchive(archive, fromVersion) {
+  let migrated = archive;
+  for (let version = fromVersion; version < ARCHIVE_SCHEMA_VERSION; version += 1) {
+    migrated = ARCHIVE_MIGRATIONS[version](migrated);
+    migrated.checksum = { algorithm: 'sha256', snapshot: snapshotChecksum(migrated.snapshot) };
+  }
+  return migrated;
+}
+
+function parseArchiveBuffer(buffer) {
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const json = gzipped ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_JSON_BYTES }) : buffer;
+  return JSON.parse(json.toString('utf8'));
+}
+
+function serviceConfigKey(doc) {
+  return `${doc.serviceId}@${doc.version}`;
+}
 
 class PricingBackupService {
 
@@ -242,105 +321,445 @@ class PricingBackupService {
     };
   }
 
-  static async restoreFromBackup(changeDayId, restoredBy, restorationNotes = '') {
-    try {
-      const backup = await BackupPricing.findOne({ changeDayId });
-      if (!backup) {
-        throw new Error(`Backup not found: ${changeDayId}`);
-      }
+  static normalizeRestoreSelection(selection = {}) {
+    const dataTypes = selection.dataTypes?.length ? selection.dataTypes : RESTORABLE_DATA_TYPES;
+    const serviceIds = selection.serviceIds?.length ? selection.serviceIds : null;
+    const productFamilies = selection.productFamilies?.length ? selection.productFamilies : null;
+
+    if (serviceIds && !dataTypes.includes('serviceConfigs')) {
+      return { error: 'serviceIds can only be used when serviceConfigs is restored' };
+    }
+    if (productFamilies && !dataTypes.includes('productCatalog')) {
+      return { error: 'productFamilies can only be used when productCatalog is restored' };
+    }
+    return { selection: { dataTypes, serviceIds, productFamilies } };
+  }
+
+  /**
+   * Loads a backup and compares the selected parts of it with live data.
+   * Returns { backup, snapshot, selection, diff, totalChanges } or an error result.
+   */
+  static async buildRestorePlan(changeDayId, rawSelection = {}) {
+    const { selection, error } = this.normalizeRestoreSelection(rawSelection);
+    if (error) {
+      return serviceError(400, error);
+    }
+
+    const backup = await BackupPricing.findOne({ changeDayId });
+    if (!backup) {
+      return serviceError(404, `Backup not found: ${changeDayId}`);
+    }
+
+    const snapshot = backup.getSnapshot();
+    if (!snapshot.dataTypes) {
+      return serviceError(422, 'Invalid backup snapshot structure');
+    }
 
-      const snapshot = backup.getSnapshot();
+    const diff = {};
+    let totalChanges = 0;
 
-      if (!snapshot.dataTypes) {
-        throw new Error('Invalid backup snapshot structure');
+    if (selection.dataTypes.includes('priceFix')) {
+      const live = toPlain(await PriceFix.find({}).lean());
+      diff.priceFix = diffKeyed(live, snapshot.dataTypes.priceFix?.documents || [], (doc) => doc.key);
+      totalChanges += countChanges(diff.priceFix);
+    }
+
+    if (selection.dataTypes.includes('serviceConfigs')) {
+      const filter = selection.serviceIds ? { serviceId: { $in: selection.serviceIds } } : {};
+      const live = toPlain(await ServiceConfig.find(filter).lean());
+      const backupDocs = (snapshot.dataTypes.serviceConfigs?.documents || [])
+        .filter((doc) => !selection.serviceIds || selection.serviceIds.includes(doc.serviceId));
+
+      diff.serviceConfigs = diffKeyed(live, backupDocs, serviceConfigKey);
+      diff.serviceConfigs.services = [...new Set([
+        ...diff.serviceConfigs.added,
+        ...diff.serviceConfigs.removed,
+        ...diff.serviceConfigs.changed.map((c) => c.key),
+      ].map((key) => key.split('@')[0]))].sort();
+      totalChanges += countChanges(diff.serviceConfigs);
+    }
+
+    if (selection.dataTypes.includes('productCatalog')) {
+      const liveActive = toPlain(await ProductCatalog.findOne({ isActive: true }).lean());
+      const backupActive = snapshot.dataTypes.productCatalog?.active || null;
+
+      if (selection.productFamilies && !liveActive) {
+        return serviceError(409, 'There is no active product catalog to restore families into');
       }
 
-      const restorationResults = {
-        priceFix: { restored: 0, errors: [] },
-        productCatalog: { restored: 0, errors: [] },
-        serviceConfigs: { restored: 0, errors: [] }
+      diff.productCatalog = diffCatalogFamilies(liveActive, backupActive, selection.productFamilies);
+      totalChanges += countChanges(diff.productCatalog.families) + countChanges(diff.productCatalog.products);
+
+      if (!selection.productFamilies) {
+        // A full catalog restore also replaces inactive catalogs.
+        const liveCatalogs = toPlain(await ProductCatalog.find({}).select('version isActive families').lean());
+        diff.productCatalog.catalogs = diffKeyed(
+          liveCatalogs.map((c) => ({ version: c.version, isActive: c.isActive, familyCount: c.families?.length || 0 })),
+          (snapshot.dataTypes.productCatalog?.all || []).map((c) => ({ version: c.version, isActive: c.isActive, familyCount: c.families?.length || 0 })),
+          (c) => c.version
+        );
+        totalChanges += countChanges(diff.productCatalog.catalogs);
+      }
+    }
+
+    return { success: true, backup, snapshot, selection, diff, totalChanges };
+  }
+
+  static async previewRestore(changeDayId, selection = {}) {
+    try {
+      const plan = await this.buildRestorePlan(changeDayId, selection);
+      if (!plan.success) return plan;
+
+      return {
+        success: true,
+        dryRun: true,
+        changeDayId,
+        changeDay: plan.backup.changeDay,
+        selection: plan.selection,
+        totalChanges: plan.totalChanges,
+        diff: plan.diff,
+        message: plan.totalChanges === 0
+          ? 'Live pricing already matches the selected backup data'
+          : `Restoring would change ${plan.totalChanges} item(s)`
+      };
+    } catch (error) {
+      console.error('Restore preview failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to preview pricing restore'
       };
+    }
+  }
 
-      if (snapshot.dataTypes.priceFix.documents.length > 0) {
-        try {
-          await PriceFix.deleteMany({});
-          const priceFixDocs = snapshot.dataTypes.priceFix.documents.map(doc => {
-            delete doc._id;
-            return doc;
-          });
-          await PriceFix.insertMany(priceFixDocs);
-          restorationResults.priceFix.restored = priceFixDocs.length;
-        } catch (error) {
-          restorationResults.priceFix.errors.push(error.message);
-        }
+  static async saveSnapshot({ changeDayId, trigger, changedBy = null, changeDescription, snapshot = null, importInfo }) {
+    const pricingSnapshot = snapshot || await this.collectAllPricingData();
+    const compressionResult = BackupPricing.compressPricingData(pricingSnapshot);
+
+    const backupRecord = new BackupPricing({
+      changeDayId,
+      changeDay: BackupPricing.getCurrentDateString(),
+      firstChangeTimestamp: new Date(),
+      compressedSnapshot: compressionResult.compressedData,
+      snapshotMetadata: this.calculateSnapshotMetadata(pricingSnapshot, compressionResult),
+      backupTrigger: trigger,
+      changedBy,
+      changeContext: {
+        changedAreas: ['other'],
+        changeDescription,
+        changeCount: 1
+      },
+      importInfo
+    });
+
+    await backupRecord.save();
+    return backupRecord;
+  }
+
+  static async createPreRestoreBackup(sourceChangeDayId, changedBy = null) {
+    return this.saveSnapshot({
+      changeDayId: `backup_${BackupPricing.getCurrentDateString()}_prerestore_${Date.now()}`,
+      trigger: 'pre_restore',
+      changedBy,
+      changeDescription: `Automatic backup before restoring ${sourceChangeDayId}`
+    });
+  }
+
+  /**
+   * Nightly snapshot for `runDay`, then the tiered retention pass. A second
+   * call for the same day finds the existing snapshot and only re-runs retention.
+   */
+  static async createScheduledBackup(runDay) {
+    const changeDayId = `backup_${runDay}_scheduled`;
+    const existing = await BackupPricing.findOne({ changeDayId }).select('_id changeDay').lean();
+
+    const backupRecord = existing || await this.saveSnapshot({
+      changeDayId,
+      trigger: 'scheduled',
+      changeDescription: `Nightly snapshot for ${runDay}`
+    });
+    const retentionResult = await BackupPricing.enforceRetentionPolicy();
+
+    return {
+      success: true,
+      created: !existing,
+      backup: {
+        id: backupRecord._id,
+        changeDayId,
+        changeDay: backupRecord.changeDay,
+        compressedSize: backupRecord.snapshotMetadata?.compressedSize ?? null
+      },
+      retentionPolicy: retentionResult,
+      message: existing ? 'Scheduled backup already exists for this day' : 'Scheduled backup created successfully'
+    };
+  }
+
+  static async applyRestorePlan(plan, session) {
+    const { snapshot, selection } = plan;
+    const results = {};
+
+    if (selection.dataTypes.includes('priceFix')) {
+      const docs = snapshot.dataTypes.priceFix?.documents || [];
+      const removed = await PriceFix.deleteMany({}, { session });
+      if (docs.length) await PriceFix.insertMany(docs, { session });
+      results.priceFix = { removed: removed.deletedCount, restored: docs.length };
+    }
+
+    if (selection.dataTypes.includes('serviceConfigs')) {
+      const filter = selection.serviceIds ? { serviceId: { $in: selection.serviceIds } } : {};
+      const docs = (snapshot.dataTypes.serviceConfigs?.documents || [])
+        .filter((doc) => !selection.serviceIds || selection.serviceIds.includes(doc.serviceId));
+      const removed = await ServiceConfig.deleteMany(filter, { session });
+      if (docs.length) await ServiceConfig.insertMany(docs, { session });
+      results.serviceConfigs = { removed: removed.deletedCount, restored: docs.length };
+    }
+
+    if (selection.dataTypes.includes('productCatalog')) {
+      if (selection.productFamilies) {
+        const live = await ProductCatalog.findOne({ isActive: true }).session(session);
+        const backupFamilies = (snapshot.dataTypes.productCatalog?.active?.families || [])
+          .filter((f) => selection.productFamilies.includes(f.key));
+        const kept = live.families.filter((f) => !selection.productFamilies.includes(f.key));
+
+        live.families = [...kept, ...backupFamilies].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+        await live.save({ session });
+        results.productCatalog = { restoredFamilies: backupFamilies.map((f) => f.key), catalogId: live._id };
+      } else {
+        const docs = snapshot.dataTypes.productCatalog?.all || [];
+        const removed = await ProductCatalog.deleteMany({}, { session });
+        if (docs.length) await ProductCatalog.insertMany(docs, { session });
+        results.productCatalog = { removed: removed.deletedCount, restored: docs.length };
       }
+    }
 
-      if (snapshot.dataTypes.productCatalog.all.length > 0) {
-        try {
-          await ProductCatalog.deleteMany({});
-          const catalogDocs = snapshot.dataTypes.productCatalog.all.map(doc => {
-            delete doc._id;
-            return doc;
-          });
-          await ProductCatalog.insertMany(catalogDocs);
-          restorationResults.productCatalog.restored = catalogDocs.length;
-        } catch (error) {
-          restorationResults.productCatalog.errors.push(error.message);
-        }
+    return results;
+  }
+
+  /**
+   * Restores the selected data types (optionally only some serviceIds or
+   * product families) from a backup inside one MongoDB transaction. Live
+   * data is backed up first so the restore itself can be undone by
+   * restoring that backup.
+   */
+  static async restoreFromBackup(changeDayId, restoredBy, restorationNotes = '', selection = {}) {
+    let preRestoreBackup = null;
+    let committed = false;
+    try {
+      const plan = await this.buildRestorePlan(changeDayId, selection);
+      if (!plan.success) return plan;
+
+      if (plan.totalChanges === 0) {
+        return {
+          success: true,
+          changeDayId,
+          changeDay: plan.backup.changeDay,
+          selection: plan.selection,
+          totalRestored: 0,
+          results: {},
+          message: 'Live pricing already matches the selected backup data; nothing was restored'
+        };
       }
 
-      if (snapshot.dataTypes.serviceConfigs.documents.length > 0) {
-        try {
-          await ServiceConfig.deleteMany({});
-          const serviceConfigDocs = snapshot.dataTypes.serviceConfigs.documents.map(doc => {
-            delete doc._id;
-            return doc;
-          });
-          await ServiceConfig.insertMany(serviceConfigDocs);
-          restorationResults.serviceConfigs.restored = serviceConfigDocs.length;
-        } catch (error) {
-          restorationResults.serviceConfigs.errors.push(error.message);
-        }
+      preRestoreBackup = await this.createPreRestoreBackup(changeDayId, restoredBy);
+      console.log(`[Pricing Backup] Pre-restore backup ${preRestoreBackup.changeDayId} created before restoring ${changeDayId}`);
+
+      const session = await mongoose.startSession();
+      let results;
+      try {
+        await session.withTransaction(async () => {
+          results = await this.applyRestorePlan(plan, session);
+        });
+        committed = true;
+      } finally {
+        await session.endSession();
       }
 
-      backup.restorationInfo = {
+      // The restore is committed from here on: keep the pre-restore backup even if bookkeeping fails.
+      let warning = null;
+      plan.backup.restorationInfo = {
         hasBeenRestored: true,
         lastRestoredAt: new Date(),
         restoredBy,
-        restorationNotes
+        restorationNotes,
+        lastSelection: plan.selection,
+        preRestoreBackupId: preRestoreBackup.changeDayId
       };
-      await backup.save();
-
-      const totalRestored = restorationResults.priceFix.restored +
-                           restorationResults.productCatalog.restored +
-                           restorationResults.serviceConfigs.restored;
+      try {
+        await plan.backup.save();
+      } catch (error) {
+        console.error(`[Pricing Backup] Restored ${changeDayId} but could not record the restoration:`, error);
+        warning = `Pricing was restored, but the restoration could not be recorded on the backup: ${error.message}`;
+      }
 
-      const totalErrors = restorationResults.priceFix.errors.length +
-                         restorationResults.productCatalog.errors.length +
-                         restorationResults.serviceConfigs.errors.length;
+      const totalRestored = Object.values(results).reduce(
+        (sum, result) => sum + (result.restored ?? result.restoredFamilies?.length ?? 0),
+        0
+      );
 
       return {
-        success: totalErrors === 0,
+        success: true,
         changeDayId,
-        changeDay: backup.changeDay,
+        changeDay: plan.backup.changeDay,
+        selection: plan.selection,
+        preRestoreBackupId: preRestoreBackup.changeDayId,
+        totalChanges: plan.totalChanges,
         totalRestored,
-        totalErrors,
-        results: restorationResults,
-        message: totalErrors === 0 ?
-          `Successfully restored ${totalRestored} documents from ${backup.changeDay}` :
-          `Restored ${totalRestored} documents with ${totalErrors} errors`
+        results,
+        warning,
+        message: `Restored ${plan.totalChanges} change(s) from ${plan.backup.changeDay}; undo by restoring ${preRestoreBackup.changeDayId}`
       };
 
     } catch (error) {
       console.error('Restoration failed:', error);
+      if (committed) {
+        return {
+          success: false,
+          status: 500,
+          error: error.message,
+          preRestoreBackupId: preRestoreBackup.changeDayId,
+          message: `Pricing was restored but the request failed afterwards; undo by restoring ${preRestoreBackup.changeDayId}`
+        };
+      }
+      // Nothing was committed, so the pre-restore snapshot would only be a duplicate of live data.
+      if (preRestoreBackup) {
+        await BackupPricing.deleteOne({ _id: preRestoreBackup._id }).catch(() => {});
+      }
+      const noTransactions = /replica set|Transaction numbers/i.test(error.message || '');
       return {
         success: false,
-        error: error.message,
-        message: 'Failed to restore pricing backup'
+        status: noTransactions ? 503 : 500,
+        error: noTransactions
+          ? 'MongoDB transactions are not available (a replica set is required); nothing was restored'
+          : error.message,
+        message: 'Failed to restore pricing backup; no changes were applied'
       };
     }
   }
 
+  /** Gzipped JSON archive of a backup, portable to another environment. */
+  static async exportBackupArchive(changeDayId, exportedBy = null) {
+    const backup = await BackupPricing.findOne({ changeDayId });
+    if (!backup) {
+      return serviceError(404, `Backup not found: ${changeDayId}`);
+    }
+
+    const snapshot = backup.getSnapshot();
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy,
+      source: {
+        changeDayId: backup.changeDayId,
+        changeDay: backup.changeDay,
+        backupTrigger: backup.backupTrigger,
+        createdAt: backup.createdAt,
+        changeDescription: backup.changeContext?.changeDescription || '',
+        documentCounts: backup.snapshotMetadata?.documentCounts || null
+      },
+      checksum: { algorithm: 'sha256', snapshot: snapshotChecksum(snapshot) },
+      snapshot
+    };
+
+    return {
+      success: true,
+      fileName: `pricing-backup_${backup.changeDayId}.json.gz`,
+      buffer: zlib.gzipSync(JSON.stringify(archive)),
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      checksum: archive.checksum.snapshot
+    };
+  }
+
+  /**
+   * Registers an exported archive as a new backup (trigger 'import'). Accepts
+   * gzipped or plain JSON; archives from older schema versions are migrated
+   * first, the snapshot checksum is verified and the same snapshot is never
+   * imported twice.
+   */
+  static async importBackupArchive(buffer, { importedBy = null, notes = '' } = {}) {
+    let archive;
+    try {
+      archive = parseArchiveBuffer(buffer);
+    } catch (error) {
+      return serviceError(400, 'The file is not a gzip or JSON pricing backup archive');
+    }
+
+    const schemaVersion = archiveVersionOf(archive);
+    if (schemaVersion === null) {
+      return serviceError(400, 'The file is not a pricing backup archive');
+    }
+    if (schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+      return serviceError(422, `Archive schema version ${schemaVersion} is newer than this server supports (${ARCHIVE_SCHEMA_VERSION})`);
+    }
+    if (schemaVersion >= 1 && archive.checksum?.snapshot !== snapshotChecksum(archive.snapshot)) {
+      return serviceError(422, 'Archive checksum does not match its snapshot; the file is corrupted or was edited');
+    }
+
+    const migrated = migrateArchive(archive, schemaVersion);
+    const { error, value: snapshot } = validateArchiveSnapshot(migrated.snapshot);
+    if (error) {
+      return serviceError(422, 'Archive snapshot is not a valid pricing backup', {
+        details: error.details.map((d) => d.message)
+      });
+    }
+    const { priceFix, productCatalog, serviceConfigs } = snapshot.dataTypes;
+    priceFix.count = priceFix.documents.length;
+    productCatalog.activeCount = productCatalog.active ? 1 : 0;
+    productCatalog.totalCount = productCatalog.all.length;
+    serviceConfigs.count = serviceConfigs.documents.length;
+    serviceConfigs.activeCount = serviceConfigs.documents.filter((config) => config.isActive).length;
+
+    const checksum = migrated.checksum.snapshot;
+    const source = migrated.source || {};
+    const alreadyImported = await BackupPricing.findOne({ 'importInfo.snapshotChecksum': checksum }).select('changeDayId').lean();
+    if (alreadyImported) {
+      return serviceError(409, `This archive was already imported as ${alreadyImported.changeDayId}`, {
+        existingChangeDayId: alreadyImported.changeDayId
+      });
+    }
+    const original = source.changeDayId ? await BackupPricing.findOne({ changeDayId: source.changeDayId }) : null;
+    if (original && snapshotChecksum(original.getSnapshot()) === checksum) {
+      return serviceError(409, `This archive is identical to existing backup ${original.changeDayId}`, {
+        existingChangeDayId: original.changeDayId
+      });
+    }
+
+    const backupRecord = await this.saveSnapshot({
+      changeDayId: `backup_${BackupPricing.getCurrentDateString()}_import_${Date.now()}`,
+      trigger: 'import',
+      changedBy: importedBy,
+      changeDescription: notes || `Imported from ${source.changeDayId || 'archive file'}`,
+      snapshot,
+      importInfo: {
+        sourceChangeDayId: source.changeDayId || null,
+        sourceChangeDay: source.changeDay || null,
+        exportedAt: migrated.exportedAt ? new Date(migrated.exportedAt) : null,
+        exportedBy: migrated.exportedBy || null,
+        archiveSchemaVersion: schemaVersion,
+        snapshotChecksum: checksum,
+        importedAt: new Date()
+      }
+    });
+
+    return {
+      success: true,
+      created: true,
+      backup: {
+        id: backupRecord._id,
+        changeDayId: backupRecord.changeDayId,
+        changeDay: backupRecord.changeDay,
+        documentCounts: backupRecord.snapshotMetadata.documentCounts
+      },
+      archive: {
+        schemaVersion: ARCHIVE_SCHEMA_VERSION,
+        migratedFrom: schemaVersion < ARCHIVE_SCHEMA_VERSION ? schemaVersion : null,
+        source,
+        checksum
+      },
+      message: 'Backup archive imported successfully'
+    };
+  }
+
   static async getAvailableBackups(limit = 10) {
     try {
       const startTime = Date.now();
@@ -588,6 +1007,7 @@ class PricingBackupService {
         }
       ]);
 
+      const retentionPlan = await BackupPricing.getRetentionPlan();
       const queryTime = Date.now() - startTime;
 
       const result = statsData[0];
@@ -604,13 +1024,14 @@ class PricingBackupService {
         statistics: {
           totalBackups,
           uniqueChangeDays: uniqueChangeDaysCount,
-          retentionCompliance: uniqueChangeDaysCount <= 10,
+          retentionCompliance: retentionPlan.remove.length === 0,
+          retentionTiers: retentionPlan.tiers,
           sizeStatistics: sizeStats,
           triggerStatistics: triggerStats,
           recentBackups: recentBackups,
           systemHealth: {
-            isHealthy: uniqueChangeDaysCount <= 10 && totalBackups > 0,
-            warnings: uniqueChangeDaysCount > 10 ?
+            isHealthy: retentionPlan.remove.length === 0 && totalBackups > 0,
+            warnings: retentionPlan.remove.length > 0 ?
               ['Retention policy may need enforcement'] : []
           }
         },
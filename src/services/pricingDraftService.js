@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import PricingDraft from "../models/PricingDraft.js";
+import PricingChangeAudit from "../models/PricingChangeAudit.js";
+import ServiceConfig from "../models/ServiceConfig.js";
+import ProductCatalog from "../models/ProductCatalog.js";
+import PricingChangeDetector from "../middleware/pricingChangeDetector.js";
+import {
+  applyServiceConfigReplace,
+  applyServiceConfigMerge,
+  replaceServiceConfig,
+  mergeServiceConfig,
+} from "./serviceConfigService.js";
+import {
+  applyCatalogReplace,
+  applyCatalogPartial,
+  replaceCatalog,
+  mergePartialCatalog,
+} from "./productCatalogService.js";
+import {
+  validateReplaceServiceConfig,
+  validatePartialUpdateServiceConfig,
+} from "../validations/serviceConfigValidation.js";
+import { validateReplaceCatalog, validatePartialUpdate } from "../validations/productCatalogValidation.js";
+import { toPlain, diffFields, diffCatalogFamilies, countChanges } from "../utils/pricingDiff.js";
+
+const EDITABLE_STATUSES = ["draft", "pending_review"];
+
+// How each kind of target is loaded, previewed, validated and finally written.
+const TARGETS = {
+  serviceConfig: {
+    Model: ServiceConfig,
+    labelOf: (doc) => doc.serviceId,
+    validate: { replace: validateReplaceServiceConfig, partial: validatePartialUpdateServiceConfig },
+    preview: { replace: applyServiceConfigReplace, partial: applyServiceConfigMerge },
+    publish: { replace: replaceServiceConfig, partial: mergeServiceConfig },
+  },
+  productCatalog: {
+    Model: ProductCatalog,
+    labelOf: (doc) => doc.version,
+    validate: { replace: validateReplaceCatalog, partial: validatePartialUpdate },
+    preview: { replace: applyCatalogReplace, partial: applyCatalogPartial },
+    publish: { replace: replaceCatalog, partial: mergePartialCatalog },
+  },
+};
+
+function draftError(status, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  Object.assign(err, extra);
+  return err;
+}
+
+function actorOf(user) {
+  return { id: user?.id ? String(user.id) : null, username: user?.username || null };
+}
+
+function sameActor(a, b) {
+  if (a?.id && b?.id) return String(a.id) === String(b.id);
+  return !!a?.username && a.username === b?.username;
+}
+
+function validateChanges(targetType, operation, changes) {
+  const { error, value } = TARGETS[targetType].validate[operation](changes);
+  if (error) {
+    throw draftError(400, "Invalid pricing changes", { details: error.details.map((d) => d.message) });
+  }
+  return value;
+}
+
+async function loadTarget(targetType, targetId) {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw draftError(400, `Invalid ${targetType} id`);
+  }
+  const live = await TARGETS[targetType].Model.findById(targetId).lean();
+  if (!live) {
+    throw draftError(404, `${targetType} ${targetId} not found`);
+  }
+  return live;
+}
+
+/** What publishing `changes` would change on the live document, without saving anything. */
+function diffAgainstLive(targetType, operation, live, changes) {
+  const { Model, preview } = TARGETS[targetType];
+  // Both sides go through the schema so defaults missing from older documents aren't reported.
+  const current = toPlain(Model.hydrate(toPlain(live)).toObject());
+  const proposed = toPlain(preview[operation](Model.hydrate(toPlain(live)), changes).toObject());
+
+  if (targetType === "serviceConfig") {
+    const fields = diffFields(current, proposed, "draft");
+    return { fields, changeCount: fields.length };
+  }
+
+  const { families: liveFamilies, ...liveRest } = current;
+  const { families: draftFamilies, ...draftRest } = proposed;
+  const fields = diffFields(liveRest, draftRest, "draft");
+  const { families, products } = diffCatalogFamilies(current, proposed, null, "draft");
+  return {
+    fields,
+    families,
+    products,
+    changeCount: fields.length + countChanges(families) + countChanges(products),
+  };
+}
+
+async function findDraft(id) {
+  const draft = mongoose.isValidObjectId(id) ? await PricingDraft.findById(id) : null;
+  if (!draft) {
+    throw draftError(404, "Pricing draft not found");
+  }
+  return draft;
+}
+
+function assertProposer(draft, user) {
+  if (!sameActor(draft.proposedBy, actorOf(user))) {
+    throw draftError(403, "Only the admin who proposed this draft can change it");
+  }
+}
+
+/**
+ * Saves a proposed ServiceConfig/ProductCatalog edit as a draft with its diff
+ * against the live document. `submit` sends it straight to review.
+ */
+export async function createDraft({ targetType, targetId, operation, changes, note = "", submit = false }, { user } = {}) {
+  const value = validateChanges(targetType, operation, changes);
+  const live = await loadTarget(targetType, targetId);
+  const diff = diffAgainstLive(targetType, operation, live, value);
+  if (diff.changeCount === 0) {
+    throw draftError(400, "These changes match the live config; nothing to review");
+  }
+
+  const proposedBy = actorOf(user);
+  const now = new Date();
+  const draft = await PricingDraft.create({
+    targetType,
+    targetId,
+    targetLabel: TARGETS[targetType].labelOf(live),
+    operation,
+    changes: value,
+    note,
+    baseUpdatedAt: live.updatedAt || null,
+    diff,
+    status: submit ? "pending_review" : "draft",
+    proposedBy,
+    submittedAt: submit ? now : null,
+    history: [
+      { action: "created", by: proposedBy.username, at: now, comment: note },
+      ...(submit ? [{ action: "submitted", by: proposedBy.username, at: now }] : []),
+    ],
+  });
+
+  console.log(`📝 [PRICING-DRAFT] ${proposedBy.username || "unknown"} proposed ${operation} of ${targetType} ${draft.targetLabel} (${diff.changeCount} change(s))`);
+  return draft;
+}
+
+/** Replaces the draft's changes and re-takes the diff; a draft under review goes back to draft. */
+export async function updateDraft(id, { changes, note }, { user } = {}) {
+  const draft = await findDraft(id);
+  assertProposer(draft, user);
+  if (!EDITABLE_STATUSES.includes(draft.status)) {
+    throw draftError(409, `A ${draft.status} draft can't be edited`);
+  }
+
+  const value = changes ? validateChanges(draft.targetType, draft.operation, changes) : draft.changes;
+  const live = await loadTarget(draft.targetType, draft.targetId);
+  const diff = diffAgainstLive(draft.targetType, draft.operation, live, value);
+  if (diff.changeCount === 0) {
+    throw draftError(400, "These changes match the live config; nothing to review");
+  }
+
+  draft.changes = value;
+  if (typeof note === "string") draft.note = note;
+  draft.baseUpdatedAt = live.updatedAt || null;
+  draft.diff = diff;
+  draft.status = "draft";
+  draft.submittedAt = null;
+  draft.lastError = null;
+  draft.history.push({ action: "edited", by: user?.username || null });
+  await draft.save();
+  return draft;
+}
+
+export async function submitDraft(id, { user, comment = "" } = {}) {
+  const draft = await findDraft(id);
+  assertProposer(draft, user);
+  if (draft.status !== "draft") {
+    throw draftError(409, `Only a draft can be submitted (this one is ${draft.status})`);
+  }
+
+  draft.status = "pending_review";
+  draft.submittedAt = new Date();
+  draft.history.push({ action: "submitted", by: user?.username || null, comment });
+  await draft.save();
+  return draft;
+}
+
+export async function withdrawDraft(id, { user, comment = "" } = {}) {
+  const draft = await findDraft(id);
+  assertProposer(draft, user);
+  if (!EDITABLE_STATUSES.includes(draft.status)) {
+    throw draftError(409, `A ${draft.status} draft can't be withdrawn`);
+  }
+
+  draft.status = "withdrawn";
+  draft.history.push({ action: "withdrawn", by: user?.username || null, comment });
+  await draft.save();
+  return draft;
+}
+
+export async function listDrafts({ status, targetType, targetId, limit = 50 } = {}) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  return PricingDraft.find(filter).select("-changes -diff").sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/** The draft plus a fresh diff against the live document and whether the live one moved since. */
+export async function getDraft(id) {
+  const draft = await findDraft(id);
+  const result = draft.toObject();
+  if (!EDITABLE_STATUSES.includes(draft.status)) return result;
+
+  const live = await TARGETS[draft.targetType].Model.findById(draft.targetId).lean();
+  if (!live) return { ...result, stale: true, liveDiff: null };
+  return {
+    ...result,
+    stale: !!draft.baseUpdatedAt && new Date(live.updatedAt).getTime() !== new Date(draft.baseUpdatedAt).getTime(),
+    liveDiff: diffAgainstLive(draft.targetType, draft.operation, live, draft.changes),
+  };
+}
+
+export async function rejectDraft(id, { user, comment }) {
+  const draft = await findDraft(id);
+  if (draft.status !== "pending_review") {
+    throw draftError(409, `Only a draft pending review can be rejected (this one is ${draft.status})`);
+  }
+  if (sameActor(draft.proposedBy, actorOf(user))) {
+    throw draftError(403, "You can't review your own pricing draft");
+  }
+
+  draft.status = "rejected";
+  draft.reviewedBy = actorOf(user);
+  draft.reviewedAt = new Date();
+  draft.reviewComment = comment;
+  draft.history.push({ action: "rejected", by: user?.username || null, comment });
+  await draft.save();
+  return draft;
+}
+
+/**
+ * Second-admin approval: takes the usual pre-change pricing backup, writes
+ * the draft to the live document through the normal update path and records
+ * who proposed and who approved it in PricingChangeAudit. Refuses (409) if the
+ * live document changed after the draft's diff was taken.
+ */
+export async function approveDraft(id, { user, comment = "" }) {
+  const pending = await findDraft(id);
+  if (pending.status !== "pending_review") {
+    throw draftError(409, `Only a draft pending review can be approved (this one is ${pending.status})`);
+  }
+  const approver = actorOf(user);
+  if (sameActor(pending.proposedBy, approver)) {
+    throw draftError(403, "A pricing change must be approved by a different admin than the one who proposed it");
+  }
+
+  const draft = await PricingDraft.findOneAndUpdate(
+    { _id: pending._id, status: "pending_review" },
+    { $set: { status: "publishing" } },
+    { new: true }
+  );
+  if (!draft) {
+    throw draftError(409, "This draft is already being reviewed");
+  }
+
+  try {
+    const live = await loadTarget(draft.targetType, draft.targetId);
+    if (draft.baseUpdatedAt && new Date(live.updatedAt).getTime() !== new Date(draft.baseUpdatedAt).getTime()) {
+      throw draftError(409, "The live config changed after this draft was made; the proposer has to edit the draft to refresh its diff");
+    }
+
+    const backup = await PricingChangeDetector.beforeDraftPublish(draft, approver);
+    const published = await TARGETS[draft.targetType].publish[draft.operation](draft.targetId, draft.changes);
+    if (!published) {
+      throw draftError(404, `${draft.targetType} ${draft.targetId} not found`);
+    }
+
+    const now = new Date();
+    draft.status = "published";
+    draft.reviewedBy = approver;
+    draft.reviewedAt = now;
+    draft.reviewComment = comment;
+    draft.publishedAt = now;
+    draft.backup = backup;
+    draft.lastError = null;
+    draft.history.push({ action: "approved", by: approver.username, at: now, comment });
+    draft.history.push({ action: "published", by: approver.username, at: now });
+    await draft.save();
+
+    const audit = await PricingChangeAudit.create({
+      draftId: draft._id,
+      targetType: draft.targetType,
+      targetId: draft.targetId,
+      targetLabel: draft.targetLabel,
+      operation: draft.operation,
+      diff: draft.diff,
+      note: draft.note,
+      proposedBy: draft.proposedBy,
+      proposedAt: draft.submittedAt || draft.createdAt,
+      approvedBy: approver,
+      approvedAt: now,
+      approvalComment: comment,
+      backupId: backup.backupId,
+    });
+
+    console.log(`✅ [PRICING-DRAFT] ${draft.targetType} ${draft.targetLabel} published: proposed by ${draft.proposedBy?.username || "unknown"}, approved by ${approver.username || "unknown"}`);
+    return { draft, target: published, pricingBackup: backup, auditId: audit._id };
+  } catch (err) {
+    await PricingDraft.updateOne(
+      { _id: draft._id, status: "publishing" },
+      {
+        $set: { status: "pending_review", lastError: err.message },
+        $push: { history: { action: "publish_failed", by: approver.username, at: new Date(), comment: err.message } },
+      }
+    );
+    throw err;
+  }
+}
+
+export async function listPricingAudit({ targetType, targetId, limit = 50 } = {}) {
+  const filter = {};
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  return PricingChangeAudit.find(filter).sort({ approvedAt: -1 }).limit(limit).lean();
+}
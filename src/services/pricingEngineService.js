@@ -0,0 +1,966 @@
+import ServiceConfig from "../models/ServiceConfig.js";
+import { getActiveServiceConfigs } from "./serviceConfigService.js";
+import { getActiveCatalog, getCatalogByVersion } from "./productCatalogService.js";
+import {
+  PRICING_VERIFICATION_MODE,
+  PRICING_TOLERANCE_ABS,
+  PRICING_TOLERANCE_PCT,
+} from "../config/pricingConfig.js";
+
+export const SERVICE_KEY_ALIASES = {
+  carpetclean: "carpetCleaning",
+  janitorial: "pureJanitorial",
+  stripwax: "stripWax",
+};
+
+const DEFAULT_WEEKS_PER_MONTH = 4.33;
+const DEFAULT_CONTRACT_MONTHS = 12;
+
+const VISITS_PER_YEAR = {
+  oneTime: 0,
+  weekly: 52,
+  biweekly: 26,
+  twicePerMonth: 24,
+  monthly: 12,
+  everyFourWeeks: 13,
+  bimonthly: 6,
+  quarterly: 4,
+  biannual: 2,
+  annual: 1,
+};
+
+const FREQUENCY_ALIASES = {
+  onetime: "oneTime",
+  "1time": "oneTime",
+  weekly: "weekly",
+  biweekly: "biweekly",
+  twicepermonth: "twicePerMonth",
+  "2xmonth": "twicePerMonth",
+  "2permonth": "twicePerMonth",
+  monthly: "monthly",
+  every4weeks: "everyFourWeeks",
+  everyfourweeks: "everyFourWeeks",
+  bimonthly: "bimonthly",
+  every2months: "bimonthly",
+  quarterly: "quarterly",
+  biannual: "biannual",
+  annual: "annual",
+};
+
+export function resolveServiceId(serviceKey) {
+  return SERVICE_KEY_ALIASES[serviceKey] || serviceKey;
+}
+
+export function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function unwrap(input) {
+  if (input && typeof input === "object" && !Array.isArray(input)) {
+    for (const key of ["value", "quantity", "amount", "frequencyKey", "key"]) {
+      if (input[key] !== undefined && input[key] !== null) {
+        return unwrap(input[key]);
+      }
+    }
+    return undefined;
+  }
+  return input;
+}
+
+function readOptionalNumber(input) {
+  const raw = unwrap(input);
+  if (raw === undefined || raw === null) return undefined;
+  if (typeof raw === "string" && raw.trim() === "") return undefined;
+  const parsed = Number(typeof raw === "string" ? raw.replace(/[$,]/g, "") : raw);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function readNumber(input, fallback = 0) {
+  const parsed = readOptionalNumber(input);
+  return parsed === undefined ? fallback : parsed;
+}
+
+function readString(input) {
+  const raw = unwrap(input);
+  if (raw === undefined || raw === null) return "";
+  return String(raw).trim();
+}
+
+function readBoolean(input) {
+  const raw = unwrap(input);
+  if (typeof raw === "string") return raw.toLowerCase() === "true";
+  return Boolean(raw);
+}
+
+function firstDefined(...values) {
+  return values.find((v) => v !== undefined);
+}
+
+export function normalizeFrequency(raw) {
+  const str = readString(raw);
+  if (!str) return undefined;
+  const cleaned = str.toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (FREQUENCY_ALIASES[cleaned]) return FREQUENCY_ALIASES[cleaned];
+  if (cleaned.includes("bimonth") || cleaned.includes("every2month")) return "bimonthly";
+  if (cleaned.includes("quarter")) return "quarterly";
+  if (cleaned.includes("biannual")) return "biannual";
+  if (cleaned.includes("annual")) return "annual";
+  if (cleaned.includes("biweekly")) return "biweekly";
+  if (cleaned.includes("twice") || cleaned.includes("2month")) return "twicePerMonth";
+  if (cleaned.includes("weekly")) return "weekly";
+  if (cleaned.includes("monthly")) return "monthly";
+  if (cleaned.includes("onetime")) return "oneTime";
+  return undefined;
+}
+
+function normalizeLocation(raw) {
+  return /inside/i.test(readString(raw)) ? "insideBeltway" : "outsideBeltway";
+}
+
+function rateTierMultiplier(tiers, rateTier) {
+  const tier = tiers?.[readString(rateTier) || "redRate"];
+  const multiplier = Number(tier?.multiplier);
+  return Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 1;
+}
+
+export function monthlyVisitsFor(frequency, cfg = {}) {
+  if (!frequency || frequency === "oneTime") return 0;
+
+  const conversion = cfg.billingConversions?.[frequency];
+  if (conversion) {
+    const fromConversion = firstDefined(
+      readOptionalNumber(conversion.monthlyMultiplier),
+      readOptionalNumber(conversion.monthlyVisits),
+    );
+    if (fromConversion !== undefined) return fromConversion;
+  }
+
+  const fromMonthlyConversions = readOptionalNumber(cfg.monthlyConversions?.[frequency]);
+  if (fromMonthlyConversions !== undefined) return fromMonthlyConversions;
+
+  if (frequency === "weekly" && readOptionalNumber(cfg.weeksPerMonth) !== undefined) {
+    return Number(cfg.weeksPerMonth);
+  }
+
+  const annual = firstDefined(
+    readOptionalNumber(cfg.annualFrequencies?.[frequency]),
+    readOptionalNumber(cfg.frequencyMeta?.[frequency]?.visitsPerYear),
+  );
+  if (annual !== undefined) return annual / 12;
+
+  if (frequency === "weekly") return DEFAULT_WEEKS_PER_MONTH;
+  return (VISITS_PER_YEAR[frequency] ?? 12) / 12;
+}
+
+function line(key, label, qty, rate) {
+  return { key, label, qty, rate: round2(rate), total: round2(qty * rate) };
+}
+
+function sqFtUnits(squareFeet, unitSize) {
+  if (!squareFeet || !unitSize) return 0;
+  return Math.ceil(squareFeet / unitSize);
+}
+
+function firstAndAdditionalUnits(units, firstRate, additionalRate) {
+  if (units <= 0) return 0;
+  return Number(firstRate || 0) + (units - 1) * Number(additionalRate || 0);
+}
+
+const SERVICE_CALCULATORS = {
+  saniclean(form, cfg) {
+    const location = normalizeLocation(form.location);
+    const geo = cfg.geographicPricing?.[location] || {};
+    const sinks = readNumber(form.sinks);
+    const urinals = readNumber(form.urinals);
+    const maleToilets = readNumber(form.maleToilets);
+    const femaleToilets = readNumber(form.femaleToilets);
+    const fixtureCount = readNumber(form.fixtureCount) || sinks + urinals + maleToilets + femaleToilets;
+    const multiplier = rateTierMultiplier(cfg.rateTiers, form.rateTier);
+
+    const pkg = cfg.allInclusivePackage || {};
+    const pricingMode = readString(form.pricingMode) || "auto";
+    const autoThreshold = Number(pkg.autoAllInclusiveMinFixtures) || 0;
+    const allInclusive =
+      pricingMode === "allInclusive" ||
+      (pricingMode === "auto" && autoThreshold > 0 && fixtureCount >= autoThreshold);
+
+    const lines = [];
+    const soapType = readString(form.soapType) || "standard";
+    const excessGallons = readNumber(form.excessSoapGallonsPerWeek);
+
+    if (allInclusive) {
+      lines.push(line("allInclusiveFixtures", "All-Inclusive Fixtures", fixtureCount, Number(pkg.weeklyRatePerFixture || 0) * multiplier));
+    } else {
+      lines.push(line("fixtures", "Restroom Fixtures", fixtureCount, Number(geo.ratePerFixture || 0) * multiplier));
+
+      const components = cfg.facilityComponents || {};
+      const urinalRate = Number(components.urinals?.urinalScreen || 0) + Number(components.urinals?.urinalMat || 0);
+      const maleRate = Number(components.maleToilets?.toiletClips || 0) + Number(components.maleToilets?.seatCoverDispenser || 0);
+      const femaleRate = Number(components.femaleToilets?.sanipodService || 0);
+      if (urinals && urinalRate) lines.push(line("urinalComponents", "Urinal Screens & Mats", urinals, urinalRate));
+      if (maleToilets && maleRate) lines.push(line("maleToiletComponents", "Toilet Clips & Seat Covers", maleToilets, maleRate));
+      if (femaleToilets && femaleRate) lines.push(line("femaleToiletComponents", "SaniPod Service", femaleToilets, femaleRate));
+
+      if (soapType === "luxury" && sinks) {
+        const soapDispensers = sinks * Number(components.sinks?.ratioSinkToSoap || 1);
+        lines.push(line("luxurySoapUpgrade", "Luxury Soap Upgrade", soapDispensers, Number(cfg.soapUpgrades?.standardToLuxury || 0)));
+      }
+
+      if (readBoolean(form.addMicrofiberMopping)) {
+        const bathrooms = readNumber(form.microfiberBathrooms);
+        lines.push(line("microfiberMopping", "Microfiber Mopping", bathrooms, Number(cfg.addOnServices?.microfiberMopping?.pricePerBathroom || 0)));
+      }
+    }
+
+    if (excessGallons) {
+      const excessRates = cfg.soapUpgrades?.excessUsageCharges || {};
+      const excessRate = soapType === "luxury" ? excessRates.luxurySoap : excessRates.standardSoap;
+      lines.push(line("excessSoap", "Excess Soap Usage (gal)", excessGallons, Number(excessRate || 0)));
+    }
+
+    const small = cfg.smallFacilityMinimum || {};
+    const isSmallFacility = fixtureCount > 0 && fixtureCount <= Number(small.fixtureThreshold || 0);
+    const minimum = isSmallFacility
+      ? { label: "Small Facility Minimum", amount: Number(small.minimumWeeklyCharge || 0) }
+      : { label: "Weekly Minimum", amount: Number(geo.weeklyMinimum || 0) };
+
+    const tripWaived = (allInclusive && pkg.waiveTripCharge) || (isSmallFacility && small.includesTripCharge);
+
+    return {
+      frequency: "weekly",
+      lines,
+      minimum,
+      tripCharge: tripWaived ? 0 : Number(geo.tripCharge || 0),
+      parkingCharge: readBoolean(form.needsParking) ? Number(geo.parkingFee || 0) : 0,
+      details: { location, fixtureCount, pricingMode: allInclusive ? "allInclusive" : "perFixture", smallFacility: isSmallFacility },
+    };
+  },
+
+  sanipod(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || cfg.defaultFrequency || "weekly";
+    const units = readNumber(form.units);
+    const multiplier = rateTierMultiplier(cfg.rateCategories, form.rateTier);
+    const lines = [];
+    const oneTimeLines = [];
+
+    const standardRate = Number(cfg.weeklyRatePerUnit || 0) * multiplier;
+    if (readBoolean(form.isStandalone)) {
+      const standardTotal = units * standardRate + Number(cfg.standaloneExtraWeeklyCharge || 0);
+      const altRate = Number(cfg.altWeeklyRatePerUnit || 0) * multiplier;
+      if (altRate && units * altRate < standardTotal) {
+        lines.push(line("units", "SaniPod Units", units, altRate));
+      } else {
+        lines.push(line("units", "SaniPod Units", units, standardRate));
+        lines.push(line("standaloneCharge", "Standalone Service", 1, Number(cfg.standaloneExtraWeeklyCharge || 0)));
+      }
+    } else {
+      lines.push(line("units", "SaniPod Units", units, standardRate));
+    }
+
+    const extraBags = readNumber(form.extraBags);
+    if (extraBags) {
+      const bagLine = line("extraBags", "Extra Bags", extraBags, Number(cfg.extraBagPrice || 0));
+      (readBoolean(form.extraBagsRecurring) ? lines : oneTimeLines).push(bagLine);
+    }
+
+    const installUnits = readNumber(form.installQuantity);
+    if (installUnits) {
+      oneTimeLines.push(line("installation", "Installation", installUnits, Number(cfg.installChargePerUnit || 0)));
+    }
+
+    return {
+      frequency,
+      lines,
+      oneTimeLines,
+      tripCharge: Number(cfg.tripChargePerVisit || 0),
+      contractRange: { min: cfg.minContractMonths, max: cfg.maxContractMonths },
+    };
+  },
+
+  saniscrub(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || "monthly";
+    const fixtures = readNumber(form.fixtures);
+    const fixtureRate = Number(cfg.fixtureRates?.[frequency] ?? cfg.fixtureRates?.monthly ?? 0);
+    const lines = [line("fixtures", "Restroom Fixtures", fixtures, fixtureRate)];
+
+    const nonBathroomSqFt = readNumber(form.nonBathroomSqFt);
+    const units = sqFtUnits(nonBathroomSqFt, Number(cfg.nonBathroomUnitSqFt || 0));
+    if (units) {
+      const areaTotal = firstAndAdditionalUnits(units, cfg.nonBathroomFirstUnitRate, cfg.nonBathroomAdditionalUnitRate);
+      lines.push({ key: "nonBathroomArea", label: "Non-Bathroom Area", qty: units, rate: round2(areaTotal / units), total: round2(areaTotal) });
+    }
+
+    if (frequency === "twicePerMonth" && readBoolean(form.hasSaniClean) && cfg.twoTimesPerMonthDiscountFlat) {
+      lines.push(line("twicePerMonthDiscount", "2x/Month with SaniClean Discount", 1, -Number(cfg.twoTimesPerMonthDiscountFlat)));
+    }
+
+    const installCondition = readString(form.installCondition) || "clean";
+    return {
+      frequency,
+      lines,
+      minimum: { label: "Visit Minimum", amount: Number(cfg.minimums?.[frequency] ?? cfg.minimums?.monthly ?? 0) },
+      tripCharge: Number(cfg.tripChargeBase || 0),
+      parkingCharge: readBoolean(form.needsParking) ? Number(cfg.parkingFee || 0) : 0,
+      installMultiplier: Number(cfg.installMultipliers?.[installCondition] || 1),
+    };
+  },
+
+  foamingDrain(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || cfg.defaultFrequency || "weekly";
+    const standardDrains = readNumber(form.standardDrains);
+    const greaseTraps = readNumber(form.greaseTraps);
+    const greenDrains = readNumber(form.greenDrains);
+    const lines = [];
+    const oneTimeLines = [];
+
+    const volume = cfg.volumePricing || {};
+    const qualifiesForVolume =
+      readBoolean(form.useVolumePricing) &&
+      standardDrains >= Number(volume.minimumDrains || Infinity) &&
+      volume[frequency]?.ratePerDrain !== undefined;
+
+    if (readBoolean(form.useAltPricing) && standardDrains) {
+      const altTotal = Number(cfg.altBaseCharge || 0) + standardDrains * Number(cfg.altExtraPerDrain || 0);
+      lines.push({ key: "standardDrains", label: "Standard Drains", qty: standardDrains, rate: round2(altTotal / standardDrains), total: round2(altTotal) });
+    } else if (qualifiesForVolume) {
+      lines.push(line("standardDrains", "Standard Drains (Volume)", standardDrains, Number(volume[frequency].ratePerDrain)));
+    } else {
+      lines.push(line("standardDrains", "Standard Drains", standardDrains, Number(cfg.standardDrainRate || 0)));
+    }
+
+    if (greaseTraps) {
+      lines.push(line("greaseTraps", "Grease Traps", greaseTraps, Number(cfg.grease?.weeklyRatePerTrap || 0)));
+    }
+    if (greenDrains) {
+      lines.push(line("greenDrains", "Green Drains", greenDrains, Number(cfg.green?.weeklyRatePerDrain || 0)));
+    }
+    if (readBoolean(form.addPlumbing)) {
+      const plumbingDrains = readNumber(form.plumbingDrains) || standardDrains;
+      lines.push(line("plumbing", "Plumbing Add-on", plumbingDrains, Number(cfg.plumbing?.weeklyAddonPerDrain || 0)));
+    }
+
+    if (!readBoolean(form.waiveInstall)) {
+      if (greaseTraps) oneTimeLines.push(line("greaseInstall", "Grease Trap Install", greaseTraps, Number(cfg.grease?.installPerTrap || 0)));
+      if (greenDrains) oneTimeLines.push(line("greenInstall", "Green Drain Install", greenDrains, Number(cfg.green?.installPerDrain || 0)));
+    }
+
+    const location = normalizeLocation(form.location);
+    const installCondition = readString(form.installCondition) || "clean";
+    return {
+      frequency,
+      lines,
+      oneTimeLines,
+      tripCharge: Number((location === "insideBeltway" ? cfg.tripCharges?.beltway : cfg.tripCharges?.standard) || 0),
+      installMultiplier: installCondition === "filthy" ? Number(cfg.installationRules?.filthyMultiplier || 1) : 1,
+      contractRange: { min: cfg.contract?.minMonths, max: cfg.contract?.maxMonths },
+      defaultContractMonths: cfg.contract?.defaultMonths,
+    };
+  },
+
+  greaseTrap(form, cfg) {
+    const traps = readNumber(form.traps);
+    const gallons = readNumber(form.gallons);
+    const lines = [line("traps", "Grease Traps", traps, Number(cfg.perTrapRate || 0))];
+    if (gallons) lines.push(line("gallons", "Gallons Pumped", gallons, Number(cfg.perGallonRate || 0)));
+    return {
+      frequency: normalizeFrequency(form.frequency) || "monthly",
+      lines,
+    };
+  },
+
+  microfiberMopping(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || cfg.defaultFrequency || "weekly";
+    const lines = [];
+    const huge = cfg.hugeBathroomPricing || {};
+    const hugeSqFt = readNumber(form.hugeBathroomSqFt);
+
+    if (huge.enabled && hugeSqFt) {
+      lines.push(line("hugeBathrooms", "Huge Bathroom Area", sqFtUnits(hugeSqFt, Number(huge.sqFtUnit || 0)), Number(huge.ratePerSqFt || 0)));
+    } else {
+      lines.push(line("bathrooms", "Bathrooms", readNumber(form.bathrooms), Number(cfg.includedBathroomRate || 0)));
+    }
+
+    const standalone = readBoolean(form.standalone);
+    const extraAreaSqFt = readNumber(form.extraAreaSqFt);
+    let minimum;
+
+    if (standalone) {
+      const pricing = cfg.standalonePricing || {};
+      const sqFt = readNumber(form.standaloneSqFt) || extraAreaSqFt;
+      lines.push(line("standaloneArea", "Standalone Area", sqFtUnits(sqFt, Number(pricing.standaloneSqFtUnit || 0)), Number(pricing.standaloneRatePerUnit || 0)));
+      minimum = { label: "Standalone Minimum", amount: Number(pricing.standaloneMinimum || 0) };
+    } else if (extraAreaSqFt) {
+      const pricing = cfg.extraAreaPricing || {};
+      const units = sqFtUnits(extraAreaSqFt, Number(pricing.extraAreaSqFtUnit || 0));
+      let total = units * Number(pricing.extraAreaRatePerUnit || 0);
+      if (pricing.useHigherRate) total = Math.max(total, Number(pricing.singleLargeAreaRate || 0));
+      lines.push({ key: "extraArea", label: "Extra Area", qty: units, rate: units ? round2(total / units) : 0, total: round2(total) });
+    }
+
+    return { frequency, lines, minimum };
+  },
+
+  rpmWindows(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || "monthly";
+    const multiplier = Number(cfg.frequencyMultipliers?.[frequency] || 1);
+    const lines = [
+      line("smallWindows", "Small Windows", readNumber(form.smallWindows), Number(cfg.smallWindowRate || 0) * multiplier),
+      line("mediumWindows", "Medium Windows", readNumber(form.mediumWindows), Number(cfg.mediumWindowRate || 0) * multiplier),
+      line("largeWindows", "Large Windows", readNumber(form.largeWindows), Number(cfg.largeWindowRate || 0) * multiplier),
+    ].filter((l) => l.qty);
+
+    const installCondition = readString(form.installCondition) || "firstTime";
+    return {
+      frequency,
+      lines,
+      tripCharge: Number(cfg.tripCharge || 0),
+      installMultiplier: Number(
+        (installCondition === "firstTime" ? cfg.installMultiplierFirstTime : cfg.installMultiplierClean) || 1,
+      ),
+    };
+  },
+
+  carpetCleaning(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || "monthly";
+    const squareFeet = readNumber(form.squareFeet);
+    const units = sqFtUnits(squareFeet, Number(cfg.unitSqFt || 0));
+    const total = firstAndAdditionalUnits(units, cfg.firstUnitRate, cfg.additionalUnitRate);
+    const installCondition = readString(form.installCondition) || "clean";
+
+    return {
+      frequency,
+      lines: units ? [{ key: "carpetArea", label: "Carpet Area", qty: units, rate: round2(total / units), total: round2(total) }] : [],
+      minimum: { label: "Visit Minimum", amount: Number(cfg.perVisitMinimum || 0) },
+      installMultiplier: Number(cfg.installMultipliers?.[installCondition] || 1),
+    };
+  },
+
+  pureJanitorial(form, cfg) {
+    const frequency = normalizeFrequency(form.frequency) || cfg.defaultFrequency || "weekly";
+    const hours = readNumber(form.hours);
+    const standalone = readBoolean(form.standalone);
+    const lines = [];
+
+    if (hours >= Number(cfg.minHoursPerVisit || 0)) {
+      lines.push(line("hours", "Janitorial Hours", hours, Number(cfg.baseHourlyRate || 0)));
+    } else if (hours > 0) {
+      const tiers = [...(cfg.tieredPricing || [])].sort((a, b) => a.upToHours - b.upToHours);
+      const tier = tiers.find((t) => hours <= t.upToHours && (!standalone || !t.addonOnly || t.standalonePrice !== undefined));
+      if (tier) {
+        const price = standalone && tier.standalonePrice !== undefined ? tier.standalonePrice : tier.price;
+        lines.push({ key: "hours", label: `Janitorial (up to ${tier.upToHours} hr)`, qty: hours, rate: round2(price / hours), total: round2(price) });
+      } else {
+        lines.push(line("hours", "Janitorial Hours", hours, Number(cfg.shortJobHourlyRate || cfg.baseHourlyRate || 0)));
+      }
+    }
+
+    const installCondition = readString(form.installCondition);
+    return {
+      frequency,
+      lines,
+      installMultiplier: installCondition === "dirty" ? Number(cfg.dirtyInitialMultiplier || 1) : 1,
+      contractRange: { min: cfg.minContractMonths, max: cfg.maxContractMonths },
+    };
+  },
+
+  stripWax(form, cfg) {
+    const variantKey = readString(form.variant) || cfg.defaultVariant || "standardFull";
+    const variant = cfg.variants?.[variantKey] || {};
+    const squareFeet = readNumber(form.squareFeet);
+
+    return {
+      frequency: normalizeFrequency(form.frequency) || cfg.defaultFrequency || "weekly",
+      lines: [line("squareFeet", variant.label || "Strip & Wax", squareFeet, Number(variant.ratePerSqFt || 0))],
+      minimum: { label: "Minimum Charge", amount: Number(variant.minCharge || 0) },
+      contractRange: { min: cfg.minContractMonths, max: cfg.maxContractMonths },
+    };
+  },
+
+  refreshPowerScrub(form, cfg) {
+    const areaKeys = ["dumpster", "patio", "walkway", "foh", "boh", "other"];
+    const enabledAreas = areaKeys.filter((key) => form[key] && typeof form[key] === "object" && readBoolean(form[key].enabled));
+    const sqft = cfg.sqftPricing || {};
+    const hourlyRate = Number(cfg.defaultHourly || 0);
+    const lines = [];
+
+    const priceArea = (areaKey, area) => {
+      const pricingType = readString(area.pricingType) || "preset";
+      switch (pricingType) {
+        case "perHour":
+          return readNumber(area.hours) * readNumber(area.hourlyRate, hourlyRate);
+        case "perWorker":
+          return readNumber(area.workers) * readNumber(area.hourlyRate, hourlyRate);
+        case "squareFeet":
+          return (
+            readNumber(area.sqFtFixedFee, Number(sqft.fixedFee || 0)) +
+            readNumber(area.insideSqFt) * readNumber(area.insideRate, Number(sqft.insideRate || 0)) +
+            readNumber(area.outsideSqFt) * readNumber(area.outsideRate, Number(sqft.outsideRate || 0))
+          );
+        case "custom":
+          return readNumber(area.customAmount);
+        default:
+          if (areaKey === "boh") {
+            const smallMedium = readNumber(area.smallMediumQuantity) * readNumber(area.smallMediumRate, Number(cfg.kitchenPricing?.smallMedium || 0));
+            const large = readNumber(area.largeQuantity) * readNumber(area.largeRate, Number(cfg.kitchenPricing?.large || 0));
+            if (smallMedium || large) return smallMedium + large;
+            return Number(cfg.kitchenPricing?.[readString(area.kitchenSize) || "smallMedium"] || 0);
+          }
+          if (areaKey === "foh") return Number(cfg.fohRate || 0);
+          if (areaKey === "patio") {
+            const base = Number(cfg.patioPricing?.[readString(area.patioMode) || "standalone"] || 0);
+            return base + (readBoolean(area.includePatioAddon) ? Number(cfg.patioPricing?.upsell || 0) : 0);
+          }
+          return Number(cfg.defaultMinimum || 0);
+      }
+    };
+
+    if (enabledAreas.length > 0) {
+      for (const areaKey of enabledAreas) {
+        lines.push(line(areaKey, areaKey.toUpperCase(), 1, priceArea(areaKey, form[areaKey])));
+      }
+    } else if (readString(form.pricingMethod) === "sqft") {
+      lines.push(line("fixedFee", "Fixed Fee", 1, Number(sqft.fixedFee || 0)));
+      lines.push(line("insideSqFt", "Inside Sq Ft", readNumber(form.squareFeetInside), Number(sqft.insideRate || 0)));
+      lines.push(line("outsideSqFt", "Outside Sq Ft", readNumber(form.squareFeetOutside), Number(sqft.outsideRate || 0)));
+    } else {
+      lines.push(line("hours", "Hours", readNumber(form.hours), readNumber(form.hourlyRate, hourlyRate)));
+    }
+
+    return {
+      frequency: normalizeFrequency(form.frequency) || "monthly",
+      lines,
+      minimum: { label: "Visit Minimum", amount: readNumber(form.minimumVisit, Number(cfg.defaultMinimum || 0)) },
+      tripCharge: enabledAreas.length > 0 ? 0 : Number(cfg.defaultTrip || 0),
+    };
+  },
+};
+
+export function hasCalculator(serviceId) {
+  return Boolean(SERVICE_CALCULATORS[resolveServiceId(serviceId)]);
+}
+
+export function listPricedServices() {
+  return Object.keys(SERVICE_CALCULATORS);
+}
+
+export function priceService(serviceId, formState = {}, configDoc) {
+  const resolvedId = resolveServiceId(serviceId);
+  const calculator = SERVICE_CALCULATORS[resolvedId];
+  if (!calculator) {
+    const err = new Error(`No pricing calculator for serviceId=${resolvedId}`);
+    err.status = 400;
+    throw err;
+  }
+  if (!configDoc?.config) {
+    const err = new Error(`No config available for serviceId=${resolvedId}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const cfg = configDoc.config;
+  const result = calculator(formState, cfg);
+  const warnings = [];
+
+  const lines = (result.lines || []).filter((l) => l.qty || l.total);
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.total, 0));
+
+  const adjustments = [];
+  let minimumApplied = false;
+  if (subtotal > 0 && result.minimum?.amount > subtotal) {
+    minimumApplied = true;
+    adjustments.push({ key: "minimum", label: result.minimum.label, amount: round2(result.minimum.amount - subtotal) });
+  }
+
+  const hasWork = subtotal > 0;
+  const tripCharge = hasWork ? round2(result.tripCharge || 0) : 0;
+  const parkingCharge = hasWork ? round2(result.parkingCharge || 0) : 0;
+  if (tripCharge) adjustments.push({ key: "tripCharge", label: "Trip Charge", amount: tripCharge });
+  if (parkingCharge) adjustments.push({ key: "parkingCharge", label: "Parking Charge", amount: parkingCharge });
+
+  const perVisit = round2(subtotal + adjustments.reduce((sum, a) => sum + a.amount, 0));
+
+  const oneTimeLines = [...(result.oneTimeLines || [])].filter((l) => l.qty || l.total);
+  const installMultiplier = Number(result.installMultiplier || 1);
+  if (installMultiplier > 1 && perVisit > 0) {
+    oneTimeLines.push({
+      key: "installation",
+      label: `Initial Visit (${installMultiplier}x)`,
+      qty: 1,
+      rate: round2(perVisit * (installMultiplier - 1)),
+      total: round2(perVisit * (installMultiplier - 1)),
+    });
+  }
+  const oneTimeTotal = round2(oneTimeLines.reduce((sum, l) => sum + l.total, 0));
+
+  const frequency = result.frequency;
+  const contractMonths =
+    readNumber(formState.contractMonths) ||
+    readNumber(formState.contract) ||
+    readNumber(formState.totals?.contract?.months) ||
+    Number(result.defaultContractMonths) ||
+    DEFAULT_CONTRACT_MONTHS;
+
+  const range = result.contractRange || {};
+  if ((range.min && contractMonths < range.min) || (range.max && contractMonths > range.max)) {
+    warnings.push(`contractMonths ${contractMonths} is outside the allowed range ${range.min ?? "?"}-${range.max ?? "?"}`);
+  }
+
+  const monthlyVisits = monthlyVisitsFor(frequency, cfg);
+  const isOneTime = frequency === "oneTime";
+  const monthly = isOneTime ? 0 : round2(perVisit * monthlyVisits);
+  const firstMonth = isOneTime ? 0 : round2(monthly + oneTimeTotal);
+  const contract = isOneTime
+    ? round2(perVisit + oneTimeTotal)
+    : round2(monthly * contractMonths + oneTimeTotal);
+
+  return {
+    serviceId: resolvedId,
+    configId: configDoc._id || null,
+    configVersion: configDoc.version || null,
+    frequency,
+    contractMonths,
+    rateTier: readString(formState.rateTier) || null,
+    lines,
+    subtotal,
+    minimumApplied,
+    minimum: result.minimum || null,
+    adjustments,
+    tripCharge,
+    parkingCharge,
+    perVisit,
+    oneTimeLines,
+    oneTimeTotal,
+    monthlyVisits,
+    monthly,
+    firstMonth,
+    contract,
+    details: result.details || {},
+    warnings,
+  };
+}
+
+export function extractFormState(serviceData, configDoc) {
+  const data = serviceData?.formData || serviceData || {};
+  const form = { ...(configDoc?.defaultFormState || {}) };
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    form[key] = value;
+  }
+  return form;
+}
+
+function pickAmount(field) {
+  if (field === undefined || field === null) return undefined;
+  if (typeof field === "object") return readOptionalNumber(field.amount);
+  return readOptionalNumber(field);
+}
+
+function readSubmittedServiceTotals(serviceData) {
+  const data = serviceData?.formData || serviceData || {};
+  const totals = data.totals || {};
+  return {
+    perVisit: pickAmount(totals.perVisit),
+    monthly: firstDefined(pickAmount(totals.monthlyRecurring), pickAmount(totals.monthly)),
+    contract: firstDefined(pickAmount(totals.contract), readOptionalNumber(data.contractTotal)),
+  };
+}
+
+export function withinTolerance(submitted, computed) {
+  const allowed = Math.max(
+    PRICING_TOLERANCE_ABS,
+    Math.abs(computed) * (PRICING_TOLERANCE_PCT / 100),
+  );
+  return Math.abs(submitted - computed) <= allowed;
+}
+
+function compareField(mismatches, scope, key, field, submitted, computed) {
+  if (submitted === undefined || computed === undefined) return;
+  if (withinTolerance(submitted, computed)) return;
+  mismatches.push({
+    scope,
+    key,
+    field,
+    submitted: round2(submitted),
+    computed: round2(computed),
+    difference: round2(submitted - computed),
+  });
+}
+
+function indexCatalog(catalog) {
+  const index = new Map();
+  for (const family of catalog?.families || []) {
+    for (const product of family.products || []) {
+      index.set(product.key, {
+        familyKey: family.key,
+        name: product.name,
+        price: readOptionalNumber(product.basePrice?.amount),
+        warranty: readOptionalNumber(product.warrantyPricePerUnit?.amount),
+      });
+    }
+  }
+  return index;
+}
+
+function productMonthlyFactor(frequency, fallback) {
+  return monthlyVisitsFor(normalizeFrequency(frequency) || fallback);
+}
+
+export function priceProducts(products = {}, catalog = null, contractMonths = DEFAULT_CONTRACT_MONTHS) {
+  const index = indexCatalog(catalog);
+  const rows = [
+    ...(products.products || []).map((row) => ({ row, group: "products" })),
+    ...(products.smallProducts || []).map((row) => ({ row, group: "smallProducts" })),
+    ...(products.bigProducts || []).map((row) => ({ row, group: "bigProducts" })),
+    ...(products.dispensers || []).map((row) => ({ row, group: "dispensers" })),
+  ];
+
+  const lines = [];
+  const mismatches = [];
+  const overrides = [];
+  let monthlyTotal = 0;
+
+  rows.forEach(({ row, group }, position) => {
+    if (!row) return;
+    const qty = readNumber(row.qty);
+    const isDispenser = group === "dispensers" || row._productType === "dispenser";
+    const entry = row.productKey ? index.get(row.productKey) : undefined;
+    const key = `${group}[${position}]:${row.productKey || row.customName || row.displayName || "custom"}`;
+
+    const catalogRate = isDispenser ? entry?.warranty : entry?.price;
+    const baseRate = isDispenser
+      ? readOptionalNumber(row.warrantyRate)
+      : firstDefined(readOptionalNumber(row.unitPrice), readOptionalNumber(row.amount));
+    const overrideRate = isDispenser
+      ? readOptionalNumber(row.warrantyPriceOverride)
+      : firstDefined(readOptionalNumber(row.unitPriceOverride), readOptionalNumber(row.amountOverride));
+
+    const effectiveRate = firstDefined(overrideRate, baseRate, catalogRate) ?? 0;
+    const total = round2(qty * effectiveRate);
+
+    if (!row.isCustom && entry) {
+      compareField(mismatches, "product", key, "rate", baseRate, catalogRate);
+      if (overrideRate !== undefined && catalogRate !== undefined && !withinTolerance(overrideRate, catalogRate)) {
+        overrides.push({
+          key,
+          productKey: row.productKey,
+          productName: entry.name || row.displayName || row.productKey,
+          productType: isDispenser ? "dispenser" : "product",
+          qty,
+          frequency: normalizeFrequency(row.frequency) || "",
+          catalogRate,
+          overrideRate,
+        });
+      }
+    }
+
+    const totalOverride = readOptionalNumber(row.totalOverride);
+    if (totalOverride === undefined) {
+      compareField(mismatches, "product", key, "total", firstDefined(readOptionalNumber(row.total), readOptionalNumber(row.extPrice)), total);
+    }
+
+    const lineTotal = totalOverride ?? total;
+    const monthly = round2(lineTotal * productMonthlyFactor(row.frequency, isDispenser ? "weekly" : "monthly"));
+    monthlyTotal += monthly;
+
+    lines.push({
+      key,
+      productKey: row.productKey || null,
+      familyKey: entry?.familyKey || null,
+      qty,
+      catalogRate: catalogRate ?? null,
+      rate: round2(effectiveRate),
+      total: lineTotal,
+      frequency: normalizeFrequency(row.frequency) || null,
+      monthly,
+      inCatalog: Boolean(entry),
+    });
+  });
+
+  monthlyTotal = round2(monthlyTotal);
+  return {
+    catalogVersion: catalog?.version || null,
+    lines,
+    overrides,
+    mismatches,
+    monthlyTotal,
+    contractTotal: round2(monthlyTotal * contractMonths),
+  };
+}
+
+export async function findServiceConfig(serviceId, { version } = {}) {
+  const resolvedId = resolveServiceId(serviceId);
+  if (!version) {
+    return getActiveServiceConfigs(resolvedId);
+  }
+
+  const pinned = await ServiceConfig.findOne({ serviceId: resolvedId, version })
+    .sort({ updatedAt: -1 })
+    .lean();
+  if (!pinned) {
+    const err = new Error(`No config found for serviceId=${resolvedId} version=${version}`);
+    err.status = 404;
+    throw err;
+  }
+  return pinned;
+}
+
+export async function loadPricingContext({ versions = {}, catalogVersion = null, asOf = null } = {}) {
+  const [activeConfigs, activeCatalog, pinnedCatalog] = await Promise.all([
+    getActiveServiceConfigs(null, { asOf }),
+    getActiveCatalog(),
+    catalogVersion ? getCatalogByVersion(catalogVersion) : null,
+  ]);
+  const catalog = pinnedCatalog || activeCatalog;
+
+  const serviceConfigs = {};
+  for (const configDoc of activeConfigs || []) {
+    if (!serviceConfigs[configDoc.serviceId]) {
+      serviceConfigs[configDoc.serviceId] = configDoc;
+    }
+  }
+
+  for (const [serviceId, version] of Object.entries(versions || {})) {
+    if (!version) continue;
+    const resolvedId = resolveServiceId(serviceId);
+    try {
+      serviceConfigs[resolvedId] = await findServiceConfig(resolvedId, { version });
+    } catch (error) {
+      // A pinned version that has since been deleted falls back to the config in effect at asOf.
+      if (error.status !== 404 || !asOf) throw error;
+    }
+  }
+
+  return { serviceConfigs, catalog, loadedAt: new Date() };
+}
+
+/**
+ * Options that re-price an already stored agreement against the configs it was
+ * originally verified with, rather than whatever is active today.
+ */
+export function pricingOptionsFor(agreement = {}) {
+  const stored = agreement.pricingVerification || {};
+  return {
+    versions: stored.configVersions || {},
+    catalogVersion: stored.catalogVersion || null,
+    asOf: stored.checkedAt || agreement.updatedAt || agreement.createdAt || null,
+  };
+}
+
+export function repriceAgreementPayload(payload = {}, context = {}) {
+  const serviceConfigs = context.serviceConfigs || {};
+  const services = {};
+  const mismatches = [];
+  const unverified = [];
+  const configVersions = {};
+  let servicesContractTotal = 0;
+  let verifiedCount = 0;
+
+  for (const [serviceKey, serviceData] of Object.entries(payload.services || {})) {
+    if (serviceKey === "customServices" || !serviceData || typeof serviceData !== "object") continue;
+    const data = serviceData.formData || serviceData;
+    if (data.isActive === false) continue;
+
+    const submitted = readSubmittedServiceTotals(serviceData);
+    const serviceId = resolveServiceId(serviceKey);
+    const configDoc = serviceConfigs[serviceId];
+
+    if (!configDoc || !SERVICE_CALCULATORS[serviceId]) {
+      unverified.push({ scope: "service", key: serviceKey, reason: configDoc ? "no_calculator" : "no_active_config" });
+      servicesContractTotal += submitted.contract || 0;
+      continue;
+    }
+
+    const quote = priceService(serviceId, extractFormState(serviceData, configDoc), configDoc);
+    configVersions[serviceId] = quote.configVersion;
+    verifiedCount += 1;
+
+    compareField(mismatches, "service", serviceKey, "perVisit", submitted.perVisit, quote.perVisit);
+    compareField(mismatches, "service", serviceKey, "monthly", submitted.monthly, quote.monthly);
+    compareField(mismatches, "service", serviceKey, "contract", submitted.contract, quote.contract);
+
+    services[serviceKey] = { quote, submitted };
+    servicesContractTotal += quote.contract;
+  }
+
+  for (const customService of payload.services?.customServices || []) {
+    if (!customService) continue;
+    unverified.push({ scope: "service", key: customService.name || customService.id || "customService", reason: "custom_service" });
+    servicesContractTotal += readNumber(customService.totals?.contract?.amount ?? customService.contractTotal);
+  }
+
+  const summary = payload.summary || {};
+  const contractMonths = readNumber(summary.contractMonths) || DEFAULT_CONTRACT_MONTHS;
+  const products = priceProducts(payload.products || {}, context.catalog, contractMonths);
+  mismatches.push(...products.mismatches);
+  if (products.lines.length > 0) verifiedCount += 1;
+
+  const computedSummary = {
+    contractMonths,
+    serviceAgreementTotal: round2(servicesContractTotal),
+    productMonthlyTotal: products.monthlyTotal,
+    productContractTotal: products.contractTotal,
+  };
+
+  compareField(mismatches, "summary", "summary", "serviceAgreementTotal", readOptionalNumber(summary.serviceAgreementTotal), computedSummary.serviceAgreementTotal);
+  compareField(mismatches, "summary", "summary", "productMonthlyTotal", readOptionalNumber(summary.productMonthlyTotal), computedSummary.productMonthlyTotal);
+  compareField(mismatches, "summary", "summary", "productContractTotal", readOptionalNumber(summary.productContractTotal), computedSummary.productContractTotal);
+
+  let status = "verified";
+  if (mismatches.length > 0) status = "mismatch";
+  else if (verifiedCount === 0) status = "unverifiable";
+
+  return {
+    status,
+    checkedAt: new Date(),
+    configVersions,
+    catalogVersion: products.catalogVersion,
+    services,
+    products,
+    summary: { submitted: summary, computed: computedSummary },
+    mismatches,
+    unverified,
+  };
+}
+
+export async function verifyAgreementPricing(payload, options = {}) {
+  const context = options.context || await loadPricingContext(options);
+  return repriceAgreementPayload(payload, context);
+}
+
+export function toVerificationRecord(result, mode = PRICING_VERIFICATION_MODE) {
+  if (!result) return null;
+  return {
+    status: result.status,
+    mode,
+    checkedAt: result.checkedAt || new Date(),
+    mismatchCount: result.mismatches?.length || 0,
+    mismatches: result.mismatches || [],
+    unverified: result.unverified || [],
+    configVersions: result.configVersions || {},
+    catalogVersion: result.catalogVersion || null,
+    computedSummary: result.summary?.computed || null,
+    priceOverrides: result.products?.overrides || [],
+    error: result.error || null,
+  };
+}
+
+export async function checkAgreementPricing(payload, options = {}) {
+  const mode = options.mode || PRICING_VERIFICATION_MODE;
+  if (mode === "off") return null;
+
+  try {
+    const result = await verifyAgreementPricing(payload, options);
+    return {
+      result,
+      record: toVerificationRecord(result, mode),
+      rejected: mode === "reject" && result.status === "mismatch",
+    };
+  } catch (error) {
+    console.error("[PRICING ENGINE] Verification failed:", error.message);
+    return {
+      result: null,
+      record: toVerificationRecord({ status: "error", error: error.message }, mode),
+      rejected: false,
+    };
+  }
+}
@@ -6,6 +6,12 @@ export async function getActiveCatalog() {
     .lean();
 }
 
+export async function getCatalogByVersion(version) {
+  return ProductCatalog.findOne({ version })
+    .sort({ updatedAt: -1 })
+    .lean();
+}
+
 export async function getCatalogById(id) {
   return ProductCatalog.findById(id);
 }
@@ -24,17 +30,12 @@ export async function createCatalog(data) {
   return doc.save();
 }
 
-export async function replaceCatalog(id, data) {
-  const existing = await ProductCatalog.findById(id);
-  if (!existing) return null;
-
-  if (data.isActive) {
-    await ProductCatalog.updateMany(
-      { _id: { $ne: id }, isActive: true },
-      { $set: { isActive: false } }
-    );
-  }
-
+/**
+ * Field assignments for a full replace / partial merge, applied to a
+ * ProductCatalog document without saving it (pricing drafts use these to
+ * preview an edit).
+ */
+export function applyCatalogReplace(existing, data) {
   existing.version = data.version;
   existing.lastUpdated = data.lastUpdated || existing.lastUpdated;
   existing.currency = data.currency || existing.currency;
@@ -42,28 +43,14 @@ export async function replaceCatalog(id, data) {
 
   if (typeof data.isActive === "boolean") existing.isActive = data.isActive;
   if (typeof data.note === "string") existing.note = data.note;
-
-  return existing.save();
+  return existing;
 }
 
-export async function mergePartialCatalog(id, partial) {
-  const existing = await ProductCatalog.findById(id);
-  if (!existing) return null;
-
+export function applyCatalogPartial(existing, partial) {
   if (partial.version) existing.version = partial.version;
   if (partial.lastUpdated) existing.lastUpdated = partial.lastUpdated;
   if (partial.currency) existing.currency = partial.currency;
-
-  if (typeof partial.isActive === "boolean") {
-    existing.isActive = partial.isActive;
-    if (partial.isActive) {
-      await ProductCatalog.updateMany(
-        { _id: { $ne: id }, isActive: true },
-        { $set: { isActive: false } }
-      );
-    }
-  }
-
+  if (typeof partial.isActive === "boolean") existing.isActive = partial.isActive;
   if (typeof partial.note === "string") existing.note = partial.note;
 
   if (Array.isArray(partial.families)) {
@@ -105,7 +92,36 @@ export async function mergePartialCatalog(id, partial) {
       }
     });
   }
+  return existing;
+}
+
+export async function replaceCatalog(id, data) {
+  const existing = await ProductCatalog.findById(id);
+  if (!existing) return null;
+
+  if (data.isActive) {
+    await ProductCatalog.updateMany(
+      { _id: { $ne: id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+  }
+
+  applyCatalogReplace(existing, data);
+  return existing.save();
+}
+
+export async function mergePartialCatalog(id, partial) {
+  const existing = await ProductCatalog.findById(id);
+  if (!existing) return null;
+
+  if (partial.isActive === true) {
+    await ProductCatalog.updateMany(
+      { _id: { $ne: id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+  }
 
+  applyCatalogPartial(existing, partial);
   return existing.save();
 }
 
@@ -0,0 +1,492 @@
+import mongoose from "mongoose";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import Employee from "../models/Employee.js";
+import ZohoMapping from "../models/ZohoMapping.js";
+import AdminSettings from "../models/AdminSettings.js";
+import { escapeHtml, sendEmail } from "./emailService.js";
+import { enqueueZohoOperations } from "./zohoOutboxService.js";
+import { createAgreementVersion } from "./versionService.js";
+import { applyInitialStatus, afterTransition } from "./approvalWorkflowService.js";
+import { agreementScopeFilter } from "./accessControlService.js";
+import {
+  RENEWAL_DEFAULT_TERM_MONTHS,
+  RENEWAL_NOTICE_DAYS,
+  RENEWAL_AUTO_RENEW,
+  RENEWAL_TRACKED_STATUSES,
+  RENEWAL_ALERT_LEAD_DAYS,
+  RENEWAL_JOB_ENABLED,
+  RENEWAL_JOB_HOUR,
+  RENEWAL_ALERT_FALLBACK_EMAIL,
+} from "../config/renewalConfig.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_CHECK_MS = 15 * 60 * 1000;
+const MAX_RENEWAL_ROLLOVERS = 100;
+
+const RENEWAL_PROJECTION = "_id status createdBy payload.headerTitle payload.agreement payload.summary.contractMonths renewal";
+
+let jobTimer = null;
+let jobRunning = false;
+let lastJobDay = null;
+let lastJobRun = null;
+
+function renewalError(status, detail) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  return err;
+}
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Parses the free-text start date stored on agreements ("2025-03-01",
+ * "03/01/2025", ...) as a UTC calendar day. Returns null when unusable.
+ */
+export function parseAgreementDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : startOfUtcDay(value);
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return new Date(Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2])));
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : startOfUtcDay(parsed);
+}
+
+// Adds calendar months, clamping to the last day of shorter months (Jan 31 + 1 → Feb 28/29).
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+function toDateOnly(date) {
+  return date ? date.toISOString().split("T")[0] : null;
+}
+
+/**
+ * Term dates for an agreement: the end of the current term (rolled forward
+ * by whole terms while auto-renewal is on) and the last day to give notice.
+ * Returns null when the agreement has no usable start date.
+ */
+export function computeRenewalDates(agreement, { asOf = new Date() } = {}) {
+  const termStart = parseAgreementDate(agreement.payload?.agreement?.startDate);
+  if (!termStart) return null;
+
+  const contractMonths = Number(agreement.payload?.summary?.contractMonths);
+  const termMonths = Number.isFinite(contractMonths) && contractMonths > 0
+    ? Math.round(contractMonths)
+    : RENEWAL_DEFAULT_TERM_MONTHS;
+
+  const today = startOfUtcDay(asOf);
+  let currentStart = termStart;
+  let termEnd = addMonths(termStart, termMonths);
+  let renewalsElapsed = 0;
+
+  while (RENEWAL_AUTO_RENEW && termEnd < today && renewalsElapsed < MAX_RENEWAL_ROLLOVERS) {
+    currentStart = termEnd;
+    termEnd = addMonths(termStart, termMonths * (renewalsElapsed + 2));
+    renewalsElapsed += 1;
+  }
+
+  const noticeDeadline = new Date(termEnd.getTime() - RENEWAL_NOTICE_DAYS * DAY_MS);
+
+  return {
+    termStart,
+    currentTermStart: currentStart,
+    termMonths,
+    termEnd,
+    noticeDeadline,
+    renewalsElapsed,
+    autoRenew: RENEWAL_AUTO_RENEW,
+    noticeDays: RENEWAL_NOTICE_DAYS,
+    daysUntilEnd: Math.round((termEnd - today) / DAY_MS),
+    daysUntilNotice: Math.round((noticeDeadline - today) / DAY_MS),
+  };
+}
+
+function describeRenewal(agreement, dates) {
+  return {
+    agreementId: agreement._id,
+    title: agreement.payload?.headerTitle || "",
+    status: agreement.status,
+    createdBy: agreement.createdBy || null,
+    startDate: toDateOnly(dates.termStart),
+    currentTermStart: toDateOnly(dates.currentTermStart),
+    termMonths: dates.termMonths,
+    termEnd: toDateOnly(dates.termEnd),
+    noticeDeadline: toDateOnly(dates.noticeDeadline),
+    daysUntilEnd: dates.daysUntilEnd,
+    daysUntilNotice: dates.daysUntilNotice,
+    renewalsElapsed: dates.renewalsElapsed,
+    autoRenew: dates.autoRenew,
+    alertedAt: agreement.renewal?.alertedAt || null,
+    renewalStartedAt: agreement.renewal?.startedAt || null,
+    renewalAgreementId: agreement.renewal?.renewalAgreementId || null,
+    renewalVersionId: agreement.renewal?.renewalVersionId || null,
+    renewedFromId: agreement.renewal?.renewedFromId || null,
+  };
+}
+
+function trackedAgreementFilter(extra = {}) {
+  return {
+    ...extra,
+    isDeleted: { $ne: true },
+    status: { $in: RENEWAL_TRACKED_STATUSES },
+    "payload.agreement.startDate": { $nin: [null, ""] },
+  };
+}
+
+/**
+ * Tracked agreements whose current term (or notice deadline, with
+ * by="notice") ends within the next `days` days, soonest first.
+ */
+export async function listExpiringAgreements({ days = 60, by = "termEnd", user = null } = {}) {
+  const agreements = await CustomerHeaderDoc.find(trackedAgreementFilter(agreementScopeFilter(user)))
+    .select(RENEWAL_PROJECTION)
+    .lean();
+
+  const key = by === "notice" ? "daysUntilNotice" : "daysUntilEnd";
+  let missingStartDate = 0;
+  const expiring = [];
+
+  for (const agreement of agreements) {
+    const dates = computeRenewalDates(agreement);
+    if (!dates) {
+      missingStartDate += 1;
+      continue;
+    }
+    if (dates[key] >= 0 && dates[key] <= days) {
+      expiring.push(describeRenewal(agreement, dates));
+    }
+  }
+
+  expiring.sort((a, b) => a[key] - b[key]);
+  return { days, by, agreements: expiring, total: expiring.length, missingStartDate };
+}
+
+export async function getAgreementRenewal(agreementId) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw renewalError(400, "Invalid agreement id");
+  }
+  const agreement = await CustomerHeaderDoc.findById(agreementId).select(RENEWAL_PROJECTION).lean();
+  if (!agreement) {
+    throw renewalError(404, "Agreement not found");
+  }
+  const dates = computeRenewalDates(agreement);
+  return {
+    tracked: RENEWAL_TRACKED_STATUSES.includes(agreement.status),
+    renewal: dates ? describeRenewal(agreement, dates) : null,
+  };
+}
+
+async function ownerEmail(username) {
+  if (username) {
+    const employee = await Employee.findOne({ username, isActive: { $ne: false } }).select("email").lean();
+    if (employee?.email) return employee.email;
+  }
+  return RENEWAL_ALERT_FALLBACK_EMAIL;
+}
+
+function alertEmailBody(info) {
+  return `
+    <p>The service agreement <strong>${escapeHtml(info.title || "Untitled agreement")}</strong> is coming up for renewal.</p>
+    <ul>
+      <li>Current term ends: <strong>${info.termEnd}</strong> (${info.daysUntilEnd} days)</li>
+      <li>Notice deadline: <strong>${info.noticeDeadline}</strong> (${info.daysUntilNotice} days)</li>
+      <li>Term: ${info.termMonths} months${info.autoRenew ? ", renews automatically" : ""}</li>
+    </ul>
+    <p>Reach out to the customer before the notice deadline and start the renewal from the agreement page.</p>
+  `;
+}
+
+async function queueRenewalTask(agreement, info) {
+  const mapping = await ZohoMapping.findOne({ agreementId: agreement._id }).select("zohoDeal.id").lean();
+  if (!mapping?.zohoDeal?.id) return null;
+
+  const settings = await AdminSettings.getSingleton();
+  const [operationId] = await enqueueZohoOperations([
+    {
+      kind: "task",
+      dealId: mapping.zohoDeal.id,
+      payload: {
+        subject: `Renewal due: ${info.title || "Agreement"} (notice by ${info.noticeDeadline})`,
+        dueDate: info.noticeDeadline,
+        status: "Not Started",
+        priority: "High",
+        description: `Current term ends ${info.termEnd}. Contact the customer before ${info.noticeDeadline} about renewal.`,
+        ownerId: settings.defaultApprovalTaskOwner?.id || null,
+        seModule: "Deals",
+        reminder: false,
+        repeat: false,
+      },
+    },
+  ], { agreementId: agreement._id, requestedBy: "renewal-job" });
+  return operationId;
+}
+
+async function alertAgreement(agreement, dates) {
+  // Claiming the term end first means only one worker alerts for it.
+  const claimed = await CustomerHeaderDoc.findOneAndUpdate(
+    { _id: agreement._id, "renewal.alertedTermEnd": { $ne: dates.termEnd } },
+    { $set: { "renewal.alertedTermEnd": dates.termEnd, "renewal.alertedAt": new Date(), "renewal.alertError": null } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+  if (!claimed) return { alerted: false };
+
+  const info = describeRenewal(agreement, dates);
+  const result = { alerted: true, agreementId: agreement._id, email: null, taskOperationId: null, errors: [] };
+
+  try {
+    const to = await ownerEmail(agreement.createdBy);
+    if (to) {
+      await sendEmail({
+        to,
+        subject: `Renewal notice deadline ${info.noticeDeadline}: ${info.title || "Service agreement"}`,
+        body: alertEmailBody(info),
+      });
+      result.email = to;
+    } else {
+      result.errors.push("No email address for the owning salesperson");
+    }
+  } catch (err) {
+    result.errors.push(`Email failed: ${err.message}`);
+  }
+
+  try {
+    result.taskOperationId = await queueRenewalTask(agreement, info);
+  } catch (err) {
+    result.errors.push(`Bigin task failed: ${err.message}`);
+  }
+
+  await CustomerHeaderDoc.updateOne(
+    { _id: agreement._id },
+    {
+      $set: {
+        "renewal.alertEmail": result.email,
+        "renewal.alertTaskOperationId": result.taskOperationId,
+        "renewal.alertError": result.errors.join("; ") || null,
+      },
+    }
+  );
+  return result;
+}
+
+/**
+ * Daily pass: stores the derived term dates on every tracked agreement and
+ * alerts (email to the owner + Bigin task) once per term when the notice
+ * deadline is within RENEWAL_ALERT_LEAD_DAYS.
+ */
+export async function runRenewalJob({ asOf = new Date() } = {}) {
+  if (jobRunning) {
+    return { skipped: true, reason: "already_running" };
+  }
+  jobRunning = true;
+  const startedAt = new Date();
+  const summary = { tracked: 0, missingStartDate: 0, alerted: 0, alertErrors: [] };
+
+  try {
+    const agreements = await CustomerHeaderDoc.find(trackedAgreementFilter())
+      .select(RENEWAL_PROJECTION)
+      .lean();
+
+    const updates = [];
+    for (const agreement of agreements) {
+      const dates = computeRenewalDates(agreement, { asOf });
+      if (!dates) {
+        summary.missingStartDate += 1;
+        continue;
+      }
+      summary.tracked += 1;
+      updates.push({
+        updateOne: {
+          filter: { _id: agreement._id },
+          update: {
+            $set: {
+              "renewal.termStart": dates.termStart,
+              "renewal.termMonths": dates.termMonths,
+              "renewal.termEnd": dates.termEnd,
+              "renewal.noticeDeadline": dates.noticeDeadline,
+              "renewal.renewalsElapsed": dates.renewalsElapsed,
+              "renewal.computedAt": new Date(),
+            },
+          },
+        },
+      });
+
+      const renewalInProgress = agreement.renewal?.startedForTermEnd
+        && new Date(agreement.renewal.startedForTermEnd).getTime() === dates.termEnd.getTime();
+      if (dates.daysUntilEnd < 0 || dates.daysUntilNotice > RENEWAL_ALERT_LEAD_DAYS || renewalInProgress) {
+        continue;
+      }
+
+      const alert = await alertAgreement(agreement, dates);
+      if (alert.alerted) {
+        summary.alerted += 1;
+        if (alert.errors.length > 0) {
+          summary.alertErrors.push({ agreementId: agreement._id, errors: alert.errors });
+        }
+      }
+    }
+
+    if (updates.length > 0) {
+      await CustomerHeaderDoc.bulkWrite(updates, { ordered: false });
+    }
+
+    console.log(`📅 [RENEWALS] ${summary.tracked} tracked agreement(s), ${summary.alerted} alert(s) sent, ${summary.missingStartDate} without a start date`);
+    return summary;
+  } finally {
+    jobRunning = false;
+    lastJobRun = { startedAt, finishedAt: new Date(), ...summary };
+  }
+}
+
+/**
+ * Starts the renewal of an agreement: creates a new draft agreement from it
+ * with the next term's start date (signatures cleared) and snapshots that as
+ * the draft's first version. The live agreement keeps its status, dates and
+ * signatures; it only records which draft renews it. Only one renewal can be
+ * started per term.
+ */
+export async function startAgreementRenewal(agreementId, user) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw renewalError(400, "Invalid agreement id");
+  }
+  const agreement = await CustomerHeaderDoc.findById(agreementId).select("-pdf_meta.pdfBuffer");
+  if (!agreement || agreement.isDeleted) {
+    throw renewalError(404, "Agreement not found");
+  }
+
+  const dates = computeRenewalDates(agreement);
+  if (!dates) {
+    throw renewalError(422, "Agreement has no usable start date (payload.agreement.startDate)");
+  }
+
+  // Claiming the term first means two requests can't both start a renewal.
+  const actor = user?.username || null;
+  const claimed = await CustomerHeaderDoc.findOneAndUpdate(
+    { _id: agreement._id, "renewal.startedForTermEnd": { $ne: dates.termEnd } },
+    { $set: { "renewal.startedForTermEnd": dates.termEnd, "renewal.startedAt": new Date(), "renewal.startedBy": actor } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+  if (!claimed) {
+    throw renewalError(409, `Renewal for the term ending ${toDateOnly(dates.termEnd)} was already started`);
+  }
+
+  const previousStart = agreement.payload.agreement?.startDate || null;
+  const nextStart = toDateOnly(dates.termEnd);
+
+  let draft = null;
+  try {
+    const payload = agreement.toObject().payload;
+    payload.agreement = { ...payload.agreement, startDate: nextStart, customerExecutedOn: "" };
+    if (payload.serviceAgreement) {
+      payload.serviceAgreement = {
+        ...payload.serviceAgreement,
+        customerSignature: "",
+        customerSignatureDate: "",
+        emSignature: "",
+        emSignatureDate: "",
+      };
+    }
+
+    // The draft stays with the salesperson who owns the live agreement.
+    draft = new CustomerHeaderDoc({
+      payload,
+      status: "draft",
+      createdBy: agreement.createdBy,
+      updatedBy: actor || agreement.createdBy,
+      renewal: { renewedFromId: agreement._id },
+    });
+    const transition = applyInitialStatus(
+      draft,
+      "agreement",
+      user,
+      `Renewal of ${agreement._id} for the term beginning ${nextStart}`
+    );
+    await draft.save();
+    await afterTransition("agreement", draft, transition);
+
+    const { version, versionNumber } = await createAgreementVersion(draft._id, {
+      changeNotes: `Renewal draft: term ${nextStart} (previous start ${previousStart || "unknown"})`,
+      createdBy: actor,
+      actor: user,
+    });
+
+    await CustomerHeaderDoc.updateOne(
+      { _id: agreement._id },
+      { $set: { "renewal.renewalAgreementId": draft._id, "renewal.renewalVersionId": version._id } }
+    );
+    console.log(`🔁 [RENEWALS] Renewal started for ${agreement._id} by ${actor || "system"} → draft ${draft._id} v${versionNumber}`);
+
+    return {
+      agreementId: agreement._id,
+      status: agreement.status,
+      renewalAgreementId: draft._id,
+      previousStartDate: previousStart,
+      startDate: nextStart,
+      version: { id: version._id, versionNumber },
+    };
+  } catch (err) {
+    if (draft && !draft.isNew) {
+      await CustomerHeaderDoc.deleteOne({ _id: draft._id }).catch(() => {});
+    }
+    await CustomerHeaderDoc.updateOne(
+      { _id: agreement._id, "renewal.startedForTermEnd": dates.termEnd },
+      { $set: { "renewal.startedForTermEnd": null, "renewal.startedAt": null, "renewal.startedBy": null } }
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+function jobTick() {
+  const now = new Date();
+  const today = now.toDateString();
+  if (lastJobDay === today || now.getHours() < RENEWAL_JOB_HOUR) return;
+  if (mongoose.connection.readyState !== 1) return;
+
+  lastJobDay = today;
+  runRenewalJob().catch((err) => console.error("❌ [RENEWALS] Daily job failed:", err.message));
+}
+
+export function startRenewalScheduler() {
+  if (!RENEWAL_JOB_ENABLED) {
+    console.log("⏸️ [RENEWALS] Daily renewal job disabled (RENEWAL_JOB=false)");
+    return;
+  }
+  if (jobTimer) return;
+  jobTimer = setInterval(jobTick, JOB_CHECK_MS);
+  jobTimer.unref?.();
+  console.log(`📅 [RENEWALS] Daily renewal job scheduled after ${RENEWAL_JOB_HOUR}:00`);
+  setImmediate(jobTick);
+}
+
+export function stopRenewalScheduler() {
+  if (jobTimer) {
+    clearInterval(jobTimer);
+    jobTimer = null;
+  }
+}
+
+export function getRenewalJobStatus() {
+  return {
+    enabled: RENEWAL_JOB_ENABLED,
+    scheduled: !!jobTimer,
+    running: jobRunning,
+    runAfterHour: RENEWAL_JOB_HOUR,
+    alertLeadDays: RENEWAL_ALERT_LEAD_DAYS,
+    trackedStatuses: RENEWAL_TRACKED_STATUSES,
+    lastRun: lastJobRun,
+  };
+}
@@ -0,0 +1,57 @@
+import os from "os";
+import crypto from "crypto";
+import SchedulerLease from "../models/SchedulerLease.js";
+
+// Unique per process, so PM2 workers on the same host hold separate leases.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+export function leaseOwnerId() {
+  return INSTANCE_ID;
+}
+
+/**
+ * Takes the named lease for `ttlMs` if it is free, expired or already ours.
+ * With `runKey`, a lease whose last completed run has that key is not taken,
+ * so a nightly job runs once per day across all workers. Returns the lease
+ * or null when another worker has it.
+ */
+export async function acquireLease(name, { ttlMs, runKey = null }) {
+  const now = new Date();
+  const filter = {
+    _id: name,
+    $or: [{ expiresAt: null }, { expiresAt: { $lte: now } }, { owner: INSTANCE_ID }],
+  };
+  if (runKey) {
+    filter.lastRunKey = { $ne: runKey };
+  }
+
+  try {
+    return await SchedulerLease.findOneAndUpdate(
+      filter,
+      { $set: { owner: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs), lastRunStartedAt: now } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // The upsert collides with the existing document when someone else holds it.
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+/** Releases the lease, recording the run; a failed run keeps the previous runKey so it is retried. */
+export async function completeLease(name, { runKey = null, result = null, error = null } = {}) {
+  const set = {
+    expiresAt: new Date(),
+    lastRunFinishedAt: new Date(),
+    lastError: error ? String(error.message || error) : null,
+  };
+  if (!error) {
+    set.lastRunKey = runKey;
+    set.lastRunResult = result;
+  }
+  await SchedulerLease.updateOne({ _id: name, owner: INSTANCE_ID }, { $set: set });
+}
+
+export async function getLease(name) {
+  return SchedulerLease.findById(name).lean();
+}
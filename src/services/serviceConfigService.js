@@ -1,6 +1,75 @@
+import mongoose from "mongoose";
 import ServiceConfig from "../models/ServiceConfig.js";
+import { SERVICE_CONFIG_ACTIVATION_ENABLED } from "../config/pricingConfig.js";
+
+let activationTimer = null;
+
+function serviceConfigError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Effective dates are whole days: both ends snap to local midnight.
+function startOfDay(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function isInEffect(config, asOf) {
+  if (!config.effectiveFrom || new Date(config.effectiveFrom) > asOf) return false;
+  return !config.effectiveTo || new Date(config.effectiveTo) > asOf;
+}
+
+function rangesOverlap(a, b) {
+  const aEnd = a.effectiveTo ? new Date(a.effectiveTo).getTime() : Infinity;
+  const bEnd = b.effectiveTo ? new Date(b.effectiveTo).getTime() : Infinity;
+  return new Date(a.effectiveFrom).getTime() < bEnd && new Date(b.effectiveFrom).getTime() < aEnd;
+}
+
+/**
+ * Rejects (409) an effective range that overlaps another dated config of
+ * the same service, and (400) one that ends before it starts.
+ */
+async function assertNoEffectiveOverlap({ _id = null, serviceId, effectiveFrom, effectiveTo }) {
+  if (!effectiveFrom) {
+    if (effectiveTo) throw serviceConfigError(400, "effectiveTo requires effectiveFrom");
+    return;
+  }
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    throw serviceConfigError(400, "effectiveTo must be after effectiveFrom");
+  }
+
+  const filter = { serviceId, effectiveFrom: { $ne: null } };
+  if (_id) filter._id = { $ne: _id };
+  const dated = await ServiceConfig.find(filter).select("version effectiveFrom effectiveTo").lean();
+
+  const conflicts = dated.filter((other) => rangesOverlap({ effectiveFrom, effectiveTo }, other));
+  if (conflicts.length > 0) {
+    throw serviceConfigError(409, `Effective dates overlap another version of ${serviceId}`, {
+      conflicts: conflicts.map((other) => ({
+        id: other._id,
+        version: other.version,
+        effectiveFrom: other.effectiveFrom,
+        effectiveTo: other.effectiveTo,
+      })),
+    });
+  }
+}
+
+function normalizeEffectiveDates(target, data) {
+  if (data.effectiveFrom !== undefined) target.effectiveFrom = startOfDay(data.effectiveFrom);
+  if (data.effectiveTo !== undefined) target.effectiveTo = startOfDay(data.effectiveTo);
+}
 
 export async function createServiceConfig(data) {
+  const dates = {};
+  normalizeEffectiveDates(dates, data);
+  await assertNoEffectiveOverlap({ serviceId: data.serviceId, ...dates });
+
   if (data.isActive) {
     await ServiceConfig.updateMany(
       { serviceId: data.serviceId, isActive: true },
@@ -8,8 +77,9 @@ export async function createServiceConfig(data) {
     );
   }
 
-  const doc = new ServiceConfig(data);
-  return doc.save();
+  const doc = new ServiceConfig({ ...data, ...dates });
+  await doc.save();
+  return applyEffectiveDatesAfterSave(doc);
 }
 
 export async function getAllServiceConfigs({ serviceId } = {}) {
@@ -24,7 +94,32 @@ export async function getServiceConfigById(id) {
   return ServiceConfig.findById(id);
 }
 
-export async function getActiveServiceConfigs(serviceId) {
+/**
+ * Active configs, or with `asOf` the configs in effect on that date: the
+ * dated version covering it, else the service's active undated config.
+ */
+export async function getActiveServiceConfigs(serviceId, { asOf = null } = {}) {
+  if (asOf) {
+    const configs = await ServiceConfig.find(serviceId ? { serviceId } : {})
+      .sort({ serviceId: 1, updatedAt: -1 })
+      .lean();
+    const byService = new Map();
+    for (const config of configs) {
+      if (!byService.has(config.serviceId)) byService.set(config.serviceId, []);
+      byService.get(config.serviceId).push(config);
+    }
+
+    const asOfDate = new Date(asOf);
+    const inEffect = [...byService.values()]
+      .map((versions) =>
+        versions.find((config) => isInEffect(config, asOfDate)) ||
+        versions.find((config) => !config.effectiveFrom && config.isActive) ||
+        null
+      )
+      .filter(Boolean);
+    return serviceId ? inEffect[0] || null : inEffect;
+  }
+
   if (serviceId) {
     return ServiceConfig.findOne({ serviceId, isActive: true })
       .sort({ updatedAt: -1 })
@@ -37,21 +132,12 @@ export async function getLatestConfigForService(serviceId) {
   return ServiceConfig.findOne({ serviceId }).sort({ createdAt: -1 }).lean();
 }
 
-export async function replaceServiceConfig(id, data) {
-  const existing = await ServiceConfig.findById(id);
-  if (!existing) return null;
-
-  if (data.isActive) {
-    await ServiceConfig.updateMany(
-      {
-        _id: { $ne: id },
-        serviceId: data.serviceId || existing.serviceId,
-        isActive: true,
-      },
-      { $set: { isActive: false } }
-    );
-  }
-
+/**
+ * Field assignments for a full replace / partial merge, applied to a
+ * ServiceConfig document without saving it (pricing drafts use these to
+ * preview an edit).
+ */
+export function applyServiceConfigReplace(existing, data) {
   existing.serviceId = data.serviceId;
   existing.version = data.version;
   existing.label = data.label;
@@ -61,13 +147,13 @@ export async function replaceServiceConfig(id, data) {
   existing.isActive = !!data.isActive;
   existing.adminByDisplay = data.adminByDisplay !== undefined ? !!data.adminByDisplay : true;
   existing.tags = Array.isArray(data.tags) ? data.tags : existing.tags;
-
-  return existing.save();
+  existing.effectiveFrom = startOfDay(data.effectiveFrom);
+  existing.effectiveTo = startOfDay(data.effectiveTo);
+  return existing;
 }
 
-export async function mergeServiceConfig(id, partial) {
-  const existing = await ServiceConfig.findById(id);
-  if (!existing) return null;
+export function applyServiceConfigMerge(existing, partial) {
+  normalizeEffectiveDates(existing, partial);
 
   if (partial.serviceId) existing.serviceId = partial.serviceId;
   if (partial.version) existing.version = partial.version;
@@ -95,17 +181,6 @@ export async function mergeServiceConfig(id, partial) {
 
   if (typeof partial.isActive === "boolean") {
     existing.isActive = partial.isActive;
-
-    if (partial.isActive) {
-      await ServiceConfig.updateMany(
-        {
-          _id: { $ne: id },
-          serviceId: existing.serviceId,
-          isActive: true,
-        },
-        { $set: { isActive: false } }
-      );
-    }
   }
 
   if (typeof partial.adminByDisplay === "boolean") {
@@ -119,8 +194,56 @@ export async function mergeServiceConfig(id, partial) {
   if (Array.isArray(partial.links)) {
     existing.links = partial.links;
   }
+  return existing;
+}
 
-  return existing.save();
+export async function replaceServiceConfig(id, data) {
+  const existing = await ServiceConfig.findById(id);
+  if (!existing) return null;
+  const previousServiceId = existing.serviceId;
+
+  const dates = { effectiveFrom: startOfDay(data.effectiveFrom), effectiveTo: startOfDay(data.effectiveTo) };
+  await assertNoEffectiveOverlap({ _id: existing._id, serviceId: data.serviceId || existing.serviceId, ...dates });
+
+  if (data.isActive) {
+    await ServiceConfig.updateMany(
+      {
+        _id: { $ne: id },
+        serviceId: data.serviceId || existing.serviceId,
+        isActive: true,
+      },
+      { $set: { isActive: false } }
+    );
+  }
+
+  applyServiceConfigReplace(existing, data);
+  await existing.save();
+  return applyEffectiveDatesAfterSave(existing, previousServiceId);
+}
+
+export async function mergeServiceConfig(id, partial) {
+  const existing = await ServiceConfig.findById(id);
+  if (!existing) return null;
+  const previousServiceId = existing.serviceId;
+
+  const dates = { effectiveFrom: existing.effectiveFrom, effectiveTo: existing.effectiveTo };
+  normalizeEffectiveDates(dates, partial);
+  await assertNoEffectiveOverlap({ _id: existing._id, serviceId: partial.serviceId || existing.serviceId, ...dates });
+
+  if (partial.isActive === true) {
+    await ServiceConfig.updateMany(
+      {
+        _id: { $ne: id },
+        serviceId: partial.serviceId || existing.serviceId,
+        isActive: true,
+      },
+      { $set: { isActive: false } }
+    );
+  }
+
+  applyServiceConfigMerge(existing, partial);
+  await existing.save();
+  return applyEffectiveDatesAfterSave(existing, previousServiceId);
 }
 
 export async function deleteServiceConfig(id) {
@@ -130,3 +253,81 @@ export async function deleteServiceConfig(id) {
 export async function deleteServiceConfigsByServiceId(serviceId) {
   return ServiceConfig.deleteMany({ serviceId });
 }
+
+/**
+ * Makes isActive follow the effective dates: for each service with a dated
+ * version in effect `now`, that version becomes the only active one, and
+ * dated versions outside their range are switched off. Services without a
+ * dated version in effect keep their manually activated undated config.
+ */
+export async function applyEffectiveDates({ serviceId = null, now = new Date() } = {}) {
+  const filter = { effectiveFrom: { $ne: null } };
+  if (serviceId) filter.serviceId = serviceId;
+  const serviceIds = await ServiceConfig.distinct("serviceId", filter);
+
+  const changes = [];
+  for (const id of serviceIds) {
+    const versions = await ServiceConfig.find({ serviceId: id }).select("version isActive effectiveFrom effectiveTo").lean();
+    const current = versions.find((config) => isInEffect(config, now));
+
+    for (const config of versions) {
+      const shouldBeActive = current
+        ? String(config._id) === String(current._id)
+        : config.effectiveFrom ? false : config.isActive;
+      if (config.isActive === shouldBeActive) continue;
+
+      await ServiceConfig.updateOne({ _id: config._id }, { $set: { isActive: shouldBeActive } });
+      changes.push({ serviceId: id, id: config._id, version: config.version, isActive: shouldBeActive });
+    }
+  }
+
+  for (const change of changes) {
+    console.log(`📅 [SERVICE-CONFIG] ${change.serviceId} v${change.version} ${change.isActive ? "activated" : "deactivated"} by effective dates`);
+  }
+  return changes;
+}
+
+async function applyEffectiveDatesAfterSave(doc, previousServiceId = null) {
+  if (previousServiceId && previousServiceId !== doc.serviceId) {
+    await applyEffectiveDates({ serviceId: previousServiceId });
+  }
+  const changes = await applyEffectiveDates({ serviceId: doc.serviceId });
+  return changes.length > 0 ? ServiceConfig.findById(doc._id) : doc;
+}
+
+function msUntilNextMidnight(now = new Date()) {
+  const midnight = new Date(now);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime() - now.getTime();
+}
+
+function activationTick() {
+  if (mongoose.connection.readyState === 1) {
+    applyEffectiveDates().catch((err) => console.error("❌ [SERVICE-CONFIG] Effective-date activation failed:", err.message));
+  }
+  scheduleNextActivation();
+}
+
+function scheduleNextActivation() {
+  // A second past midnight so the new day's ranges are already in effect.
+  activationTimer = setTimeout(activationTick, msUntilNextMidnight() + 1000);
+  activationTimer.unref?.();
+}
+
+export function startServiceConfigActivationScheduler() {
+  if (!SERVICE_CONFIG_ACTIVATION_ENABLED) {
+    console.log("⏸️ [SERVICE-CONFIG] Effective-date activation disabled (SERVICE_CONFIG_ACTIVATION=false)");
+    return;
+  }
+  if (activationTimer) return;
+  console.log("📅 [SERVICE-CONFIG] Effective-date activation scheduled for local midnight");
+  // Catch up on anything that took effect while the server was down.
+  activationTick();
+}
+
+export function stopServiceConfigActivationScheduler() {
+  if (activationTimer) {
+    clearTimeout(activationTimer);
+    activationTimer = null;
+  }
+}
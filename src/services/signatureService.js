@@ -0,0 +1,589 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import SignatureRequest from "../models/SignatureRequest.js";
+import VersionPdf from "../models/VersionPdf.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import { compileCustomerHeader } from "./pdfService.js";
+import { storeBlob, readBlob, deleteBlob, hasStoredBlob } from "./blobStoreService.js";
+import { stableStringify } from "./pdfCacheService.js";
+import { applyTransition, afterTransition } from "./approvalWorkflowService.js";
+import { escapeHtml, sendEmail } from "./emailService.js";
+import { issuePdf } from "./documentIntegrityService.js";
+import {
+  SIGNING_LINK_TTL_HOURS,
+  SIGNING_PAGE_URL,
+  SIGNABLE_AGREEMENT_STATUS,
+  SIGNED_AGREEMENT_STATUS,
+  SIGNING_CLAIM_LEASE_MINUTES,
+  SIGNATURE_IMAGE_MAX_BYTES,
+} from "../config/signatureConfig.js";
+import { SIGNER_ROLE } from "../config/rbacConfig.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const OPEN_STATUSES = ["pending", "viewed"];
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Excludes the binary fields when listing links.
+const LINK_PROJECTION = "-signature.image -signedPdf.pdfBuffer -unsignedPdf.pdfBuffer";
+
+export const SIGNING_CONSENT_TEXT =
+  "By signing, I agree that my electronic signature is the legal equivalent of my handwritten signature on this agreement.";
+
+function signatureError(status, detail) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  return err;
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hashToken(token) {
+  return sha256(String(token || ""));
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace("T", " ").replace(/\.\d{3}Z$/, " UTC");
+}
+
+function signingUrl(token) {
+  return SIGNING_PAGE_URL ? `${SIGNING_PAGE_URL}/${token}` : null;
+}
+
+function eventFrom(type, meta = {}, extra = {}) {
+  return {
+    type,
+    at: new Date(),
+    actor: null,
+    ip: meta.ip || null,
+    forwardedFor: meta.forwardedFor || null,
+    userAgent: meta.userAgent || null,
+    detail: null,
+    ...extra,
+  };
+}
+
+function holderOf(stored, sizeBytes) {
+  return {
+    sizeBytes,
+    contentType: "application/pdf",
+    storedAt: new Date(),
+    pdfBuffer: stored.pdfBuffer,
+    externalUrl: stored.externalUrl,
+    storageDriver: stored.storageDriver,
+    storageKey: stored.storageKey,
+  };
+}
+
+function serializeLink(request) {
+  return {
+    id: request._id,
+    agreementId: request.agreementId,
+    versionId: request.versionId,
+    versionNumber: request.versionNumber,
+    status: request.status,
+    expired: request.status !== "signed" && new Date(request.expiresAt) <= new Date(),
+    expiresAt: request.expiresAt,
+    signerName: request.signerName,
+    signerEmail: request.signerEmail,
+    documentHash: request.documentHash,
+    signature: request.signature?.signedAt
+      ? {
+          method: request.signature.method,
+          signerName: request.signature.signerName,
+          signerTitle: request.signature.signerTitle,
+          signedAt: request.signature.signedAt,
+          ip: request.signature.ip,
+        }
+      : null,
+    auditHash: request.auditHash,
+    signedPdfHash: request.signedPdfHash,
+    events: request.events,
+    createdBy: request.createdBy,
+    createdAt: request.createdAt,
+    revokedAt: request.revokedAt,
+    revokedBy: request.revokedBy,
+    lastError: request.lastError,
+  };
+}
+
+/**
+ * Loads a link by its token for the public endpoints. Unknown tokens are
+ * 404; revoked and expired (unsigned) links are 410.
+ */
+async function loadLink(token, projection = LINK_PROJECTION) {
+  const request = await SignatureRequest.findOne({ tokenHash: hashToken(token) }).select(projection);
+  if (!request) {
+    throw signatureError(404, "Signing link not found");
+  }
+  if (request.status === "revoked") {
+    throw signatureError(410, "This signing link has been revoked");
+  }
+  if (request.status !== "signed" && request.expiresAt <= new Date()) {
+    throw signatureError(410, "This signing link has expired");
+  }
+  return request;
+}
+
+function assertReadyToSign(agreement) {
+  if (agreement.status !== SIGNABLE_AGREEMENT_STATUS) {
+    throw signatureError(409, `Only agreements with status "${SIGNABLE_AGREEMENT_STATUS}" can be signed (this one is "${agreement.status}")`);
+  }
+}
+
+async function loadSignableVersion(agreement, versionId) {
+  assertReadyToSign(agreement);
+
+  const filter = { agreementId: agreement._id, isDeleted: { $ne: true } };
+  if (versionId) filter._id = versionId;
+
+  const version = await VersionPdf.findOne(filter).sort({ versionNumber: -1 });
+  if (!version) {
+    throw signatureError(404, versionId ? "Version not found for this agreement" : "Agreement has no PDF version to sign");
+  }
+  if (version.lockedAt) {
+    throw signatureError(409, `Version ${version.versionNumber} has already been signed`);
+  }
+  if (!hasStoredBlob(version.pdf_meta)) {
+    throw signatureError(409, `Version ${version.versionNumber} has no stored PDF`);
+  }
+  if (version.pdf_meta.watermarked) {
+    throw signatureError(409, `Version ${version.versionNumber} is a watermarked draft and can't be sent for signature`);
+  }
+  return version;
+}
+
+function signingEmailBody({ agreementTitle, versionNumber, signerName, url, expiresAt }) {
+  return `
+    <p>Hello ${escapeHtml(signerName || "")},</p>
+    <p>Your service agreement <strong>${escapeHtml(agreementTitle || "")}</strong> (version ${versionNumber}) is ready for your signature.</p>
+    <p><a href="${escapeHtml(url)}">Review and sign the agreement</a></p>
+    <p>This link expires on ${formatUtc(expiresAt)}.</p>
+  `;
+}
+
+/**
+ * Creates a signing link for an agreement version (the latest one unless
+ * `versionId` is given) and optionally emails it to the signer. The raw
+ * token is only returned here; the database keeps its SHA-256.
+ */
+export async function createSigningLink(agreementId, input = {}, user = null) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw signatureError(400, "Invalid agreement ID format");
+  }
+  const { versionId = null, signerName = "", signerEmail = null, expiresInHours = SIGNING_LINK_TTL_HOURS } = input;
+  if (input.sendEmail && (!signerEmail || !SIGNING_PAGE_URL)) {
+    throw signatureError(400, "Emailing a signing link needs signerEmail and SIGNING_PAGE_URL to be set");
+  }
+
+  const agreement = await CustomerHeaderDoc.findById(agreementId).select("_id status isDeleted payload.headerTitle").lean();
+  if (!agreement || agreement.isDeleted) {
+    throw signatureError(404, "Agreement not found");
+  }
+
+  const version = await loadSignableVersion(agreement, versionId);
+  const documentHash = sha256(await readBlob(version.pdf_meta));
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const actor = user?.username || null;
+  const request = await SignatureRequest.create({
+    agreementId,
+    versionId: version._id,
+    versionNumber: version.versionNumber,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS),
+    signerName,
+    signerEmail,
+    documentHash,
+    createdBy: actor,
+    events: [eventFrom("created", {}, { actor })],
+  });
+
+  const url = signingUrl(token);
+  if (input.sendEmail) {
+    try {
+      await sendEmail({
+        to: signerEmail,
+        subject: `Please sign: ${agreement.payload?.headerTitle || "Service agreement"}`,
+        body: signingEmailBody({
+          agreementTitle: agreement.payload?.headerTitle || "Service agreement",
+          versionNumber: version.versionNumber,
+          signerName,
+          url,
+          expiresAt: request.expiresAt,
+        }),
+      });
+      request.events.push(eventFrom("emailed", {}, { actor, detail: signerEmail }));
+    } catch (err) {
+      request.events.push(eventFrom("failed", {}, { actor, detail: `Email failed: ${err.message}` }));
+      request.lastError = `Email failed: ${err.message}`;
+    }
+    await request.save();
+  }
+
+  console.log(`✍️ [SIGNATURE] Signing link created for agreement ${agreementId} v${version.versionNumber} by ${actor || "unknown"}`);
+  return { link: serializeLink(request), token, url, apiPath: `/api/sign/${token}` };
+}
+
+export async function listSigningLinks(agreementId) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw signatureError(400, "Invalid agreement ID format");
+  }
+  const requests = await SignatureRequest.find({ agreementId }).select(LINK_PROJECTION).sort({ createdAt: -1 }).lean();
+  return requests.map(serializeLink);
+}
+
+export async function revokeSigningLink(agreementId, linkId, user = null) {
+  if (!mongoose.isValidObjectId(agreementId) || !mongoose.isValidObjectId(linkId)) {
+    throw signatureError(400, "Invalid ID format");
+  }
+
+  const actor = user?.username || null;
+  const revoked = await SignatureRequest.findOneAndUpdate(
+    { _id: linkId, agreementId, status: { $in: OPEN_STATUSES } },
+    {
+      $set: { status: "revoked", revokedAt: new Date(), revokedBy: actor },
+      $push: { events: eventFrom("revoked", {}, { actor }) },
+    },
+    { new: true, projection: LINK_PROJECTION }
+  ).lean();
+
+  if (!revoked) {
+    const existing = await SignatureRequest.findOne({ _id: linkId, agreementId }).select("status").lean();
+    if (!existing) throw signatureError(404, "Signing link not found");
+    throw signatureError(409, `Signing link is ${existing.status} and can't be revoked`);
+  }
+
+  console.log(`🚫 [SIGNATURE] Signing link ${linkId} revoked by ${actor || "unknown"}`);
+  return serializeLink(revoked);
+}
+
+/**
+ * What the public signing page shows. The first view from each
+ * IP/browser is added to the audit trail.
+ */
+export async function getSigningSession(token, meta = {}) {
+  const request = await loadLink(token);
+
+  if (OPEN_STATUSES.includes(request.status)) {
+    const seen = request.events.some(
+      (e) => e.type === "viewed" && e.ip === (meta.ip || null) && e.userAgent === (meta.userAgent || null)
+    );
+    if (!seen) {
+      await SignatureRequest.updateOne(
+        { _id: request._id, status: { $in: OPEN_STATUSES } },
+        { $set: { status: "viewed" }, $push: { events: eventFrom("viewed", meta) } }
+      );
+      request.status = "viewed";
+    }
+  }
+
+  const agreement = await CustomerHeaderDoc.findById(request.agreementId)
+    .select("payload.headerTitle payload.customerName")
+    .lean();
+
+  return {
+    status: request.status,
+    agreementTitle: agreement?.payload?.headerTitle || "Service agreement",
+    versionNumber: request.versionNumber,
+    signerName: request.signerName,
+    signerEmail: request.signerEmail,
+    expiresAt: request.expiresAt,
+    documentHash: request.documentHash,
+    signedAt: request.signature?.signedAt || null,
+    auditHash: request.auditHash,
+    consentText: SIGNING_CONSENT_TEXT,
+    pdfPath: `/api/sign/${token}/pdf`,
+  };
+}
+
+/**
+ * The PDF behind a link: the signed copy once signed, otherwise the
+ * version PDF the customer is asked to sign.
+ */
+export async function getSigningPdf(token) {
+  const request = await loadLink(token, "-signature.image -unsignedPdf.pdfBuffer");
+  if (request.status === "signed" && hasStoredBlob(request.signedPdf)) {
+    return { holder: request.signedPdf, fileName: `Agreement_v${request.versionNumber}_signed.pdf` };
+  }
+
+  const version = await VersionPdf.findById(request.versionId).select("pdf_meta fileName isDeleted");
+  if (!version || version.isDeleted || !hasStoredBlob(version.pdf_meta)) {
+    throw signatureError(410, "The agreement version for this link is no longer available");
+  }
+  return { holder: version.pdf_meta, fileName: version.fileName || `Agreement_v${request.versionNumber}.pdf` };
+}
+
+function decodeSignatureImage(dataUrl) {
+  const base64 = String(dataUrl).replace(/^data:image\/png;base64,/, "");
+  const image = Buffer.from(base64, "base64");
+  if (image.length > SIGNATURE_IMAGE_MAX_BYTES) {
+    throw signatureError(413, `Signature image exceeds ${Math.round(SIGNATURE_IMAGE_MAX_BYTES / 1024)} KB`);
+  }
+  if (image.length < PNG_MAGIC.length || !image.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) {
+    throw signatureError(400, "Signature image is not a valid PNG");
+  }
+  return image;
+}
+
+function signedPayloadOf(version, { signerName, typedSignature, signedDate }) {
+  const payload = JSON.parse(JSON.stringify(version.toObject().payloadSnapshot || {}));
+  payload.serviceAgreement = {
+    ...(payload.serviceAgreement || {}),
+    customerContactName: payload.serviceAgreement?.customerContactName || signerName,
+    customerSignature: typedSignature || signerName,
+    customerSignatureDate: signedDate,
+  };
+  payload.agreement = {
+    ...(payload.agreement || {}),
+    customerExecutedOn: payload.agreement?.customerExecutedOn || signedDate,
+  };
+  return payload;
+}
+
+async function checkStillSignable(claim) {
+  const version = await VersionPdf.findById(claim.versionId);
+  if (!version || version.isDeleted) {
+    throw signatureError(409, "The agreement version for this link is no longer available");
+  }
+  if (version.lockedAt) {
+    const err = signatureError(409, `Version ${version.versionNumber} has already been signed`);
+    // A lapsed claim taken over after its own submission locked the version.
+    err.lockedByClaim = String(version.signature?.requestId) === String(claim._id);
+    throw err;
+  }
+
+  const agreement = await CustomerHeaderDoc.findById(claim.agreementId).select("-pdf_meta.pdfBuffer");
+  if (!agreement || agreement.isDeleted) {
+    throw signatureError(409, "The agreement for this link is no longer available");
+  }
+  assertReadyToSign(agreement);
+  if ((agreement.currentVersionNumber || 0) > version.versionNumber) {
+    throw signatureError(409, `A newer version (v${agreement.currentVersionNumber}) of this agreement exists; ask for a new signing link`);
+  }
+
+  const unsigned = await readBlob(version.pdf_meta);
+  if (sha256(unsigned) !== claim.documentHash) {
+    throw signatureError(409, "The agreement PDF changed after this link was created; ask for a new signing link");
+  }
+  return { version, agreement };
+}
+
+/**
+ * Signs the linked version: stamps the signature into the agreement PDF,
+ * appends the certificate page, locks the version and moves the agreement
+ * to SIGNED_AGREEMENT_STATUS. The link is claimed first so two submissions
+ * can't both sign; any failure puts it back to its previous status. A claim
+ * left in "signing" past its lease (SIGNING_CLAIM_LEASE_MINUTES) can be
+ * taken over by the next submission.
+ */
+export async function submitSignature(token, input, meta = {}) {
+  const now = new Date();
+  const claim = await SignatureRequest.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: now },
+      $or: [
+        { status: { $in: OPEN_STATUSES } },
+        { status: "signing", signingLeaseUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: "signing", signingLeaseUntil: new Date(now.getTime() + SIGNING_CLAIM_LEASE_MINUTES * MINUTE_MS) } },
+    { new: false, projection: LINK_PROJECTION }
+  );
+  if (!claim) {
+    const request = await loadLink(token);
+    if (request.status === "signed") throw signatureError(409, "This agreement has already been signed");
+    throw signatureError(409, "A signature for this link is already being processed");
+  }
+
+  // A lapsed claim was opened by a signer, so it goes back to "viewed".
+  const previousStatus = claim.status === "signing" ? "viewed" : claim.status;
+  if (claim.status === "signing") {
+    console.warn(`⚠️ [SIGNATURE] Taking over lapsed signing claim ${claim._id}`);
+  }
+  let stored = null;
+  let locked = false;
+  try {
+    const { version, agreement } = await checkStillSignable(claim);
+
+    const image = input.method === "drawn" ? decodeSignatureImage(input.signatureImage) : null;
+    const typedSignature = input.method === "typed" ? input.typedSignature : null;
+    const signedAt = new Date();
+    const signedDate = signedAt.toISOString().split("T")[0];
+    const actor = `signer:${input.signerName}`;
+
+    const signedEvent = eventFrom("signed", meta, { at: signedAt, actor });
+    const events = [...claim.events.map((e) => (e.toObject ? e.toObject() : e)), signedEvent];
+    const imageHash = image ? sha256(image) : null;
+
+    const auditRecord = {
+      requestId: String(claim._id),
+      agreementId: String(claim.agreementId),
+      versionId: String(claim.versionId),
+      versionNumber: claim.versionNumber,
+      documentHash: claim.documentHash,
+      signer: { name: input.signerName, title: input.signerTitle || null, email: claim.signerEmail || null },
+      method: input.method,
+      typedSignature,
+      imageHash,
+      consent: true,
+      events: events.map((e) => ({
+        type: e.type,
+        at: new Date(e.at).toISOString(),
+        actor: e.actor || null,
+        ip: e.ip || null,
+        forwardedFor: e.forwardedFor || null,
+        userAgent: e.userAgent || null,
+        detail: e.detail || null,
+      })),
+    };
+    const auditHash = sha256(stableStringify(auditRecord));
+
+    const signedPayload = signedPayloadOf(version, { signerName: input.signerName, typedSignature, signedDate });
+    const compiled = await compileCustomerHeader(signedPayload, {
+      signature: { image, typedSignature, signerName: input.signerName },
+      certificate: {
+        agreementTitle: signedPayload.headerTitle || "Service agreement",
+        versionNumber: claim.versionNumber,
+        requestId: String(claim._id),
+        signerName: input.signerName,
+        signerTitle: input.signerTitle || null,
+        signerEmail: claim.signerEmail || null,
+        method: input.method,
+        signedAt: formatUtc(signedAt),
+        ip: meta.ip || "unknown",
+        documentHash: claim.documentHash,
+        auditHash,
+        events: auditRecord.events.map((e) => ({ ...e, at: formatUtc(e.at) })),
+      },
+    });
+    if (!compiled?.buffer) {
+      throw new Error("Failed to compile signed PDF");
+    }
+
+    const { buffer: signedPdf, integrity } = await issuePdf(compiled.buffer, {
+      documentType: "version",
+      documentId: version._id,
+      agreementId: claim.agreementId,
+      versionNumber: claim.versionNumber,
+      fileName: version.fileName,
+      issuedBy: actor,
+    });
+    const signedPdfHash = sha256(signedPdf);
+    stored = await storeBlob(signedPdf, {
+      prefix: `versions/${claim.agreementId}`,
+      metadata: { versionId: String(claim.versionId), versionNumber: claim.versionNumber, signed: "true" },
+    });
+    const signedHolder = holderOf(stored, signedPdf.length);
+    const unsignedHolder = version.pdf_meta.toObject ? version.pdf_meta.toObject() : { ...version.pdf_meta };
+
+    const lock = await VersionPdf.updateOne(
+      { _id: version._id, lockedAt: null },
+      {
+        $set: {
+          pdf_meta: { ...signedHolder, watermarked: false, integrity },
+          payloadSnapshot: signedPayload,
+          lockedAt: signedAt,
+          signature: {
+            requestId: claim._id,
+            signerName: input.signerName,
+            signedAt,
+            auditHash,
+            unsignedPdfHash: claim.documentHash,
+            signedPdfHash,
+          },
+        },
+      }
+    );
+    if (lock.modifiedCount === 0) {
+      throw signatureError(409, `Version ${version.versionNumber} has already been signed`);
+    }
+    locked = true;
+
+    const signed = await SignatureRequest.findOneAndUpdate(
+      { _id: claim._id },
+      {
+        $set: {
+          status: "signed",
+          signature: {
+            method: input.method,
+            signerName: input.signerName,
+            signerTitle: input.signerTitle || null,
+            typedSignature,
+            image,
+            imageHash,
+            signedAt,
+            ip: meta.ip || null,
+            forwardedFor: meta.forwardedFor || null,
+            userAgent: meta.userAgent || null,
+          },
+          auditHash,
+          signedPdfHash,
+          signedPdf: signedHolder,
+          unsignedPdf: unsignedHolder,
+          signingLeaseUntil: null,
+          lastError: null,
+        },
+        $push: { events: signedEvent },
+      },
+      { new: true, projection: LINK_PROJECTION }
+    ).lean();
+
+    await SignatureRequest.updateMany(
+      { versionId: claim.versionId, _id: { $ne: claim._id }, status: { $in: OPEN_STATUSES } },
+      {
+        $set: { status: "revoked", revokedAt: new Date(), revokedBy: "system" },
+        $push: { events: eventFrom("revoked", {}, { actor: "system", detail: "Version signed through another link" }) },
+      }
+    );
+
+    // The version is signed at this point; an agreement update failure is reported, not undone.
+    try {
+      agreement.set("payload.serviceAgreement.customerSignature", typedSignature || input.signerName);
+      agreement.set("payload.serviceAgreement.customerSignatureDate", signedDate);
+      if (!agreement.payload?.serviceAgreement?.customerContactName) {
+        agreement.set("payload.serviceAgreement.customerContactName", input.signerName);
+      }
+      if (!agreement.payload?.agreement?.customerExecutedOn) {
+        agreement.set("payload.agreement.customerExecutedOn", signedDate);
+      }
+      const transition = applyTransition(
+        agreement,
+        "agreement",
+        SIGNED_AGREEMENT_STATUS,
+        { username: actor, accessRole: SIGNER_ROLE },
+        `Signed by ${input.signerName} (version v${version.versionNumber})`
+      );
+      await agreement.save();
+      await afterTransition("agreement", agreement, transition);
+    } catch (err) {
+      console.error(`❌ [SIGNATURE] Agreement ${claim.agreementId} update after signing failed:`, err.message);
+      await SignatureRequest.updateOne({ _id: claim._id }, { $set: { lastError: `Agreement update failed: ${err.message}` } });
+      signed.lastError = `Agreement update failed: ${err.message}`;
+    }
+
+    console.log(`✅ [SIGNATURE] Agreement ${claim.agreementId} v${claim.versionNumber} signed by ${input.signerName} (audit ${auditHash.slice(0, 12)})`);
+    return serializeLink(signed);
+  } catch (err) {
+    // Once the version is locked the signed PDF is the record; the link stays
+    // in "signing" with the error so an admin can look at it.
+    if (!locked && !err.lockedByClaim) {
+      if (stored) await deleteBlob(stored).catch(() => {});
+      await SignatureRequest.updateOne(
+        { _id: claim._id, status: "signing" },
+        {
+          $set: { status: previousStatus, signingLeaseUntil: null, lastError: err.message },
+          $push: { events: eventFrom("failed", meta, { detail: err.message }) },
+        }
+      );
+    } else {
+      await SignatureRequest.updateOne({ _id: claim._id }, { $set: { lastError: err.message } }).catch(() => {});
+    }
+    console.error(`❌ [SIGNATURE] Signing ${claim._id} failed:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,576 @@
+import mongoose from "mongoose";
+import VersionPdf from "../models/VersionPdf.js";
+import { round2 } from "./pricingEngineService.js";
+
+// services.* entries that hold layout or notes rather than a priced service.
+const NON_SERVICE_KEYS = new Set(["notes", "topRow", "bottomRow", "secondRow", "customServices"]);
+
+// Per-service arrays rendered as "qty @ rate = total" lines in the PDF.
+const BREAKDOWN_KEYS = ["fixtureBreakdown", "drainBreakdown", "serviceBreakdown", "windows"];
+
+const FREQUENCY_FIELDS = ["frequency", "serviceFrequency", "mainServiceFrequency", "frequencyKey"];
+
+const SKIPPED_SERVICE_FIELDS = new Set([
+  ...BREAKDOWN_KEYS, ...FREQUENCY_FIELDS, "totals", "customFields", "formData", "pdfFieldVisibility", "isActive",
+]);
+
+const PRODUCT_GROUPS = ["products", "smallProducts", "bigProducts", "dispensers"];
+
+const SUMMARY_MONEY_FIELDS = {
+  serviceAgreementTotal: "Service Agreement Total",
+  productMonthlyTotal: "Product Monthly Total",
+  productContractTotal: "Product Contract Total",
+  tripCharge: "Trip Charge",
+  parkingCharge: "Parking Charge",
+};
+
+const SUMMARY_TEXT_FIELDS = {
+  contractMonths: "Contract Months",
+  tripChargeFrequency: "Trip Charge Frequency",
+  parkingChargeFrequency: "Parking Charge Frequency",
+};
+
+function diffError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.detail = message;
+  return err;
+}
+
+function toLabel(key) {
+  return String(key)
+    .replace(/([A-Z])/g, " $1")
+    .replace(/^./, (c) => c.toUpperCase())
+    .trim();
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function readMoney(value) {
+  if (isPlainObject(value)) {
+    return readMoney(value.amount ?? value.value);
+  }
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "string" && value.trim() === "") return undefined;
+  const parsed = Number(typeof value === "string" ? value.replace(/[$,]/g, "") : value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function readText(value) {
+  if (isPlainObject(value)) {
+    return readText(value.value ?? value.label ?? value.frequencyKey);
+  }
+  if (value === undefined || value === null) return "";
+  return String(value).trim();
+}
+
+function firstMoney(obj, keys) {
+  for (const key of keys) {
+    const value = readMoney(obj?.[key]);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function resolveServiceData(serviceData) {
+  let data = serviceData;
+  const seen = new Set();
+  while (isPlainObject(data?.formData) && !seen.has(data)) {
+    seen.add(data);
+    data = data.formData;
+  }
+  return data;
+}
+
+function isServiceActive(serviceData) {
+  if (!isPlainObject(serviceData)) return false;
+  const data = resolveServiceData(serviceData);
+  return serviceData.isActive !== false && data?.isActive !== false;
+}
+
+function indexBy(items, keyOf) {
+  const index = new Map();
+  const seen = new Map();
+  items.forEach((item, position) => {
+    const base = String(keyOf(item, position) || position).trim().toLowerCase();
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    index.set(count === 0 ? base : `${base}#${count + 1}`, item);
+  });
+  return index;
+}
+
+function unionKeys(a, b) {
+  return [...new Set([...a.keys(), ...b.keys()])];
+}
+
+function numericChange(base, from, to) {
+  const original = round2(from ?? 0);
+  const next = round2(to ?? 0);
+  const changeAmount = round2(next - original);
+  let changePercentage = 0;
+  if (original !== 0) changePercentage = round2((changeAmount / Math.abs(original)) * 100);
+  else if (next !== 0) changePercentage = 100;
+  return {
+    ...base,
+    changeType: "numeric",
+    originalValue: original,
+    newValue: next,
+    changeAmount,
+    changePercentage,
+  };
+}
+
+function textChange(base, from, to) {
+  return {
+    ...base,
+    changeType: "text",
+    originalText: from,
+    newText: to,
+    changeAmount: 0,
+    changePercentage: 0,
+  };
+}
+
+function compareCells(base, kind, from, to) {
+  if (kind === "money") {
+    if (from === undefined && to === undefined) return null;
+    if (round2(from ?? 0) === round2(to ?? 0)) return null;
+    return numericChange(base, from, to);
+  }
+  if ((from || "") === (to || "")) return null;
+  return textChange(base, from || "", to || "");
+}
+
+// ---- Flattening -------------------------------------------------------
+// A payload is flattened into groups (the header, each service, each product
+// row, the summary, the terms), each holding ordered cells. Diffs and the
+// redline PDF both work from this shape so they always agree.
+
+function createGroup(groups, key, meta) {
+  const group = { key, optional: false, cells: new Map(), ...meta };
+  groups.set(key, group);
+  return group;
+}
+
+function addCell(group, id, fieldType, fieldDisplayName, kind, value) {
+  if (kind === "money" && value === undefined) return;
+  if (kind === "text" && !value) return;
+  group.cells.set(`${group.key}|${id}`, { key: `${group.key}|${id}`, fieldType, fieldDisplayName, kind, value });
+}
+
+function flattenHeader(groups, payload) {
+  const group = createGroup(groups, "header", {
+    section: "header", productKey: "header", productName: "Customer Header", productType: "agreement_text",
+  });
+  addCell(group, "headerTitle", "headerTitle", "Header Title", "text", readText(payload.headerTitle));
+
+  const cells = [];
+  (payload.headerRows || []).forEach((row, i) => {
+    cells.push({ label: readText(row?.labelLeft), value: readText(row?.valueLeft), slot: `row${i + 1}-left` });
+    cells.push({ label: readText(row?.labelRight), value: readText(row?.valueRight), slot: `row${i + 1}-right` });
+  });
+  const indexed = indexBy(cells.filter((cell) => cell.label || cell.value), (cell) => cell.label || cell.slot);
+  for (const [key, cell] of indexed) {
+    addCell(group, `header:${key}`, `header:${key}`, cell.label || cell.slot, "text", cell.value);
+  }
+}
+
+function serviceContractTotal(data) {
+  return readMoney(data?.totals?.contract) ?? readMoney(data?.contractTotal);
+}
+
+function addLineCells(group, id, label, line) {
+  addCell(group, `${id}.qty`, "qty", `${label} Quantity`, "text", readText(line.qty ?? line.quantity));
+  addCell(group, `${id}.rate`, "rate", `${label} Rate`, "money", readMoney(line.rate));
+  addCell(group, `${id}.total`, "total", `${label} Total`, "money", firstMoney(line, ["total", "amount"]));
+}
+
+function isLineObject(value) {
+  return isPlainObject(value) && ["qty", "rate", "total", "amount"].some((key) => value[key] !== undefined);
+}
+
+function addCustomFieldCells(group, fields = []) {
+  const indexed = indexBy((fields || []).filter(Boolean), (field) => field?.id || field?.label || field?.name);
+  for (const [key, field] of indexed) {
+    const label = field.label || field.name || key;
+    const id = `custom:${key}`;
+    if (field.type === "dollar") addCell(group, id, id, label, "money", readMoney(field.value));
+    else if (field.type === "calc") addCell(group, id, id, label, "money", readMoney(field.calcValues?.right));
+    else addCell(group, id, id, label, "text", readText(field.value));
+  }
+}
+
+function flattenService(groups, serviceKey, data) {
+  const group = createGroup(groups, serviceKey, {
+    section: "services",
+    productKey: serviceKey,
+    productName: toLabel(serviceKey),
+    productType: "service",
+    optional: true,
+    frequency: readText(data.frequency),
+    contractTotal: serviceContractTotal(data),
+  });
+
+  addCell(group, "frequency", "frequency", "Frequency", "text",
+    readText(FREQUENCY_FIELDS.map((key) => data[key]).find((value) => value)));
+
+  for (const arrayKey of BREAKDOWN_KEYS) {
+    const lines = indexBy((data[arrayKey] || []).filter(Boolean), (line) => line?.key || line?.id || line?.label);
+    for (const [key, line] of lines) {
+      addLineCells(group, `${arrayKey}:${key}`, line.label || toLabel(key), line);
+    }
+  }
+
+  for (const [key, field] of Object.entries(data)) {
+    if (SKIPPED_SERVICE_FIELDS.has(key) || !isPlainObject(field)) continue;
+    const label = field.label || toLabel(key);
+    if (isLineObject(field)) addLineCells(group, key, label, field);
+    else if (field.value !== undefined) addCell(group, key, key, label, "text", readText(field));
+  }
+
+  for (const [key, field] of Object.entries(data.totals || {})) {
+    addCell(group, `totals.${key}`, `totals.${key}`, field?.label || toLabel(key), "money", readMoney(field));
+  }
+  if (!data.totals?.contract) {
+    addCell(group, "contractTotal", "contractTotal", "Contract Total", "money", readMoney(data.contractTotal));
+  }
+
+  addCustomFieldCells(group, data.customFields);
+}
+
+function flattenCustomServices(groups, customServices = []) {
+  const indexed = indexBy((customServices || []).filter(Boolean), (service) => service?.id || service?.name || service?.label);
+  for (const [key, service] of indexed) {
+    const group = createGroup(groups, `customService:${key}`, {
+      section: "services",
+      productKey: `customService:${key}`,
+      productName: service.name || service.label || "Custom Service",
+      productType: "service",
+      optional: true,
+      contractTotal: serviceContractTotal(service),
+    });
+    addCustomFieldCells(group, service.fields);
+    addCell(group, "totals.contract", "totals.contract", "Contract Total", "money", serviceContractTotal(service));
+  }
+}
+
+function productTotal(row) {
+  return firstMoney(row, ["totalOverride", "total", "extPrice", "lineTotal"]);
+}
+
+function flattenProducts(groups, products = {}) {
+  const rows = [];
+  for (const group of PRODUCT_GROUPS) {
+    for (const row of products?.[group] || []) {
+      if (!row || !(Number(row.qty ?? row.quantity) > 0)) continue;
+      rows.push({ row, isDispenser: group === "dispensers" || row._productType === "dispenser" });
+    }
+  }
+  const indexed = indexBy(rows, ({ row, isDispenser }) =>
+    `${isDispenser ? "dispenser" : "product"}:${row.productKey || row.customName || row.displayName || row.id}`);
+
+  for (const [key, { row, isDispenser }] of indexed) {
+    const name = row.customName || row.displayName || row.productName || row.productKey || "Custom Product";
+    const qty = row.qty ?? row.quantity;
+    const group = createGroup(groups, key, {
+      section: "products",
+      productKey: row.productKey || key,
+      productName: name,
+      productType: isDispenser ? "dispenser" : "product",
+      optional: true,
+      quantity: Number(qty) || 0,
+      frequency: readText(row.frequency),
+      lineItem: `${qty} x ${name}`,
+      contractTotal: productTotal(row),
+    });
+
+    addCell(group, "qty", "qty", "Quantity", "text", readText(qty));
+    if (isDispenser) {
+      addCell(group, "warrantyPrice", "warrantyPrice", "Warranty Rate", "money", firstMoney(row, ["warrantyPriceOverride", "warrantyRate"]));
+      addCell(group, "replacementPrice", "replacementPrice", "Replacement Rate", "money", firstMoney(row, ["replacementPriceOverride", "replacementRate"]));
+    } else {
+      addCell(group, "unitPrice", "unitPrice", "Unit Price", "money", firstMoney(row, ["unitPriceOverride", "unitPrice", "amountOverride", "amount"]));
+    }
+    addCell(group, "total", "total", "Total", "money", productTotal(row));
+    addCell(group, "frequency", "frequency", "Frequency", "text", readText(row.frequency));
+  }
+}
+
+function flattenSummary(groups, summary = {}) {
+  const group = createGroup(groups, "summary", {
+    section: "summary", productKey: "summary", productName: "Summary", productType: "agreement_text",
+  });
+  for (const [key, label] of Object.entries(SUMMARY_MONEY_FIELDS)) {
+    addCell(group, key, key, label, "money", readMoney(summary?.[key]));
+  }
+  for (const [key, label] of Object.entries(SUMMARY_TEXT_FIELDS)) {
+    addCell(group, key, key, label, "text", readText(summary?.[key]));
+  }
+}
+
+function flattenTerms(groups, groupKey, productName, terms = {}) {
+  const group = createGroup(groups, groupKey, {
+    section: "agreement", productKey: groupKey, productName, productType: "agreement_text",
+  });
+  for (const [key, value] of Object.entries(terms || {})) {
+    if (value !== null && typeof value === "object") continue;
+    addCell(group, key, key, toLabel(key), "text", readText(value));
+  }
+}
+
+/**
+ * Flattens an agreement payload into ordered groups of comparable cells.
+ * Returns a Map of group key → { section, productKey, productName,
+ * productType, optional, cells: Map of cell key → { fieldType,
+ * fieldDisplayName, kind: "money" | "text", value } }.
+ */
+export function flattenPayload(payload = {}) {
+  const data = payload || {};
+  const groups = new Map();
+
+  flattenHeader(groups, data);
+  for (const [serviceKey, serviceData] of Object.entries(data.services || {})) {
+    if (NON_SERVICE_KEYS.has(serviceKey) || !isServiceActive(serviceData)) continue;
+    flattenService(groups, serviceKey, resolveServiceData(serviceData));
+  }
+  flattenCustomServices(groups, data.services?.customServices);
+  flattenProducts(groups, data.products);
+  flattenSummary(groups, data.summary);
+  flattenTerms(groups, "agreement", "Agreement Terms", data.agreement);
+  flattenTerms(groups, "serviceAgreement", "Service Agreement", data.serviceAgreement);
+
+  return groups;
+}
+
+function changeBase(group, cell) {
+  const base = {
+    key: cell.key,
+    section: group.section,
+    productKey: group.productKey,
+    productName: group.productName,
+    productType: group.productType,
+    fieldType: cell.fieldType,
+    fieldDisplayName: cell.fieldDisplayName,
+  };
+  if (group.quantity !== undefined) base.quantity = group.quantity;
+  if (group.frequency) base.frequency = group.frequency;
+  return base;
+}
+
+// Services and product rows that exist on one side only are reported as a
+// single added/removed entry plus their total, not field by field.
+function presenceChanges(prev, next) {
+  const group = next || prev;
+  const isService = group.section === "services";
+  const describe = (g) => {
+    if (isService) return g ? "Included" : "Not included";
+    return g ? g.lineItem : "(none)";
+  };
+
+  return [
+    textChange(
+      changeBase(group, {
+        key: `${group.key}|${isService ? "service" : "row"}`,
+        fieldType: isService ? "service" : "row",
+        fieldDisplayName: isService ? "Service" : "Line Item",
+      }),
+      describe(prev),
+      describe(next)
+    ),
+    compareCells(
+      changeBase(group, {
+        key: `${group.key}|${isService ? "totals.contract" : "total"}`,
+        fieldType: isService ? "totals.contract" : "total",
+        fieldDisplayName: isService ? "Contract Total" : "Total",
+      }),
+      "money",
+      prev ? prev.contractTotal ?? 0 : 0,
+      next ? next.contractTotal ?? 0 : 0
+    ),
+  ].filter(Boolean);
+}
+
+function orderedGroupKeys(before, after) {
+  const order = ["header", "services", "products", "summary", "agreement"];
+  const keys = unionKeys(before, after);
+  const sectionOf = (key) => (after.get(key) || before.get(key)).section;
+  return keys.sort((a, b) => order.indexOf(sectionOf(a)) - order.indexOf(sectionOf(b)));
+}
+
+function contractValue(summary = {}) {
+  return round2((readMoney(summary?.serviceAgreementTotal) || 0) + (readMoney(summary?.productContractTotal) || 0));
+}
+
+/**
+ * Compares two agreement payloads and returns every change in the shape of a
+ * version-log field change, plus section counts and the net price impact taken
+ * from the summary totals (line-level amounts overlap, so they are not summed).
+ */
+export function diffPayloadSnapshots(fromPayload = {}, toPayload = {}) {
+  const from = fromPayload || {};
+  const to = toPayload || {};
+  const before = flattenPayload(from);
+  const after = flattenPayload(to);
+  const changes = [];
+  const added = [];
+  const removed = [];
+
+  for (const groupKey of orderedGroupKeys(before, after)) {
+    const prev = before.get(groupKey);
+    const next = after.get(groupKey);
+
+    if (!prev || !next) {
+      changes.push(...presenceChanges(prev, next));
+      (next ? added : removed).push({
+        section: (next || prev).section,
+        productKey: (next || prev).productKey,
+        productName: (next || prev).productName,
+        contractTotal: round2((next || prev).contractTotal ?? 0),
+      });
+      continue;
+    }
+
+    for (const cellKey of unionKeys(prev.cells, next.cells)) {
+      const cell = next.cells.get(cellKey) || prev.cells.get(cellKey);
+      const change = compareCells(changeBase(next, cell), cell.kind, prev.cells.get(cellKey)?.value, next.cells.get(cellKey)?.value);
+      if (change) changes.push(change);
+    }
+  }
+
+  const sections = { header: 0, services: 0, products: 0, summary: 0, agreement: 0 };
+  for (const change of changes) sections[change.section] += 1;
+
+  const delta = (key) => round2((readMoney(to.summary?.[key]) || 0) - (readMoney(from.summary?.[key]) || 0));
+
+  return {
+    changes,
+    added,
+    removed,
+    summary: {
+      totalChanges: changes.length,
+      sections,
+      priceImpact: {
+        serviceAgreementTotal: delta("serviceAgreementTotal"),
+        productMonthlyTotal: delta("productMonthlyTotal"),
+        productContractTotal: delta("productContractTotal"),
+        contractTotal: round2(contractValue(to.summary) - contractValue(from.summary)),
+      },
+      hasSignificantChanges: changes.some((c) => Math.abs(c.changeAmount) >= 50 || Math.abs(c.changePercentage) >= 15),
+    },
+  };
+}
+
+function parseVersionNumber(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw diffError(400, `${name} must be a positive version number`);
+  }
+  return parsed;
+}
+
+export function describeVersion(version) {
+  return {
+    id: version._id,
+    versionNumber: version.versionNumber,
+    versionLabel: version.versionLabel,
+    status: version.status,
+    createdAt: version.createdAt,
+    createdBy: version.createdBy,
+  };
+}
+
+/**
+ * Loads the two versions to compare, with their payload snapshots. `to`
+ * defaults to the latest version and `from` to the version before `to`.
+ */
+export async function loadVersionPair(agreementId, { from, to } = {}) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw diffError(400, "Invalid agreement ID format");
+  }
+
+  const fromNumber = parseVersionNumber(from, "from");
+  const toNumber = parseVersionNumber(to, "to");
+  if (fromNumber !== undefined && toNumber !== undefined && fromNumber === toNumber) {
+    throw diffError(400, "from and to must be different versions");
+  }
+
+  const versions = await VersionPdf.find({ agreementId, isDeleted: { $ne: true } })
+    .select("_id versionNumber")
+    .sort({ versionNumber: 1 })
+    .lean();
+
+  const target = toNumber !== undefined
+    ? versions.find((v) => v.versionNumber === toNumber)
+    : versions[versions.length - 1];
+  if (!target) {
+    throw diffError(404, toNumber !== undefined ? `Version ${toNumber} not found` : "Agreement has no versions");
+  }
+
+  const base = fromNumber !== undefined
+    ? versions.find((v) => v.versionNumber === fromNumber)
+    : versions.filter((v) => v.versionNumber < target.versionNumber).pop();
+  if (!base) {
+    throw diffError(404, fromNumber !== undefined
+      ? `Version ${fromNumber} not found`
+      : `Version ${target.versionNumber} has no earlier version to compare with`);
+  }
+
+  const loaded = await VersionPdf.find({ _id: { $in: [base._id, target._id] } })
+    .select("_id agreementId versionNumber versionLabel status createdAt createdBy payloadSnapshot")
+    .lean();
+  const fromVersion = loaded.find((v) => String(v._id) === String(base._id));
+  const toVersion = loaded.find((v) => String(v._id) === String(target._id));
+
+  if (!fromVersion?.payloadSnapshot || !toVersion?.payloadSnapshot) {
+    throw diffError(409, "Both versions need a stored payload snapshot to be compared");
+  }
+
+  return { from: fromVersion, to: toVersion };
+}
+
+/**
+ * Diffs two stored versions of an agreement (see loadVersionPair for the
+ * defaults).
+ */
+export async function diffAgreementVersions(agreementId, range = {}) {
+  const { from, to } = await loadVersionPair(agreementId, range);
+
+  return {
+    agreementId,
+    from: describeVersion(from),
+    to: describeVersion(to),
+    ...diffPayloadSnapshots(from.payloadSnapshot, to.payloadSnapshot),
+  };
+}
+
+/**
+ * Server-side change list for a version against the version before it, for
+ * the change-log writers. The version must belong to `agreementId`: invalid
+ * ids are 400 and a version outside the agreement is 404. Returns null only
+ * when there is nothing to compare with (first version, missing snapshot),
+ * so callers can fall back to the changes the client submitted.
+ */
+export async function diffVersionAgainstPrevious(versionId, agreementId) {
+  if (!mongoose.isValidObjectId(agreementId)) {
+    throw diffError(400, "Invalid agreement ID format");
+  }
+  if (!mongoose.isValidObjectId(versionId)) {
+    throw diffError(400, "Invalid version ID format");
+  }
+
+  const version = await VersionPdf.findOne({ _id: versionId, agreementId }).select("versionNumber").lean();
+  if (!version) {
+    throw diffError(404, "Version not found for this agreement");
+  }
+
+  try {
+    return await diffAgreementVersions(String(agreementId), { to: version.versionNumber });
+  } catch (err) {
+    if (err.status === 404 || err.status === 409) return null;
+    throw err;
+  }
+}
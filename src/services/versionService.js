@@ -0,0 +1,369 @@
+import mongoose from "mongoose";
+import VersionPdf from "../models/VersionPdf.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import ZohoMapping from "../models/ZohoMapping.js";
+import { compileCustomerHeader, compileVersionRedline } from "./pdfService.js";
+import { storeBlob, deleteBlob } from "./blobStoreService.js";
+import { issuePdf } from "./documentIntegrityService.js";
+import { describeVersion, loadVersionPair } from "./versionDiffService.js";
+import { uploadBiginFile } from "./zohoService.js";
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function lockedVersion(versionNumber) {
+  const err = new Error(`Version ${versionNumber} was signed by the customer and is locked`);
+  err.status = 409;
+  err.detail = err.message;
+  return err;
+}
+
+export function shouldWatermarkAgreement(status, requested = false) {
+  return requested === true || status === "draft" || status === "pending_approval";
+}
+
+export async function createAgreementVersion(agreementId, options = {}) {
+  const {
+    changeNotes,
+    createdBy = null,
+    replaceRecent = false,
+    isFirstTime = false,
+    watermark = false,
+    onProgress = null,
+    sourceJobId = null,
+    // { id, username, accessRole } of the user creating the version, for statusHistory
+    actor = null,
+  } = options;
+
+  if (!mongoose.isValidObjectId(agreementId)) {
+    const err = new Error("Invalid agreement ID format");
+    err.status = 400;
+    throw err;
+  }
+
+  // A PDF job retried after its version was already written must not create a second one.
+  if (sourceJobId) {
+    const existing = await VersionPdf.findOne({ agreementId, sourceJobId }).select('-pdf_meta.pdfBuffer');
+    if (existing) {
+      console.log(`♻️ [VERSION-CREATE] Job ${sourceJobId} already produced v${existing.versionNumber}, reusing it`);
+      await CustomerHeaderDoc.updateOne(
+        { _id: agreementId, 'versions.versionId': { $ne: existing._id } },
+        {
+          $set: { currentVersionNumber: existing.versionNumber },
+          $inc: { totalVersions: 1 },
+          $push: {
+            versions: {
+              versionId: existing._id,
+              versionNumber: existing.versionNumber,
+              versionLabel: existing.versionLabel,
+              createdAt: existing.createdAt,
+              createdBy: existing.createdBy,
+              changeNotes: changeNotes || '',
+              status: 'active'
+            }
+          }
+        }
+      );
+      return { version: existing, versionNumber: existing.versionNumber, wasReplacement: false };
+    }
+  }
+
+  const agreement = await CustomerHeaderDoc.findById(agreementId)
+    .select('-pdf_meta.pdfBuffer -attachedFiles -zoho')
+    .lean();
+  if (!agreement) {
+    throw notFound("Agreement not found");
+  }
+
+  const existingVersions = await VersionPdf.find({
+    agreementId: agreementId,
+    isDeleted: { $ne: true }
+  })
+  .select('_id versionNumber createdAt status lockedAt')
+  .sort({ versionNumber: -1 })
+  .lean();
+
+  const allVersions = await VersionPdf.find({
+    agreementId: agreementId
+  })
+  .select('versionNumber')
+  .sort({ versionNumber: -1 })
+  .limit(1)
+  .lean();
+
+  const highestVersionNumber = allVersions.length > 0 ? allVersions[0].versionNumber : 0;
+
+  const totalVersions = existingVersions.length;
+  const latestVersion = existingVersions[0];
+
+  let versionNumber = 1;
+
+  if (replaceRecent && latestVersion?.lockedAt) {
+    versionNumber = highestVersionNumber + 1;
+    console.log(`🔒 [VERSION-CREATE] v${latestVersion.versionNumber} is signed - creating v${versionNumber} instead of replacing`);
+  } else if (replaceRecent && latestVersion) {
+    versionNumber = latestVersion.versionNumber;
+    console.log(`🔄 [VERSION-CREATE] User requested replace - will replace v${versionNumber}`);
+  } else {
+    versionNumber = highestVersionNumber + 1;
+    console.log(`✅ [VERSION-CREATE] Creating new version v${versionNumber}`);
+  }
+
+  const shouldApplyWatermark = shouldWatermarkAgreement(agreement.status, watermark);
+
+  console.log(`💧 [WATERMARK-CHECK] Watermark decision:`, {
+    requestedWatermark: watermark,
+    agreementStatus: agreement.status,
+    shouldApplyWatermark
+  });
+
+  if (onProgress) await onProgress("compiling");
+
+  const replacing = replaceRecent && latestVersion && versionNumber === latestVersion.versionNumber;
+  const versionId = replacing ? latestVersion._id : new mongoose.Types.ObjectId();
+
+  const compiledPdf = await compileCustomerHeader(agreement.payload, {
+    watermark: shouldApplyWatermark,
+  });
+
+  if (!compiledPdf || !compiledPdf.buffer) {
+    throw new Error("Failed to compile PDF for version");
+  }
+
+  if (onProgress) await onProgress("storing");
+
+  const fileName = `${agreement.payload?.headerTitle || 'Agreement'}_v${versionNumber}.pdf`;
+  const { buffer: pdfBuffer, integrity } = await issuePdf(compiledPdf.buffer, {
+    documentType: "version",
+    documentId: versionId,
+    agreementId,
+    versionNumber,
+    fileName,
+    issuedBy: createdBy,
+  });
+
+  const stored = await storeBlob(pdfBuffer, {
+    prefix: `versions/${agreementId}`,
+    metadata: { agreementId: String(agreementId), versionNumber },
+  });
+
+  const versionData = {
+    agreementId: agreementId,
+    versionNumber: versionNumber,
+    versionLabel: `v${versionNumber}`,
+    fileName,
+    status: agreement.status || 'saved',
+    createdBy: createdBy || null,
+    sourceJobId: sourceJobId || null,
+    changeNotes: changeNotes || `Version ${versionNumber} - ${isFirstTime ? 'Initial version' : 'Updated agreement'}`,
+    payloadSnapshot: agreement.payload,
+    pdf_meta: {
+      sizeBytes: pdfBuffer.length,
+      storedAt: new Date(),
+      pdfBuffer: stored.pdfBuffer,
+      contentType: 'application/pdf',
+      externalUrl: stored.externalUrl,
+      storageDriver: stored.storageDriver,
+      storageKey: stored.storageKey,
+      watermarked: shouldApplyWatermark,
+      integrity
+    },
+    zoho: {
+      bigin: {},
+      crm: {}
+    }
+  };
+
+  console.log(`📋 [VERSION-CREATE] Creating version with status: ${versionData.status} (inherited from agreement)`);
+  const statusHistory = [{
+    from: null,
+    to: versionData.status,
+    actor: actor?.username || createdBy || null,
+    actorId: actor?.id || null,
+    actorRole: actor?.accessRole || null,
+    comment: 'Inherited from agreement',
+    at: new Date()
+  }];
+
+  let version;
+  let wasReplacement = false;
+
+  if (replacing) {
+    const replaced = await VersionPdf.findById(latestVersion._id).select('pdf_meta.storageDriver pdf_meta.storageKey').lean();
+    version = await VersionPdf.findByIdAndUpdate(
+      latestVersion._id,
+      {
+        ...versionData,
+        updatedAt: new Date()
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (version) {
+      wasReplacement = true;
+      if (replaced?.pdf_meta?.storageKey !== stored.storageKey) {
+        await deleteBlob(replaced?.pdf_meta);
+      }
+      console.log(`🔄 [VERSION-CREATE] Replaced version ${versionNumber} (atomic update)`);
+    } else {
+      version = new VersionPdf({ ...versionData, _id: versionId, statusHistory });
+      version = await version.save();
+      console.log(`✅ [VERSION-CREATE] Created new version ${versionNumber} (replacement target not found)`);
+    }
+  } else {
+    version = new VersionPdf({ ...versionData, _id: versionId, statusHistory });
+    version = await version.save();
+    console.log(`✅ [VERSION-CREATE] Created new version ${versionNumber}`);
+  }
+
+  const updateData = {
+    currentVersionNumber: versionNumber,
+    totalVersions: wasReplacement ? totalVersions : totalVersions + 1
+  };
+
+  if (!wasReplacement) {
+    updateData.$push = {
+      versions: {
+        versionId: version._id,
+        versionNumber: versionNumber,
+        versionLabel: `v${versionNumber}`,
+        createdAt: version.createdAt,
+        createdBy: createdBy || null,
+        changeNotes: changeNotes || '',
+        status: 'active'
+      }
+    };
+
+    if (latestVersion && latestVersion.status === 'draft') {
+      await VersionPdf.findByIdAndUpdate(latestVersion._id, { status: 'saved' });
+      console.log(`✅ [VERSION-CREATE] Auto-updated previous draft (v${latestVersion.versionNumber}) to saved after creating v${versionNumber}`);
+    }
+  }
+
+  await CustomerHeaderDoc.findByIdAndUpdate(agreementId, updateData);
+
+  return { version, versionNumber, wasReplacement };
+}
+
+export async function regenerateVersionPdf(versionId, { onProgress = null } = {}) {
+  const version = await VersionPdf.findById(versionId)
+    .select('-pdf_meta.pdfBuffer')
+    .populate('agreementId', 'status');
+  if (!version) {
+    throw notFound("Version not found");
+  }
+  if (version.lockedAt) {
+    throw lockedVersion(version.versionNumber);
+  }
+
+  const agreementStatus = version.agreementId?.status || version.status;
+  const watermarked = shouldWatermarkAgreement(agreementStatus);
+
+  if (onProgress) await onProgress("compiling");
+
+  const compiledPdf = await compileCustomerHeader(version.payloadSnapshot, {
+    watermark: watermarked,
+  });
+
+  if (!compiledPdf || !compiledPdf.buffer) {
+    throw new Error("Failed to compile PDF for version regeneration");
+  }
+
+  if (onProgress) await onProgress("storing");
+
+  const { buffer: pdfBuffer, integrity } = await issuePdf(compiledPdf.buffer, {
+    documentType: "version",
+    documentId: version._id,
+    agreementId: version.agreementId?._id || version.agreementId,
+    versionNumber: version.versionNumber,
+    fileName: version.fileName,
+  });
+  const stored = await storeBlob(pdfBuffer, {
+    prefix: `versions/${version.agreementId?._id || version.agreementId}`,
+    metadata: { versionId: String(version._id), versionNumber: version.versionNumber },
+  });
+
+  await VersionPdf.updateOne(
+    { _id: version._id },
+    {
+      $set: {
+        'pdf_meta.pdfBuffer': stored.pdfBuffer,
+        'pdf_meta.sizeBytes': pdfBuffer.length,
+        'pdf_meta.storedAt': new Date(),
+        'pdf_meta.externalUrl': stored.externalUrl,
+        'pdf_meta.storageDriver': stored.storageDriver,
+        'pdf_meta.storageKey': stored.storageKey,
+        'pdf_meta.watermarked': watermarked,
+        'pdf_meta.integrity': integrity,
+      }
+    }
+  );
+
+  await deleteBlob(version.pdf_meta);
+
+  console.log(`♻️ [VERSION-REGENERATE] Regenerated v${version.versionNumber} (${pdfBuffer.length} bytes)`);
+
+  return { version, versionNumber: version.versionNumber, sizeBytes: pdfBuffer.length };
+}
+
+/**
+ * Compiles the redline PDF comparing two versions of an agreement. `from`
+ * and `to` are version numbers; they default to the latest version and the
+ * one before it.
+ */
+export async function compileVersionComparison(agreementId, range = {}) {
+  const { from, to } = await loadVersionPair(agreementId, range);
+  const agreement = await CustomerHeaderDoc.findById(agreementId).select("payload.headerTitle").lean();
+  if (!agreement) {
+    throw notFound("Agreement not found");
+  }
+
+  const { buffer, filename, diff } = await compileVersionRedline({
+    agreementTitle: agreement.payload?.headerTitle,
+    from,
+    to,
+  });
+
+  return {
+    buffer,
+    filename,
+    from: describeVersion(from),
+    to: describeVersion(to),
+    summary: diff.summary,
+  };
+}
+
+/**
+ * Uploads the redline PDF as an attachment on the agreement's Bigin deal.
+ */
+export async function attachVersionComparisonToZoho(agreementId, range = {}) {
+  const mapping = mongoose.isValidObjectId(agreementId)
+    ? await ZohoMapping.findOne({ agreementId }).lean()
+    : null;
+  if (!mapping?.zohoDeal?.id) {
+    const err = new Error("Agreement is not linked to a Zoho deal yet");
+    err.status = 409;
+    throw err;
+  }
+
+  const comparison = await compileVersionComparison(agreementId, range);
+  const upload = await uploadBiginFile(mapping.zohoDeal.id, comparison.buffer, comparison.filename);
+  if (!upload.success) {
+    const err = new Error(upload.error?.message || "Failed to upload comparison PDF to Zoho");
+    err.status = 502;
+    err.detail = upload.error;
+    throw err;
+  }
+
+  console.log(`🖍️ [VERSION-REDLINE] Attached v${comparison.from.versionNumber} → v${comparison.to.versionNumber} comparison to deal ${mapping.zohoDeal.id}`);
+
+  return {
+    file: upload.file,
+    from: comparison.from,
+    to: comparison.to,
+    summary: comparison.summary,
+  };
+}
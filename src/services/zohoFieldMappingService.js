@@ -0,0 +1,211 @@
+import AdminSettings from "../models/AdminSettings.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import { getBiginModuleFields } from "./zohoService.js";
+
+// Set by the upload flow itself; mapping them would fight with deal creation.
+const RESERVED_FIELDS = ["id", "Deal_Name", "Sub_Pipeline", "Pipeline", "Stage", "Account_Name", "Contact_Name"];
+
+const SUPPORTED_TYPES = [
+  "text", "textarea", "email", "phone", "website", "picklist", "multiselectpicklist",
+  "integer", "bigint", "double", "currency", "decimal", "percent", "date", "datetime", "boolean",
+];
+
+// Values that aren't a single payload path. Anything else is read from agreement.payload.
+export const DERIVED_SOURCES = {
+  $servicesSold: (agreement) => servicesSold(agreement.payload?.services),
+  $salesperson: (agreement) =>
+    agreement.payload?.serviceAgreement?.emSalesRepresentative?.trim() || agreement.createdBy || null,
+  $createdBy: (agreement) => agreement.createdBy || null,
+  $status: (agreement) => agreement.status || null,
+  $agreementId: (agreement) => String(agreement._id),
+};
+
+function mappingError(status, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.detail = detail;
+  Object.assign(err, extra);
+  return err;
+}
+
+function servicesSold(services) {
+  if (!services) return [];
+  const sold = [];
+  for (const [key, data] of Object.entries(services)) {
+    if (key === "customServices") continue;
+    if (!data || data.isActive === false) continue;
+    sold.push(key);
+  }
+  for (const custom of services.customServices || []) {
+    const name = custom?.name || custom?.serviceName || custom?.title;
+    if (name && custom.isActive !== false) sold.push(name);
+  }
+  return sold;
+}
+
+function payloadRoots() {
+  const payloadSchema = CustomerHeaderDoc.schema.path("payload").schema;
+  return new Set(Object.keys(payloadSchema.paths).map((path) => path.split(".")[0]));
+}
+
+function readPath(source, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+export function resolveSourceValue(agreement, source) {
+  if (source.startsWith("$")) {
+    return DERIVED_SOURCES[source]?.(agreement) ?? null;
+  }
+  return readPath(agreement.payload || {}, source) ?? null;
+}
+
+function toDateOnly(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
+}
+
+/**
+ * Converts a payload value to what Bigin accepts for the field's data type.
+ * Returns undefined when the value can't be represented (the field is skipped).
+ */
+export function convertForBigin(value, dataType) {
+  if (value === null || value === undefined || value === "") return undefined;
+
+  switch (dataType) {
+    case "integer":
+    case "bigint": {
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.round(number) : undefined;
+    }
+    case "double":
+    case "currency":
+    case "decimal":
+    case "percent": {
+      const number = Number(String(value).replace(/[$,\s]/g, ""));
+      return Number.isFinite(number) ? Math.round(number * 100) / 100 : undefined;
+    }
+    case "date":
+      return toDateOnly(value) ?? undefined;
+    case "datetime": {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date.toISOString().replace(/\.\d{3}Z$/, "+00:00");
+    }
+    case "boolean":
+      return value === true || value === "true" || value === 1 || value === "1";
+    case "multiselectpicklist":
+      return (Array.isArray(value) ? value : [value]).map(String);
+    default:
+      return Array.isArray(value) ? value.map(String).join(", ") : String(value);
+  }
+}
+
+export async function getDealFieldMapping() {
+  const settings = await AdminSettings.getSingleton();
+  const config = settings.zohoDealFieldMapping?.toObject?.() || settings.zohoDealFieldMapping || {};
+  return {
+    enabled: config.enabled !== false,
+    fields: config.fields || [],
+    validatedAt: config.validatedAt || null,
+    updatedBy: config.updatedBy || null,
+  };
+}
+
+/**
+ * Bigin field values for an agreement under the configured mapping:
+ * { fields: { Api_Name: value }, skipped: [{ source, field, reason }] }.
+ */
+export async function buildMappedDealFields(agreement, mapping = null) {
+  const config = mapping || await getDealFieldMapping();
+  const fields = {};
+  const skipped = [];
+  if (!config.enabled || !agreement) {
+    return { fields, skipped };
+  }
+
+  for (const entry of config.fields) {
+    const raw = resolveSourceValue(agreement, entry.source);
+    const value = convertForBigin(raw, entry.dataType);
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      skipped.push({ source: entry.source, field: entry.field, reason: raw == null || raw === "" ? "empty" : "unconvertible" });
+      continue;
+    }
+    fields[entry.field] = value;
+  }
+  return { fields, skipped };
+}
+
+/**
+ * Checks a mapping against the live Bigin Pipelines field metadata and
+ * returns the entries with each field's data type and label filled in.
+ * Throws 400 (with `details`) for unknown, read-only, reserved or
+ * unsupported fields and unknown sources; 502 when Bigin can't be reached.
+ */
+export async function validateDealFieldMapping(entries) {
+  const metadata = await getBiginModuleFields("Pipelines");
+  if (!metadata.success) {
+    throw mappingError(502, "Could not load Bigin Pipelines fields to validate the mapping", {
+      zohoError: metadata.error || null,
+    });
+  }
+
+  const byApiName = new Map(metadata.fields.map((field) => [field.apiName, field]));
+  const roots = payloadRoots();
+  const details = [];
+  const seen = new Set();
+
+  const validated = entries.map((entry, index) => {
+    const label = `fields[${index}]`;
+    const field = byApiName.get(entry.field);
+
+    if (entry.source.startsWith("$")) {
+      if (!DERIVED_SOURCES[entry.source]) {
+        details.push(`${label}: unknown derived source "${entry.source}" (allowed: ${Object.keys(DERIVED_SOURCES).join(", ")})`);
+      }
+    } else if (!roots.has(entry.source.split(".")[0])) {
+      details.push(`${label}: "${entry.source}" is not an agreement payload path`);
+    }
+
+    if (seen.has(entry.field)) {
+      details.push(`${label}: "${entry.field}" is mapped more than once`);
+    }
+    seen.add(entry.field);
+
+    if (RESERVED_FIELDS.includes(entry.field)) {
+      details.push(`${label}: "${entry.field}" is set by the upload flow and can't be mapped`);
+    } else if (!field) {
+      details.push(`${label}: Bigin Pipelines has no field "${entry.field}"`);
+    } else if (field.readOnly) {
+      details.push(`${label}: "${entry.field}" is read-only in Bigin`);
+    } else if (!SUPPORTED_TYPES.includes(field.dataType)) {
+      details.push(`${label}: "${entry.field}" has unsupported type "${field.dataType}"`);
+    }
+
+    return {
+      source: entry.source,
+      field: entry.field,
+      dataType: field?.dataType || null,
+      label: field?.displayLabel || null,
+    };
+  });
+
+  if (details.length > 0) {
+    throw mappingError(400, "Invalid Zoho deal field mapping", { details });
+  }
+  return validated;
+}
+
+export async function saveDealFieldMapping({ enabled = true, fields = [] }, { updatedBy = null } = {}) {
+  const validated = await validateDealFieldMapping(fields);
+
+  const settings = await AdminSettings.getSingleton();
+  settings.zohoDealFieldMapping = {
+    enabled,
+    fields: validated,
+    validatedAt: new Date(),
+    updatedBy,
+  };
+  await settings.save();
+
+  console.log(`✅ [ZOHO-FIELDS] Deal field mapping saved by ${updatedBy || "unknown"} (${validated.length} field(s))`);
+  return getDealFieldMapping();
+}
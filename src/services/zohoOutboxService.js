@@ -0,0 +1,780 @@
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ZohoSyncOperation from "../models/ZohoSyncOperation.js";
+import ZohoMapping from "../models/ZohoMapping.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import { toNodeBuffer } from "./blobStoreService.js";
+import {
+  createBiginDeal,
+  updateBiginDeal,
+  createBiginNote,
+  createBiginTask,
+  uploadBiginFile,
+} from "./zohoService.js";
+import {
+  ZOHO_OUTBOX_WORKER_ENABLED,
+  ZOHO_OUTBOX_MAX_ATTEMPTS,
+  ZOHO_OUTBOX_BACKOFF_MS,
+  ZOHO_OUTBOX_MAX_BACKOFF_MS,
+  ZOHO_OUTBOX_POLL_MS,
+  ZOHO_OUTBOX_LOCK_TIMEOUT_MS,
+  ZOHO_OUTBOX_RETENTION_DAYS,
+} from "../config/zohoConfig.js";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const FAILED_UPLOAD_TYPES = {
+  deal: "deal_creation_failed",
+  deal_update: "api_error",
+  note: "note_failed",
+  file: "file_failed",
+  task: "api_error",
+};
+
+const LIST_PROJECTION = { "file.buffer": 0 };
+
+// Creating a deal, note, file or task twice leaves a duplicate in Bigin, so these
+// are never re-run blindly after a worker disappears mid-request.
+const NON_IDEMPOTENT_KINDS = ["deal", "note", "file", "task"];
+
+let pollTimer = null;
+let ticking = false;
+// Zoho rate limits are per organization, so a 429 pauses every operation.
+let pausedUntil = 0;
+
+function outboxError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Only the worker holding the lock may finish an operation.
+function ownedBy(op) {
+  return { _id: op._id, lockedBy: WORKER_ID, status: "processing" };
+}
+
+function lostLock(op) {
+  console.warn(`⚠️ [ZOHO-OUTBOX] ${op.kind} ${op._id} failed after its worker lock was taken over; outcome not recorded`);
+}
+
+function expiryDate() {
+  return new Date(Date.now() + ZOHO_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+export function computeOutboxBackoffMs(attempts) {
+  return Math.min(ZOHO_OUTBOX_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), ZOHO_OUTBOX_MAX_BACKOFF_MS);
+}
+
+// Network errors, 401 (token refresh), 408, 429 and 5xx are transient;
+// any other Zoho response (INVALID_DATA, 404, ...) fails the same way again.
+export function classifyZohoFailure(failure = {}) {
+  const status = failure.status ?? failure.error?.status ?? null;
+  if (status === 429) {
+    return { retryable: true, rateLimited: true, retryAfterMs: failure.retryAfterMs || null };
+  }
+  if (!status || status >= 500 || status === 408 || status === 401) {
+    return { retryable: true, rateLimited: false, retryAfterMs: null };
+  }
+  return { retryable: false, rateLimited: false, retryAfterMs: null };
+}
+
+function failureMessage(failure = {}) {
+  const error = failure.error;
+  if (!error) return "Unknown Zoho error";
+  if (typeof error === "string") return error;
+  if (error.message) return String(error.message);
+  const first = error.data?.[0];
+  if (first?.message) return `${first.code || "ERROR"}: ${first.message}`;
+  return JSON.stringify(error).slice(0, 500);
+}
+
+export function serializeZohoOperation(op) {
+  return {
+    id: op._id.toString(),
+    kind: op.kind,
+    status: op.status,
+    agreementId: op.agreementId || null,
+    dealId: op.dealId || null,
+    dependsOn: op.dependsOn || null,
+    batchId: op.batchId || null,
+    title: op.payload?.title || op.payload?.subject || op.payload?.dealName || op.file?.fileName || null,
+    fileName: op.file?.fileName || null,
+    attempts: op.attempts,
+    maxAttempts: op.maxAttempts,
+    rateLimitHits: op.rateLimitHits || 0,
+    nextRunAt: op.status === "queued" ? op.nextRunAt : null,
+    result: op.result || null,
+    error: op.lastError || null,
+    errorStatus: op.lastStatus || null,
+    errorDetail: op.status === "dead" ? op.errorDetail || null : null,
+    deadLetteredAt: op.deadLetteredAt || null,
+    replayCount: op.replayCount || 0,
+    discardedAt: op.discardedAt || null,
+    discardReason: op.discardReason || null,
+    requestedBy: op.requestedBy || null,
+    createdAt: op.createdAt,
+    completedAt: op.completedAt || null,
+  };
+}
+
+/**
+ * Reduces the operations of one request to { batchId, state, counts,
+ * operations }. state is "completed" when everything reached Zoho, "failed"
+ * when anything was dead-lettered or needs checking in Bigin and "pending"
+ * while retries are scheduled.
+ */
+export function summarizeZohoOperations(ops = []) {
+  const counts = { completed: 0, pending: 0, dead: 0, needsCheck: 0, discarded: 0 };
+  for (const op of ops) {
+    if (op.status === "completed") counts.completed += 1;
+    else if (op.status === "dead") counts.dead += 1;
+    else if (op.status === "needs_check") counts.needsCheck += 1;
+    else if (op.status === "discarded") counts.discarded += 1;
+    else counts.pending += 1;
+  }
+  let state = "completed";
+  if (counts.dead || counts.needsCheck || counts.discarded) state = "failed";
+  else if (counts.pending) state = "pending";
+
+  return {
+    batchId: ops[0]?.batchId || null,
+    state,
+    counts,
+    operations: ops.map(serializeZohoOperation),
+  };
+}
+
+/**
+ * Persists Bigin writes for the worker. Each entry is { kind, dealId,
+ * payload, file: { buffer, fileName, contentType }, context, after } where
+ * `after` is the index of an earlier entry that must complete first; its
+ * deal id is inherited when the entry has none.
+ */
+export async function enqueueZohoOperations(entries = [], { agreementId = null, requestedBy = null } = {}) {
+  if (!entries.length) return [];
+
+  const batchId = crypto.randomUUID();
+  const now = new Date();
+  const ids = entries.map(() => new mongoose.Types.ObjectId());
+
+  const docs = entries.map((entry, index) => {
+    if (!ZohoSyncOperation.schema.path("kind").enumValues.includes(entry.kind)) {
+      throw outboxError(400, `Unknown Zoho operation kind: ${entry.kind}`);
+    }
+    const hasParent = Number.isInteger(entry.after);
+    if (hasParent && (entry.after < 0 || entry.after >= index)) {
+      throw outboxError(400, `Operation ${index} depends on an operation queued after it`);
+    }
+    if (!hasParent && !entry.dealId && entry.kind !== "deal") {
+      throw outboxError(400, `${entry.kind} operations need a dealId or a parent operation`);
+    }
+
+    const doc = {
+      _id: ids[index],
+      kind: entry.kind,
+      status: hasParent ? "blocked" : "queued",
+      agreementId: entry.agreementId || agreementId,
+      dealId: entry.dealId || null,
+      dependsOn: hasParent ? ids[entry.after] : null,
+      batchId,
+      payload: entry.payload || {},
+      context: entry.context || {},
+      maxAttempts: ZOHO_OUTBOX_MAX_ATTEMPTS,
+      nextRunAt: now,
+      requestedBy,
+    };
+    if (entry.kind === "file") {
+      const buffer = entry.file?.buffer;
+      if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw outboxError(400, "file operations need a non-empty buffer");
+      }
+      doc.file = {
+        fileName: entry.file.fileName,
+        contentType: entry.file.contentType || "application/pdf",
+        sizeBytes: buffer.length,
+        buffer,
+      };
+    }
+    return doc;
+  });
+
+  await ZohoSyncOperation.insertMany(docs);
+  console.log(`📥 [ZOHO-OUTBOX] Queued ${docs.length} operation(s) (${docs.map((d) => d.kind).join(" → ")}) in batch ${batchId}`);
+  return ids;
+}
+
+async function loadOperations(ids) {
+  const ops = await ZohoSyncOperation.find({ _id: { $in: ids } }, LIST_PROJECTION).lean();
+  const byId = new Map(ops.map((op) => [op._id.toString(), op]));
+  return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+}
+
+async function claimOperation(filter = {}) {
+  const now = new Date();
+  return ZohoSyncOperation.findOneAndUpdate(
+    { ...filter, status: "queued", nextRunAt: { $lte: now } },
+    {
+      $set: { status: "processing", lockedAt: now, lockedBy: WORKER_ID, startedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Attempts the given operations once, in order, inside the current request so
+ * callers keep their synchronous response on the happy path. Anything that
+ * fails transiently stays queued for the worker. Returns the operations.
+ */
+export async function runZohoOperationsNow(ids = []) {
+  for (const id of ids) {
+    if (Date.now() < pausedUntil) break;
+    const op = await claimOperation({ _id: id });
+    if (op) await processOperation(op);
+  }
+  return loadOperations(ids);
+}
+
+async function execute(op) {
+  if (op.kind !== "deal" && !op.dealId) {
+    return { ok: false, failure: { error: "No Bigin deal id to attach to", status: 400 } };
+  }
+
+  if (op.kind === "deal") {
+    const res = await createBiginDeal(op.payload);
+    return res.success
+      ? { ok: true, result: { dealId: res.deal.id, dealName: res.deal.name } }
+      : { ok: false, failure: res };
+  }
+  if (op.kind === "deal_update") {
+    const res = await updateBiginDeal(op.dealId, op.payload.fields || {});
+    return res.success
+      ? { ok: true, result: { dealId: res.deal.id, fields: res.deal.fields } }
+      : { ok: false, failure: res };
+  }
+  if (op.kind === "note") {
+    const res = await createBiginNote(op.dealId, op.payload);
+    return res.success
+      ? { ok: true, result: { noteId: res.note.id, title: res.note.title } }
+      : { ok: false, failure: res };
+  }
+  if (op.kind === "file") {
+    const buffer = toNodeBuffer(op.file?.buffer);
+    if (!buffer?.length) {
+      return { ok: false, failure: { error: "Queued file has no content", status: 400 } };
+    }
+    const res = await uploadBiginFile(op.dealId, buffer, op.file.fileName, { contentType: op.file.contentType });
+    return res.success
+      ? { ok: true, result: { fileId: res.file.id, fileName: op.file.fileName } }
+      : { ok: false, failure: res };
+  }
+  if (op.kind === "task") {
+    const res = await createBiginTask(op.dealId, op.payload);
+    return res.success
+      ? { ok: true, result: { taskId: res.task.id, subject: res.task.subject } }
+      : { ok: false, failure: res };
+  }
+  return { ok: false, failure: { error: `Unknown Zoho operation kind: ${op.kind}`, status: 400 } };
+}
+
+async function parentNoteId(op) {
+  if (!op.dependsOn) return null;
+  const parent = await ZohoSyncOperation.findById(op.dependsOn).select("kind result").lean();
+  return parent?.kind === "note" ? parent.result?.noteId || null : null;
+}
+
+// Local bookkeeping once Zoho accepted the write. Returns extra result fields.
+async function applySuccess(op, result) {
+  const context = op.context || {};
+
+  if (context.mapping && op.kind === "deal") {
+    const mapping = await ZohoMapping.findOneAndUpdate(
+      { agreementId: op.agreementId },
+      {
+        $set: {
+          zohoCompany: context.mapping.company,
+          zohoDeal: {
+            id: result.dealId,
+            name: result.dealName,
+            pipelineName: context.mapping.pipelineName || "Default",
+            stage: context.mapping.stage,
+          },
+          moduleName: "Pipelines",
+          lastUploadStatus: "success",
+          lastError: null,
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { mappingId: mapping._id };
+  }
+
+  if (context.recordUpload && op.kind === "file") {
+    const mapping = await ZohoMapping.findByAgreementId(op.agreementId);
+    if (!mapping) {
+      console.warn(`⚠️ [ZOHO-OUTBOX] No mapping for agreement ${op.agreementId} - upload ${result.fileId} not tracked`);
+      return {};
+    }
+    const version = mapping.addUpload({
+      zohoNoteId: await parentNoteId(op),
+      zohoFileId: result.fileId,
+      noteText: context.recordUpload.noteText,
+      fileName: result.fileName,
+      uploadedBy: context.recordUpload.uploadedBy || "system",
+    });
+    mapping.lastUploadStatus = "success";
+    mapping.lastError = null;
+    await mapping.save();
+    return { mappingId: mapping._id, mappingVersion: version };
+  }
+
+  if (context.approvalTask && op.kind === "task") {
+    await CustomerHeaderDoc.updateOne(
+      { _id: op.agreementId },
+      { $set: { "approvalTask.taskId": result.taskId, "approvalTask.error": null } }
+    );
+  }
+  return {};
+}
+
+async function applyFailure(op, message) {
+  if (op.context?.approvalTask) {
+    await CustomerHeaderDoc.updateOne(
+      { _id: op.agreementId },
+      { $set: { "approvalTask.open": false, "approvalTask.error": message } }
+    );
+  }
+  if (op.agreementId) {
+    // "partial" rather than "failed": a failed mapping is deleted by the next first-time upload.
+    await ZohoMapping.updateOne(
+      { agreementId: op.agreementId },
+      {
+        $set: { lastUploadStatus: "partial", lastError: message, updatedAt: new Date() },
+        $push: {
+          failedUploads: {
+            attemptedAt: new Date(),
+            errorType: FAILED_UPLOAD_TYPES[op.kind] || "api_error",
+            errorMessage: message,
+            zohoResponse: op.errorDetail || null,
+          },
+        },
+      }
+    );
+  }
+}
+
+async function releaseDependents(op, dealId) {
+  const { modifiedCount } = await ZohoSyncOperation.updateMany(
+    { dependsOn: op._id, status: "blocked" },
+    [
+      {
+        $set: {
+          status: "queued",
+          nextRunAt: new Date(),
+          dealId: { $ifNull: ["$dealId", { $literal: dealId || null }] },
+        },
+      },
+    ]
+  );
+  return modifiedCount;
+}
+
+async function completeOperation(op, result, durationMs) {
+  // A needs_check operation keeps its lock, so a worker that was only slow still records its result.
+  const { matchedCount } = await ZohoSyncOperation.updateOne(
+    { ...ownedBy(op), status: { $in: ["processing", "needs_check"] } },
+    {
+      $set: {
+        status: "completed",
+        result,
+        dealId: op.dealId || result.dealId || null,
+        lastError: null,
+        lastStatus: null,
+        errorDetail: null,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date(),
+        expiresAt: expiryDate(),
+      },
+      $unset: { "file.buffer": "" },
+    }
+  );
+  if (!matchedCount) {
+    console.warn(`⚠️ [ZOHO-OUTBOX] ${op.kind} ${op._id} reached Zoho after its worker lock was taken over; result ${JSON.stringify(result)} not recorded`);
+    return;
+  }
+
+  try {
+    const extra = await applySuccess(op, result);
+    if (Object.keys(extra).length) {
+      await ZohoSyncOperation.updateOne({ _id: op._id }, { $set: { result: { ...result, ...extra } } });
+    }
+  } catch (err) {
+    // Zoho already has the record; retrying would create a duplicate.
+    console.error(`❌ [ZOHO-OUTBOX] ${op.kind} ${op._id} reached Zoho but local bookkeeping failed:`, err.message);
+    await ZohoSyncOperation.updateOne(
+      { _id: op._id },
+      { $set: { lastError: `Recorded in Zoho, local update failed: ${err.message}` } }
+    );
+  }
+
+  const released = await releaseDependents(op, op.dealId || result.dealId);
+  console.log(`✅ [ZOHO-OUTBOX] ${op.kind} ${op._id} completed in ${durationMs}ms${released ? `, released ${released} dependent(s)` : ""}`);
+}
+
+async function processOperation(op) {
+  const started = Date.now();
+  let outcome;
+  try {
+    outcome = await execute(op);
+  } catch (error) {
+    outcome = { ok: false, failure: { error: { message: error.message }, status: error.status } };
+  }
+
+  if (outcome.ok) {
+    await completeOperation(op, outcome.result, Date.now() - started);
+    return;
+  }
+
+  const failure = outcome.failure || {};
+  const { retryable, rateLimited, retryAfterMs } = classifyZohoFailure(failure);
+  const message = failureMessage(failure);
+  const lastStatus = failure.status ?? failure.error?.status ?? null;
+  const errorDetail = typeof failure.error === "object" ? failure.error : null;
+
+  if (rateLimited) {
+    const delay = retryAfterMs || computeOutboxBackoffMs((op.rateLimitHits || 0) + 1);
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    // Rate-limited attempts don't count towards maxAttempts.
+    const { matchedCount } = await ZohoSyncOperation.updateOne(
+      ownedBy(op),
+      {
+        $set: {
+          status: "queued",
+          attempts: Math.max(op.attempts - 1, 0),
+          nextRunAt: new Date(Date.now() + delay),
+          lastError: message,
+          lastStatus,
+          errorDetail,
+          lockedAt: null,
+          lockedBy: null,
+        },
+        $inc: { rateLimitHits: 1 },
+      }
+    );
+    if (!matchedCount) {
+      lostLock(op);
+      return;
+    }
+    console.warn(`⏳ [ZOHO-OUTBOX] Rate limited by Zoho on ${op.kind} ${op._id}, pausing outbox for ${Math.round(delay / 1000)}s`);
+    return;
+  }
+
+  if (retryable && op.attempts < op.maxAttempts) {
+    const delay = computeOutboxBackoffMs(op.attempts);
+    const { matchedCount } = await ZohoSyncOperation.updateOne(
+      ownedBy(op),
+      {
+        $set: {
+          status: "queued",
+          nextRunAt: new Date(Date.now() + delay),
+          lastError: message,
+          lastStatus,
+          errorDetail,
+          lockedAt: null,
+          lockedBy: null,
+        },
+      }
+    );
+    if (!matchedCount) {
+      lostLock(op);
+      return;
+    }
+    console.warn(`⚠️ [ZOHO-OUTBOX] ${op.kind} ${op._id} attempt ${op.attempts}/${op.maxAttempts} failed (${message}), retrying in ${delay}ms`);
+    return;
+  }
+
+  const { matchedCount } = await ZohoSyncOperation.updateOne(
+    ownedBy(op),
+    {
+      $set: {
+        status: "dead",
+        lastError: message,
+        lastStatus,
+        errorDetail,
+        lockedAt: null,
+        lockedBy: null,
+        deadLetteredAt: new Date(),
+      },
+    }
+  );
+  if (!matchedCount) {
+    lostLock(op);
+    return;
+  }
+  console.error(`☠️ [ZOHO-OUTBOX] ${op.kind} ${op._id} dead-lettered after ${op.attempts} attempt(s): ${message}`);
+
+  try {
+    await applyFailure({ ...op, errorDetail }, message);
+  } catch (err) {
+    console.error(`❌ [ZOHO-OUTBOX] Could not record failure of ${op._id}:`, err.message);
+  }
+}
+
+/**
+ * Handles operations whose worker stopped responding. Updates are re-queued;
+ * creates may already exist in Bigin, so they move to needs_check for an
+ * operator to replay (not in Bigin) or discard (already there).
+ */
+async function releaseStaleOperations() {
+  const cutoff = new Date(Date.now() - ZOHO_OUTBOX_LOCK_TIMEOUT_MS);
+  const flagged = await ZohoSyncOperation.updateMany(
+    { status: "processing", lockedAt: { $lt: cutoff }, kind: { $in: NON_IDEMPOTENT_KINDS } },
+    {
+      $set: {
+        status: "needs_check",
+        lastError: "Worker lock expired mid-request; check Bigin for this record before replaying",
+        deadLetteredAt: new Date(),
+      },
+    }
+  );
+  if (flagged.modifiedCount) {
+    console.warn(`⚠️ [ZOHO-OUTBOX] ${flagged.modifiedCount} create operation(s) with expired worker locks need checking in Bigin`);
+  }
+
+  const { modifiedCount } = await ZohoSyncOperation.updateMany(
+    { status: "processing", lockedAt: { $lt: cutoff }, kind: { $nin: NON_IDEMPOTENT_KINDS } },
+    { $set: { status: "queued", nextRunAt: new Date(), lockedAt: null, lockedBy: null } }
+  );
+  if (modifiedCount) {
+    console.warn(`⚠️ [ZOHO-OUTBOX] Re-queued ${modifiedCount} operation(s) with expired worker locks`);
+  }
+}
+
+async function tick() {
+  if (ticking || !pollTimer || mongoose.connection.readyState !== 1) return;
+  ticking = true;
+  try {
+    await releaseStaleOperations();
+    // One operation at a time keeps deal → note → file ordering and Zoho's rate limits simple.
+    while (Date.now() >= pausedUntil) {
+      const op = await claimOperation();
+      if (!op) break;
+      await processOperation(op);
+    }
+  } catch (err) {
+    console.error("❌ [ZOHO-OUTBOX] Worker tick failed:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startZohoOutboxWorker() {
+  if (!ZOHO_OUTBOX_WORKER_ENABLED) {
+    console.log("⏸️ [ZOHO-OUTBOX] Worker disabled (ZOHO_OUTBOX_WORKER=false)");
+    return;
+  }
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, ZOHO_OUTBOX_POLL_MS);
+  pollTimer.unref?.();
+  console.log(`🛠️ [ZOHO-OUTBOX] Worker ${WORKER_ID} started`);
+  setImmediate(() => tick());
+}
+
+export function stopZohoOutboxWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export function getZohoOutboxWorkerStatus() {
+  return {
+    workerId: WORKER_ID,
+    running: !!pollTimer,
+    busy: ticking,
+    rateLimitedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null,
+  };
+}
+
+export async function getZohoOutboxCounts() {
+  const rows = await ZohoSyncOperation.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+  const counts = { blocked: 0, queued: 0, processing: 0, completed: 0, dead: 0, needs_check: 0, discarded: 0 };
+  for (const row of rows) counts[row._id] = row.count;
+  return counts;
+}
+
+export async function listZohoOperations({ status, kind, agreementId, batchId, page = 1, limit = 50 } = {}) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (kind) filter.kind = kind;
+  if (batchId) filter.batchId = batchId;
+  if (agreementId) {
+    if (!mongoose.isValidObjectId(agreementId)) {
+      throw outboxError(400, "Invalid agreementId");
+    }
+    filter.agreementId = agreementId;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || 50), 200);
+
+  const [operations, total] = await Promise.all([
+    ZohoSyncOperation.find(filter, LIST_PROJECTION)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    ZohoSyncOperation.countDocuments(filter),
+  ]);
+
+  return { operations, pagination: { page: pageNum, limit: pageSize, total } };
+}
+
+/**
+ * Dead-lettered operations, newest first, with the number of operations
+ * (e.g. the file after a failed note) that stay blocked until each is replayed.
+ */
+export async function listDeadLetters(query = {}) {
+  const { operations, pagination } = await listZohoOperations({ ...query, status: "dead" });
+  const blocked = await ZohoSyncOperation.aggregate([
+    { $match: { dependsOn: { $in: operations.map((op) => op._id) }, status: "blocked" } },
+    { $group: { _id: "$dependsOn", count: { $sum: 1 } } },
+  ]);
+  const blockedById = new Map(blocked.map((row) => [row._id.toString(), row.count]));
+  return {
+    operations: operations.map((op) => ({ ...op, blockedDependents: blockedById.get(op._id.toString()) || 0 })),
+    pagination,
+  };
+}
+
+export async function getZohoOperation(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ZohoSyncOperation.findById(id, LIST_PROJECTION).lean();
+}
+
+async function assertTransitionable(id, allowed, action) {
+  const existing = await ZohoSyncOperation.findById(id).select("status").lean();
+  if (!existing) {
+    throw outboxError(404, "Operation not found");
+  }
+  throw outboxError(409, `Cannot ${action} an operation that is ${existing.status} (allowed: ${allowed.join(", ")})`);
+}
+
+/**
+ * Moves a dead-lettered or needs_check operation back to the queue with a
+ * fresh attempt budget. Its blocked dependents run once it completes.
+ */
+export async function replayZohoOperation(id, { replayedBy = null } = {}) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw outboxError(400, "Invalid operation id");
+  }
+
+  const op = await ZohoSyncOperation.findOneAndUpdate(
+    { _id: id, status: { $in: ["dead", "needs_check"] } },
+    {
+      $set: {
+        status: "queued",
+        attempts: 0,
+        nextRunAt: new Date(),
+        deadLetteredAt: null,
+        replayedAt: new Date(),
+        replayedBy,
+        lockedAt: null,
+        lockedBy: null,
+      },
+      $inc: { replayCount: 1 },
+    },
+    { new: true, projection: LIST_PROJECTION }
+  ).lean();
+  if (!op) {
+    await assertTransitionable(id, ["dead", "needs_check"], "replay");
+  }
+
+  if (op.context?.approvalTask) {
+    await CustomerHeaderDoc.updateOne(
+      { _id: op.agreementId },
+      { $set: { "approvalTask.open": true, "approvalTask.error": null } }
+    );
+  }
+
+  console.log(`🔁 [ZOHO-OUTBOX] ${op.kind} ${op._id} replayed by ${replayedBy || "system"}`);
+  setImmediate(() => tick());
+  return op;
+}
+
+/**
+ * Gives up on a dead, needs_check, queued or blocked operation. Operations
+ * waiting on it can never run and are discarded with it. Returns
+ * { operation, cascaded }.
+ */
+export async function discardZohoOperation(id, { discardedBy = null, reason = null } = {}) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw outboxError(400, "Invalid operation id");
+  }
+
+  const allowed = ["dead", "needs_check", "queued", "blocked"];
+  const discardSet = () => ({
+    status: "discarded",
+    discardedAt: new Date(),
+    discardedBy,
+    lockedAt: null,
+    lockedBy: null,
+    expiresAt: expiryDate(),
+  });
+
+  const op = await ZohoSyncOperation.findOneAndUpdate(
+    { _id: id, status: { $in: allowed } },
+    { $set: { ...discardSet(), discardReason: reason || null }, $unset: { "file.buffer": "" } },
+    { new: true, projection: LIST_PROJECTION }
+  ).lean();
+  if (!op) {
+    await assertTransitionable(id, allowed, "discard");
+  }
+
+  let cascaded = 0;
+  let parents = [op._id];
+  while (parents.length) {
+    const children = await ZohoSyncOperation.find({ dependsOn: { $in: parents }, status: "blocked" })
+      .select("_id")
+      .lean();
+    if (!children.length) break;
+    parents = children.map((child) => child._id);
+    await ZohoSyncOperation.updateMany(
+      { _id: { $in: parents } },
+      { $set: { ...discardSet(), discardReason: `Depends on discarded operation ${op._id}` }, $unset: { "file.buffer": "" } }
+    );
+    cascaded += parents.length;
+  }
+
+  if (op.context?.approvalTask) {
+    await CustomerHeaderDoc.updateOne(
+      { _id: op.agreementId },
+      { $set: { "approvalTask.open": false, "approvalTask.error": reason || "Approval task discarded" } }
+    );
+  }
+
+  console.log(`🗑️ [ZOHO-OUTBOX] ${op.kind} ${op._id} discarded by ${discardedBy || "system"}${cascaded ? ` (+${cascaded} dependent)` : ""}`);
+  return { operation: op, cascaded };
+}
+
+export async function findPendingDealOperation(agreementId) {
+  return ZohoSyncOperation.findOne(
+    { agreementId, kind: "deal", status: { $in: ["queued", "processing", "needs_check"] } },
+    LIST_PROJECTION
+  ).lean();
+}
+
+/**
+ * Discards dead-lettered deal creations (and their notes/files) before a new
+ * first-time upload, so replaying them later can't create a second deal.
+ */
+export async function supersedeDeadDealOperations(agreementId, discardedBy = null) {
+  const dead = await ZohoSyncOperation.find({ agreementId, kind: "deal", status: "dead" }).select("_id").lean();
+  for (const op of dead) {
+    await discardZohoOperation(op._id, { discardedBy, reason: "Superseded by a new first-time upload" });
+  }
+  return dead.length;
+}
@@ -1,5 +1,17 @@
 import FormData from "form-data";
 import axios from "axios";
+import jwt from "jsonwebtoken";
+import { JWT_SECRET } from "../config/authConfig.js";
+import { isCredentialEncryptionConfigured } from "../utils/credentialCrypto.js";
+import {
+  isCredentialStoreAvailable,
+  loadZohoCredential,
+  saveZohoGrant,
+  refreshZohoAccessTokenShared,
+  describeZohoCredential,
+  expireStoredZohoAccessToken,
+  dataCenterFromAccountsUrl,
+} from "./integrationCredentialService.js";
 
 const ZOHO_BIGIN_API_URL =
   process.env.ZOHO_BIGIN_API_URL || "https://www.zohoapis.in/bigin/v2";
@@ -10,7 +22,18 @@ const ZOHO_CRM_API_URL =
 const ZOHO_ACCOUNTS_URL =
   process.env.ZOHO_ACCOUNTS_URL || "https://accounts.zoho.in";
 
-export function generateZohoAuthUrl() {
+const ZOHO_OAUTH_SCOPES = [
+  "ZohoBigin.modules.ALL",
+  "ZohoBigin.modules.attachments.ALL",
+  "ZohoBigin.settings.ALL",
+  "ZohoBigin.users.ALL"
+];
+
+const OAUTH_STATE_PURPOSE = "zoho_oauth";
+
+// The callback is unauthenticated (Zoho redirects the browser), so the
+// state ties it to the admin who started the flow.
+export function generateZohoAuthUrl({ requestedBy = null } = {}) {
   const clientId = process.env.ZOHO_CLIENT_ID;
   const redirectUri = process.env.ZOHO_REDIRECT_URI;
 
@@ -18,35 +41,53 @@ export function generateZohoAuthUrl() {
     throw new Error("ZOHO_CLIENT_ID environment variable is required");
   }
 
-const scopes = [
-  "ZohoBigin.modules.ALL",
-  "ZohoBigin.modules.attachments.ALL",
-  "ZohoBigin.settings.ALL",
-  "ZohoBigin.users.ALL"
-].join(",");
-
+  const state = jwt.sign(
+    { purpose: OAUTH_STATE_PURPOSE, sub: requestedBy || "admin" },
+    JWT_SECRET,
+    { expiresIn: "10m" }
+  );
 
   const authUrl = new URL("/oauth/v2/auth", ZOHO_ACCOUNTS_URL);
-  authUrl.searchParams.set("scope", scopes);
+  authUrl.searchParams.set("scope", ZOHO_OAUTH_SCOPES.join(","));
   authUrl.searchParams.set("client_id", clientId);
   authUrl.searchParams.set("response_type", "code");
   authUrl.searchParams.set("access_type", "offline");
+  authUrl.searchParams.set("prompt", "consent");
   authUrl.searchParams.set("redirect_uri", redirectUri);
+  authUrl.searchParams.set("state", state);
 
-  console.log("🔗 Generated OAuth URL:", authUrl.toString());
+  console.log("🔗 Generated OAuth URL for", requestedBy || "admin");
   return authUrl.toString();
 }
 
-export async function handleZohoOAuthCallback(authorizationCode, location = "in") {
+/**
+ * Returns the admin who started the OAuth flow, or throws (status 400)
+ * when the state is missing, expired or forged.
+ */
+export function verifyZohoOAuthState(state) {
+  try {
+    const payload = jwt.verify(String(state || ""), JWT_SECRET);
+    if (payload.purpose !== OAUTH_STATE_PURPOSE) {
+      throw new Error("wrong purpose");
+    }
+    return payload.sub;
+  } catch (error) {
+    const err = new Error("OAuth state is missing or expired - start again from /oauth/zoho/auth");
+    err.status = 400;
+    throw err;
+  }
+}
+
+export async function handleZohoOAuthCallback(authorizationCode, location = "in", { connectedBy = null } = {}) {
   try {
     const clientId = process.env.ZOHO_CLIENT_ID;
     const clientSecret = process.env.ZOHO_CLIENT_SECRET;
     const redirectUri = process.env.ZOHO_REDIRECT_URI;
 
     console.log("🔒 [TOKEN-CREATE] Step 1 - environment values");
-    console.log(`  ƒ\"o Client ID present: ${!!clientId}`);
-    console.log(`  ƒ\"o Client Secret present: ${!!clientSecret}`);
-    console.log(`  ƒ\"o Redirect URI: ${redirectUri}`);
+    console.log(`  ├ Client ID present: ${!!clientId}`);
+    console.log(`  ├ Client Secret present: ${!!clientSecret}`);
+    console.log(`  └ Redirect URI: ${redirectUri}`);
 
     if (!clientId || !clientSecret) {
       throw new Error("ZOHO_CLIENT_ID and ZOHO_CLIENT_SECRET environment variables are required");
@@ -59,16 +100,8 @@ export async function handleZohoOAuthCallback(authorizationCode, location = "in"
 
     console.log("🔄 Step 2 - exchanging authorization code for tokens...");
     console.log("  ├ Accounts URL:", accountsUrl);
-    console.log("  ├ Client ID:", clientId);
     console.log("  ├ Redirect URI:", redirectUri);
-    console.log("  └ Auth code:", authorizationCode.substring(0, 20) + "...");
     console.log("  └ Location hint:", location);
-    console.log('  └ Token endpoint:', `${accountsUrl}/oauth/v2/token`);
-    console.log('  └ Request params:', {
-      grant_type: "authorization_code",
-      code: authorizationCode ? "present" : "missing",
-      redirect_uri: redirectUri
-    });
 
     const response = await axios.post(
       `${accountsUrl}/oauth/v2/token`,
@@ -87,50 +120,53 @@ export async function handleZohoOAuthCallback(authorizationCode, location = "in"
       }
     );
 
-    const { access_token, refresh_token, expires_in } = response.data;
+    const { access_token, refresh_token, expires_in, api_domain, scope } = response.data;
 
-    console.log("🔁 Step 3 - token response received");
-    console.log("  ├ Response status:", response.status);
-    console.log("  ├ Access token length check:", access_token ? access_token.length : 'missing');
-    console.log("  ├ Refresh token length check:", refresh_token ? refresh_token.length : 'missing');
+    console.log("🔁 Step 3 - token response received (status " + response.status + ")");
 
     if (!access_token || !refresh_token) {
-      console.error("❌ Invalid token response:", response.data);
-      throw new Error("Failed to obtain valid tokens from Zoho");
-    }
-
-    console.log("✅ Tokens obtained successfully!");
-    console.log("  ├ Access token length:", access_token.length);
-    console.log("  ├ Refresh token length:", refresh_token.length);
-    console.log("  └ Expires in:", expires_in, "seconds");
-
-    console.log("\n" + "=".repeat(80));
-    console.log("📋 COPY THESE TOKENS TO YOUR .ENV FILE:");
-    console.log("=".repeat(80));
-    console.log(`ZOHO_ACCESS_TOKEN=${access_token}`);
-    console.log(`ZOHO_REFRESH_TOKEN=${refresh_token}`);
-    console.log(`ZOHO_ACCOUNTS_BASE=${accountsUrl}`);
-    console.log("=".repeat(80));
-    console.log("💡 Add these to your .env file for automatic token refresh!");
-    console.log("=".repeat(80) + "\n");
-    process.env.ZOHO_ACCESS_TOKEN = access_token;
-    process.env.ZOHO_REFRESH_TOKEN = refresh_token;
+      console.error("❌ Invalid token response:", response.data?.error || "access or refresh token missing");
+      throw new Error(response.data?.error
+        ? `Zoho rejected the authorization code: ${response.data.error}`
+        : "Failed to obtain valid tokens from Zoho");
+    }
+
+    const scopes = scope ? String(scope).split(/[\s,]+/).filter(Boolean) : ZOHO_OAUTH_SCOPES;
+    let storage;
+
+    if (isCredentialStoreAvailable()) {
+      await saveZohoGrant({
+        refreshToken: refresh_token,
+        accessToken: access_token,
+        expiresIn: expires_in,
+        scope: scopes,
+        accountsUrl,
+        apiDomain: api_domain || null,
+        connectedBy,
+      });
+      storage = "database";
+    } else {
+      console.warn("⚠️ CREDENTIAL_ENCRYPTION_KEY is not set or the database is offline - the new grant is kept in memory until restart");
+      process.env.ZOHO_REFRESH_TOKEN = refresh_token;
+      storage = "memory";
+    }
+
     process.env.ZOHO_ACCOUNTS_BASE = accountsUrl;
+    cacheAccessToken(access_token, Date.now() + expires_in * 1000);
 
-    console.log("✅ OAuth tokens obtained successfully!");
-    console.log("⚠️  IMPORTANT: Copy the refresh token above to your .env file manually");
-    console.log("⚠️  Do NOT restart the server until you've updated .env with the new tokens");
+    console.log(`✅ OAuth grant stored (${storage}) - expires in ${expires_in} seconds, connected by ${connectedBy || "unknown"}`);
 
     return {
       success: true,
-      access_token,
-      refresh_token,
+      storage,
       expires_in,
+      scopes,
+      data_center: dataCenterFromAccountsUrl(accountsUrl),
       accounts_url: accountsUrl
     };
 
   } catch (error) {
-    console.error("❌ OAuth token exchange failed:", error.response?.data || error.message);
+    console.error("❌ OAuth token exchange failed:", error.response?.data?.error || error.message);
     return {
       success: false,
       error: error.response?.data?.error_description || error.message
@@ -639,11 +675,6 @@ export async function uploadToZohoCRM(
 
     console.log("🚀 Uploading to Zoho CRM...");
     console.log("🌍 CRM API URL being used:", ZOHO_CRM_API_URL);
-    console.log(
-      "🔐 CRM Access Token being sent:",
-      accessToken.substring(0, 20),
-      "..."
-    );
     console.log("📎 File Name:", fileName);
     console.log("📌 CRM Record ID:", recordId || "none");
 
@@ -687,11 +718,12 @@ export async function uploadToZohoCRM(
   }
 }
 
-let tokenRefreshInProgress = false;
 let tokenRefreshPromise = null;
 
 let cachedAccessToken = null;
 let tokenExpiryTime = null;
+let tokenSource = null;
+let lastTokenRefreshAt = null;
 
 function isCachedTokenValid() {
   if (!cachedAccessToken || !tokenExpiryTime) {
@@ -705,6 +737,53 @@ function isCachedTokenValid() {
   return now < expiryWithBuffer;
 }
 
+function cacheAccessToken(token, expiresAtMs, source = "oauth") {
+  cachedAccessToken = token;
+  tokenExpiryTime = expiresAtMs;
+  tokenSource = source;
+  lastTokenRefreshAt = new Date();
+  console.log(`🎯 [TOKEN-CACHE] Token cached until ${new Date(tokenExpiryTime).toLocaleString()} (${source})`);
+  return token;
+}
+
+// Zoho rejected the cached token (revoked or refreshed elsewhere); the next call fetches a new one.
+function clearCachedAccessToken() {
+  const source = tokenSource;
+  cachedAccessToken = null;
+  tokenExpiryTime = null;
+  if (source === "database") {
+    expireStoredZohoAccessToken().catch((err) =>
+      console.error("⚠️ Failed to expire stored Zoho access token:", err.message)
+    );
+  }
+}
+
+async function requestZohoTokenRefresh(refreshToken, accountsUrl) {
+  const response = await axios.post(
+    `${accountsUrl}/oauth/v2/token`,
+    null,
+    {
+      params: {
+        refresh_token: refreshToken,
+        client_id: process.env.ZOHO_CLIENT_ID,
+        client_secret: process.env.ZOHO_CLIENT_SECRET,
+        grant_type: "refresh_token",
+      },
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    }
+  );
+
+  // Zoho answers refresh errors with 200 and an `error` field.
+  if (!response.data?.access_token) {
+    const err = new Error(`Zoho token refresh failed: ${response.data?.error || "no access_token in response"}`);
+    err.code = response.data?.error || null;
+    throw err;
+  }
+  return response.data;
+}
+
 export async function getZohoAccessToken() {
   if (isCachedTokenValid()) {
     const remainingMinutes = Math.round((tokenExpiryTime - Date.now()) / 60000);
@@ -712,88 +791,53 @@ export async function getZohoAccessToken() {
     return cachedAccessToken;
   }
 
-  if (tokenRefreshInProgress && tokenRefreshPromise) {
+  if (tokenRefreshPromise) {
     console.log('🔄 [TOKEN-MUTEX] Another token refresh in progress, waiting...');
-    try {
-      return await tokenRefreshPromise;
-    } catch (error) {
-      console.log('🔄 [TOKEN-MUTEX] Previous refresh failed, trying again...');
-    }
+    return tokenRefreshPromise;
   }
+
+  tokenRefreshPromise = resolveZohoAccessToken().finally(() => {
+    tokenRefreshPromise = null;
+  });
+  return tokenRefreshPromise;
+}
+
+async function resolveZohoAccessToken() {
   const clientId = process.env.ZOHO_CLIENT_ID;
   const clientSecret = process.env.ZOHO_CLIENT_SECRET;
-  const refreshToken = process.env.ZOHO_REFRESH_TOKEN;
   const accountsUrl = process.env.ZOHO_ACCOUNTS_BASE || ZOHO_ACCOUNTS_URL;
 
-  console.log("🔍 [DEBUG] Environment variables check:");
-  console.log(`  ├ Client ID: ${clientId ? '✅ Present (' + clientId.substring(0, 20) + '...)' : '❌ Missing'}`);
-  console.log(`  ├ Client Secret: ${clientSecret ? '✅ Present (' + clientSecret.substring(0, 10) + '...)' : '❌ Missing'}`);
-  console.log(`  ├ Refresh Token: ${refreshToken ? '✅ Present (' + refreshToken.substring(0, 30) + '...)' : '❌ Missing'}`);
-  console.log(`  └ Accounts URL: ${accountsUrl}`);
-
-  if (clientId && clientSecret && refreshToken) {
-    tokenRefreshInProgress = true;
-    tokenRefreshPromise = (async () => {
-      try {
-        console.log("🔄 Auto-refreshing Zoho access token...");
-        console.log(`🔑 Using refresh token: ${refreshToken.substring(0, 30)}...`);
-        console.log(`🌍 Accounts URL: ${accountsUrl}`);
-        console.log(`🆔 Client ID: ${clientId}`);
-
-        const response = await axios.post(
-          `${accountsUrl}/oauth/v2/token`,
-          null,
-          {
-            params: {
-              refresh_token: refreshToken,
-              client_id: clientId,
-              client_secret: clientSecret,
-              grant_type: "refresh_token",
-            },
-            headers: {
-              "Content-Type": "application/x-www-form-urlencoded",
-            },
-          }
-        );
-
-        const { access_token, expires_in } = response.data;
-        console.log(`✅ Auto-refreshed Zoho token successfully!`);
-        console.log(`  ├ New access token: ${access_token.substring(0, 1000)}...`);
-        console.log(`  ├ Expires in: ${expires_in} seconds (${Math.round(expires_in/3600)} hours)`);
-        console.log(`  └ Refresh token status: PERMANENT (never expires) ✅`);
+  if (clientId && clientSecret) {
+    const stored = await loadZohoCredential({
+      defaultAccountsUrl: accountsUrl,
+      defaultScopes: ZOHO_OAUTH_SCOPES,
+    });
 
-        cachedAccessToken = access_token;
-        tokenExpiryTime = Date.now() + (expires_in * 1000);
-        console.log(`🎯 [TOKEN-CACHE] Token cached until ${new Date(tokenExpiryTime).toLocaleString()}`);
+    if (stored) {
+      // Keeps getBiginBaseUrl() on the data center the grant was issued for.
+      process.env.ZOHO_ACCOUNTS_BASE = stored.accountsUrl || accountsUrl;
+      const tokens = await refreshZohoAccessTokenShared(requestZohoTokenRefresh);
+      return cacheAccessToken(tokens.accessToken, tokens.accessTokenExpiresAt.getTime(), "database");
+    }
+  }
 
-        return access_token;
-      } catch (error) {
-        console.error("❌ Failed to auto-refresh Zoho token:");
-        console.error("  ├ Error type:", error.name || 'Unknown');
-        console.error("  ├ Error message:", error.message);
-        console.error("  ├ Response status:", error.response?.status);
-        console.error("  ├ Response data:", JSON.stringify(error.response?.data, null, 2));
-        console.error("  ├ Request URL:", error.config?.url);
-        console.error("  └ Refresh token used:", refreshToken.substring(0, 30) + "...");
-
-        console.error("\n🔍 [DEBUG] Full request details:");
-        console.error("  ├ Accounts URL:", accountsUrl);
-        console.error("  ├ Client ID:", clientId);
-        console.error("  ├ Client Secret:", clientSecret ? clientSecret.substring(0, 10) + "..." : "MISSING");
-        console.error("  └ Grant type: refresh_token");
-
-        throw error;
-      }
-    })();
+  const refreshToken = process.env.ZOHO_REFRESH_TOKEN;
 
+  if (clientId && clientSecret && refreshToken) {
     try {
-      const token = await tokenRefreshPromise;
-      return token;
+      console.log("🔄 Auto-refreshing Zoho access token from the environment refresh token...");
+      console.log(`🌍 Accounts URL: ${accountsUrl}`);
+
+      const data = await requestZohoTokenRefresh(refreshToken.trim(), accountsUrl);
+      console.log(`✅ Auto-refreshed Zoho token, expires in ${data.expires_in} seconds`);
+      return cacheAccessToken(data.access_token, Date.now() + data.expires_in * 1000, "environment");
     } catch (error) {
+      console.error("❌ Failed to auto-refresh Zoho token:");
+      console.error("  ├ Error message:", error.message);
+      console.error("  ├ Response status:", error.response?.status);
+      console.error("  ├ Zoho error:", error.code || error.response?.data?.error || "none");
+      console.error("  └ Accounts URL:", accountsUrl);
       console.log("🔄 [TOKEN-MUTEX] Refresh failed, falling back to static token");
-    } finally {
-      tokenRefreshInProgress = false;
-      tokenRefreshPromise = null;
     }
   } else {
     console.log("⚠️  Missing OAuth credentials:");
@@ -803,10 +847,9 @@ export async function getZohoAccessToken() {
   }
 
   if (process.env.ZOHO_ACCESS_TOKEN) {
-    const token = process.env.ZOHO_ACCESS_TOKEN.trim();
-    console.log("⚠️  Using static Zoho access token (may expire soon):", token.substring(0, 25), "...");
+    console.log("⚠️  Using static ZOHO_ACCESS_TOKEN (may expire soon)");
     console.log("💡 Recommendation: Set up permanent refresh token via OAuth for automatic renewal");
-    return token;
+    return process.env.ZOHO_ACCESS_TOKEN.trim();
   }
 
   console.error("❌ No Zoho credentials configured");
@@ -816,6 +859,41 @@ export async function getZohoAccessToken() {
   throw new Error("Zoho integration not configured. Administrator needs to set up OAuth credentials.");
 }
 
+export async function getZohoConnectionStatus() {
+  const stored = await describeZohoCredential();
+  const accountsUrl = stored?.accountsUrl || process.env.ZOHO_ACCOUNTS_BASE || ZOHO_ACCOUNTS_URL;
+  const storage = stored ? "database"
+    : process.env.ZOHO_REFRESH_TOKEN ? "environment"
+    : process.env.ZOHO_ACCESS_TOKEN ? "static_token"
+    : "none";
+
+  return {
+    provider: "zoho",
+    connected: stored ? stored.status === "connected" : storage !== "none",
+    status: stored?.status || (storage === "none" ? "disconnected" : "connected"),
+    storage,
+    source: stored?.source || null,
+    clientConfigured: !!(process.env.ZOHO_CLIENT_ID && process.env.ZOHO_CLIENT_SECRET),
+    encryptionConfigured: isCredentialEncryptionConfigured(),
+    encryptionKeyMatches: stored?.encryptionKeyMatches ?? null,
+    scopes: stored?.scopes?.length ? stored.scopes : ZOHO_OAUTH_SCOPES,
+    dataCenter: stored?.dataCenter || dataCenterFromAccountsUrl(accountsUrl),
+    accountsUrl,
+    apiDomain: stored?.apiDomain || null,
+    connectedAt: stored?.connectedAt || null,
+    connectedBy: stored?.connectedBy || null,
+    lastRefreshAt: stored?.lastRefreshAt || lastTokenRefreshAt,
+    refreshCount: stored?.refreshCount ?? null,
+    lastRefreshError: stored?.lastRefreshError || null,
+    lastRefreshErrorAt: stored?.lastRefreshErrorAt || null,
+    accessTokenExpiresAt: stored?.accessTokenExpiresAt || (tokenExpiryTime ? new Date(tokenExpiryTime) : null),
+    processCache: {
+      valid: isCachedTokenValid(),
+      source: tokenSource,
+    },
+  };
+}
+
 
 async function attachFileToRecord(recordId, fileId, accessToken, apiUrl) {
   try {
@@ -1459,6 +1537,19 @@ function getBiginBaseUrl() {
   }
 }
 
+// Zoho sends Retry-After (seconds) or X-RATELIMIT-RESET (epoch ms) on 429s.
+function retryAfterMsFrom(headers = {}) {
+  const retryAfter = Number(headers["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (Number.isFinite(reset) && reset > Date.now()) {
+    return reset - Date.now();
+  }
+  return null;
+}
+
 async function makeBiginRequest(method, endpoint, data = null) {
   try {
     const accessToken = await getZohoAccessToken();
@@ -1490,10 +1581,14 @@ async function makeBiginRequest(method, endpoint, data = null) {
 
   } catch (error) {
     console.error(`❌ [BIGIN API] ${method} ${endpoint} failed:`, error.response?.data || error.message);
+    if (error.response?.status === 401) {
+      clearCachedAccessToken();
+    }
     return {
       success: false,
       error: error.response?.data || { message: error.message },
-      status: error.response?.status
+      status: error.response?.status,
+      retryAfterMs: retryAfterMsFrom(error.response?.headers)
     };
   }
 }
@@ -1522,7 +1617,16 @@ export async function getBiginDealsByCompany(companyId, page = 1, perPage = 20)
     console.log(`🔍 [COMPANY-DEALS] Searching pipelines for company ${companyId}`);
     const result = await makeBiginRequest('GET', endpoint);
 
-    if (result.success && result.data?.data) {
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error?.message || result.error?.code || 'Bigin request failed',
+        status: result.status,
+        deals: []
+      };
+    }
+
+    if (result.data?.data) {
       const deals = result.data.data;
       console.log(`✅ [COMPANY-DEALS] Found ${deals.length} pipelines`);
 
@@ -1818,7 +1922,8 @@ export async function createBiginDeal(dealData) {
       console.error(`❌ Deal creation failed:`, result.data);
       return {
         success: false,
-        error: result.data
+        error: result.data,
+        status: result.status
       };
     }
   }
@@ -1827,6 +1932,27 @@ export async function createBiginDeal(dealData) {
   return result;
 }
 
+export async function updateBiginDeal(dealId, fields) {
+  console.log(`💼 Updating Bigin deal ${dealId}: ${Object.keys(fields).join(", ")}`);
+
+  const result = await makeBiginRequest("PUT", `/Pipelines/${dealId}`, {
+    data: [{ ...fields }]
+  });
+
+  if (result.success) {
+    const updated = result.data?.data?.[0];
+    if (updated?.code === "SUCCESS") {
+      console.log(`✅ Deal ${dealId} updated`);
+      return { success: true, deal: { id: updated.details?.id || dealId, fields: Object.keys(fields) } };
+    }
+    console.error(`❌ Deal update failed:`, result.data);
+    return { success: false, error: updated || result.data, status: 400 };
+  }
+
+  console.error(`❌ Deal update API call failed:`, result.error);
+  return result;
+}
+
 export async function createBiginNote(dealId, noteData) {
   console.log(`📝 Creating note for deal ${dealId}: ${noteData.title}`);
 
@@ -1895,7 +2021,8 @@ export async function createBiginNote(dealId, noteData) {
 
       return {
         success: false,
-        error: errorMessage
+        error: errorMessage,
+        status: result.status
       };
     }
   }
@@ -1906,7 +2033,9 @@ export async function createBiginNote(dealId, noteData) {
 
   return {
     success: false,
-    error: errorMessage
+    error: errorMessage,
+    status: result.status,
+    retryAfterMs: result.retryAfterMs
   };
 }
 
@@ -1980,12 +2109,12 @@ export async function createBiginTask(companyId, taskData) {
     const zohoError = result.data?.data?.[0];
     const errorMessage = zohoError?.message || zohoError?.details || 'Unknown Zoho error';
     console.error(`❌ Task creation failed:`, errorMessage);
-    return { success: false, error: errorMessage };
+    return { success: false, error: errorMessage, status: result.status };
   }
 
   const errorMessage = result.error?.message || result.error || 'Unknown API error';
   console.error(`❌ Task creation API call failed:`, errorMessage);
-  return { success: false, error: errorMessage };
+  return { success: false, error: errorMessage, status: result.status, retryAfterMs: result.retryAfterMs };
 }
 
 export async function uploadBiginFile(dealId, pdfBuffer, fileName, options = {}) {
@@ -2047,12 +2176,16 @@ export async function uploadBiginFile(dealId, pdfBuffer, fileName, options = {})
         error: {
           message: 'Unexpected response format from Zoho',
           zohoResponse: response.data
-        }
+        },
+        status: response.status
       };
     }
 
   } catch (error) {
     console.error(`❌ File upload error:`, error.response?.data || error.message);
+    if (error.response?.status === 401) {
+      clearCachedAccessToken();
+    }
     console.error(`❌ Full error object:`, {
       message: error.message,
       status: error.response?.status,
@@ -2067,7 +2200,9 @@ export async function uploadBiginFile(dealId, pdfBuffer, fileName, options = {})
         message: error.message,
         status: error.response?.status,
         zohoResponse: error.response?.data
-      }
+      },
+      status: error.response?.status,
+      retryAfterMs: retryAfterMsFrom(error.response?.headers)
     };
   }
 }
@@ -0,0 +1,247 @@
+import mongoose from "mongoose";
+import ZohoMapping from "../models/ZohoMapping.js";
+import CustomerHeaderDoc from "../models/CustomerHeaderDoc.js";
+import AdminSettings from "../models/AdminSettings.js";
+import { getBiginDealsByCompany } from "./zohoService.js";
+import { applyExternalStatusChange, afterTransition } from "./approvalWorkflowService.js";
+import { acquireLease, completeLease } from "./schedulerLeaseService.js";
+import {
+  ZOHO_STAGE_POLL_ENABLED,
+  ZOHO_STAGE_POLL_INTERVAL_MS,
+} from "../config/zohoConfig.js";
+
+const POLL_PAGE_SIZE = 200;
+const POLL_MAX_PAGES = 5;
+const LEASE_NAME = "zoho-stage-poll";
+
+let pollTimer = null;
+let pollRunning = false;
+let lastPoll = null;
+
+function normalizeStage(stage) {
+  return String(stage || "").trim().toLowerCase();
+}
+
+function parseChangedAt(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+async function loadStageSyncSettings() {
+  const settings = await AdminSettings.getSingleton();
+  const config = settings.zohoStageSync || {};
+  const statusByStage = new Map(
+    (config.stageStatusMap || []).map((entry) => [normalizeStage(entry.stage), entry.status])
+  );
+  return { enabled: config.enabled !== false, statusByStage };
+}
+
+async function applyToAgreement(mapping, previousStage, stage, { source, statusByStage }) {
+  const agreement = await CustomerHeaderDoc.findById(mapping.agreementId).select("-pdf_meta.pdfBuffer");
+  if (!agreement || agreement.isDeleted) {
+    return { agreementId: mapping.agreementId, statusChanged: false, reason: "agreement_not_found" };
+  }
+
+  const mappedStatus = statusByStage.get(normalizeStage(stage)) || null;
+  const comment = `Bigin deal stage changed from "${previousStage || "unknown"}" to "${stage}" (${source})`;
+  const result = applyExternalStatusChange(agreement, "agreement", mappedStatus, {
+    actor: `zoho:${source}`,
+    comment,
+  });
+
+  await agreement.save();
+  await afterTransition("agreement", agreement, result);
+
+  if (result.changed) {
+    console.log(`🔀 [ZOHO-STAGE] Agreement ${agreement._id}: ${result.from} → ${result.to} (stage "${stage}")`);
+  }
+  return { agreementId: agreement._id, statusChanged: result.changed, from: result.from, to: result.to };
+}
+
+/**
+ * Applies a deal stage reported by Bigin to every mapping of that deal:
+ * stores the stage, moves the agreement to the configured status and adds
+ * an agreement history entry. Updates older than the last one applied
+ * (by Bigin's Modified_Time) and repeats of the current stage are ignored.
+ */
+export async function applyDealStageChange({ dealId, stage, changedAt = null, source = "webhook" }) {
+  const stageName = String(stage || "").trim();
+  if (!dealId || !stageName) {
+    const err = new Error("dealId and stage are required");
+    err.status = 400;
+    throw err;
+  }
+
+  const { enabled, statusByStage } = await loadStageSyncSettings();
+  const modifiedAt = parseChangedAt(changedAt);
+  const mappings = await ZohoMapping.find({ "zohoDeal.id": String(dealId) })
+    .select("_id agreementId zohoDeal")
+    .lean();
+
+  const applied = [];
+  for (const mapping of mappings) {
+    const filter = { _id: mapping._id, "zohoDeal.stage": { $ne: stageName } };
+    if (modifiedAt) {
+      filter.$or = [
+        { "zohoDeal.stageChangedAt": null },
+        { "zohoDeal.stageChangedAt": { $lt: modifiedAt } },
+      ];
+    }
+
+    const now = new Date();
+    const previous = await ZohoMapping.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          "zohoDeal.stage": stageName,
+          "zohoDeal.stageChangedAt": modifiedAt || now,
+          "zohoDeal.stageSyncedAt": now,
+          "zohoDeal.stageSource": source,
+          updatedAt: now,
+        },
+      },
+      { new: false, projection: { "zohoDeal.stage": 1 } }
+    ).lean();
+
+    if (!previous) {
+      applied.push({ agreementId: mapping.agreementId, stageChanged: false, reason: "unchanged_or_stale" });
+      continue;
+    }
+
+    console.log(`📥 [ZOHO-STAGE] Deal ${dealId} stage "${previous.zohoDeal?.stage}" → "${stageName}" via ${source}`);
+
+    if (!enabled) {
+      applied.push({ agreementId: mapping.agreementId, stageChanged: true, statusChanged: false, reason: "sync_disabled" });
+      continue;
+    }
+
+    try {
+      const outcome = await applyToAgreement(mapping, previous.zohoDeal?.stage, stageName, { source, statusByStage });
+      applied.push({ stageChanged: true, ...outcome });
+    } catch (err) {
+      console.error(`❌ [ZOHO-STAGE] Failed to update agreement ${mapping.agreementId}:`, err.message);
+      applied.push({ agreementId: mapping.agreementId, stageChanged: true, statusChanged: false, error: err.message });
+    }
+  }
+
+  return { dealId: String(dealId), stage: stageName, matched: mappings.length, applied };
+}
+
+/**
+ * Polling fallback for missed webhooks: re-reads the deals of every company
+ * with a tracked deal and applies stages that differ from the stored ones.
+ * Only the worker holding the Mongo lease polls, once per interval; `force`
+ * (the manual route) skips the once-per-interval check but still waits for
+ * a poll running on another worker.
+ */
+export async function pollZohoDealStages({ force = false } = {}) {
+  if (pollRunning) {
+    return { skipped: true, reason: "already_running" };
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return { skipped: true, reason: "database_offline" };
+  }
+
+  const runKey = String(Math.floor(Date.now() / ZOHO_STAGE_POLL_INTERVAL_MS));
+  const lease = await acquireLease(LEASE_NAME, {
+    ttlMs: ZOHO_STAGE_POLL_INTERVAL_MS,
+    runKey: force ? null : runKey,
+  });
+  if (!lease) {
+    return { skipped: true, reason: "polled_by_another_worker" };
+  }
+
+  pollRunning = true;
+  const startedAt = new Date();
+  const summary = { companies: 0, dealsChecked: 0, stageChanges: 0, statusChanges: 0, errors: [] };
+
+  try {
+    const mappings = await ZohoMapping.find({ "zohoDeal.id": { $ne: null }, "zohoCompany.id": { $ne: null } })
+      .select("zohoCompany.id zohoDeal.id zohoDeal.stage")
+      .lean();
+
+    const trackedByCompany = new Map();
+    for (const mapping of mappings) {
+      const companyId = mapping.zohoCompany.id;
+      if (!trackedByCompany.has(companyId)) trackedByCompany.set(companyId, new Map());
+      trackedByCompany.get(companyId).set(mapping.zohoDeal.id, mapping.zohoDeal.stage);
+    }
+
+    for (const [companyId, trackedDeals] of trackedByCompany) {
+      summary.companies += 1;
+      for (let page = 1; page <= POLL_MAX_PAGES; page += 1) {
+        const result = await getBiginDealsByCompany(companyId, page, POLL_PAGE_SIZE);
+        if (!result.success) {
+          summary.errors.push({ companyId, error: result.error });
+          break;
+        }
+
+        for (const deal of result.deals) {
+          if (!trackedDeals.has(deal.id)) continue;
+          summary.dealsChecked += 1;
+          if (!deal.stage || deal.stage === trackedDeals.get(deal.id)) continue;
+
+          const change = await applyDealStageChange({
+            dealId: deal.id,
+            stage: deal.stage,
+            changedAt: deal.modifiedAt,
+            source: "poll",
+          });
+          summary.stageChanges += change.applied.filter((a) => a.stageChanged).length;
+          summary.statusChanges += change.applied.filter((a) => a.statusChanged).length;
+        }
+
+        if (!result.pagination?.hasMore) break;
+      }
+    }
+
+    if (summary.stageChanges > 0 || summary.errors.length > 0) {
+      console.log(`🔄 [ZOHO-STAGE] Poll: ${summary.stageChanges} stage change(s), ${summary.statusChanges} status change(s), ${summary.errors.length} error(s)`);
+    }
+    await completeLease(LEASE_NAME, {
+      runKey,
+      result: { stageChanges: summary.stageChanges, statusChanges: summary.statusChanges, errors: summary.errors.length },
+    });
+    return summary;
+  } catch (err) {
+    console.error("❌ [ZOHO-STAGE] Poll failed:", err.message);
+    summary.errors.push({ error: err.message });
+    await completeLease(LEASE_NAME, { error: err }).catch(() => {});
+    return summary;
+  } finally {
+    pollRunning = false;
+    lastPoll = { startedAt, finishedAt: new Date(), ...summary };
+  }
+}
+
+export function startZohoStageSyncWorker() {
+  if (!ZOHO_STAGE_POLL_ENABLED) {
+    console.log("⏸️  [ZOHO-STAGE] Stage polling disabled (ZOHO_STAGE_POLL=false)");
+    return;
+  }
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    pollZohoDealStages().catch((err) => console.error("❌ [ZOHO-STAGE] Poll tick failed:", err.message));
+  }, ZOHO_STAGE_POLL_INTERVAL_MS);
+  pollTimer.unref?.();
+
+  console.log(`🔄 [ZOHO-STAGE] Stage polling every ${Math.round(ZOHO_STAGE_POLL_INTERVAL_MS / 60_000)} min`);
+}
+
+export function stopZohoStageSyncWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export function getZohoStageSyncStatus() {
+  return {
+    pollingEnabled: ZOHO_STAGE_POLL_ENABLED,
+    pollIntervalMs: ZOHO_STAGE_POLL_INTERVAL_MS,
+    polling: pollRunning,
+    lastPoll,
+  };
+}
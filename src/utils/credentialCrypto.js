@@ -0,0 +1,74 @@
+import crypto from "crypto";
+import { CREDENTIAL_ENCRYPTION_KEY } from "../config/authConfig.js";
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+
+let cachedKey;
+
+function loadKey() {
+  if (cachedKey !== undefined) return cachedKey;
+
+  const raw = (CREDENTIAL_ENCRYPTION_KEY || "").trim();
+  if (!raw) {
+    cachedKey = null;
+    return cachedKey;
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error("CREDENTIAL_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)");
+  }
+  cachedKey = key;
+  return cachedKey;
+}
+
+export function isCredentialEncryptionConfigured() {
+  return !!loadKey();
+}
+
+// Short, non-reversible id of the key so a rotated key is detected instead of failing decryption silently.
+export function credentialKeyId() {
+  const key = loadKey();
+  return key ? crypto.createHash("sha256").update(key).digest("hex").slice(0, 12) : null;
+}
+
+/**
+ * Encrypts a secret. `context` (e.g. "zoho:refreshToken") is bound as
+ * additional authenticated data, so a value can't be moved to another field.
+ */
+export function encryptSecret(plaintext, context = "") {
+  const key = loadKey();
+  if (!key) {
+    throw new Error("CREDENTIAL_ENCRYPTION_KEY is not configured");
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context, "utf8"));
+  const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+    keyId: credentialKeyId(),
+  };
+}
+
+export function decryptSecret(box, context = "") {
+  if (!box?.data) return null;
+
+  const key = loadKey();
+  if (!key) {
+    throw new Error("CREDENTIAL_ENCRYPTION_KEY is not configured");
+  }
+  if (box.keyId && box.keyId !== credentialKeyId()) {
+    throw new Error("Stored credential was encrypted with a different CREDENTIAL_ENCRYPTION_KEY");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(box.iv, "base64"));
+  decipher.setAAD(Buffer.from(context, "utf8"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]).toString("utf8");
+}
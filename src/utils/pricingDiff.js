@@ -0,0 +1,81 @@
+// Field-level diffs between live pricing documents and another copy of them
+// (a backup snapshot or a proposed draft). Each difference reports the live
+// value and the other side's value under `label`.
+
+// Bookkeeping fields that differ between copies without being a pricing change.
+const IGNORED_DIFF_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+// Live documents go through JSON so dates and ObjectIds compare like stored copies.
+export function toPlain(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+function flattenFields(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && IGNORED_DIFF_FIELDS.includes(key)) continue;
+      flattenFields(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+    return out;
+  }
+  out[prefix] = value;
+  return out;
+}
+
+export function diffFields(live, other, label = 'backup') {
+  const liveFields = flattenFields(live || {});
+  const otherFields = flattenFields(other || {});
+  const paths = [...new Set([...Object.keys(liveFields), ...Object.keys(otherFields)])].sort();
+
+  return paths
+    .filter((path) => JSON.stringify(liveFields[path] ?? null) !== JSON.stringify(otherFields[path] ?? null))
+    .map((path) => ({ path, live: liveFields[path] ?? null, [label]: otherFields[path] ?? null }));
+}
+
+export function diffKeyed(liveDocs, otherDocs, keyOf, label = 'backup') {
+  const liveByKey = new Map(liveDocs.map((doc) => [keyOf(doc), doc]));
+  const otherByKey = new Map(otherDocs.map((doc) => [keyOf(doc), doc]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, otherDoc] of otherByKey) {
+    const liveDoc = liveByKey.get(key);
+    if (!liveDoc) {
+      added.push(key);
+      continue;
+    }
+    const fields = diffFields(liveDoc, otherDoc, label);
+    if (fields.length) changed.push({ key, fields });
+    else unchanged += 1;
+  }
+  for (const key of liveByKey.keys()) {
+    if (!otherByKey.has(key)) removed.push(key);
+  }
+
+  return { added, removed, changed, unchanged };
+}
+
+export function diffCatalogFamilies(liveCatalog, otherCatalog, familyKeys = null, label = 'backup') {
+  const pick = (catalog) => (catalog?.families || []).filter((f) => !familyKeys || familyKeys.includes(f.key));
+  const liveFamilies = pick(liveCatalog);
+  const otherFamilies = pick(otherCatalog);
+
+  const families = diffKeyed(
+    liveFamilies.map((f) => ({ key: f.key, label: f.label, sortOrder: f.sortOrder })),
+    otherFamilies.map((f) => ({ key: f.key, label: f.label, sortOrder: f.sortOrder })),
+    (f) => f.key,
+    label
+  );
+
+  const productsOf = (list) => list.flatMap((f) => (f.products || []).map((p) => ({ ...p, familyKey: p.familyKey || f.key })));
+  const products = diffKeyed(productsOf(liveFamilies), productsOf(otherFamilies), (p) => `${p.familyKey}/${p.key}`, label);
+
+  return { families, products };
+}
+
+export function countChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length;
+}
@@ -1,7 +1,7 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import { PDF_OUTPUT_DIR } from "../config/storagePaths.js";
+import { PDF_OUTPUT_DIR, LATEX_WORK_DIR } from "../config/storagePaths.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TMP_ROOT = path.join(__dirname, "..", "tmp");
@@ -62,4 +62,8 @@ export async function cleanupTemporaryArtifacts(options = {}) {
   if (PDF_OUTPUT_DIR) {
     await cleanupDirectory(PDF_OUTPUT_DIR, { maxAgeMs, purgeAll });
   }
+  if (LATEX_WORK_DIR) {
+    // Local compile jobs may still be running here, so only sweep stale leftovers.
+    await cleanupDirectory(LATEX_WORK_DIR, { maxAgeMs, purgeAll: false });
+  }
 }
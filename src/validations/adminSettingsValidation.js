@@ -0,0 +1,59 @@
+import Joi from "joi";
+import { WORKFLOW_DEFINITIONS } from "../config/workflowConfig.js";
+
+const percent = Joi.number().min(0).max(100);
+
+const priceOverridePolicySchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  defaultMaxDiscountPct: percent.allow(null).optional(),
+  serviceLimits: Joi.array().items(
+    Joi.object({ serviceKey: Joi.string().trim().required(), maxDiscountPct: percent.required() })
+  ).optional(),
+  productFamilyLimits: Joi.array().items(
+    Joi.object({ familyKey: Joi.string().trim().required(), maxDiscountPct: percent.required() })
+  ).optional(),
+  floorPrices: Joi.array().items(
+    Joi.object({
+      key: Joi.string().trim().required(),
+      fieldType: Joi.string().trim().allow(null, "").optional(),
+      minValue: Joi.number().min(0).required(),
+    })
+  ).optional(),
+  salespersonLimits: Joi.array().items(
+    Joi.object({ salesperson: Joi.string().trim().required(), maxDiscountPct: percent.required() })
+  ).optional(),
+});
+
+export function validatePriceOverridePolicy(payload) {
+  return priceOverridePolicySchema.validate(payload, { abortEarly: false });
+}
+
+const zohoStageSyncSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  stageStatusMap: Joi.array().items(
+    Joi.object({
+      stage: Joi.string().trim().max(120).required(),
+      status: Joi.string().valid(...WORKFLOW_DEFINITIONS.agreement.statuses).required(),
+    })
+  ).unique((a, b) => a.stage.toLowerCase() === b.stage.toLowerCase()).optional(),
+});
+
+export function validateZohoStageSync(payload) {
+  return zohoStageSyncSchema.validate(payload, { abortEarly: false });
+}
+
+const zohoDealFieldMappingSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  fields: Joi.array().items(
+    Joi.object({
+      source: Joi.string().trim().max(200)
+        .pattern(/^\$?[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/)
+        .required(),
+      field: Joi.string().trim().max(100).pattern(/^[A-Za-z0-9_]+$/).required(),
+    })
+  ).max(50).default([]),
+});
+
+export function validateZohoDealFieldMapping(payload) {
+  return zohoDealFieldMappingSchema.validate(payload, { abortEarly: false });
+}
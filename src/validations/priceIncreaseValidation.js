@@ -0,0 +1,54 @@
+import Joi from "joi";
+import { WORKFLOW_DEFINITIONS } from "../config/workflowConfig.js";
+
+const objectId = Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/);
+const dateText = Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/).message("{{#label}} must be a YYYY-MM-DD date");
+
+const filtersSchema = Joi.object({
+  statuses: Joi.array().items(Joi.string().valid(...WORKFLOW_DEFINITIONS.agreement.statuses)).min(1).optional(),
+  services: Joi.array().items(Joi.string().trim().max(80)).optional(),
+  region: Joi.string().trim().max(120).allow(null, "").optional(),
+  regionLabel: Joi.string().trim().max(120).allow(null, "").optional(),
+  salesperson: Joi.string().trim().max(120).allow(null, "").optional(),
+  startDateFrom: dateText.allow(null, "").optional(),
+  startDateTo: dateText.allow(null, "").optional(),
+  agreementIds: Joi.array().items(objectId).max(5000).optional(),
+});
+
+const adjustmentSchema = Joi.object({
+  type: Joi.string().valid("percent", "fixed").required(),
+  value: Joi.when("type", {
+    is: "percent",
+    then: Joi.number().greater(0).max(100).required(),
+    otherwise: Joi.number().greater(0).max(100000).required(),
+  }),
+  scope: Joi.string().valid("services", "products", "all").default("all"),
+  serviceKeys: Joi.array().items(Joi.string().trim().max(80)).optional(),
+  productKeys: Joi.array().items(Joi.string().trim().max(120)).optional(),
+});
+
+const campaignFields = {
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().allow("").max(2000),
+  filters: filtersSchema,
+  adjustment: adjustmentSchema,
+  effectiveDate: Joi.date().iso(),
+  noticeMessage: Joi.string().allow("").max(5000),
+};
+
+const createCampaignSchema = Joi.object({
+  ...campaignFields,
+  name: campaignFields.name.required(),
+  adjustment: campaignFields.adjustment.required(),
+  effectiveDate: campaignFields.effectiveDate.required(),
+});
+
+const updateCampaignSchema = Joi.object(campaignFields).min(1);
+
+export function validateCreateCampaign(payload) {
+  return createCampaignSchema.validate(payload, { abortEarly: false, stripUnknown: true });
+}
+
+export function validateUpdateCampaign(payload) {
+  return updateCampaignSchema.validate(payload, { abortEarly: false, stripUnknown: true });
+}
@@ -0,0 +1,41 @@
+import Joi from "joi";
+
+const restoreSchema = Joi.object({
+  changeDayId: Joi.string().trim().max(120).required(),
+  restorationNotes: Joi.string().allow("").max(900).default(""),
+  dataTypes: Joi.array().items(Joi.string().valid("priceFix", "productCatalog", "serviceConfigs")).unique().optional(),
+  serviceIds: Joi.array().items(Joi.string().trim().max(120)).unique().optional(),
+  productFamilies: Joi.array().items(Joi.string().trim().max(120)).unique().optional(),
+});
+
+export function validateRestoreRequest(body) {
+  return restoreSchema.validate(body, { abortEarly: false, stripUnknown: true });
+}
+
+const importSchema = Joi.object({
+  notes: Joi.string().allow("").max(900).default(""),
+});
+
+export function validateImportRequest(body) {
+  return importSchema.validate(body, { abortEarly: false, stripUnknown: true });
+}
+
+// Only the parts restore relies on; everything else in the documents is kept as-is.
+const archiveSnapshotSchema = Joi.object({
+  dataTypes: Joi.object({
+    priceFix: Joi.object({
+      documents: Joi.array().items(Joi.object({ key: Joi.string().required() }).unknown(true)).required(),
+    }).unknown(true).required(),
+    productCatalog: Joi.object({
+      active: Joi.object().allow(null).default(null),
+      all: Joi.array().items(Joi.object()).required(),
+    }).unknown(true).required(),
+    serviceConfigs: Joi.object({
+      documents: Joi.array().items(Joi.object({ serviceId: Joi.string().required() }).unknown(true)).required(),
+    }).unknown(true).required(),
+  }).unknown(true).required(),
+}).unknown(true);
+
+export function validateArchiveSnapshot(snapshot) {
+  return archiveSnapshotSchema.validate(snapshot, { abortEarly: false });
+}
@@ -0,0 +1,53 @@
+import Joi from "joi";
+
+const objectId = Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/);
+
+// `changes` is checked against the target's own PUT schema by the service.
+const createDraftSchema = Joi.object({
+  targetType: Joi.string().valid("serviceConfig", "productCatalog").required(),
+  targetId: objectId.required(),
+  operation: Joi.string().valid("replace", "partial").default("partial"),
+  changes: Joi.object().unknown(true).required(),
+  note: Joi.string().allow("").max(1000).default(""),
+  submit: Joi.boolean().default(false),
+});
+
+const updateDraftSchema = Joi.object({
+  changes: Joi.object().unknown(true).optional(),
+  note: Joi.string().allow("").max(1000).optional(),
+}).min(1);
+
+const reviewSchema = Joi.object({
+  comment: Joi.string().trim().allow("").max(1000).default(""),
+});
+
+const rejectSchema = Joi.object({
+  comment: Joi.string().trim().min(1).max(1000).required(),
+});
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid("draft", "pending_review", "publishing", "published", "rejected", "withdrawn").optional(),
+  targetType: Joi.string().valid("serviceConfig", "productCatalog").optional(),
+  targetId: objectId.optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+export function validateCreateDraft(payload) {
+  return createDraftSchema.validate(payload, { abortEarly: false });
+}
+
+export function validateUpdateDraft(payload) {
+  return updateDraftSchema.validate(payload, { abortEarly: false });
+}
+
+export function validateReview(payload) {
+  return reviewSchema.validate(payload || {}, { abortEarly: false, stripUnknown: true });
+}
+
+export function validateReject(payload) {
+  return rejectSchema.validate(payload || {}, { abortEarly: false, stripUnknown: true });
+}
+
+export function validateDraftListQuery(query) {
+  return listQuerySchema.validate(query, { abortEarly: false, stripUnknown: true });
+}
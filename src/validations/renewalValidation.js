@@ -0,0 +1,10 @@
+import Joi from "joi";
+
+const expiringQuerySchema = Joi.object({
+  days: Joi.number().integer().min(0).max(1095).default(60),
+  by: Joi.string().valid("termEnd", "notice").default("termEnd"),
+});
+
+export function validateExpiringQuery(query) {
+  return expiringQuerySchema.validate(query, { abortEarly: false, convert: true, stripUnknown: true });
+}
@@ -1,5 +1,13 @@
 import Joi from "joi";
 
+// A bare YYYY-MM-DD is that calendar day in server local time, like the
+// midnight boundaries effective dates are stored and switched on.
+const localDate = Joi.string().trim().custom((value, helpers) => {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = dateOnly ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? helpers.error("any.invalid") : date;
+}, "local date");
+
 const baseSchema = {
   serviceId: Joi.string().trim().required(),
   version: Joi.string().trim().required(),
@@ -12,6 +20,8 @@ const baseSchema = {
   defaultFormState: Joi.object().unknown(true).optional(),
 
   isActive: Joi.boolean().optional(),
+  effectiveFrom: localDate.allow(null).optional(),
+  effectiveTo: localDate.allow(null).optional(),
   adminByDisplay: Joi.boolean().optional(),
   tags: Joi.array().items(Joi.string()).optional(),
   images: Joi.array().items(
@@ -34,6 +44,8 @@ const partialUpdateServiceConfigSchema = Joi.object({
   config: Joi.object().unknown(true).optional(),
   defaultFormState: Joi.object().unknown(true).optional(),
   isActive: Joi.boolean().optional(),
+  effectiveFrom: localDate.allow(null).optional(),
+  effectiveTo: localDate.allow(null).optional(),
   adminByDisplay: Joi.boolean().optional(),
   tags: Joi.array().items(Joi.string()).optional(),
   images: Joi.array().items(
@@ -44,6 +56,17 @@ const partialUpdateServiceConfigSchema = Joi.object({
   ).optional(),
 }).min(1);
 
+const quoteServiceSchema = Joi.object({
+  serviceId: Joi.string().trim().required(),
+  version: Joi.string().trim().optional(),
+  formState: Joi.object().unknown(true).default({}),
+});
+
+const activeConfigQuerySchema = Joi.object({
+  serviceId: Joi.string().trim().optional(),
+  asOf: localDate.optional(),
+});
+
 export function validateCreateServiceConfig(payload) {
   return createServiceConfigSchema.validate(payload, { abortEarly: false });
 }
@@ -57,3 +80,11 @@ export function validatePartialUpdateServiceConfig(payload) {
     abortEarly: false,
   });
 }
+
+export function validateQuoteService(payload) {
+  return quoteServiceSchema.validate(payload, { abortEarly: false });
+}
+
+export function validateActiveConfigQuery(query) {
+  return activeConfigQuerySchema.validate(query, { abortEarly: false, stripUnknown: true });
+}
@@ -0,0 +1,42 @@
+import Joi from "joi";
+import { SIGNING_LINK_MAX_TTL_HOURS, SIGNING_LINK_TTL_HOURS } from "../config/signatureConfig.js";
+
+const objectId = Joi.string().hex().length(24);
+
+const createLinkSchema = Joi.object({
+  versionId: objectId.allow(null),
+  signerName: Joi.string().trim().max(200).allow("").default(""),
+  signerEmail: Joi.string().trim().email().allow(null, ""),
+  expiresInHours: Joi.number().integer().min(1).max(SIGNING_LINK_MAX_TTL_HOURS).default(SIGNING_LINK_TTL_HOURS),
+  sendEmail: Joi.boolean().default(false),
+});
+
+const submitSignatureSchema = Joi.object({
+  signerName: Joi.string().trim().min(1).max(200).required(),
+  signerTitle: Joi.string().trim().max(200).allow("", null),
+  method: Joi.string().valid("drawn", "typed").required(),
+  signatureImage: Joi.when("method", {
+    is: "drawn",
+    then: Joi.string()
+      .pattern(/^data:image\/png;base64,[A-Za-z0-9+/]+={0,2}$/)
+      .message("{{#label}} must be a base64 PNG data URL")
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  typedSignature: Joi.when("method", {
+    is: "typed",
+    then: Joi.string().trim().min(1).max(200).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  consent: Joi.boolean().valid(true).required().messages({
+    "any.only": "{{#label}} must be accepted to sign electronically",
+  }),
+});
+
+export function validateCreateSigningLink(body) {
+  return createLinkSchema.validate(body, { abortEarly: false, stripUnknown: true });
+}
+
+export function validateSubmitSignature(body) {
+  return submitSignatureSchema.validate(body, { abortEarly: false, stripUnknown: true });
+}
@@ -0,0 +1,9 @@
+import Joi from "joi";
+
+const verifyQuerySchema = Joi.object({
+  sha256: Joi.string().hex().length(64).lowercase(),
+});
+
+export function validateVerifyQuery(query) {
+  return verifyQuerySchema.validate(query, { abortEarly: false, convert: true, stripUnknown: true });
+}
@@ -0,0 +1,29 @@
+import Joi from "joi";
+
+// Bigin webhooks send whatever parameter names were configured, so the
+// common spellings are accepted and normalized before validation.
+const dealStageWebhookSchema = Joi.object({
+  dealId: Joi.string().trim().max(40).pattern(/^[0-9A-Za-z_-]+$/).required(),
+  stage: Joi.string().trim().max(120).required(),
+  changedAt: Joi.date().allow(null).optional(),
+});
+
+export function normalizeDealStageWebhook(body = {}, query = {}) {
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const value = body[key] ?? query[key];
+      if (value !== undefined && value !== null && value !== "") return value;
+    }
+    return undefined;
+  };
+
+  return {
+    dealId: pick("dealId", "deal_id", "id", "Deal_Id", "Pipeline_Id"),
+    stage: pick("stage", "Stage"),
+    changedAt: pick("changedAt", "modifiedTime", "Modified_Time") ?? null,
+  };
+}
+
+export function validateDealStageWebhook(payload) {
+  return dealStageWebhookSchema.validate(payload, { abortEarly: false, convert: true });
+}